@@ -5,6 +5,8 @@
  * Implements the observer pattern, allowing components to subscribe to orderbook updates.
  */
 
+import { krakenBookChecksum } from '../utils/kraken-book-checksum.js';
+
 class CentralizedOrderBookManager {
   /**
    * Create a new CentralizedOrderBookManager
@@ -36,6 +38,10 @@ class CentralizedOrderBookManager {
     this._lastAskUpdate = 0;
     this._snapshotRequested = false;
     
+    // Checksum verification (updates carrying checksum + checksumPrecision)
+    this._checksumFailures = 0;
+    this._resyncRequired = false;
+    
     // Only try to check if symbol is Kraken format if we have a valid string
     this.isKrakenSymbol = typeof this.symbol === 'string' && 
       (this.symbol.includes('BTC') || this.symbol.includes('XBT'));
@@ -99,6 +105,12 @@ class CentralizedOrderBookManager {
         return null;
       }
       
+      // A full book with an exchange checksum must match it; otherwise the source is resyncing
+      if (exchangeUpdate.checksum !== undefined && exchangeUpdate.checksumPrecision && bidCount > 0 && askCount > 0 &&
+          !this._verifyChecksum(orderBook, exchangeUpdate.checksum, exchangeUpdate.checksumPrecision, exchangeId)) {
+        return null;
+      }
+      
       // Always define these variables, regardless of what path the code takes
       const hasCompleteBids = bidCount > 0;
       const hasCompleteAsks = askCount > 0;
@@ -267,6 +279,7 @@ class CentralizedOrderBookManager {
   hasValidOrderBook() {
     // Return true only if we have a valid orderbook with both sides
     return this._latestOrderBook && 
+           !this._resyncRequired && 
            this._latestOrderBook.isValid && 
            this._hasValidBids && 
            this._hasValidAsks && 
@@ -274,6 +287,18 @@ class CentralizedOrderBookManager {
            this._latestOrderBook.bestAsk > 0;
   }
   
+  /**
+   * Checksum verification state
+   * 
+   * @returns {Object} - { checksumFailures, resyncRequired }
+   */
+  getIntegrity() {
+    return {
+      checksumFailures: this._checksumFailures,
+      resyncRequired: this._resyncRequired
+    };
+  }
+  
   /**
    * Subscribe to orderbook updates
    * 
@@ -543,6 +568,43 @@ class CentralizedOrderBookManager {
     }
   }
   
+  /**
+   * Verify a full order book against the exchange's Kraken-style CRC32 checksum
+   * A failure marks the book invalid until a book that passes arrives.
+   * 
+   * @private
+   * @param {Object} orderBook - Order book with bids/asks
+   * @param {number|string} checksum - Checksum sent by the exchange
+   * @param {Object} precision - { pricePrecision, qtyPrecision }
+   * @param {string} exchangeId - Exchange identifier
+   * @returns {boolean} - True if the checksum matches
+   */
+  _verifyChecksum(orderBook, checksum, precision, exchangeId) {
+    const toLevel = level => Array.isArray(level)
+      ? [parseFloat(level[0]), parseFloat(level[1])]
+      : [parseFloat(level.price), parseFloat(level.size ?? level.qty ?? level.amount)];
+    const bids = orderBook.bids.map(toLevel).sort((a, b) => b[0] - a[0]);
+    const asks = orderBook.asks.map(toLevel).sort((a, b) => a[0] - b[0]);
+    
+    const expected = Number(checksum);
+    const actual = krakenBookChecksum(bids, asks, precision);
+    
+    if (actual === expected) {
+      if (this._resyncRequired) {
+        this._resyncRequired = false;
+        this.log('info', `Order book from ${exchangeId} passed checksum verification again`);
+      }
+      return true;
+    }
+    
+    this._checksumFailures++;
+    this._resyncRequired = true;
+    this.log('warn', `Rejected order book from ${exchangeId}: checksum ${actual} does not match ${expected}`, {
+      checksumFailures: this._checksumFailures
+    });
+    return false;
+  }
+  
   /**
    * Handle a partial order book update
    * 
@@ -63,6 +63,7 @@ export class KrakenFuturesRESTClient {
     this._signRequest = this._signRequest.bind(this);
     this.getOHLC = this.getOHLC.bind(this);
     this.getTicker = this.getTicker.bind(this);
+    this.getTickers = this.getTickers.bind(this);
     this.getOrderBook = this.getOrderBook.bind(this);
     this.getTrades = this.getTrades.bind(this);
     this.getInstruments = this.getInstruments.bind(this);
@@ -304,6 +305,22 @@ export class KrakenFuturesRESTClient {
     }
   }
   
+  /**
+   * Get ticker information for all symbols in one request
+   * 
+   * @returns {Promise<Array<Object>>} Ticker data
+   */
+  async getTickers() {
+    try {
+      const response = await this._publicRequest('/tickers');
+      
+      return (response.tickers || []).map(ticker => this._formatTicker(ticker, ticker.symbol));
+    } catch (error) {
+      this.log('error', `Failed to fetch tickers: ${error.message}`);
+      throw error;
+    }
+  }
+  
   /**
    * Format ticker data
    * 
@@ -451,8 +468,13 @@ export class KrakenFuturesRESTClient {
       symbol: inst.symbol,
       type: inst.type,
       underlying: inst.underlying,
+      base: inst.base,
+      quote: inst.quote,
       tickSize: parseFloat(inst.tickSize || 0),
-      contractSize: parseFloat(inst.contractValueTradePrecision || 1),
+      contractSize: parseFloat(inst.contractSize || 1),
+      contractValueTradePrecision: inst.contractValueTradePrecision !== undefined
+        ? parseInt(inst.contractValueTradePrecision, 10)
+        : null,
       marginCurrency: inst.marginCurrency,
       fundingPremiumIndex: inst.fundingPremiumIndex,
       fundingRateCoefficient: parseFloat(inst.fundingRateCoefficient || 0),
@@ -811,6 +833,29 @@ export class KrakenFuturesRESTClient {
     }
   }
   
+  /**
+   * Dead man's switch: cancel all orders after a timeout unless called again before it
+   * 
+   * @param {number} timeout - Seconds until all orders are cancelled (0 disarms)
+   * @returns {Promise<Object>} Status with currentTime and triggerTime
+   */
+  async cancelAllOrdersAfter(timeout) {
+    try {
+      this.log('debug', 'Setting cancel all orders after', { timeout });
+      
+      const response = await this._privateRequest('/cancelallordersafter', { timeout }, 'POST');
+      
+      if (response.result !== 'success') {
+        throw new Error(`Cancel all orders after failed: ${response.error || 'Unknown error'}`);
+      }
+      
+      return response;
+    } catch (error) {
+      this.log('error', `Failed to set cancel all orders after: ${error.message}`);
+      throw error;
+    }
+  }
+  
   /**
    * Edit an existing order
    * 
@@ -919,10 +964,14 @@ export class KrakenFuturesRESTClient {
   /**
    * Batch order operations
    * 
+   * Instructions are sent as one `batchOrder` list: placements first (tagged with their index,
+   * or their own `order_tag`), then cancellations, then edits. `batchStatus` in the response
+   * has one entry per instruction, carrying the `order_tag` of placements.
+   * 
    * @param {Object} batch - Batch operations
-   * @param {Array} [batch.placeOrders] - Orders to place
-   * @param {Array} [batch.cancelOrders] - Orders to cancel
-   * @param {Array} [batch.editOrders] - Orders to edit
+   * @param {Array} [batch.placeOrders] - Orders to place (sendOrder parameters)
+   * @param {Array} [batch.cancelOrders] - Orders to cancel (order IDs, or { order_id } / { cliOrdId })
+   * @param {Array} [batch.editOrders] - Orders to edit (editOrder parameters)
    * @returns {Promise<Object>} Batch operation results
    */
   async batchOrder(batch) {
@@ -933,7 +982,20 @@ export class KrakenFuturesRESTClient {
         editCount: batch.editOrders?.length || 0
       });
       
-      const response = await this._privateRequest('/batchorder', batch, 'POST');
+      const batchOrder = [
+        ...(batch.placeOrders || []).map((order, index) => ({ order: 'send', order_tag: String(index), ...order })),
+        ...(batch.cancelOrders || []).map(cancel => ({
+          order: 'cancel',
+          ...(typeof cancel === 'string' ? { order_id: cancel } : cancel)
+        })),
+        ...(batch.editOrders || []).map(edit => ({ order: 'edit', ...edit }))
+      ];
+      
+      const response = await this._privateRequest('/batchorder', { json: JSON.stringify({ batchOrder }) }, 'POST');
+      
+      if (response.result !== 'success') {
+        throw new Error(`Batch order failed: ${response.error || 'Unknown error'}`);
+      }
       
       return response;
     } catch (error) {
@@ -55,6 +55,7 @@ export class KrakenFuturesWebSocketClient extends EventEmitter {
     
     // Market data storage
     this.orderBooks = new Map();
+    this.bookIntegrity = new Map(); // symbol -> { seq, verified, resyncing, corruptions, lastGap }
     this.tickers = new Map();
     this.trades = new Map();
     
@@ -355,10 +356,47 @@ export class KrakenFuturesWebSocketClient extends EventEmitter {
   /**
    * Handle order book update
    * 
+   * Futures books carry no checksum; every book message has a per-feed sequence number
+   * instead, so a gap in `seq` means a delta was lost. The book is then cleared, updates
+   * stop and the feed is resubscribed until a fresh snapshot restores it.
+   * 
    * @private
    */
   _handleOrderBook(symbol, message) {
-    const { feed, bids = [], asks = [], timestamp } = message;
+    const { feed, seq, timestamp } = message;
+    let { bids = [], asks = [] } = message;
+    
+    // Deltas carry a single level: { side, price, qty, seq }
+    if (feed === 'book' && message.side && message.price !== undefined) {
+      const level = { price: message.price, qty: message.qty };
+      if (message.side === 'buy') {
+        bids = [level];
+      } else {
+        asks = [level];
+      }
+    }
+    
+    const integrity = this._getBookIntegrity(symbol);
+    
+    if (feed !== 'book_snapshot') {
+      if (integrity.resyncing) {
+        return;
+      }
+      
+      if (seq !== undefined && integrity.seq !== null) {
+        if (seq <= integrity.seq) {
+          return; // Stale or duplicate delta
+        }
+        if (seq !== integrity.seq + 1) {
+          this._handleBookGap(symbol, integrity.seq + 1, seq);
+          return;
+        }
+      }
+    }
+    
+    if (seq !== undefined) {
+      integrity.seq = seq;
+    }
     
     // Initialize order book if needed
     if (!this.orderBooks.has(symbol)) {
@@ -382,6 +420,14 @@ export class KrakenFuturesWebSocketClient extends EventEmitter {
         price: parseFloat(ask.price), 
         size: parseFloat(ask.qty) 
       }));
+      
+      const wasResyncing = integrity.resyncing;
+      integrity.verified = true;
+      integrity.resyncing = false;
+      if (wasResyncing) {
+        this.logger.info(`[KrakenFuturesWS] ${symbol} order book restored from snapshot`);
+        this.emit('orderBookResynced', { symbol, corruptions: integrity.corruptions });
+      }
     } else {
       // Incremental update
       this._updateOrderBookSide(orderBook.bids, bids, false);
@@ -405,6 +451,56 @@ export class KrakenFuturesWebSocketClient extends EventEmitter {
     });
   }
   
+  /**
+   * Sequence state of a symbol's order book
+   * 
+   * @private
+   */
+  _getBookIntegrity(symbol) {
+    if (!this.bookIntegrity.has(symbol)) {
+      this.bookIntegrity.set(symbol, {
+        seq: null,
+        verified: false,
+        resyncing: false,
+        corruptions: 0,
+        lastGap: null
+      });
+    }
+    return this.bookIntegrity.get(symbol);
+  }
+  
+  /**
+   * Drop a book that missed a delta and resubscribe for a fresh snapshot
+   * 
+   * @private
+   */
+  async _handleBookGap(symbol, expectedSeq, seq) {
+    const integrity = this._getBookIntegrity(symbol);
+    
+    integrity.verified = false;
+    integrity.resyncing = true;
+    integrity.corruptions++;
+    integrity.seq = null;
+    integrity.lastGap = { expectedSeq, seq, timestamp: Date.now() };
+    this.orderBooks.delete(symbol);
+    
+    this.logger.warn(`[KrakenFuturesWS] Book sequence gap for ${symbol} (expected ${expectedSeq}, got ${seq}); resubscribing`);
+    this.emit('orderBookCorrupted', {
+      symbol,
+      corruptions: integrity.corruptions,
+      expectedSeq,
+      seq
+    });
+    
+    try {
+      const options = this.subscriptions.get(`book:${symbol}`)?.options || {};
+      await this.unsubscribe('book', [symbol]);
+      await this.subscribe('book', [symbol], options);
+    } catch (error) {
+      this.logger.error(`[KrakenFuturesWS] Failed to resubscribe ${symbol} book:`, error);
+    }
+  }
+  
   /**
    * Update order book side with incremental changes
    * 
@@ -452,9 +548,11 @@ export class KrakenFuturesWebSocketClient extends EventEmitter {
       volume: parseFloat(message.volume || 0),
       volume24h: parseFloat(message.volume_24h || 0),
       markPrice: parseFloat(message.markPrice || 0),
-      indexPrice: parseFloat(message.indexPrice || 0),
+      indexPrice: parseFloat(message.indexPrice || message.index || 0),
       openInterest: parseFloat(message.openInterest || 0),
-      fundingRate: parseFloat(message.fundingRate || 0),
+      fundingRate: parseFloat(message.fundingRate || message.funding_rate || 0),
+      fundingRatePrediction: parseFloat(message.fundingRatePrediction || message.funding_rate_prediction || 0),
+      nextFundingTime: message.next_funding_rate_time || null,
       timestamp: message.timestamp
     };
     
@@ -857,6 +955,19 @@ export class KrakenFuturesWebSocketClient extends EventEmitter {
     return this.orderBooks.get(symbol) || null;
   }
   
+  /**
+   * Sequence verification state of the order books
+   * 
+   * @returns {Object} symbol -> { seq, verified, resyncing, corruptions, lastGap }
+   */
+  getBookIntegrity() {
+    const integrity = {};
+    for (const [symbol, state] of this.bookIntegrity) {
+      integrity[symbol] = { ...state };
+    }
+    return integrity;
+  }
+  
   /**
    * Get current ticker for a symbol
    * 
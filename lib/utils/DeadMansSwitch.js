@@ -0,0 +1,214 @@
+/**
+ * DeadMansSwitch - Cancel-all-after heartbeat for exchange adapters
+ *
+ * Resting orders outlive a hung or disconnected process. Exchanges with a cancel-all-after
+ * timer (Kraken spot v2 `cancel_all_orders_after`, Kraken Futures `cancelallordersafter`)
+ * cancel every open order once the timer runs out, so the switch arms it on connect and
+ * keeps pushing it back while the adapter is healthy:
+ * - Native mode: `arm(timeoutSeconds)` sets the exchange timer; refreshes are skipped while
+ *   the connection is unhealthy, so the exchange cancels the orders if it does not recover
+ * - Local mode: `arm()` resolving false means the exchange has no such timer; a local
+ *   watchdog is reset on every healthy refresh and cancels through `onExpire()` when it runs out
+ * - A failed arm or refresh is reported through `onFailure()` and starts the local watchdog
+ *   as a fallback until the exchange timer is armed again
+ *
+ * The local watchdog lives in the process it guards: it covers lost connectivity and event
+ * loop stalls it wakes up from, not a process that dies outright.
+ */
+
+export const DEAD_MANS_SWITCH_MODES = {
+  NATIVE: 'native',
+  LOCAL: 'local'
+};
+
+export class DeadMansSwitch {
+  /**
+   * @param {Object} options
+   * @param {Function} options.arm - async (timeoutSeconds) => Boolean; false without native support
+   * @param {Function} [options.disarm] - async () => void; clears the exchange timer on stop
+   * @param {Function} [options.onExpire] - async () => void; cancels orders when the local watchdog runs out
+   * @param {Function} [options.isHealthy] - () => Boolean; refreshes are skipped while false
+   * @param {Function} [options.onFailure] - (action, error) => void; 'arm' or 'refresh' failures
+   * @param {Number} [options.timeoutSeconds=60] - Cancel-all-after timeout
+   * @param {Number} [options.refreshIntervalMs] - Refresh interval (default a quarter of the timeout)
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    if (typeof options.arm !== 'function') {
+      throw new Error('DeadMansSwitch requires an arm(timeoutSeconds) function');
+    }
+    
+    this.arm = options.arm;
+    this.disarm = options.disarm;
+    this.onExpire = options.onExpire;
+    this.isHealthy = options.isHealthy || (() => true);
+    this.onFailure = options.onFailure || (() => {});
+    this.timeoutSeconds = options.timeoutSeconds || 60;
+    this.refreshIntervalMs = options.refreshIntervalMs || Math.floor(this.timeoutSeconds * 1000 / 4);
+    this.logger = options.logger;
+    
+    this.running = false;
+    this.mode = null;
+    this.armedAt = null;
+    this.lastRefreshAt = null;
+    this.failures = 0;
+    this.expiredAt = null;
+    this.refreshTimer = null;
+    this.watchdogTimer = null;
+  }
+  
+  /**
+   * Arm the switch and start refreshing it
+   * @returns {Promise<Object>} Status
+   */
+  async start() {
+    if (this.running) {
+      return this.getStatus();
+    }
+    
+    this.running = true;
+    await this._arm('arm');
+    this.refreshTimer = setInterval(() => this.refresh(), this.refreshIntervalMs);
+    
+    this.logger?.info('Dead man\'s switch started', {
+      mode: this.mode,
+      timeoutSeconds: this.timeoutSeconds,
+      refreshIntervalMs: this.refreshIntervalMs
+    });
+    
+    return this.getStatus();
+  }
+  
+  /**
+   * Push the timer back, unless the connection is unhealthy
+   * @returns {Promise<Boolean>} Whether the timer was refreshed
+   */
+  async refresh() {
+    if (!this.running) {
+      return false;
+    }
+    
+    if (!this.isHealthy()) {
+      this.logger?.warn('Dead man\'s switch not refreshed: connection unhealthy', {
+        mode: this.mode,
+        lastRefreshAt: this.lastRefreshAt
+      });
+      return false;
+    }
+    
+    return this._arm('refresh');
+  }
+  
+  /**
+   * Stop refreshing and clear the exchange timer
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+    
+    this.running = false;
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this._clearWatchdog();
+    
+    if (this.mode === DEAD_MANS_SWITCH_MODES.NATIVE && this.disarm) {
+      try {
+        await this.disarm();
+      } catch (error) {
+        this.logger?.warn(`Failed to disarm dead man's switch: ${error.message}`);
+      }
+    }
+    
+    this.logger?.info('Dead man\'s switch stopped', { mode: this.mode });
+  }
+  
+  /**
+   * @returns {Object} { running, mode, timeoutSeconds, refreshIntervalMs, armedAt, lastRefreshAt, failures, expiredAt }
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      mode: this.mode,
+      timeoutSeconds: this.timeoutSeconds,
+      refreshIntervalMs: this.refreshIntervalMs,
+      armedAt: this.armedAt,
+      lastRefreshAt: this.lastRefreshAt,
+      failures: this.failures,
+      expiredAt: this.expiredAt
+    };
+  }
+  
+  /**
+   * @private
+   */
+  async _arm(action) {
+    try {
+      const native = await this.arm(this.timeoutSeconds);
+      
+      this.mode = native === false ? DEAD_MANS_SWITCH_MODES.LOCAL : DEAD_MANS_SWITCH_MODES.NATIVE;
+      if (this.mode === DEAD_MANS_SWITCH_MODES.LOCAL) {
+        this._resetWatchdog();
+      } else {
+        this._clearWatchdog();
+      }
+      
+      const now = Date.now();
+      this.armedAt = this.armedAt || now;
+      this.lastRefreshAt = now;
+      return true;
+    } catch (error) {
+      this.failures++;
+      this.logger?.error(`Dead man's switch ${action} failed: ${error.message}`, { failures: this.failures });
+      
+      // Orders must not stay unguarded while the exchange timer cannot be set
+      if (!this.watchdogTimer) {
+        this._resetWatchdog();
+      }
+      
+      this.onFailure(action, error);
+      return false;
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _resetWatchdog() {
+    this._clearWatchdog();
+    this.watchdogTimer = setTimeout(() => this._expire(), this.timeoutSeconds * 1000);
+  }
+  
+  /**
+   * @private
+   */
+  _clearWatchdog() {
+    if (this.watchdogTimer) {
+      clearTimeout(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+  }
+  
+  /**
+   * @private
+   */
+  async _expire() {
+    this.watchdogTimer = null;
+    this.expiredAt = Date.now();
+    
+    this.logger?.error('Dead man\'s switch expired: cancelling all orders', {
+      mode: this.mode,
+      lastRefreshAt: this.lastRefreshAt
+    });
+    
+    try {
+      await this.onExpire?.();
+    } catch (error) {
+      this.logger?.error(`Dead man's switch failed to cancel orders: ${error.message}`);
+      this.onFailure('expire', error);
+    }
+  }
+}
+
+export default DeadMansSwitch;
@@ -0,0 +1,133 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { DeadMansSwitch, DEAD_MANS_SWITCH_MODES } from './DeadMansSwitch.js';
+
+// BaseExchangeAdapter creates its Redis managers on construction
+jest.unstable_mockModule('../../../lib/redis-backend-api/index.js', () => ({
+  OrderManager: class {},
+  FillManager: class {},
+  BalanceManager: class {},
+  KeyGenerator: class {}
+}));
+
+const { BaseExchangeAdapter } = await import('./exchange/BaseExchangeAdapter.js');
+
+describe('DeadMansSwitch', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('arms the exchange timer, refreshes it on an interval and disarms it on stop', async () => {
+    const arm = jest.fn().mockResolvedValue(true);
+    const disarm = jest.fn().mockResolvedValue();
+    const onExpire = jest.fn();
+    const dms = new DeadMansSwitch({ arm, disarm, onExpire, timeoutSeconds: 20 });
+
+    const status = await dms.start();
+    expect(status).toMatchObject({ running: true, mode: DEAD_MANS_SWITCH_MODES.NATIVE, refreshIntervalMs: 5000 });
+    expect(arm).toHaveBeenCalledWith(20);
+
+    await jest.advanceTimersByTimeAsync(15000);
+    expect(arm).toHaveBeenCalledTimes(4);
+
+    // The exchange cancels on its own timer: no local watchdog runs in native mode
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(onExpire).not.toHaveBeenCalled();
+
+    await dms.stop();
+    expect(disarm).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(20000);
+    expect(arm).toHaveBeenCalledTimes(16);
+  });
+
+  test('skips refreshes while the connection is unhealthy', async () => {
+    const arm = jest.fn().mockResolvedValue(true);
+    let healthy = true;
+    const dms = new DeadMansSwitch({ arm, isHealthy: () => healthy, timeoutSeconds: 20 });
+
+    await dms.start();
+    healthy = false;
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(arm).toHaveBeenCalledTimes(1);
+    expect(await dms.refresh()).toBe(false);
+
+    await dms.stop();
+  });
+
+  test('falls back to the local watchdog when arming fails', async () => {
+    const error = new Error('EAPI:Rate limit exceeded');
+    const arm = jest.fn().mockRejectedValueOnce(error).mockResolvedValue(true);
+    const onExpire = jest.fn().mockResolvedValue();
+    const onFailure = jest.fn();
+    const dms = new DeadMansSwitch({ arm, onExpire, onFailure, timeoutSeconds: 20, refreshIntervalMs: 30000 });
+
+    const status = await dms.start();
+    expect(status).toMatchObject({ failures: 1, armedAt: null });
+    expect(onFailure).toHaveBeenCalledWith('arm', error);
+
+    await jest.advanceTimersByTimeAsync(20000);
+    expect(onExpire).toHaveBeenCalledTimes(1);
+    expect(dms.getStatus().expiredAt).not.toBeNull();
+
+    // Once the exchange timer is armed again the watchdog is no longer needed
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(dms.getStatus().mode).toBe(DEAD_MANS_SWITCH_MODES.NATIVE);
+    await jest.advanceTimersByTimeAsync(20000);
+    expect(onExpire).toHaveBeenCalledTimes(1);
+
+    await dms.stop();
+  });
+
+  test('runs a local watchdog that healthy refreshes keep pushing back without a native timer', async () => {
+    const onExpire = jest.fn().mockResolvedValue();
+    let healthy = true;
+    const dms = new DeadMansSwitch({ arm: async () => false, onExpire, isHealthy: () => healthy, timeoutSeconds: 20 });
+
+    expect((await dms.start()).mode).toBe(DEAD_MANS_SWITCH_MODES.LOCAL);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(onExpire).not.toHaveBeenCalled();
+
+    healthy = false;
+    await jest.advanceTimersByTimeAsync(20000);
+    expect(onExpire).toHaveBeenCalledTimes(1);
+
+    await dms.stop();
+  });
+});
+
+describe('BaseExchangeAdapter dead man\'s switch', () => {
+  let adapter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    adapter = new BaseExchangeAdapter({
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+      exchangeName: 'test',
+      tradingMode: 'live',
+      tradingPair: 'BTC/USD',
+      sessionId: 'session-1'
+    });
+    adapter.cancelAllManagedOrders = jest.fn().mockResolvedValue({ cancelled: 2 });
+  });
+
+  afterEach(async () => {
+    await adapter.stopDeadMansSwitch();
+    jest.useRealTimers();
+  });
+
+  test('cancels all managed orders when the local watchdog runs out', async () => {
+    await adapter.startDeadMansSwitch({ timeoutSeconds: 10 });
+    expect(adapter.getDeadMansSwitchStatus().mode).toBe(DEAD_MANS_SWITCH_MODES.LOCAL);
+
+    adapter._isDeadMansSwitchHealthy = () => false;
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(adapter.cancelAllManagedOrders).toHaveBeenCalledWith('DEAD_MANS_SWITCH');
+  });
+});
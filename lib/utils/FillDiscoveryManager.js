@@ -2,13 +2,16 @@
  * Flexible Fill Management System
  * 
  * This module implements a flexible fill discovery system that supports multiple
- * fill discovery mechanisms, including paper trading with midprice-based fills
- * and live trading with Kraken WebSocket executions.
+ * fill discovery mechanisms, including paper trading with queue-position fills
+ * (QueueFillSimulator, shared with the exchange adapter's paper mode and the backtest),
+ * legacy midprice-based fills and live trading with Kraken WebSocket executions.
  * 
  * See the specification document for more details:
  * /src/services/market-maker/docs/flexible-fill-management-specification.md
  */
 
+import { QueueFillSimulator } from './QueueFillSimulator.js';
+
 /**
  * FillDiscoveryManager
  * 
@@ -56,9 +59,10 @@ export class FillDiscoveryManager {
    */
   _initializeStrategy() {
     if (this.tradingMode === 'paper') {
-      this.strategy = new MidpriceFillStrategy({
+      this.strategy = new QueuePositionFillStrategy({
         logger: this.logger,
         symbol: this.symbol,
+        exchange: this.exchange,
         orderBookManager: this.orderBookManager,
         onFill: this.onFill,
         memoryManager: this.memoryManager // Pass memoryManager to strategy
@@ -96,10 +100,22 @@ export class FillDiscoveryManager {
   
   /**
    * Change the strategy at runtime
-   * @param {string} strategyType Strategy type ('midprice' or 'websocket')
+   * @param {string} strategyType Strategy type ('queue', 'midprice' or 'websocket')
    */
   setStrategy(strategyType) {
-    if (strategyType === 'midprice') {
+    this.strategy?.stop?.();
+    
+    if (strategyType === 'queue') {
+      this.strategy = new QueuePositionFillStrategy({
+        logger: this.logger,
+        symbol: this.symbol,
+        exchange: this.exchange,
+        orderBookManager: this.orderBookManager,
+        onFill: this.onFill,
+        memoryManager: this.memoryManager
+      });
+      this.logger.info('Switched to QueuePositionFillStrategy');
+    } else if (strategyType === 'midprice') {
       this.strategy = new MidpriceFillStrategy({
         logger: this.logger,
         symbol: this.symbol,
@@ -334,6 +350,201 @@ export class MidpriceFillStrategy {
   }
 }
 
+/**
+ * QueuePositionFillStrategy
+ * 
+ * Discovers fills for paper trading with QueueFillSimulator: resting orders join the queue
+ * behind the displayed size at their price and fill on trade-through or once that queue is
+ * exhausted, possibly partially. Trade prints from the exchange's 'trade' events advance the
+ * queue between checks when the exchange emits them.
+ */
+export class QueuePositionFillStrategy {
+  /**
+   * Create a new QueuePositionFillStrategy
+   * @param {Object} options Configuration options
+   * @param {Object} options.logger Logger instance
+   * @param {string} options.symbol Trading symbol
+   * @param {Object} options.orderBookManager Order book manager instance
+   * @param {Object} [options.exchange] Exchange client emitting public 'trade' events
+   * @param {Function} options.onFill Callback function for fill notifications
+   * @param {Object} options.memoryManager Memory manager for accessing active orders
+   * @param {Object} [options.simulator] QueueFillSimulator instance (created when omitted)
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || console;
+    this.symbol = options.symbol;
+    this.orderBookManager = options.orderBookManager;
+    this.exchange = options.exchange;
+    this.onFill = options.onFill;
+    this.memoryManager = options.memoryManager;
+    this.simulator = options.simulator || new QueueFillSimulator({ logger: this.logger });
+    
+    // Fills from trade prints between checks, reported by the next checkForFills
+    this.pendingFills = [];
+    
+    this._handleTrade = this._handleTrade.bind(this);
+    if (this.exchange && typeof this.exchange.on === 'function') {
+      this.exchange.on('trade', this._handleTrade);
+    }
+    
+    this.logger.info('QueuePositionFillStrategy initialized', {
+      symbol: this.symbol,
+      hasMemoryManager: !!this.memoryManager,
+      tradePrints: !!(this.exchange && typeof this.exchange.on === 'function')
+    });
+  }
+  
+  /**
+   * Check for fills of the active orders against the latest order book
+   * @param {Object} [passedOrders] Optional active orders object (for backward compatibility)
+   * @returns {Promise<Array>} Array of discovered fills
+   */
+  async checkForFills(passedOrders) {
+    try {
+      const activeOrders = (this.memoryManager && this.memoryManager.getOrder('active_orders')) || passedOrders || {};
+      const orderBook = this._getOrderBook();
+      
+      if (!orderBook) {
+        this.logger.debug('No orderbook available for fill checking');
+        return this._drainPendingFills();
+      }
+      
+      const activeIds = new Set();
+      
+      for (const order of Object.values(activeOrders)) {
+        if (!order || !order.id || !order.price) continue;
+        
+        activeIds.add(order.id);
+        if (!this.simulator.hasOrder(order.id)) {
+          this.simulator.addOrder({
+            id: order.id,
+            symbol: this.symbol,
+            side: order.side,
+            price: order.price,
+            amount: order.size || order.amount,
+            filled: order.filled || 0
+          }, orderBook);
+        }
+      }
+      
+      // Orders no longer active were cancelled, replaced or filled
+      for (const orderId of Array.from(this.simulator.orders.keys())) {
+        if (!activeIds.has(orderId)) {
+          this.simulator.removeOrder(orderId);
+        }
+      }
+      
+      const fills = this.simulator.onBookUpdate(this.symbol, orderBook).map(fill => this._createFill(fill));
+      
+      return [...this._drainPendingFills(), ...fills.map(fill => this._notify(fill))];
+    } catch (error) {
+      this.logger.error('Error checking for fills with queue position strategy', {
+        error: error.message,
+        stack: error.stack
+      });
+      return [];
+    }
+  }
+  
+  /**
+   * Stop listening for trade prints
+   */
+  stop() {
+    if (this.exchange && typeof this.exchange.off === 'function') {
+      this.exchange.off('trade', this._handleTrade);
+    }
+  }
+  
+  /**
+   * Apply a public trade print to the tracked orders
+   * @param {Object} trade Trade ({ symbol, price, size, side, timestamp })
+   * @private
+   */
+  _handleTrade(trade) {
+    if (!trade || trade.symbol !== this.symbol) return;
+    
+    const fills = this.simulator.onTrade(this.symbol, trade);
+    fills.forEach(fill => this.pendingFills.push(this._notify(this._createFill(fill))));
+  }
+  
+  /**
+   * @private
+   */
+  _drainPendingFills() {
+    const fills = this.pendingFills;
+    this.pendingFills = [];
+    return fills;
+  }
+  
+  /**
+   * Log a fill and notify via callback
+   * @private
+   */
+  _notify(fill) {
+    this.logger.info(`Fill discovered for ${fill.side} order ${fill.orderId} at ${fill.price}`, {
+      orderId: fill.orderId,
+      side: fill.side,
+      size: fill.size,
+      remaining: fill.remaining,
+      reason: fill.reason
+    });
+    
+    if (this.onFill) {
+      this.onFill(fill);
+    }
+    
+    return fill;
+  }
+  
+  /**
+   * Latest order book as [[price, size]] levels, best first
+   * @private
+   */
+  _getOrderBook() {
+    let orderBook = this.orderBookManager.lastSnapshot;
+    
+    if (!orderBook) {
+      const recentOrderbooks = this.orderBookManager.getRecentOrderbooks(1000);
+      orderBook = recentOrderbooks && recentOrderbooks.length > 0 ? recentOrderbooks[0] : null;
+    }
+    
+    if (!orderBook || !orderBook.bids || !orderBook.asks ||
+        !orderBook.bids.length || !orderBook.asks.length) {
+      return null;
+    }
+    
+    const toLevels = levels => levels.map(([price, size]) => [parseFloat(price), parseFloat(size)]);
+    
+    return {
+      bids: toLevels(orderBook.bids),
+      asks: toLevels(orderBook.asks),
+      timestamp: orderBook.timestamp
+    };
+  }
+  
+  /**
+   * Create a fill object from a simulator fill
+   * @param {Object} fill Simulator fill
+   * @returns {Object} Fill object
+   * @private
+   */
+  _createFill(fill) {
+    return {
+      id: `fill-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      orderId: fill.orderId,
+      price: fill.price,
+      size: fill.amount,
+      remaining: fill.remaining,
+      side: fill.side,
+      symbol: this.symbol,
+      timestamp: Date.now(),
+      reason: fill.reason,
+      liquidity: fill.liquidity,
+      fee: fill.amount * fill.price * 0.0026 // Simulate 0.26% fee
+    };
+  }
+}
+
 /**
  * KrakenWebSocketFillStrategy
  * 
@@ -0,0 +1,361 @@
+/**
+ * QueueFillSimulator - Queue-position fill model for paper trading and backtests
+ *
+ * Simulated resting limit orders are not on the exchange, so touching the price says little
+ * about whether they would have filled. This model estimates where the order would sit in the
+ * queue at its price level and only fills it when that queue is worked through:
+ * - On placement, the displayed size at the order's price on its own side is ahead of it
+ *   (zero when the order improves the price and starts a new level)
+ * - Public trade prints at the order's price, from the opposite aggressor side, consume the
+ *   queue ahead first; the excess fills the order (partially when the print is smaller)
+ * - Book depletions at the level not explained by prints are cancellations, taken out of the
+ *   queue ahead in proportion to its share of the level; size added later joins behind
+ * - A print beyond the order's price, or the opposite touch moving beyond it, is a trade-through
+ *   and fills the remainder at the order's price
+ * - The opposite touch resting at the order's price means the level ahead is exhausted; the
+ *   order fills against that resting size
+ * - An amend that lowers the size at the same price keeps the queue position; a new price or a
+ *   larger size loses it and the order joins the back of the level it moves to
+ * - An order marketable when first checked fills as a taker against the opposite levels
+ *   within its limit
+ *
+ * Without trade prints only depletions, exhaustion and trade-throughs drive fills, which
+ * understates the fill rate of orders at the front of the queue rather than overstating it.
+ */
+
+export const FILL_REASONS = {
+  TAKER: 'taker',
+  TRADE_THROUGH: 'trade_through',
+  QUEUE_EXHAUSTED: 'queue_exhausted'
+};
+
+export class QueueFillSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.priceTolerance=1e-9] - Relative tolerance when comparing prices
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.priceTolerance = options.priceTolerance ?? 1e-9;
+    this.logger = options.logger;
+    
+    this.orders = new Map(); // orderId -> queue state
+  }
+  
+  /**
+   * Track a resting order
+   * @param {Object} order - { id, symbol, side, price, amount, filled }
+   * @param {Object} [book] - Current book { bids: [[price, qty]], asks: [[price, qty]] }
+   * @param {Object} [options]
+   * @param {Boolean} [options.resting] - Order already took what it could (skip the taker check);
+   *   by default only an order marketable against the placement book (or placed without one) takes
+   * @returns {Object} Queue state
+   */
+  addOrder(order, book, options = {}) {
+    const side = String(order.side).toLowerCase();
+    const price = parseFloat(order.price);
+    const levelQty = book ? this._levelQty(this._ownLevels(side, book), price) : 0;
+    const oppositeLevels = book ? (side === 'buy' ? book.asks : book.bids) || [] : [];
+    const marketable = !book || (oppositeLevels.length > 0 &&
+      (side === 'buy' ? parseFloat(oppositeLevels[0][0]) <= price : parseFloat(oppositeLevels[0][0]) >= price));
+    
+    const state = {
+      id: order.id,
+      symbol: order.symbol,
+      side,
+      price,
+      amount: parseFloat(order.amount),
+      filled: parseFloat(order.filled || 0),
+      queueAhead: levelQty,
+      levelQty,
+      oppositeConsumed: 0,
+      resting: options.resting ?? !marketable
+    };
+    
+    this.orders.set(order.id, state);
+    
+    this.logger?.debug('Queue fill simulator tracking order', {
+      orderId: order.id,
+      symbol: order.symbol,
+      side,
+      price,
+      queueAhead: state.queueAhead
+    });
+    
+    return { ...state };
+  }
+  
+  /**
+   * Apply an in-place amend to a tracked order
+   * @param {String} orderId - Order ID
+   * @param {Object} changes - { price, amount } (amount is the new total size)
+   * @param {Object} [book] - Current book { bids: [[price, qty]], asks: [[price, qty]] }
+   * @returns {Object|null} Queue state, or null if the order is not tracked
+   */
+  amendOrder(orderId, changes, book) {
+    const state = this.orders.get(orderId);
+    if (!state) {
+      return null;
+    }
+    
+    const price = changes.price !== undefined ? parseFloat(changes.price) : state.price;
+    const amount = changes.amount !== undefined ? parseFloat(changes.amount) : state.amount;
+    const keepsPriority = this._samePrice(price, state.price) && amount <= state.amount;
+    
+    state.amount = amount;
+    
+    if (!keepsPriority) {
+      const levelQty = book ? this._levelQty(this._ownLevels(state.side, book), price) : state.levelQty;
+      const oppositeLevels = book ? (state.side === 'buy' ? book.asks : book.bids) || [] : [];
+      const marketable = oppositeLevels.length > 0 &&
+        (state.side === 'buy' ? parseFloat(oppositeLevels[0][0]) <= price : parseFloat(oppositeLevels[0][0]) >= price);
+      
+      state.price = price;
+      state.queueAhead = levelQty;
+      state.levelQty = levelQty;
+      state.oppositeConsumed = 0;
+      state.resting = !marketable;
+    }
+    
+    this.logger?.debug('Queue fill simulator amended order', {
+      orderId,
+      price: state.price,
+      amount: state.amount,
+      keepsPriority,
+      queueAhead: state.queueAhead
+    });
+    
+    return { ...state };
+  }
+  
+  /**
+   * Stop tracking an order (cancelled, or fully filled and recorded)
+   * @param {String} orderId - Order ID
+   * @returns {Boolean} Whether the order was tracked
+   */
+  removeOrder(orderId) {
+    return this.orders.delete(orderId);
+  }
+  
+  /**
+   * Whether an order is tracked
+   * @param {String} orderId - Order ID
+   * @returns {Boolean}
+   */
+  hasOrder(orderId) {
+    return this.orders.has(orderId);
+  }
+  
+  /**
+   * Queue state of an order
+   * @param {String} orderId - Order ID
+   * @returns {Object|null} { id, symbol, side, price, amount, filled, queueAhead, levelQty, ... }
+   */
+  getOrder(orderId) {
+    const state = this.orders.get(orderId);
+    return state ? { ...state } : null;
+  }
+  
+  /**
+   * Apply a public trade print
+   * @param {String} symbol - Trading pair
+   * @param {Object} trade - { price, size, side (aggressor), timestamp }
+   * @returns {Array<Object>} Fills { orderId, symbol, side, price, amount, remaining, liquidity, reason, timestamp }
+   */
+  onTrade(symbol, trade) {
+    const fills = [];
+    const tradePrice = parseFloat(trade.price);
+    const tradeSize = parseFloat(trade.size ?? trade.qty ?? trade.amount);
+    const aggressor = trade.side ? String(trade.side).toLowerCase() : null;
+    
+    if (!(tradePrice > 0) || !(tradeSize > 0)) return fills;
+    
+    for (const state of this.orders.values()) {
+      if (state.symbol !== symbol || this._remaining(state) <= 0) continue;
+      
+      // Prints hitting our side come from aggressors on the other side
+      if (aggressor === state.side) continue;
+      
+      if (this._isBeyond(state, tradePrice)) {
+        fills.push(this._fill(state, state.price, this._remaining(state), FILL_REASONS.TRADE_THROUGH, trade.timestamp));
+        continue;
+      }
+      
+      if (!this._samePrice(tradePrice, state.price)) continue;
+      
+      const fromAhead = Math.min(state.queueAhead, tradeSize);
+      state.queueAhead -= fromAhead;
+      state.levelQty = Math.max(0, state.levelQty - tradeSize);
+      
+      const excess = tradeSize - fromAhead;
+      if (excess > 0) {
+        const amount = Math.min(excess, this._remaining(state));
+        fills.push(this._fill(state, state.price, amount, FILL_REASONS.QUEUE_EXHAUSTED, trade.timestamp));
+      }
+    }
+    
+    return fills;
+  }
+  
+  /**
+   * Apply a book update
+   * @param {String} symbol - Trading pair
+   * @param {Object} book - { bids: [[price, qty]] best first, asks: [[price, qty]] best first, timestamp }
+   * @returns {Array<Object>} Fills { orderId, symbol, side, price, amount, remaining, liquidity, reason, timestamp }
+   */
+  onBookUpdate(symbol, book) {
+    const fills = [];
+    if (!book?.bids || !book?.asks) return fills;
+    
+    for (const state of this.orders.values()) {
+      if (state.symbol !== symbol || this._remaining(state) <= 0) continue;
+      
+      const oppositeLevels = state.side === 'buy' ? book.asks : book.bids;
+      const oppositeBest = oppositeLevels.length > 0 ? parseFloat(oppositeLevels[0][0]) : null;
+      
+      if (!state.resting) {
+        state.resting = true;
+        if (oppositeBest !== null && !this._isBehind(state, oppositeBest)) {
+          fills.push(...this._take(state, oppositeLevels, book.timestamp));
+          state.queueAhead = 0;
+          state.levelQty = this._levelQty(this._ownLevels(state.side, book), state.price);
+          continue;
+        }
+      }
+      
+      if (oppositeBest !== null && this._isBeyond(state, oppositeBest)) {
+        fills.push(this._fill(state, state.price, this._remaining(state), FILL_REASONS.TRADE_THROUGH, book.timestamp));
+        continue;
+      }
+      
+      this._applyDepletion(state, this._levelQty(this._ownLevels(state.side, book), state.price));
+      
+      if (oppositeBest !== null && this._samePrice(oppositeBest, state.price)) {
+        // Nothing is left ahead once the other side rests at our price; that size trades with us
+        state.queueAhead = 0;
+        const restingOpposite = this._levelQty(oppositeLevels, state.price);
+        const amount = Math.min(this._remaining(state), restingOpposite - state.oppositeConsumed);
+        if (amount > 0) {
+          state.oppositeConsumed += amount;
+          fills.push(this._fill(state, state.price, amount, FILL_REASONS.QUEUE_EXHAUSTED, book.timestamp));
+        }
+      } else {
+        state.oppositeConsumed = 0;
+      }
+    }
+    
+    return fills;
+  }
+  
+  /**
+   * Advance the queue for size that left the level without printing
+   * @private
+   */
+  _applyDepletion(state, levelQty) {
+    if (levelQty < state.levelQty) {
+      const depleted = state.levelQty - levelQty;
+      const aheadShare = state.levelQty > 0 ? state.queueAhead / state.levelQty : 0;
+      state.queueAhead = Math.max(0, state.queueAhead - depleted * aheadShare);
+    }
+    
+    state.queueAhead = Math.min(state.queueAhead, levelQty);
+    state.levelQty = levelQty;
+  }
+  
+  /**
+   * Fill a marketable order against the opposite levels within its limit
+   * @private
+   */
+  _take(state, levels, timestamp) {
+    const fills = [];
+    
+    for (const [levelPrice, levelQty] of levels) {
+      const price = parseFloat(levelPrice);
+      if (this._remaining(state) <= 0 || this._isBehind(state, price)) break;
+      
+      const amount = Math.min(this._remaining(state), parseFloat(levelQty));
+      if (amount > 0) {
+        if (this._samePrice(price, state.price)) state.oppositeConsumed += amount;
+        fills.push(this._fill(state, price, amount, FILL_REASONS.TAKER, timestamp));
+      }
+    }
+    
+    return fills;
+  }
+  
+  /**
+   * @private
+   */
+  _fill(state, price, amount, reason, timestamp) {
+    state.filled += amount;
+    
+    const fill = {
+      orderId: state.id,
+      symbol: state.symbol,
+      side: state.side,
+      price,
+      amount,
+      remaining: this._remaining(state),
+      liquidity: reason === FILL_REASONS.TAKER ? 'taker' : 'maker',
+      reason,
+      timestamp: timestamp || Date.now()
+    };
+    
+    this.logger?.debug('Queue fill simulator filled order', fill);
+    
+    return fill;
+  }
+  
+  /**
+   * @private
+   */
+  _remaining(state) {
+    return Math.max(0, state.amount - state.filled);
+  }
+  
+  /**
+   * Opposite price strictly better than the order's limit (traded through it)
+   * @private
+   */
+  _isBeyond(state, price) {
+    if (this._samePrice(price, state.price)) return false;
+    return state.side === 'buy' ? price < state.price : price > state.price;
+  }
+  
+  /**
+   * Opposite price outside the order's limit
+   * @private
+   */
+  _isBehind(state, price) {
+    if (this._samePrice(price, state.price)) return false;
+    return state.side === 'buy' ? price > state.price : price < state.price;
+  }
+  
+  /**
+   * @private
+   */
+  _samePrice(a, b) {
+    return Math.abs(a - b) <= Math.abs(b) * this.priceTolerance;
+  }
+  
+  /**
+   * @private
+   */
+  _ownLevels(side, book) {
+    return (side === 'buy' ? book.bids : book.asks) || [];
+  }
+  
+  /**
+   * Displayed size at a price
+   * @private
+   */
+  _levelQty(levels, price) {
+    for (const [levelPrice, levelQty] of levels) {
+      if (this._samePrice(parseFloat(levelPrice), price)) return parseFloat(levelQty);
+    }
+    
+    return 0;
+  }
+}
+
+export default QueueFillSimulator;
@@ -0,0 +1,137 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { QueueFillSimulator, FILL_REASONS } from './QueueFillSimulator.js';
+
+const SYMBOL = 'ETH/USD';
+const book = (bids, asks) => ({ bids, asks, timestamp: 1 });
+const placementBook = () => book([[100, 5], [99, 3]], [[101, 4]]);
+
+describe('QueueFillSimulator queue position', () => {
+  let sim;
+
+  beforeEach(() => {
+    sim = new QueueFillSimulator();
+    sim.addOrder({ id: 'bid-1', symbol: SYMBOL, side: 'buy', price: 100, amount: 2 }, placementBook());
+  });
+
+  test('joins behind the displayed size at its price', () => {
+    expect(sim.getOrder('bid-1')).toMatchObject({ queueAhead: 5, levelQty: 5, resting: true, filled: 0 });
+  });
+
+  test('starts at the front of a level it creates', () => {
+    sim.addOrder({ id: 'bid-2', symbol: SYMBOL, side: 'buy', price: 100.5, amount: 1 }, placementBook());
+
+    expect(sim.getOrder('bid-2').queueAhead).toBe(0);
+  });
+
+  test('does not fill when the price is only touched', () => {
+    expect(sim.onBookUpdate(SYMBOL, book([[100, 5]], [[100.5, 4]]))).toEqual([]);
+    expect(sim.getOrder('bid-1').filled).toBe(0);
+  });
+
+  test('trade prints consume the queue ahead before filling the order', () => {
+    expect(sim.onTrade(SYMBOL, { price: 100, size: 3, side: 'sell' })).toEqual([]);
+    expect(sim.getOrder('bid-1').queueAhead).toBe(2);
+
+    const fills = sim.onTrade(SYMBOL, { price: 100, size: 3, side: 'sell' });
+
+    expect(fills).toHaveLength(1);
+    expect(fills[0]).toMatchObject({
+      orderId: 'bid-1',
+      price: 100,
+      amount: 1,
+      remaining: 1,
+      liquidity: 'maker',
+      reason: FILL_REASONS.QUEUE_EXHAUSTED
+    });
+  });
+
+  test('ignores prints from aggressors on the same side', () => {
+    expect(sim.onTrade(SYMBOL, { price: 100, size: 9, side: 'buy' })).toEqual([]);
+    expect(sim.getOrder('bid-1').queueAhead).toBe(5);
+  });
+
+  test('takes cancellations out of the queue ahead in proportion to its share of the level', () => {
+    // Size added after the order joins behind it
+    sim.onBookUpdate(SYMBOL, book([[100, 10]], [[101, 4]]));
+    expect(sim.getOrder('bid-1')).toMatchObject({ queueAhead: 5, levelQty: 10 });
+
+    // 4 of 10 leave without printing: half of them were ahead
+    sim.onBookUpdate(SYMBOL, book([[100, 6]], [[101, 4]]));
+    expect(sim.getOrder('bid-1').queueAhead).toBeCloseTo(3);
+
+    // 5 of the remaining 6 leave: again half of them from ahead
+    sim.onBookUpdate(SYMBOL, book([[100, 1]], [[101, 4]]));
+    expect(sim.getOrder('bid-1').queueAhead).toBeCloseTo(0.5);
+  });
+
+  test('fills the remainder at its price when a print trades through it', () => {
+    const fills = sim.onTrade(SYMBOL, { price: 99.5, size: 0.1, side: 'sell' });
+
+    expect(fills).toHaveLength(1);
+    expect(fills[0]).toMatchObject({ price: 100, amount: 2, remaining: 0, reason: FILL_REASONS.TRADE_THROUGH });
+  });
+
+  test('fills the remainder when the opposite touch moves through its price', () => {
+    const fills = sim.onBookUpdate(SYMBOL, book([[99, 3]], [[99.5, 1]]));
+
+    expect(fills).toHaveLength(1);
+    expect(fills[0]).toMatchObject({ price: 100, amount: 2, reason: FILL_REASONS.TRADE_THROUGH });
+  });
+
+  test('fills against opposite size resting at its price once, not on every update', () => {
+    const fills = sim.onBookUpdate(SYMBOL, book([[99, 3]], [[100, 1.5]]));
+
+    expect(fills).toHaveLength(1);
+    expect(fills[0]).toMatchObject({ amount: 1.5, reason: FILL_REASONS.QUEUE_EXHAUSTED });
+    expect(sim.onBookUpdate(SYMBOL, book([[99, 3]], [[100, 1.5]]))).toEqual([]);
+
+    const more = sim.onBookUpdate(SYMBOL, book([[99, 3]], [[100, 4]]));
+    expect(more[0]).toMatchObject({ amount: 0.5, remaining: 0 });
+  });
+
+  test('takes liquidity when marketable on placement', () => {
+    const asks = [[101, 2], [101.5, 1], [103, 5]];
+    sim.addOrder({ id: 'bid-2', symbol: SYMBOL, side: 'buy', price: 102, amount: 5 }, book([[100, 5]], asks));
+
+    const fills = sim.onBookUpdate(SYMBOL, book([[100, 5]], asks));
+
+    expect(fills.map(fill => [fill.orderId, fill.price, fill.amount, fill.liquidity])).toEqual([
+      ['bid-2', 101, 2, 'taker'],
+      ['bid-2', 101.5, 1, 'taker']
+    ]);
+    expect(sim.getOrder('bid-2').resting).toBe(true);
+  });
+});
+
+describe('QueueFillSimulator amends', () => {
+  let sim;
+
+  beforeEach(() => {
+    sim = new QueueFillSimulator();
+    sim.addOrder({ id: 'bid-1', symbol: SYMBOL, side: 'buy', price: 100, amount: 2 }, placementBook());
+    sim.onTrade(SYMBOL, { price: 100, size: 4, side: 'sell' });
+  });
+
+  test('keeps its queue position when the size is reduced at the same price', () => {
+    const state = sim.amendOrder('bid-1', { amount: 1 }, book([[100, 3]], [[101, 4]]));
+
+    expect(state).toMatchObject({ amount: 1, price: 100, queueAhead: 1 });
+  });
+
+  test('loses its queue position when the size is increased', () => {
+    const state = sim.amendOrder('bid-1', { amount: 3 }, book([[100, 3]], [[101, 4]]));
+
+    expect(state).toMatchObject({ amount: 3, queueAhead: 3, levelQty: 3 });
+  });
+
+  test('joins the back of the level it moves to on a new price', () => {
+    const state = sim.amendOrder('bid-1', { price: 99 }, placementBook());
+
+    expect(state).toMatchObject({ price: 99, queueAhead: 3, resting: true });
+    expect(sim.onTrade(SYMBOL, { price: 100, size: 5, side: 'sell' })).toEqual([]);
+  });
+
+  test('returns null for an order it does not track', () => {
+    expect(sim.amendOrder('missing', { price: 99 })).toBeNull();
+  });
+});
@@ -1,5 +1,8 @@
 import { EventEmitter } from 'events';
 import { LoggerFactory } from '../logger-factory.js'; // Adjust path as needed
+import { DeadMansSwitch } from '../DeadMansSwitch.js';
+import { OrderLifecycle } from '../order/OrderLifecycle.js';
+import { OrderStatus } from '../order/OrderStatus.js';
 import { 
   OrderManager as RedisOrderManager,
   FillManager as RedisFillManager,
@@ -24,6 +27,7 @@ export class BaseExchangeAdapter extends EventEmitter {
    * @param {String} options.strategyName - Name of the trading strategy
    * @param {Object} options.symbolConfig - Configuration for the trading pair (precision, min size etc.)
    * @param {Object} [options.redisConfig] - Optional Redis configuration
+   * @param {Object} [options.deadMansSwitch] - Cancel-all-after settings { timeoutSeconds, refreshIntervalMs }; armed on connect when set
    */
   constructor(options = {}) {
     super();
@@ -34,6 +38,8 @@ export class BaseExchangeAdapter extends EventEmitter {
     this.sessionId = options.sessionId;
     this.strategyName = options.strategyName || 'default_exchange_strategy'; // Added strategyName
     this.symbolConfig = options.symbolConfig || {};
+    this.deadMansSwitchConfig = options.deadMansSwitch || null;
+    this.deadMansSwitch = null;
 
     if (!this.tradingPair) {
       this.logger.error('[BaseExchangeAdapter] tradingPair is required.');
@@ -148,6 +154,147 @@ export class BaseExchangeAdapter extends EventEmitter {
     throw new Error('Method cancelOrder(orderId, params) must be implemented by the concrete adapter.');
   }
 
+  /**
+   * Places several orders.
+   * Adapters whose exchange has a batch endpoint override this; the default places them one by one.
+   * @param {Array<Object>} ordersParams - createOrder parameter objects.
+   * @returns {Promise<Array<Object>>} - Per-order results in input order: { success, order } or { success: false, error }.
+   */
+  async createOrders(ordersParams) {
+    const results = [];
+    for (const orderParams of ordersParams) {
+      try {
+        const order = await this.createOrder(orderParams);
+        results.push({ success: true, order });
+      } catch (error) {
+        this.logger.error(`[${this.exchangeName}] Failed to create order in batch: ${error.message}`, { orderParams });
+        results.push({ success: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Cancels several orders.
+   * Adapters whose exchange has a batch endpoint override this; the default cancels them one by one.
+   * @param {Array<String>} orderIds - The IDs of the orders to cancel.
+   * @param {Object} [params] - Additional parameters for cancellation.
+   * @returns {Promise<Array<Object>>} - Per-order results in input order: { orderId, success, result } or { orderId, success: false, error }.
+   */
+  async cancelOrders(orderIds, params = {}) {
+    const results = [];
+    for (const orderId of orderIds) {
+      try {
+        const result = await this.cancelOrder(orderId, params);
+        results.push({ orderId, success: true, result });
+      } catch (error) {
+        this.logger.error(`[${this.exchangeName}] Failed to cancel order ${orderId} in batch: ${error.message}`);
+        results.push({ orderId, success: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Amends the price and/or amount of an open order.
+   * Adapters whose exchange amends in place (keeping queue priority where the exchange allows it)
+   * override this; the default cancels the order and places a replacement for the unfilled part.
+   * The amendment is recorded in the order's lifecycle history, which the replacement carries over
+   * along with the original client order ID and order flags (postOnly, timeInForce, ttl, reduceOnly).
+   * If the replacement is rejected after the cancel went through, the cancellation is recorded on the
+   * original order and the error thrown carries `originalCancelled: true`.
+   * @param {String} orderId - The ID of the order to amend.
+   * @param {Object} changes - { price, amount } (amount is the new total order size).
+   * @returns {Promise<Object>} - The amended (or replacement) order object.
+   */
+  async amendOrder(orderId, changes = {}) {
+    let order = this.activeOrders.get(orderId);
+    if (!order) {
+      order = await this.redisOrderManager.getById(orderId);
+    }
+    if (!order) {
+      throw new Error(`Order not found: ${orderId}`);
+    }
+
+    const price = changes.price !== undefined ? parseFloat(changes.price) : parseFloat(order.price);
+    const amount = changes.amount !== undefined ? parseFloat(changes.amount) : parseFloat(order.amount);
+    const filled = parseFloat(order.filled || 0);
+    if (!(amount > filled)) {
+      throw new Error(`Cannot amend order ${orderId}: new amount ${amount} does not exceed filled ${filled}`);
+    }
+
+    // Order flags are kept in params by some adapters and flattened onto the order by others
+    const params = { ...(order.params || {}) };
+    for (const flag of ['postOnly', 'timeInForce', 'ttl', 'reduceOnly']) {
+      if (params[flag] === undefined && order[flag] !== undefined) {
+        params[flag] = order[flag];
+      }
+    }
+    const clientOrderId = order.clientOrderId ?? order.clientId;
+    const lifecycle = new OrderLifecycle({
+      ...order,
+      price: parseFloat(order.price),
+      amount: parseFloat(order.amount),
+      filled
+    });
+
+    await this.cancelOrder(orderId, { reason: 'AMEND' });
+
+    let replacement;
+    try {
+      replacement = await this.createOrder({
+        symbol: order.symbol,
+        type: order.type || 'limit',
+        side: order.side,
+        price,
+        amount: amount - filled,
+        clientId: clientOrderId,
+        clientOrderId,
+        params
+      });
+    } catch (error) {
+      lifecycle.setCancelled({ reason: 'AMEND', replacementError: error.message });
+      await this._updateOrderStatus(orderId, OrderStatus.CANCELLED, {
+        remaining: 0,
+        history: lifecycle.getHistory()
+      });
+      this.logger.error(`[${this.exchangeName}] Replacement for amended order ${orderId} failed after the original was cancelled: ${error.message}`, {
+        price,
+        amount
+      });
+
+      const amendError = new Error(`Amend of order ${orderId} failed: the original order was cancelled and its replacement was rejected (${error.message})`);
+      amendError.originalCancelled = true;
+      amendError.orderId = orderId;
+      amendError.cause = error;
+      throw amendError;
+    }
+
+    lifecycle.setAmended({ price, amount, replacedOrderId: orderId, replacementOrderId: replacement.id });
+
+    this.logger.info(`[${this.exchangeName}] Amended order ${orderId} by cancel/replace as ${replacement.id}`, {
+      previousPrice: order.price,
+      previousAmount: order.amount,
+      price,
+      amount
+    });
+
+    const amended = await this._updateOrderStatus(replacement.id, replacement.status || order.status, {
+      replacedOrderId: orderId,
+      history: lifecycle.getHistory()
+    });
+    this.emit('orderAmended', {
+      orderId,
+      replacementOrderId: replacement.id,
+      price,
+      amount,
+      previousPrice: order.price,
+      previousAmount: order.amount
+    });
+
+    return amended || replacement;
+  }
+
   /**
    * Cancels all managed open orders on the exchange.
    * Typically used during shutdown or for risk management.
@@ -199,6 +346,72 @@ export class BaseExchangeAdapter extends EventEmitter {
     throw new Error('Method getPairDetails(pair) must be implemented by the concrete adapter.');
   }
 
+  // --- Dead Man's Switch ---
+
+  /**
+   * Arms the exchange's cancel-all-after timer and keeps refreshing it while the adapter is healthy,
+   * so resting orders are cancelled if the process hangs or loses connectivity.
+   * Adapters without a native timer (see _armCancelAllAfter) get a local watchdog that cancels
+   * all managed orders instead. Arm/refresh failures are emitted as critical errors.
+   * Concrete adapters call this at the end of connect() when this.deadMansSwitchConfig is set.
+   * @param {Object} [options] - { timeoutSeconds=60, refreshIntervalMs=timeout/4 }
+   * @returns {Promise<Object>} - Switch status.
+   */
+  async startDeadMansSwitch(options = this.deadMansSwitchConfig || {}) {
+    if (!this.deadMansSwitch) {
+      this.deadMansSwitch = new DeadMansSwitch({
+        ...options,
+        logger: this.logger,
+        arm: (timeoutSeconds) => this._armCancelAllAfter(timeoutSeconds),
+        disarm: () => this._armCancelAllAfter(0),
+        isHealthy: () => this._isDeadMansSwitchHealthy(),
+        onExpire: () => this.cancelAllManagedOrders('DEAD_MANS_SWITCH'),
+        onFailure: (action, error) => this._emitError('DEAD_MANS_SWITCH_FAILURE', `Dead man's switch ${action} failed: ${error.message}`, { critical: true, action })
+      });
+    }
+    return this.deadMansSwitch.start();
+  }
+
+  /**
+   * Stops refreshing the cancel-all-after timer and disarms it on the exchange.
+   * Concrete adapters call this from disconnect() before closing their connections.
+   * @returns {Promise<void>}
+   */
+  async stopDeadMansSwitch() {
+    if (this.deadMansSwitch) {
+      await this.deadMansSwitch.stop();
+    }
+  }
+
+  /**
+   * @returns {Object|null} - Switch status, or null if it was never started.
+   */
+  getDeadMansSwitchStatus() {
+    return this.deadMansSwitch ? this.deadMansSwitch.getStatus() : null;
+  }
+
+  /**
+   * Arms the exchange's native cancel-all-after timer; a timeout of 0 disarms it.
+   * Override in adapters whose exchange supports it. The default reports no native support,
+   * which makes the switch run a local watchdog.
+   * @protected
+   * @param {Number} timeoutSeconds
+   * @returns {Promise<Boolean>} - false when the exchange has no native timer.
+   */
+  async _armCancelAllAfter(timeoutSeconds) {
+    return false;
+  }
+
+  /**
+   * Whether the connection is healthy enough to refresh the switch. Refreshes are skipped while
+   * this is false, letting the timer run out. Override with the adapter's connection state.
+   * @protected
+   * @returns {Boolean}
+   */
+  _isDeadMansSwitchHealthy() {
+    return true;
+  }
+
   // --- Helper Methods for Concrete Adapters (Protected Style) ---
 
   /**
@@ -232,7 +445,7 @@ export class BaseExchangeAdapter extends EventEmitter {
   async _updateOrderStatus(orderId, newStatus, updateFields = {}) {
     let order = this.activeOrders.get(orderId);
     if (!order) {
-      order = await this.redisOrderManager.get(orderId);
+      order = await this.redisOrderManager.getById(orderId);
       if (order) this.activeOrders.set(orderId, order); // Cache if found in Redis
     }
 
@@ -279,7 +492,7 @@ export class BaseExchangeAdapter extends EventEmitter {
       // 2. Update the order associated with the fill
       let order = this.activeOrders.get(fillData.orderId);
       if (!order) {
-        order = await this.redisOrderManager.get(fillData.orderId);
+        order = await this.redisOrderManager.getById(fillData.orderId);
         if (order) this.activeOrders.set(fillData.orderId, order);
       }
 
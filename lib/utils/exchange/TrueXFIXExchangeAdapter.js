@@ -149,6 +149,11 @@ export class TrueXFIXExchangeAdapter extends BaseExchangeAdapter {
       // Connect to Market Data session
       await this._connectMarketData();
       
+      // CancelOnDisconnect covers dropped sessions; the local watchdog covers a hung process
+      if (this.deadMansSwitchConfig) {
+        await this.startDeadMansSwitch();
+      }
+      
       this.logger.info(`[TrueX FIX] Successfully connected to all sessions`);
     } catch (error) {
       this.logger.error(`[TrueX FIX] Connection failed: ${error.message}`, { error });
@@ -579,12 +584,22 @@ export class TrueXFIXExchangeAdapter extends BaseExchangeAdapter {
     };
   }
 
+  /**
+   * The dead man's switch is refreshed only while the Order Entry session is up
+   * @protected
+   */
+  _isDeadMansSwitchHealthy() {
+    return this.isOrderConnected;
+  }
+
   /**
    * Disconnects from TrueX
    */
   async disconnect() {
     this.logger.info(`[TrueX FIX] Disconnecting from TrueX...`);
     
+    await this.stopDeadMansSwitch();
+    
     // Stop initiators
     if (this.orderInitiator) {
       await this.orderInitiator.stop();
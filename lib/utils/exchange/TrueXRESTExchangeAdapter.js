@@ -39,6 +39,7 @@ export class TrueXRESTExchangeAdapter extends BaseExchangeAdapter {
     // Polling intervals for REST fallback
     this.orderStatusPollInterval = null;
     this.orderBookPollInterval = null;
+    this.lastOrderStatusPollAt = 0;
     this.balancePollInterval = null;
     
     // Polling configuration
@@ -81,6 +82,11 @@ export class TrueXRESTExchangeAdapter extends BaseExchangeAdapter {
       // Start balance polling
       this._startBalancePolling();
       
+      // TrueX has no cancel-all-after timer, so the switch runs a local watchdog
+      if (this.deadMansSwitchConfig) {
+        await this.startDeadMansSwitch();
+      }
+      
       this.logger.info(`[TrueX REST] Successfully connected`);
     } catch (error) {
       this.logger.error(`[TrueX REST] Connection failed: ${error.message}`, { error });
@@ -331,6 +337,14 @@ export class TrueXRESTExchangeAdapter extends BaseExchangeAdapter {
     }, this.orderStatusPollIntervalMs);
   }
 
+  /**
+   * The dead man's switch is refreshed only while order status polls keep succeeding
+   * @protected
+   */
+  _isDeadMansSwitchHealthy() {
+    return Date.now() - this.lastOrderStatusPollAt < this.orderStatusPollIntervalMs * 5;
+  }
+
   /**
    * Polls for order status updates
    */
@@ -338,6 +352,7 @@ export class TrueXRESTExchangeAdapter extends BaseExchangeAdapter {
     try {
       // Get active orders from REST API
       const response = await this.restClient.getActiveOrders();
+      this.lastOrderStatusPollAt = Date.now();
       
       if (response.data) {
         for (const apiOrder of response.data) {
@@ -784,6 +799,8 @@ export class TrueXRESTExchangeAdapter extends BaseExchangeAdapter {
   async disconnect() {
     this.logger.info(`[TrueX REST] Disconnecting...`);
     
+    await this.stopDeadMansSwitch();
+    
     // Stop polling intervals
     if (this.orderStatusPollInterval) {
       clearInterval(this.orderStatusPollInterval);
@@ -0,0 +1,100 @@
+/**
+ * Kraken Book Checksum - CRC32 verification of Kraken WebSocket v2 order books
+ *
+ * Every v2 `book` message carries a CRC32 checksum of the top 10 levels of the book after the
+ * update is applied. It is computed over a string built from the 10 best asks (lowest first)
+ * followed by the 10 best bids (highest first); each level contributes its price and then its
+ * quantity, formatted with the instrument's price/qty precision, with the decimal point and
+ * leading zeros removed. A mismatch means the local book has diverged (e.g. a dropped message)
+ * and must be rebuilt from a fresh snapshot.
+ *
+ * See https://docs.kraken.com/api/docs/guides/spot-ws-book-v2
+ */
+
+const CHECKSUM_LEVELS = 10;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC32 (IEEE) of an ASCII string
+ *
+ * @param {string} str - Input string
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function crc32(str) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < str.length; i++) {
+    crc = CRC32_TABLE[(crc ^ str.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Format a price or quantity for the checksum string
+ *
+ * @param {number|string} value - Price or quantity
+ * @param {number} decimals - Instrument precision
+ * @returns {string} - Digits without decimal point and leading zeros
+ */
+export function formatChecksumValue(value, decimals) {
+  return parseFloat(value).toFixed(decimals).replace('.', '').replace(/^0+/, '');
+}
+
+/**
+ * Compute the Kraken v2 checksum of a book
+ *
+ * @param {Array<Array>} bids - [[price, qty], ...] sorted best (highest) first
+ * @param {Array<Array>} asks - [[price, qty], ...] sorted best (lowest) first
+ * @param {Object} precision - Instrument precision
+ * @param {number} precision.pricePrecision - Price decimals
+ * @param {number} precision.qtyPrecision - Quantity decimals
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function krakenBookChecksum(bids, asks, precision) {
+  const { pricePrecision, qtyPrecision } = precision;
+  const formatLevels = levels => levels
+    .slice(0, CHECKSUM_LEVELS)
+    .map(([price, qty]) => formatChecksumValue(price, pricePrecision) + formatChecksumValue(qty, qtyPrecision))
+    .join('');
+
+  return crc32(formatLevels(asks) + formatLevels(bids));
+}
+
+/**
+ * Infer instrument precision from a raw book message
+ * Kraken prints prices and quantities with the instrument's full precision (trailing zeros
+ * included), which JSON.parse drops, so the raw text of a snapshot tells the precision.
+ *
+ * @param {string} rawMessage - Raw WebSocket message text
+ * @returns {Object|null} - { pricePrecision, qtyPrecision } or null without levels
+ */
+export function inferBookPrecision(rawMessage) {
+  const decimalsOf = field => {
+    const pattern = new RegExp(`"${field}"\\s*:\\s*"?(-?\\d+(?:\\.(\\d+))?)`, 'g');
+    let decimals = null;
+    let match;
+    while ((match = pattern.exec(rawMessage)) !== null) {
+      decimals = Math.max(decimals ?? 0, match[2] ? match[2].length : 0);
+    }
+    return decimals;
+  };
+
+  const pricePrecision = decimalsOf('price');
+  const qtyPrecision = decimalsOf('qty');
+
+  if (pricePrecision === null || qtyPrecision === null) {
+    return null;
+  }
+
+  return { pricePrecision, qtyPrecision };
+}
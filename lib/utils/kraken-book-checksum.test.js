@@ -0,0 +1,78 @@
+import { describe, test, expect } from '@jest/globals';
+import { crc32, formatChecksumValue, krakenBookChecksum, inferBookPrecision } from './kraken-book-checksum.js';
+
+describe('crc32', () => {
+  test('matches the standard CRC-32 (IEEE) check value', () => {
+    expect(crc32('123456789')).toBe(0xCBF43926);
+    expect(crc32('')).toBe(0);
+  });
+});
+
+describe('formatChecksumValue', () => {
+  test('pads to the precision and drops the decimal point and leading zeros', () => {
+    expect(formatChecksumValue(45283.5, 1)).toBe('452835');
+    expect(formatChecksumValue('0.05000000', 8)).toBe('5000000');
+    expect(formatChecksumValue(0.1, 8)).toBe('10000000');
+    expect(formatChecksumValue(3, 2)).toBe('300');
+  });
+});
+
+// Example snapshot and checksum from Kraken's WebSocket v2 book checksum guide
+const GUIDE_SNAPSHOT = '{"channel":"book","type":"snapshot","data":[{"symbol":"BTC/USD","bids":['
+  + '{"price":45283.5,"qty":0.10000000},{"price":45283.4,"qty":1.54582015},{"price":45282.1,"qty":0.10000000},'
+  + '{"price":45281.0,"qty":0.10000000},{"price":45280.3,"qty":1.54592586},{"price":45279.0,"qty":0.07990000},'
+  + '{"price":45277.6,"qty":0.03310103},{"price":45277.5,"qty":0.30000000},{"price":45277.3,"qty":1.54602737},'
+  + '{"price":45276.6,"qty":0.15445238}],"asks":['
+  + '{"price":45285.2,"qty":0.00100000},{"price":45286.4,"qty":1.54571953},{"price":45286.6,"qty":1.54571109},'
+  + '{"price":45289.6,"qty":1.54560911},{"price":45290.2,"qty":0.15890660},{"price":45291.8,"qty":1.54553491},'
+  + '{"price":45294.7,"qty":0.04454749},{"price":45296.1,"qty":0.35380000},{"price":45297.5,"qty":0.09945542},'
+  + '{"price":45299.5,"qty":0.18772827}],"checksum":3310070434}]}';
+
+describe('krakenBookChecksum', () => {
+  const precision = { pricePrecision: 1, qtyPrecision: 8 };
+
+  test('matches the example book from Kraken\'s checksum guide', () => {
+    const { bids, asks, checksum } = JSON.parse(GUIDE_SNAPSHOT).data[0];
+    const levels = side => side.map(({ price, qty }) => [price, qty]);
+
+    expect(inferBookPrecision(GUIDE_SNAPSHOT)).toEqual(precision);
+    expect(krakenBookChecksum(levels(bids), levels(asks), precision)).toBe(checksum);
+  });
+
+  test('checksums the asks (lowest first) followed by the bids (highest first)', () => {
+    const bids = [[45283.5, 0.1], [45283.4, 1.54582015]];
+    const asks = [[45283.6, 0.05], [45284.2, 0.00100000]];
+    const expected = '4528365000000' + '452842100000' + '45283510000000' + '452834154582015';
+
+    expect(krakenBookChecksum(bids, asks, precision)).toBe(crc32(expected));
+  });
+
+  test('only uses the top 10 levels of each side', () => {
+    const bids = Array.from({ length: 12 }, (_, i) => [100 - i, 1]);
+    const asks = Array.from({ length: 12 }, (_, i) => [101 + i, 1]);
+
+    expect(krakenBookChecksum(bids, asks, precision))
+      .toBe(krakenBookChecksum(bids.slice(0, 10), asks.slice(0, 10), precision));
+  });
+
+  test('depends on the instrument precision', () => {
+    const bids = [[100, 1]];
+    const asks = [[101, 1]];
+
+    expect(krakenBookChecksum(bids, asks, precision))
+      .not.toBe(krakenBookChecksum(bids, asks, { pricePrecision: 1, qtyPrecision: 2 }));
+  });
+});
+
+describe('inferBookPrecision', () => {
+  test('reads the precision from the raw decimals of a snapshot', () => {
+    const raw = '{"channel":"book","type":"snapshot","data":[{"symbol":"BTC/USD",'
+      + '"bids":[{"price":45283.5,"qty":0.10000000}],"asks":[{"price":45283.6,"qty":0.05000000}],"checksum":1}]}';
+
+    expect(inferBookPrecision(raw)).toEqual({ pricePrecision: 1, qtyPrecision: 8 });
+  });
+
+  test('returns null for a message without levels', () => {
+    expect(inferBookPrecision('{"channel":"book","type":"snapshot","data":[{"symbol":"BTC/USD","bids":[],"asks":[]}]}')).toBeNull();
+  });
+});
@@ -28,6 +28,7 @@ export class OrderLifecycle {
    * @param {number} [orderData.createdAt] Timestamp of order creation (milliseconds since epoch). Defaults to `Date.now()`.
    * @param {number} [orderData.updatedAt] Timestamp of last update (milliseconds since epoch). Defaults to `createdAt`.
    * @param {Array<Object>} [orderData.fills] Array of initial fill objects.
+   * @param {Array<Object>} [orderData.history] Prior history of a restored order. A new history is started if not provided.
    */
   constructor(orderData = {}) {
     this.id = orderData.id;
@@ -106,13 +107,15 @@ export class OrderLifecycle {
     }
 
 
-    this.history = [
-      {
-        status: this.status,
-        timestamp: this.updatedAt, // Use updatedAt for the first history event
-        data: { ...orderData }
-      }
-    ];
+    this.history = Array.isArray(orderData.history) && orderData.history.length > 0
+      ? [...orderData.history]
+      : [
+        {
+          status: this.status,
+          timestamp: this.updatedAt, // Use updatedAt for the first history event
+          data: { ...orderData }
+        }
+      ];
   }
 
   /**
@@ -308,6 +311,31 @@ export class OrderLifecycle {
     return this;
   }
 
+  /**
+   * Record an amendment of the order's price and/or amount.
+   * The status is kept; the history entry carries the previous and new values.
+   * A new amount is the order's new total, so the filled amount is kept and remaining is recomputed.
+   * @param {Object} [data={}] Amendment data.
+   * @param {number} [data.price] New limit price.
+   * @param {number} [data.amount] New total order amount.
+   * @returns {OrderLifecycle} This instance for chaining.
+   */
+  setAmended(data = {}) {
+    const previousPrice = this.price;
+    const previousAmount = this.amount;
+
+    if (typeof data.price === 'number') {
+      this.price = data.price;
+    }
+    if (typeof data.amount === 'number') {
+      this.amount = data.amount;
+      this.remaining = Math.max(0, this.amount - this.filled);
+    }
+
+    this._updateStatus(this.status, { ...data, amended: true, previousPrice, previousAmount });
+    return this;
+  }
+
   /**
    * Update the order status
    * @param {string} status New status
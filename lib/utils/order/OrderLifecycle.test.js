@@ -413,6 +413,44 @@ describe('OrderLifecycle Status Update Methods', () => {
     });
   });
 
+  // --- setAmended ---
+  describe('setAmended', () => {
+    test('should update price and amount, keep status and record the previous values', () => {
+      lifecycle.setOpen();
+      lifecycle.setAmended({ price: 60100, amount: 1.5 });
+
+      expect(lifecycle.getStatus()).toBe(OrderStatus.OPEN);
+      expect(lifecycle.getPrice()).toBe(60100);
+      expect(lifecycle.getAmount()).toBe(1.5);
+      expect(lifecycle.getRemaining()).toBe(1.5);
+      const history = lifecycle.getHistory();
+      expect(history.length).toBe(3); // PENDING + OPEN + amendment
+      expect(history[2]).toEqual({
+        status: OrderStatus.OPEN,
+        timestamp: now,
+        data: { price: 60100, amount: 1.5, amended: true, previousPrice: 60000, previousAmount: 1 },
+      });
+    });
+
+    test('should keep the filled amount when the amount is reduced after a partial fill', () => {
+      lifecycle.setPartialFill({ amount: 0.4, price: 60000 });
+      lifecycle.setAmended({ amount: 0.7 });
+
+      expect(lifecycle.getStatus()).toBe(OrderStatus.PARTIALLY_FILLED);
+      expect(lifecycle.getPrice()).toBe(60000);
+      expect(lifecycle.getFilled()).toBe(0.4);
+      expect(lifecycle.getRemaining()).toBeCloseTo(0.3);
+    });
+
+    test('should continue the history of a restored order', () => {
+      const restored = new OrderLifecycle({ ...lifecycle, history: lifecycle.getHistory() });
+      restored.setAmended({ price: 59900 });
+
+      expect(restored.getHistory().length).toBe(2); // Restored PENDING + amendment
+      expect(restored.getHistory()[1].data.previousPrice).toBe(60000);
+    });
+  });
+
   // --- setPartialFill --- 
   describe('setPartialFill', () => {
     test('should update filled, remaining, status to PARTIALLY_FILLED, and add to fills array', () => {
@@ -0,0 +1,381 @@
+/**
+ * BacktestRunner
+ *
+ * Replays recorded spot and futures ticks through MultiPairOpportunisticTrader on a
+ * simulated clock:
+ * - Spot books are published through SimulatedExchangeAdapter (orderBookUpdate events)
+ * - Futures tickers are fed to MultiPairDataCollector.ingestFuturesTicker(), books to ingestFuturesBook()
+ * - _executeTradingLogic() is stepped every mainLoopInterval of simulated time
+ * - Orders fill against the recorded book; spot trade prints advance resting orders' queue positions
+ *
+ * Date.now() and Math.random() are replaced for the duration of the run, so the same
+ * input files and options always produce the same report.
+ */
+
+import { LoggerFactory } from '../../utils/logger-factory.js';
+import { MultiPairOpportunisticTrader } from '../core/MultiPairOpportunisticTrader.js';
+import { SimulatedClock } from './SimulatedClock.js';
+import { SimulatedExchangeAdapter } from './SimulatedExchangeAdapter.js';
+import { TickReplayer, EVENT_TYPES } from './TickReplayer.js';
+
+const DEFAULTS = {
+  MAIN_LOOP_INTERVAL: 2000,     // Same cadence as the live trader
+  CORRELATION_INTERVAL: 60000,  // Same cadence as the live trader
+  EQUITY_SAMPLE_INTERVAL: 60000, // One equity curve point per simulated minute
+  SEED: 42
+};
+
+export class BacktestRunner {
+  /**
+   * @param {Object} options
+   * @param {Array<String>} options.files - Recorded JSONL files or directories
+   * @param {Array<String>} options.pairs - Pairs to trade
+   * @param {Number} options.budget - Starting quote balance
+   * @param {Number} [options.mainLoopInterval=2000] - Simulated ms between trading steps
+   * @param {Number} [options.makerFee] - Simulated maker fee rate
+   * @param {Number} [options.takerFee] - Simulated taker fee rate
+   * @param {Number} [options.seed=42] - Seed for Math.random() during the run
+   * @param {Object} [options.traderOptions] - Extra MultiPairOpportunisticTrader options (rankingWeights, exitConfig, ...)
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    if (!options.files || options.files.length === 0) {
+      throw new Error('files are required for a backtest');
+    }
+
+    if (!options.pairs || options.pairs.length === 0) {
+      throw new Error('pairs are required for a backtest');
+    }
+
+    if (!options.budget || options.budget <= 0) {
+      throw new Error('budget must be provided and greater than 0');
+    }
+
+    this.files = options.files;
+    this.pairs = options.pairs;
+    this.budget = options.budget;
+    this.quoteCurrency = options.quoteCurrency || 'USD';
+    this.mainLoopInterval = options.mainLoopInterval || DEFAULTS.MAIN_LOOP_INTERVAL;
+    this.correlationInterval = options.correlationInterval || DEFAULTS.CORRELATION_INTERVAL;
+    this.equitySampleInterval = options.equitySampleInterval || DEFAULTS.EQUITY_SAMPLE_INTERVAL;
+    this.seed = options.seed ?? DEFAULTS.SEED;
+    this.makerFee = options.makerFee;
+    this.takerFee = options.takerFee;
+    this.traderOptions = options.traderOptions || {};
+
+    this.logger = options.logger || LoggerFactory.createLogger({
+      component: 'Backtest',
+      logLevel: 'WARN'
+    });
+  }
+
+  /**
+   * Run the backtest
+   * @returns {Promise<Object>} Backtest report
+   */
+  async run() {
+    const replayer = new TickReplayer({
+      files: this.files,
+      pairs: this.pairs,
+      logger: this.logger.createChild('Replayer')
+    });
+
+    const events = await replayer.loadEvents();
+    if (events.length === 0) {
+      throw new Error('No recorded events found for the requested pairs');
+    }
+
+    const clock = new SimulatedClock({ startTime: events[0].receiveTs, seed: this.seed });
+    clock.install();
+
+    try {
+      return await this._replay(events, replayer, clock);
+    } finally {
+      clock.uninstall();
+    }
+  }
+
+  /**
+   * Replay events and step the trader
+   * @private
+   */
+  async _replay(events, replayer, clock) {
+    const adapter = new SimulatedExchangeAdapter({
+      initialBalances: { [this.quoteCurrency]: this.budget },
+      makerFee: this.makerFee,
+      takerFee: this.takerFee,
+      logger: this.logger.createChild('Exchange')
+    });
+
+    const trader = new MultiPairOpportunisticTrader({
+      enableFuturesLeadDetection: true,
+      ...this.traderOptions,
+      pairs: this.pairs,
+      budget: this.budget,
+      exchangeAdapter: adapter,
+      sessionId: `backtest-${this.seed}`,
+      mainLoopInterval: this.mainLoopInterval,
+      externalDataFeed: true,
+      logger: this.logger.createChild('Trader')
+    });
+
+    // The execution engine's cleanup timer runs on wall-clock time; the backtest does not need it
+    trader.executionEngine.destroy();
+
+    const closedTrades = [];
+    trader.on('positionClosed', event => closedTrades.push(event));
+
+    await trader.dataCollector.start();
+    await trader._initializePortfolio();
+
+    const equityCurve = [];
+    const drawdown = { peak: this.budget, maxDrawdown: 0, maxDrawdownPercent: 0 };
+    const startTime = events[0].receiveTs;
+    let nextStep = startTime + this.mainLoopInterval;
+    let nextCorrelation = startTime + this.correlationInterval;
+    let nextEquitySample = startTime;
+    let steps = 0;
+
+    const runDueSteps = async (until) => {
+      while (nextStep <= until) {
+        clock.advanceTo(nextStep);
+
+        if (nextStep >= nextCorrelation) {
+          trader.dataCollector._updateCorrelations();
+          await trader._updateCorrelations();
+          nextCorrelation += this.correlationInterval;
+        }
+
+        await trader._executeTradingLogic();
+        steps++;
+
+        const equity = this._markToMarket(adapter);
+        this._trackDrawdown(drawdown, equity);
+
+        if (nextStep >= nextEquitySample) {
+          equityCurve.push({ timestamp: nextStep, equity });
+          nextEquitySample += this.equitySampleInterval;
+        }
+
+        nextStep += this.mainLoopInterval;
+      }
+    };
+
+    for (const event of events) {
+      await runDueSteps(event.receiveTs);
+      clock.advanceTo(event.receiveTs);
+      this._applyEvent(event, replayer, adapter, trader);
+    }
+
+    const endTime = events[events.length - 1].receiveTs;
+    await runDueSteps(endTime);
+
+    await trader.dataCollector.stop();
+
+    return this._buildReport({
+      adapter,
+      trader,
+      closedTrades,
+      equityCurve,
+      drawdown,
+      startTime,
+      endTime,
+      eventCount: events.length,
+      steps
+    });
+  }
+
+  /**
+   * Route a recorded event to the simulated exchange or the data collector
+   * @private
+   */
+  _applyEvent(event, replayer, adapter, trader) {
+    const isBookEvent = event.type === EVENT_TYPES.BOOK_SNAPSHOT || event.type === EVENT_TYPES.BOOK_DELTA;
+
+    if (event.venue === 'spot') {
+      if (event.type === EVENT_TYPES.TRADE) {
+        adapter.applyTrade(event.pair, {
+          price: event.price,
+          size: event.qty,
+          side: event.side,
+          timestamp: event.exchangeTs
+        });
+        return;
+      }
+
+      if (!isBookEvent) return;
+
+      const book = replayer.applyBookEvent(event);
+      if (book && book.bids.length > 0 && book.asks.length > 0) {
+        adapter.updateBook(event.pair, book);
+      }
+      return;
+    }
+
+    if (event.venue === 'futures') {
+      if (event.type === EVENT_TYPES.TICKER) {
+        trader.dataCollector.ingestFuturesTicker(event.pair, {
+          last: event.last,
+          bid: event.bid,
+          ask: event.ask,
+          volume: event.volume,
+          markPrice: event.markPrice,
+          indexPrice: event.indexPrice,
+          openInterest: event.openInterest,
+          fundingRate: event.fundingRate,
+          fundingRatePrediction: event.fundingRatePrediction,
+          nextFundingTime: event.nextFundingTime,
+          timestamp: event.exchangeTs
+        });
+      } else if (isBookEvent) {
+        const book = replayer.applyBookEvent(event);
+        if (book && book.bids.length > 0 && book.asks.length > 0) {
+          trader.dataCollector.ingestFuturesBook(event.pair, {
+            bid: book.bids[0][0],
+            ask: book.asks[0][0],
+            timestamp: event.exchangeTs
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Mark all holdings to the recorded mid price
+   * @returns {Number} Account equity in quote currency
+   * @private
+   */
+  _markToMarket(adapter) {
+    let equity = adapter.balances[this.quoteCurrency] || 0;
+
+    for (const pair of this.pairs) {
+      const base = pair.split('/')[0];
+      const holding = adapter.balances[base] || 0;
+      const book = adapter.getBook(pair);
+
+      if (holding !== 0 && book && book.bids.length > 0 && book.asks.length > 0) {
+        equity += holding * ((book.bids[0][0] + book.asks[0][0]) / 2);
+      }
+    }
+
+    return equity;
+  }
+
+  /**
+   * Build the backtest report
+   * @private
+   */
+  _buildReport({ adapter, trader, closedTrades, equityCurve, drawdown, startTime, endTime, eventCount, steps }) {
+    const pairs = {};
+
+    for (const pair of this.pairs) {
+      pairs[pair] = {
+        fills: 0,
+        volume: 0,
+        fees: 0,
+        cashFlow: 0,
+        holding: 0,
+        netPnL: 0,
+        closedTrades: 0,
+        wins: 0,
+        hitRate: 0
+      };
+    }
+
+    for (const fill of adapter.fills) {
+      const stats = pairs[fill.symbol];
+      if (!stats) continue;
+
+      const direction = fill.side === 'buy' ? 1 : -1;
+      stats.fills++;
+      stats.volume += fill.price * fill.amount;
+      stats.fees += fill.fee;
+      stats.cashFlow += -direction * fill.price * fill.amount - fill.fee;
+      stats.holding += direction * fill.amount;
+    }
+
+    for (const [pair, stats] of Object.entries(pairs)) {
+      const book = adapter.getBook(pair);
+      const mid = book && book.bids.length > 0 && book.asks.length > 0
+        ? (book.bids[0][0] + book.asks[0][0]) / 2
+        : 0;
+      stats.netPnL = stats.cashFlow + stats.holding * mid;
+    }
+
+    const trades = closedTrades.map((event, index) => {
+      const position = event.position;
+      const stats = pairs[position.pair];
+      if (stats) {
+        stats.closedTrades++;
+        if (position.realizedPnL > 0) stats.wins++;
+      }
+
+      return {
+        trade: index + 1,
+        pair: position.pair,
+        side: position.side,
+        size: position.size,
+        entryTime: position.entryTime,
+        exitTime: position.exitTime,
+        entryPrice: position.entryPrice,
+        exitPrice: position.exitPrice,
+        fees: position.fees,
+        realizedPnL: position.realizedPnL,
+        exitReason: event.reason
+      };
+    });
+
+    for (const stats of Object.values(pairs)) {
+      stats.hitRate = stats.closedTrades > 0 ? stats.wins / stats.closedTrades : 0;
+    }
+
+    const finalEquity = this._markToMarket(adapter);
+    this._trackDrawdown(drawdown, finalEquity);
+    equityCurve.push({ timestamp: endTime, equity: finalEquity });
+
+    const wins = trades.filter(trade => trade.realizedPnL > 0).length;
+    const totalFees = Object.values(pairs).reduce((sum, stats) => sum + stats.fees, 0);
+    const netPnL = finalEquity - this.budget;
+
+    return {
+      summary: {
+        startTime,
+        endTime,
+        events: eventCount,
+        steps,
+        opportunitiesDetected: trader.opportunitiesDetected,
+        entries: trader.tradesExecuted,
+        closedTrades: trades.length,
+        fills: adapter.fills.length,
+        fees: totalFees,
+        grossPnL: netPnL + totalFees,
+        netPnL,
+        returnPercent: (netPnL / this.budget) * 100,
+        hitRate: trades.length > 0 ? wins / trades.length : 0,
+        maxDrawdown: drawdown.maxDrawdown,
+        maxDrawdownPercent: drawdown.maxDrawdownPercent,
+        finalEquity
+      },
+      pairs,
+      execution: trader.executionEngine.getMetrics(),
+      trades,
+      equityCurve
+    };
+  }
+
+  /**
+   * Update peak-to-trough drawdown with a new equity observation
+   * @private
+   */
+  _trackDrawdown(drawdown, equity) {
+    drawdown.peak = Math.max(drawdown.peak, equity);
+    const current = drawdown.peak - equity;
+
+    if (current > drawdown.maxDrawdown) {
+      drawdown.maxDrawdown = current;
+      drawdown.maxDrawdownPercent = (current / drawdown.peak) * 100;
+    }
+  }
+}
+
+export default BacktestRunner;
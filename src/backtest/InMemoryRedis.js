@@ -0,0 +1,157 @@
+/**
+ * InMemoryRedis
+ *
+ * Minimal in-memory stand-in for the ioredis commands used by MultiPairRedisAPI,
+ * so the trader can run offline (backtests) without a Redis instance.
+ * No expirations or timers are used, which keeps runs deterministic.
+ */
+
+export class InMemoryRedis {
+  constructor() {
+    this.strings = new Map();
+    this.sets = new Map();
+    this.sortedSets = new Map();
+    this.hashes = new Map();
+  }
+
+  async get(key) {
+    return this.strings.has(key) ? this.strings.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.strings.set(key, String(value));
+    return 'OK';
+  }
+
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys) {
+      for (const store of [this.strings, this.sets, this.sortedSets, this.hashes]) {
+        if (store.delete(key)) removed++;
+      }
+    }
+    return removed;
+  }
+
+  async expire() {
+    return 1;
+  }
+
+  async sadd(key, ...members) {
+    const set = this._getOrCreate(this.sets, key, () => new Set());
+    const before = set.size;
+    members.flat().forEach(member => set.add(String(member)));
+    return set.size - before;
+  }
+
+  async srem(key, ...members) {
+    const set = this.sets.get(key);
+    if (!set) return 0;
+    let removed = 0;
+    members.flat().forEach(member => {
+      if (set.delete(String(member))) removed++;
+    });
+    return removed;
+  }
+
+  async smembers(key) {
+    return Array.from(this.sets.get(key) || []);
+  }
+
+  async zadd(key, score, member) {
+    const zset = this._getOrCreate(this.sortedSets, key, () => []);
+    const existing = zset.findIndex(entry => entry.member === member);
+    if (existing >= 0) zset.splice(existing, 1);
+
+    zset.push({ score: Number(score), member: String(member) });
+    zset.sort((a, b) => a.score - b.score);
+    return existing >= 0 ? 0 : 1;
+  }
+
+  async zrange(key, start, stop) {
+    const zset = this.sortedSets.get(key) || [];
+    return this._slice(zset, start, stop).map(entry => entry.member);
+  }
+
+  async zrangebyscore(key, min, max) {
+    const zset = this.sortedSets.get(key) || [];
+    const low = this._score(min, -Infinity);
+    const high = this._score(max, Infinity);
+    return zset.filter(entry => entry.score >= low && entry.score <= high).map(entry => entry.member);
+  }
+
+  async zremrangebyrank(key, start, stop) {
+    const zset = this.sortedSets.get(key);
+    if (!zset) return 0;
+
+    const toRemove = new Set(this._slice(zset, start, stop));
+    this.sortedSets.set(key, zset.filter(entry => !toRemove.has(entry)));
+    return toRemove.size;
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const zset = this.sortedSets.get(key);
+    if (!zset) return 0;
+
+    const low = this._score(min, -Infinity);
+    const high = this._score(max, Infinity);
+    const kept = zset.filter(entry => entry.score < low || entry.score > high);
+    this.sortedSets.set(key, kept);
+    return zset.length - kept.length;
+  }
+
+  async hset(key, fieldOrObject, value) {
+    const hash = this._getOrCreate(this.hashes, key, () => new Map());
+    const entries = typeof fieldOrObject === 'object'
+      ? Object.entries(fieldOrObject)
+      : [[fieldOrObject, value]];
+
+    entries.forEach(([field, fieldValue]) => hash.set(field, String(fieldValue)));
+    return entries.length;
+  }
+
+  async hget(key, field) {
+    return this.hashes.get(key)?.get(field) ?? null;
+  }
+
+  async hgetall(key) {
+    return Object.fromEntries(this.hashes.get(key) || []);
+  }
+
+  async hdel(key, ...fields) {
+    const hash = this.hashes.get(key);
+    if (!hash) return 0;
+    return fields.flat().filter(field => hash.delete(field)).length;
+  }
+
+  /**
+   * @private
+   */
+  _getOrCreate(store, key, create) {
+    if (!store.has(key)) store.set(key, create());
+    return store.get(key);
+  }
+
+  /**
+   * Redis-style inclusive slice with negative indices
+   * @private
+   */
+  _slice(list, start, stop) {
+    const length = list.length;
+    const from = start < 0 ? Math.max(0, length + start) : start;
+    const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+    return to < from ? [] : list.slice(from, to + 1);
+  }
+
+  /**
+   * @private
+   */
+  _score(value, fallback) {
+    if (value === '-inf') return -Infinity;
+    if (value === '+inf' || value === 'inf') return Infinity;
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  }
+}
+
+export default InMemoryRedis;
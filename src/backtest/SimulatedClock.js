@@ -0,0 +1,78 @@
+/**
+ * SimulatedClock
+ *
+ * Replaces Date.now() and Math.random() with a controllable clock and a seeded PRNG
+ * while a backtest runs, so every component that reads the wall clock or generates
+ * random ids sees the replayed time and produces the same output for the same input.
+ */
+
+export class SimulatedClock {
+  /**
+   * @param {Object} options
+   * @param {Number} options.startTime - Initial simulated time (ms since epoch)
+   * @param {Number} options.seed - Seed for the Math.random() replacement
+   */
+  constructor(options = {}) {
+    this.currentTime = options.startTime || 0;
+    this.seed = options.seed ?? 1;
+
+    this.installed = false;
+    this._originalNow = null;
+    this._originalRandom = null;
+  }
+
+  /**
+   * Get the current simulated time
+   * @returns {Number} Simulated time in ms
+   */
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Move the clock forward (never backwards)
+   * @param {Number} timestamp - Target time in ms
+   */
+  advanceTo(timestamp) {
+    if (timestamp > this.currentTime) {
+      this.currentTime = timestamp;
+    }
+  }
+
+  /**
+   * Override Date.now() and Math.random() globally
+   */
+  install() {
+    if (this.installed) return;
+
+    this._originalNow = Date.now;
+    this._originalRandom = Math.random;
+
+    let state = this.seed >>> 0;
+    const random = () => {
+      // mulberry32
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    Date.now = () => this.currentTime;
+    Math.random = random;
+    this.installed = true;
+  }
+
+  /**
+   * Restore the original Date.now() and Math.random()
+   */
+  uninstall() {
+    if (!this.installed) return;
+
+    Date.now = this._originalNow;
+    Math.random = this._originalRandom;
+    this.installed = false;
+  }
+}
+
+export default SimulatedClock;
@@ -0,0 +1,291 @@
+/**
+ * SimulatedExchangeAdapter
+ *
+ * Exchange adapter used by the backtest runner. Orders are filled against the recorded
+ * spot order book:
+ * - IOC / market orders walk the opposite side of the book up to their limit price (taker fee)
+ * - Resting limit orders fill at their price through QueueFillSimulator, the model the paper
+ *   trading paths use: on trade-through, or once the estimated queue ahead of them at their price
+ *   is worked off by recorded trades and book depletions, possibly partially (maker fee)
+ * - Post-only orders that would cross the book are rejected
+ *
+ * Fills do not consume recorded liquidity (no market impact), so results are optimistic
+ * for sizes that are large relative to displayed depth.
+ */
+
+import { EventEmitter } from 'events';
+import { InMemoryRedis } from './InMemoryRedis.js';
+import { QueueFillSimulator } from '../../lib/utils/QueueFillSimulator.js';
+
+export class SimulatedExchangeAdapter extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.initialBalances - Starting balances, e.g. { USD: 10000 }
+   * @param {Number} [options.makerFee=0.0016] - Maker fee rate
+   * @param {Number} [options.takerFee=0.0026] - Taker fee rate
+   * @param {Object} [options.redis] - Redis-compatible store (in-memory by default)
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super();
+
+    this.makerFee = options.makerFee ?? 0.0016;
+    this.takerFee = options.takerFee ?? 0.0026;
+    this.redis = options.redis || new InMemoryRedis();
+    this.logger = options.logger;
+
+    this.balances = { ...(options.initialBalances || {}) };
+    this.books = new Map(); // pair -> { bids, asks, timestamp }
+    this.orders = new Map(); // orderId -> order
+    this.restingOrders = new Map(); // orderId -> order
+    this.fillSimulator = new QueueFillSimulator({ logger: this.logger });
+    this.fills = [];
+
+    this.orderSequence = 0;
+    this.fillSequence = 0;
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  /**
+   * Update the recorded book for a pair, match resting orders and publish the update
+   * @param {String} pair - Trading pair
+   * @param {Object} book - { bids: [[price, qty]], asks: [[price, qty]], timestamp }
+   */
+  updateBook(pair, book) {
+    this.books.set(pair, book);
+    this._matchRestingOrders(pair);
+
+    this.emit('orderBookUpdate', {
+      symbol: pair,
+      bids: book.bids,
+      asks: book.asks,
+      timestamp: book.timestamp
+    });
+  }
+
+  /**
+   * Apply a recorded trade print to the queue position of resting orders
+   * @param {String} pair - Trading pair
+   * @param {Object} trade - { price, size, side (aggressor), timestamp }
+   */
+  applyTrade(pair, trade) {
+    this._recordSimulatedFills(this.fillSimulator.onTrade(pair, trade));
+  }
+
+  /**
+   * Get the latest recorded book for a pair
+   * @param {String} pair - Trading pair
+   * @returns {Object|null} Book or null
+   */
+  getBook(pair) {
+    return this.books.get(pair) || null;
+  }
+
+  /**
+   * Create an order
+   * @param {Object} orderParams - { symbol, type, side, price, amount, clientOrderId, params }
+   * @returns {Promise<Object>} Order with fill results
+   */
+  async createOrder(orderParams) {
+    const { symbol, side, amount } = orderParams;
+    const params = orderParams.params || {};
+    const book = this.books.get(symbol);
+
+    if (!book) {
+      throw new Error(`No market data for ${symbol}`);
+    }
+
+    const order = {
+      id: `sim-${++this.orderSequence}`,
+      clientOrderId: orderParams.clientOrderId,
+      symbol,
+      type: orderParams.type || 'limit',
+      side,
+      price: orderParams.price,
+      amount,
+      filled: 0,
+      remaining: amount,
+      cost: 0,
+      fee: 0,
+      average: null,
+      status: 'open',
+      timeInForce: params.timeInForce || 'GTC',
+      postOnly: !!params.postOnly,
+      timestamp: Date.now()
+    };
+
+    const crossesBook = order.type === 'market' || this._isMarketable(order, book);
+
+    if (order.postOnly && crossesBook) {
+      const error = new Error('Post-only order would cross the book');
+      error.postOnlyRejected = true;
+      throw error;
+    }
+
+    this.orders.set(order.id, order);
+
+    if (crossesBook) {
+      this._fillAgainstBook(order, book);
+    }
+
+    if (order.remaining > 0) {
+      if (order.type === 'market' || order.timeInForce === 'IOC') {
+        order.status = order.filled > 0 ? 'closed' : 'canceled';
+      } else {
+        this.restingOrders.set(order.id, order);
+        this.fillSimulator.addOrder(order, book, { resting: true });
+      }
+    }
+
+    return { ...order };
+  }
+
+  /**
+   * Cancel a resting order
+   * @param {String} orderId - Order ID
+   * @returns {Promise<Object>} Cancelled order
+   */
+  async cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    if (this.restingOrders.delete(orderId)) {
+      this.fillSimulator.removeOrder(orderId);
+      order.status = 'canceled';
+    }
+
+    return { ...order };
+  }
+
+  /**
+   * Get an order by id
+   * @param {String} orderId - Order ID
+   * @returns {Promise<Object|null>} Order
+   */
+  async getOrderStatus(orderId) {
+    const order = this.orders.get(orderId);
+    return order ? { ...order } : null;
+  }
+
+  async fetchBalances() {
+    const balances = {};
+    for (const [currency, total] of Object.entries(this.balances)) {
+      balances[currency] = { free: total, used: 0, total };
+    }
+    return balances;
+  }
+
+  async fetchPositions() {
+    return {};
+  }
+
+  /**
+   * Check whether a limit order would execute immediately
+   * @private
+   */
+  _isMarketable(order, book) {
+    if (order.side === 'buy') {
+      const bestAsk = book.asks[0]?.[0];
+      return bestAsk != null && bestAsk <= order.price;
+    }
+
+    const bestBid = book.bids[0]?.[0];
+    return bestBid != null && bestBid >= order.price;
+  }
+
+  /**
+   * Fill an order as a taker against book levels at or better than its limit
+   * @private
+   */
+  _fillAgainstBook(order, book) {
+    const levels = order.side === 'buy' ? book.asks : book.bids;
+
+    for (const [levelPrice, levelQty] of levels) {
+      if (order.remaining <= 0) break;
+
+      const withinLimit = order.type === 'market' ||
+        (order.side === 'buy' ? levelPrice <= order.price : levelPrice >= order.price);
+      if (!withinLimit) break;
+
+      const qty = Math.min(order.remaining, levelQty);
+      this._recordFill(order, levelPrice, qty, 'taker');
+    }
+  }
+
+  /**
+   * Advance resting orders' queue positions on a book update and record their fills
+   * @private
+   */
+  _matchRestingOrders(pair) {
+    this._recordSimulatedFills(this.fillSimulator.onBookUpdate(pair, this.books.get(pair)));
+  }
+
+  /**
+   * Record QueueFillSimulator fills of resting orders
+   * @private
+   */
+  _recordSimulatedFills(fills) {
+    for (const fill of fills) {
+      const order = this.restingOrders.get(fill.orderId);
+      if (!order) continue;
+
+      this._recordFill(order, fill.price, fill.amount, fill.liquidity);
+
+      if (order.remaining <= 0) {
+        this.restingOrders.delete(order.id);
+        this.fillSimulator.removeOrder(order.id);
+      }
+    }
+  }
+
+  /**
+   * Record a fill, update balances and emit orderFilled
+   * @private
+   */
+  _recordFill(order, price, qty, liquidity) {
+    const notional = price * qty;
+    const fee = notional * (liquidity === 'maker' ? this.makerFee : this.takerFee);
+    const [base, quote] = order.symbol.split('/');
+    const direction = order.side === 'buy' ? 1 : -1;
+
+    order.filled += qty;
+    order.remaining = Math.max(0, order.amount - order.filled);
+    order.cost += notional;
+    order.fee += fee;
+    order.average = order.cost / order.filled;
+    order.averagePrice = order.average;
+    order.status = order.remaining > 0 ? 'partially_filled' : 'closed';
+
+    this.balances[base] = (this.balances[base] || 0) + qty * direction;
+    this.balances[quote] = (this.balances[quote] || 0) - notional * direction - fee;
+
+    const fill = {
+      fillId: `simfill-${++this.fillSequence}`,
+      orderId: order.id,
+      clientOrderId: order.clientOrderId,
+      symbol: order.symbol,
+      side: order.side,
+      price,
+      amount: qty,
+      fee,
+      liquidity,
+      timestamp: Date.now()
+    };
+
+    this.fills.push(fill);
+
+    this.emit('orderFilled', {
+      ...fill,
+      orderStatus: order.status,
+      orderFilledAmount: order.filled,
+      orderRemainingAmount: order.remaining
+    });
+  }
+}
+
+export default SimulatedExchangeAdapter;
@@ -0,0 +1,77 @@
+/**
+ * Backtest CLI
+ *
+ * Replays recorded spot+futures ticks through the multi-pair trader and prints the report.
+ *
+ * Usage:
+ *   node src/backtest/run-backtest.js --data ./recordings --pairs BTC/USD,ETH/USD --budget 10000 [--out report.json]
+ */
+
+import fs from 'fs';
+import { BacktestRunner } from './BacktestRunner.js';
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.data || !args.pairs || !args.budget) {
+    console.log('\n📋 USAGE:');
+    console.log('  node src/backtest/run-backtest.js --data <file|dir>[,<file|dir>] --pairs BTC/USD,ETH/USD --budget 10000');
+    console.log('\n🔧 OPTIONS:');
+    console.log('  --seed <n>         Seed for simulated randomness (default: 42)');
+    console.log('  --interval <ms>    Simulated main loop interval (default: 2000)');
+    console.log('  --maker-fee <r>    Simulated maker fee rate (default: 0.0016)');
+    console.log('  --taker-fee <r>    Simulated taker fee rate (default: 0.0026)');
+    console.log('  --out <file>       Write the full JSON report to a file');
+    process.exit(1);
+  }
+
+  const runner = new BacktestRunner({
+    files: args.data.split(','),
+    pairs: args.pairs.split(','),
+    budget: parseFloat(args.budget),
+    seed: args.seed !== undefined ? parseInt(args.seed, 10) : undefined,
+    mainLoopInterval: args.interval ? parseInt(args.interval, 10) : undefined,
+    makerFee: args['maker-fee'] ? parseFloat(args['maker-fee']) : undefined,
+    takerFee: args['taker-fee'] ? parseFloat(args['taker-fee']) : undefined
+  });
+
+  const report = await runner.run();
+
+  console.log('\n📊 BACKTEST SUMMARY');
+  console.log('==================');
+  console.table(report.summary);
+  console.log('\n📈 PER-PAIR RESULTS');
+  console.table(report.pairs);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Full report written to ${args.out}`);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('💥 Backtest failed:', error);
+    process.exit(1);
+  });
+}
@@ -18,9 +18,21 @@ import { v4 as uuidv4 } from 'uuid';
 import { LoggerFactory } from '../../utils/logger-factory.js';
 import { SessionManager as RedisSessionManager } from '../../lib/redis-backend-api/index.js';
 import { MultiPairDataCollector } from '../data/MultiPairDataCollector.js';
+import { InstrumentRegistry } from '../data/InstrumentRegistry.js';
 import { OpportunityRankingEngine } from '../ranking/OpportunityRankingEngine.js';
+import { OutcomeTracker } from '../ranking/OutcomeTracker.js';
+import { RankingWeightLearner } from '../ranking/RankingWeightLearner.js';
 import { DynamicPositionManager } from '../position/DynamicPositionManager.js';
 import { FastExecutionEngine } from '../execution/FastExecutionEngine.js';
+import { ExecutionPlanner } from '../execution/ExecutionPlanner.js';
+import { PositionExitManager, EXIT_REASONS } from '../position/PositionExitManager.js';
+import { RiskSupervisor } from '../position/RiskSupervisor.js';
+import { StateReconciler } from '../position/StateReconciler.js';
+import { PositionSizer } from '../position/PositionSizer.js';
+import { EntryFillTracker } from '../position/EntryFillTracker.js';
+import { SignalAggregator } from '../signals/SignalAggregator.js';
+import { FuturesLeadSignalSource } from '../signals/FuturesLeadSignalSource.js';
+import { FuturesLeadEstimator } from '../signals/FuturesLeadEstimator.js';
 import { MultiPairRedisAPI } from '../data/MultiPairRedisAPI.js';
 import { PerformanceTracker } from '../../utils/performance-tracker.js';
 import { ComprehensiveBalanceValidator } from '../../utils/comprehensive-balance-validator.js';
@@ -28,15 +40,20 @@ import { ComprehensiveBalanceValidator } from '../../utils/comprehensive-balance
 // Configuration constants
 const CONFIG = {
   INTERVALS: {
-    MAIN_LOOP: 2000,           // 2 second main loop to catch futures leads
-    OPPORTUNITY_SCAN: 500,     // 500ms opportunity detection
+    MAIN_LOOP: 2000,           // 2 second housekeeping loop (risk, exits, cleanup)
+    OPPORTUNITY_SCAN: 500,     // 500ms max wait before evaluating a pair with continuous updates
+    EVENT_DEBOUNCE: 50,        // 50ms quiet period after a pair's market update before evaluating it
     PERFORMANCE_UPDATE: 30000, // 30 second performance updates
-    CORRELATION_UPDATE: 60000  // 1 minute correlation updates
+    CORRELATION_UPDATE: 60000, // 1 minute correlation updates
+    PAIR_ROTATION: 300000,     // 5 minute pair re-selection when a pair selector is configured
+    OPPORTUNITY_MAX_AGE: 30000 // 30 seconds before an active opportunity is dropped
   },
   THRESHOLDS: {
     MIN_OPPORTUNITY_SCORE: 65,     // Minimum score to consider opportunity
     MIN_FUTURES_MOVEMENT: 0.05,    // 0.05% minimum movement to trigger
     MAX_EXECUTION_DELAY: 3000,     // 3 seconds max from detection
+    MAX_SLIPPAGE_PERCENT: 0.05,    // 0.05% max drift of expected fill from detection price
+    EDGE_CONSUMED_RATIO: 0.8,      // Skip once spot has covered 80% of the futures move
     MIN_SPREAD_FOR_PROFIT: 0.10    // 0.10% minimum spread after fees
   },
   RISK_LIMITS: {
@@ -45,6 +62,33 @@ const CONFIG = {
     MAX_CORRELATED_EXPOSURE: 0.40,  // 40% in highly correlated assets
     MAX_CONCURRENT_POSITIONS: 10,   // Maximum open positions
     MIN_POSITION_SIZE_USD: 50       // Minimum position size
+  },
+  SIZING: {
+    RISK_PER_TRADE: 0.0002,         // 0.02% of budget at risk per trade
+    ATR_MULTIPLE: 2,                // Risk distance of 2 ATRs
+    MAX_TRADE_FRACTION: 0.10        // 10% of available balance per trade
+  },
+  KILL_SWITCH: {
+    DAILY_LOSS_LIMIT: 0.05,         // Halt at a 5% of budget loss per UTC day
+    SESSION_LOSS_LIMIT: null,       // No separate per-session loss cap
+    MAX_CONSECUTIVE_LOSSES: 10,     // Halt after 10 losing trades in a row
+    MAX_DRAWDOWN: 0.10,             // Halt at a 10% of budget drawdown from session peak
+    FLATTEN_ON_HALT: false          // Keep open positions under normal exit management
+  },
+  EXECUTION: {
+    MODE: 'taker',                 // 'taker' (IOC) or 'maker_first' (post-only, IOC fallback)
+    MAKER_POLL_INTERVAL: 250,      // Order status checks while the post-only entry rests
+    MAKER_PRICE_IMPROVEMENT: 0,    // Fraction of the spread to step inside the touch
+    MAX_CONCURRENT_ENTRIES: 3,     // Entries placed in parallel per cycle
+    RESERVATION_TTL: 15000         // Budget held for an entry before the reservation expires
+  },
+  EXITS: {
+    STOP_LOSS_PERCENT: 0.50,          // 0.50% hard stop
+    TRAILING_ACTIVATION_PERCENT: 0.15, // Start trailing at 0.15% profit
+    TRAILING_STOP_PERCENT: 0.25,      // 0.25% retrace from best price
+    HOLD_TIME_LEAD_MULTIPLE: 15,      // Max hold = 15x expected lead time
+    MIN_HOLD_TIME: 15000,             // 15 second floor on the time stop
+    MAX_HOLD_TIME: 300000             // 5 minute cap on the time stop
   }
 };
 
@@ -60,7 +104,35 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
    * @param {String} options.sessionId - Session ID (generated if not provided)
    * @param {Boolean} options.enableFuturesLeadDetection - Enable futures lead detection
    * @param {Number} options.mainLoopInterval - Main loop interval in ms (default: 2000)
+   * @param {Boolean} options.eventDriven - Detect opportunities per pair on market updates instead of in the
+   *   main loop (default: true, false with externalDataFeed so replays stay on the stepped loop)
    * @param {Object} options.rankingWeights - Custom weights for opportunity ranking
+   * @param {Object} options.killSwitch - Overrides for RiskSupervisor limits (dailyLossLimit, sessionLossLimit, maxConsecutiveLosses, maxDrawdown, flattenOnHalt)
+   * @param {Object} options.sizing - Overrides for PositionSizer (riskPerTrade, atrMultiple, barInterval, ...)
+   * @param {Object} options.decisionEngine - MultiPairDecisionEngine supplying exchange minimums via loadExchangeMinimums()
+   * @param {Object} options.recovery - Overrides for StateReconciler (cancelRestingEntries, cancelOrphanOrders)
+   * @param {Object} options.exitConfig - Overrides for PositionExitManager thresholds
+   * @param {Object} options.executionValidation - Overrides for FastExecutionEngine live validation thresholds
+   * @param {String} options.executionMode - Entry execution mode ('taker' or 'maker_first')
+   * @param {Object} options.makerFirst - Overrides for maker-first execution settings
+   * @param {Number} options.maxConcurrentEntries - Entries placed in parallel per cycle (default: 3)
+   * @param {Object} options.weightLearning - Enable RankingWeightLearner with these options (minSamples, refitInterval, maxStepChange, ...)
+   * @param {Object} options.outcomeTracking - Overrides for OutcomeTracker (halfLife, priorSamples, strengthBands, expectancyScale)
+   * @param {Object} options.instrumentRegistry - Shared InstrumentRegistry (created when omitted)
+   * @param {Object} options.instruments - Overrides for InstrumentRegistry (cacheTTL, refreshInterval, quoteCurrencies, ...)
+   * @param {Object} options.leadEstimation - Overrides for FuturesLeadEstimator (minMove, catchUpRatio, maxLead, minSamples, ...)
+   * @param {Object} options.basis - Overrides for the collector's BasisModel (halfLife, minSamples, window, fundingResetWindow)
+   * @param {Object} options.basisFilter - Overrides for FuturesLeadSignalSource basis filtering (minBasisZScore,
+   *   filterFundingResets, openInterestWeight, openInterestScale)
+   * @param {Array<SignalSource>} options.signalSources - Additional opportunity detectors (see src/signals)
+   * @param {Object} options.pairSelector - DynamicPairSelector (or any object with runAnalysis() returning
+   *   { selectedPairs, detailedResults }) used to rotate the traded pairs while running
+   * @param {Number} options.pairRotationInterval - Ms between pair selector runs (default: 300000)
+   * @param {Boolean} options.restoreRotatedPairs - Resume the pairs a previous session rotated to instead of
+   *   the configured pairs (default: true)
+   * @param {Array<EventEmitter>} options.fillSources - Extra emitters of orderFilled/orderUpdate events for entry fill tracking
+   * @param {Object} options.optimalExitFinder - Optional OptimalExitFinder for take-profit targets
+   * @param {Boolean} options.externalDataFeed - Market data is fed by an external driver (e.g. backtest replay) instead of live polling
    * @param {Object} options.logger - Logger instance
    */
   constructor(options = {}) {
@@ -87,6 +159,10 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
     this.sessionId = options.sessionId || uuidv4();
     this.enableFuturesLeadDetection = options.enableFuturesLeadDetection !== false;
     this.mainLoopInterval = options.mainLoopInterval || CONFIG.INTERVALS.MAIN_LOOP;
+    this.pairSelector = options.pairSelector || null;
+    this.pairRotationInterval = options.pairRotationInterval || CONFIG.INTERVALS.PAIR_ROTATION;
+    this.restoreRotatedPairs = options.restoreRotatedPairs ?? true;
+    this.eventDriven = options.eventDriven ?? !options.externalDataFeed;
     
     // Initialize logger
     this.logger = options.logger || LoggerFactory.createLogger({ component: 'MultiPairOpportunisticTrader' });
@@ -99,12 +175,24 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
     this.sessionStartTime = null;
     this.opportunitiesDetected = 0;
     this.tradesExecuted = 0;
+    this.positionsClosed = 0;
+    this.realizedPnL = 0;
     this.activeOpportunities = new Map();
     
+    // Event-driven evaluation state
+    this.pendingEvaluations = new Map(); // pair -> { firstUpdateAt, timer }
+    this.evaluatingPairs = new Set(); // pairs with an evaluation running
+    this.reevaluatePairs = new Set(); // pairs updated while their evaluation was running
+    
+    // Pair rotation: demoted pairs take no new entries and stay collected until their positions exit
+    this.demotedPairs = new Set();
+    this.isRotating = false;
+    
     // Intervals
     this.mainLoopTimer = null;
     this.performanceTimer = null;
     this.correlationTimer = null;
+    this.rotationTimer = null;
     
     this.logger.info('MultiPairOpportunisticTrader initialized', {
       pairs: this.pairs,
@@ -120,15 +208,42 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
    * @private
    */
   _initializeComponents(options) {
+    // Redis API for multi-pair data
+    this.redisAPI = new MultiPairRedisAPI({
+      redis: this.exchangeAdapter.redisAdapter || this.exchangeAdapter.redis,
+      sessionId: this.sessionId,
+      exchange: this.exchange,
+      logger: this.logger.createChild('RedisAPI')
+    });
+    
+    // Spot <-> futures instrument mapping (static table only when data is fed externally)
+    this.instrumentRegistry = options.instrumentRegistry || new InstrumentRegistry({
+      redisAPI: this.redisAPI,
+      discovery: !options.externalDataFeed,
+      ...options.instruments,
+      logger: this.logger.createChild('Instruments')
+    });
+    
     // Data collection
     this.dataCollector = new MultiPairDataCollector({
       pairs: this.pairs,
       exchange: this.exchange,
       exchangeAdapter: this.exchangeAdapter,
       enableFutures: this.enableFuturesLeadDetection,
+      enableTimers: !options.externalDataFeed,
+      instrumentRegistry: this.instrumentRegistry,
+      basis: options.basis,
+      barInterval: options.sizing?.barInterval,
       logger: this.logger.createChild('DataCollector')
     });
     
+    // Closed-trade outcomes feeding the ranking engine's historical factor
+    this.outcomeTracker = new OutcomeTracker({
+      redisAPI: this.redisAPI,
+      ...options.outcomeTracking,
+      logger: this.logger.createChild('OutcomeTracker')
+    });
+    
     // Opportunity ranking
     this.rankingEngine = new OpportunityRankingEngine({
       weights: options.rankingWeights || {
@@ -139,9 +254,41 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
         correlation: 0.10,
         historical: 0.10
       },
+      outcomeTracker: this.outcomeTracker,
       logger: this.logger.createChild('RankingEngine')
     });
     
+    // Optional online tuning of the ranking weights from realized outcomes
+    if (options.weightLearning) {
+      this.weightLearner = new RankingWeightLearner({
+        initialWeights: this.rankingEngine.getWeights(),
+        ...options.weightLearning,
+        logger: this.logger.createChild('WeightLearner')
+      });
+      
+      this.weightLearner.on('weightsUpdated', ({ weights }) => this.rankingEngine.setWeights(weights));
+    }
+    
+    // Measured futures -> spot lead per pair, replacing fixed move-size lead times
+    this.leadEstimator = new FuturesLeadEstimator({
+      dataCollector: this.dataCollector,
+      ...options.leadEstimation,
+      logger: this.logger.createChild('LeadEstimator')
+    });
+    
+    // Opportunity detection: futures lead plus any registered signal sources
+    this.signalAggregator = new SignalAggregator({
+      logger: this.logger.createChild('SignalAggregator')
+    });
+    this.signalAggregator.register(new FuturesLeadSignalSource({
+      dataCollector: this.dataCollector,
+      minMovement: CONFIG.THRESHOLDS.MIN_FUTURES_MOVEMENT,
+      leadEstimator: this.leadEstimator,
+      ...options.basisFilter,
+      logger: this.logger.createChild('FuturesLeadSignal')
+    }));
+    (options.signalSources || []).forEach(source => this.signalAggregator.register(source));
+    
     // Position management
     this.positionManager = new DynamicPositionManager({
       totalBudget: this.budget,
@@ -153,19 +300,145 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
       logger: this.logger.createChild('PositionManager')
     });
     
+    // Volatility-scaled entry sizing
+    this.decisionEngine = options.decisionEngine || null;
+    this.positionSizer = new PositionSizer({
+      budget: this.budget,
+      dataCollector: this.dataCollector,
+      instrumentRegistry: this.instrumentRegistry,
+      decisionEngine: this.decisionEngine,
+      outcomeTracker: this.outcomeTracker,
+      riskPerTrade: CONFIG.SIZING.RISK_PER_TRADE,
+      atrMultiple: CONFIG.SIZING.ATR_MULTIPLE,
+      fallbackRiskDistance: CONFIG.EXITS.STOP_LOSS_PERCENT / 100,
+      maxTradeFraction: CONFIG.SIZING.MAX_TRADE_FRACTION,
+      maxPairExposure: options.riskLimits?.MAX_PAIR_EXPOSURE ?? CONFIG.RISK_LIMITS.MAX_PAIR_EXPOSURE,
+      minPositionSizeUSD: options.riskLimits?.MIN_POSITION_SIZE_USD ?? CONFIG.RISK_LIMITS.MIN_POSITION_SIZE_USD,
+      ...options.sizing,
+      logger: this.logger.createChild('PositionSizer')
+    });
+    
+    // Startup reconciliation of positions persisted by a previous run
+    this.stateReconciler = new StateReconciler({
+      redisAPI: this.redisAPI,
+      exchangeAdapter: this.exchangeAdapter,
+      positionManager: this.positionManager,
+      pairs: this.pairs,
+      ...options.recovery,
+      logger: this.logger.createChild('StateReconciler')
+    });
+    
+    // Portfolio kill-switch: loss caps halt new entries, persisted across restarts
+    this.riskSupervisor = new RiskSupervisor({
+      budget: this.budget,
+      redisAPI: this.redisAPI,
+      sessionId: this.sessionId,
+      dailyLossLimit: CONFIG.KILL_SWITCH.DAILY_LOSS_LIMIT,
+      sessionLossLimit: CONFIG.KILL_SWITCH.SESSION_LOSS_LIMIT,
+      maxConsecutiveLosses: CONFIG.KILL_SWITCH.MAX_CONSECUTIVE_LOSSES,
+      maxDrawdown: CONFIG.KILL_SWITCH.MAX_DRAWDOWN,
+      flattenOnHalt: CONFIG.KILL_SWITCH.FLATTEN_ON_HALT,
+      ...options.killSwitch,
+      logger: this.logger.createChild('RiskSupervisor')
+    });
+    
+    this.riskSupervisor.on('halted', halt => {
+      this.emit('tradingHalted', halt);
+    });
+    
+    this.riskSupervisor.on('reset', event => {
+      this.emit('tradingResumed', event);
+    });
+    
+    // Exit management
+    this.exitManager = new PositionExitManager({
+      exchangeAdapter: this.exchangeAdapter,
+      optimalExitFinder: options.optimalExitFinder,
+      config: {
+        stopLossPercent: CONFIG.EXITS.STOP_LOSS_PERCENT,
+        trailingActivationPercent: CONFIG.EXITS.TRAILING_ACTIVATION_PERCENT,
+        trailingStopPercent: CONFIG.EXITS.TRAILING_STOP_PERCENT,
+        holdTimeLeadMultiple: CONFIG.EXITS.HOLD_TIME_LEAD_MULTIPLE,
+        minHoldTime: CONFIG.EXITS.MIN_HOLD_TIME,
+        maxHoldTime: CONFIG.EXITS.MAX_HOLD_TIME,
+        reversalThreshold: CONFIG.THRESHOLDS.MIN_FUTURES_MOVEMENT,
+        ...options.exitConfig
+      },
+      logger: this.logger.createChild('ExitManager')
+    });
+    
     // Execution engine
     this.executionEngine = new FastExecutionEngine({
       exchangeAdapter: this.exchangeAdapter,
+      dataCollector: this.dataCollector,
       maxExecutionDelay: CONFIG.THRESHOLDS.MAX_EXECUTION_DELAY,
+      validation: {
+        maxSlippagePercent: CONFIG.THRESHOLDS.MAX_SLIPPAGE_PERCENT,
+        edgeConsumedRatio: CONFIG.THRESHOLDS.EDGE_CONSUMED_RATIO,
+        ...options.executionValidation
+      },
+      executionMode: options.executionMode || CONFIG.EXECUTION.MODE,
+      makerFirst: {
+        pollInterval: CONFIG.EXECUTION.MAKER_POLL_INTERVAL,
+        priceImprovement: CONFIG.EXECUTION.MAKER_PRICE_IMPROVEMENT,
+        ...options.makerFirst
+      },
+      feeModel: this.exitManager.exitOptimizer,
       logger: this.logger.createChild('ExecutionEngine')
     });
     
-    // Redis API for multi-pair data
-    this.redisAPI = new MultiPairRedisAPI({
-      redis: this.exchangeAdapter.redisAdapter || this.exchangeAdapter.redis,
-      sessionId: this.sessionId,
-      exchange: this.exchange,
-      logger: this.logger.createChild('RedisAPI')
+    // Per-cycle entry selection with budget reservations for parallel execution
+    this.executionPlanner = new ExecutionPlanner({
+      positionManager: this.positionManager,
+      executionEngine: this.executionEngine,
+      sizeOpportunity: (opportunity, portfolio) => this._calculatePositionSize(opportunity, portfolio),
+      minScore: CONFIG.THRESHOLDS.MIN_OPPORTUNITY_SCORE,
+      maxConcurrentEntries: options.maxConcurrentEntries || CONFIG.EXECUTION.MAX_CONCURRENT_ENTRIES,
+      reservationTTL: CONFIG.EXECUTION.RESERVATION_TTL,
+      logger: this.logger.createChild('ExecutionPlanner')
+    });
+    
+    // Entry fill tracking: positions are built from actual fills, not requested size
+    this.fillTracker = new EntryFillTracker({
+      positionManager: this.positionManager,
+      exchangeAdapter: this.exchangeAdapter,
+      feeModel: this.exitManager.exitOptimizer,
+      logger: this.logger.createChild('FillTracker')
+    });
+    
+    if (typeof this.exchangeAdapter.on === 'function') {
+      this.fillTracker.attach(this.exchangeAdapter);
+    }
+    (options.fillSources || []).forEach(source => this.fillTracker.attach(source));
+    
+    this.fillTracker.on('entryCancelled', ({ position }) => {
+      this.logger.info('Entry cancelled without fills', {
+        positionId: position.id,
+        pair: position.pair,
+        orderId: position.orderId
+      });
+      this._forgetPosition(position.id);
+    });
+    
+    // Keep the persisted copy current so a restart can rebuild positions
+    this.fillTracker.on('entryFilled', ({ position }) => this._persistPosition(position));
+    this.fillTracker.on('entryCompleted', ({ position }) => this._persistPosition(position));
+    this.fillTracker.on('exitFilled', ({ position }) => this._persistPosition(position));
+    
+    // Positions are closed from confirmed exit fills; an exit that ends with size left is retried
+    this.fillTracker.on('positionClosed', ({ position, reason }) => {
+      this._onPositionClosed(position, reason).catch(error => {
+        this.logger.error('Failed to record closed position', { positionId: position.id, error: error.message });
+      });
+    });
+    this.fillTracker.on('exitCompleted', ({ position, reason, filled, remaining }) => {
+      this.logger.warn('Exit order done with size remaining, will retry next cycle', {
+        positionId: position.id,
+        pair: position.pair,
+        reason,
+        filled,
+        remaining
+      });
     });
     
     // Balance validator
@@ -199,12 +472,35 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
       this.logger.info('Connected to exchange');
       
       // Initialize session
-      await this._initializeSession();
+      const previousSession = await this._initializeSession();
+      await this._restoreRotatedPairs(previousSession);
+      await this.outcomeTracker.load();
+      await this.riskSupervisor.load();
+      await this.instrumentRegistry.initialize();
+      
+      if (this.decisionEngine) {
+        try {
+          await this.decisionEngine.loadExchangeMinimums(this.pairs);
+        } catch (error) {
+          this.logger.warn('Exchange minimums unavailable, sizing falls back to instrument registry', {
+            error: error.message
+          });
+        }
+      }
+      
+      const unmapped = this.pairs.filter(pair => !this.instrumentRegistry.hasFutures(pair));
+      if (this.enableFuturesLeadDetection && unmapped.length > 0) {
+        this.logger.warn('No perpetual futures instrument for pairs, futures lead signals disabled for them', {
+          pairs: unmapped
+        });
+      }
       
       // Start data collection
       await this.dataCollector.start();
       this.logger.info('Data collection started for all pairs');
       
+      await this.signalAggregator.initialize(this.pairs);
+      
       // Initialize positions and balances
       await this._initializePortfolio();
       
@@ -226,6 +522,10 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
         this._startCorrelationTracking();
       }
       
+      if (this.pairSelector) {
+        this._startPairRotation();
+      }
+      
       this.logger.info('MultiPairOpportunisticTrader started successfully', {
         pairs: this.pairs,
         sessionId: this.sessionId
@@ -262,6 +562,8 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
       this.mainLoopTimer = null;
     }
     
+    this._unsubscribeFromMarketUpdates();
+    
     if (this.performanceTimer) {
       clearInterval(this.performanceTimer);
       this.performanceTimer = null;
@@ -272,8 +574,14 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
       this.correlationTimer = null;
     }
     
+    if (this.rotationTimer) {
+      clearInterval(this.rotationTimer);
+      this.rotationTimer = null;
+    }
+    
     // Stop data collection
     await this.dataCollector.stop();
+    this.instrumentRegistry.stop();
     
     // Close all positions if configured
     // await this._closeAllPositions();
@@ -304,6 +612,30 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
    * @private
    */
   async _initializeSession() {
+    // A previous session still marked active did not shut down cleanly
+    const previousSessionId = await this.redisAPI.getLastSessionId();
+    const previousSession = previousSessionId && previousSessionId !== this.sessionId
+      ? await this.redisAPI.getSessionData(previousSessionId)
+      : null;
+    
+    if (previousSession?.status === 'active') {
+      this.logger.warn('Previous session did not shut down cleanly, recovering its state', {
+        previousSessionId,
+        lastUpdated: previousSession.lastUpdated
+      });
+    }
+    
+    // Opportunities it acted on recently still block duplicate entries
+    if (previousSession) {
+      const recent = await this.redisAPI.getRecentOpportunities(
+        previousSessionId,
+        Date.now() - CONFIG.INTERVALS.OPPORTUNITY_MAX_AGE
+      );
+      recent
+        .filter(opportunity => this.pairs.includes(opportunity.pair))
+        .forEach(opportunity => this.activeOpportunities.set(opportunity.pair, opportunity));
+    }
+    
     const sessionData = {
       id: this.sessionId,
       sessionId: this.sessionId,
@@ -316,6 +648,7 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
       budget: this.budget,
       enableFuturesLeadDetection: this.enableFuturesLeadDetection,
       riskLimits: CONFIG.RISK_LIMITS,
+      previousSessionId: previousSession ? previousSessionId : null,
       pairConfigurations: {}
     };
     
@@ -330,11 +663,60 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
     
     // Store session data
     await this.redisAPI.updateSession(sessionData);
+    await this.redisAPI.setLastSessionId();
     
     this.logger.info('Session initialized', {
       sessionId: this.sessionId,
       pairs: this.pairs
     });
+    
+    return previousSession;
+  }
+  
+  /**
+   * Resume the pair set of a previous session that rotated pairs at runtime, so positions on
+   * promoted pairs are reconciled and managed after a restart. Configured pairs it had rotated
+   * out, and the pairs it had demoted, start demoted: collected until their positions exit.
+   * @private
+   * @param {Object|null} previousSession - Previous session data
+   */
+  async _restoreRotatedPairs(previousSession) {
+    const storedPairs = Array.isArray(previousSession?.tradingPairs) ? previousSession.tradingPairs : [];
+    if (!this.restoreRotatedPairs || storedPairs.length === 0) return;
+    
+    const demoted = [...new Set([...this.pairs, ...(previousSession.demotedPairs || [])])]
+      .filter(pair => !storedPairs.includes(pair));
+    const added = storedPairs.filter(pair => !this.pairs.includes(pair));
+    
+    if (added.length === 0 && demoted.length === 0) return;
+    
+    for (const pair of [...storedPairs, ...demoted]) {
+      await this.dataCollector.addPair(pair);
+    }
+    
+    this.pairs = [...storedPairs];
+    demoted.forEach(pair => this.demotedPairs.add(pair));
+    this._syncPairs();
+    
+    await this.redisAPI.updateSession({
+      tradingPairs: this.pairs,
+      demotedPairs: Array.from(this.demotedPairs)
+    });
+    
+    this.logger.info('Restored pairs rotated by the previous session', {
+      pairs: this.pairs,
+      added,
+      demoted
+    });
+  }
+  
+  /**
+   * Point the position manager and startup reconciler at the pairs currently held
+   * @private
+   */
+  _syncPairs() {
+    this.positionManager.pairs = [...this.dataCollector.pairs];
+    this.stateReconciler.pairs = [...this.pairs, ...this.demotedPairs];
   }
   
   /**
@@ -350,17 +732,48 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
     const positions = await this.exchangeAdapter.fetchPositions();
     await this.positionManager.updatePositions(positions);
     
+    // Rebuild positions persisted by a previous run against exchange orders and fills
+    const recovery = await this.stateReconciler.reconcile(balances);
+    
+    for (const closedPosition of recovery.closed) {
+      await this.outcomeTracker.recordOutcome(closedPosition);
+      await this.riskSupervisor.recordOutcome(closedPosition);
+    }
+    
+    const summary = {
+      restored: recovery.restored.length,
+      closed: recovery.closed.length,
+      dropped: recovery.dropped.length,
+      cancelledOrders: recovery.cancelledOrders.length,
+      discrepancies: recovery.discrepancies.length
+    };
+    
+    if (recovery.discrepancies.length > 0) {
+      this.logger.warn('Startup reconciliation found discrepancies', {
+        ...summary,
+        discrepancies: recovery.discrepancies
+      });
+    }
+    
+    await this.redisAPI.updateSession({ recovery: { ...summary, discrepancies: recovery.discrepancies } });
+    this.emit('recovered', recovery);
+    
     this.logger.info('Portfolio initialized', {
       balances: Object.keys(balances),
-      positionCount: Object.keys(positions).length
+      positionCount: Object.keys(positions).length,
+      recovery: summary
     });
   }
   
   /**
-   * Start the main trading loop
+   * Start the main trading loop, and per-pair evaluation on market updates when event-driven
    * @private
    */
   _startMainLoop() {
+    if (this.eventDriven) {
+      this._subscribeToMarketUpdates();
+    }
+    
     this.mainLoopTimer = setInterval(() => {
       this._executeTradingLogic().catch(error => {
         this.logger.error('Error in main trading loop', error);
@@ -374,7 +787,8 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
   }
   
   /**
-   * Main trading logic execution
+   * Main trading logic execution. When event-driven, opportunities are detected in
+   * _evaluatePair() and this loop only does housekeeping.
    * @private
    */
   async _executeTradingLogic() {
@@ -382,25 +796,23 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
       // Collect latest market data for all pairs
       const marketData = await this.dataCollector.collectAllData();
       
-      // Detect opportunities
-      const opportunities = await this._detectOpportunities(marketData);
-      
-      if (opportunities.length > 0) {
-        this.opportunitiesDetected += opportunities.length;
-        
-        // Rank opportunities
-        const portfolio = await this.positionManager.getPortfolioState();
-        const rankedOpportunities = await this.rankingEngine.rank(opportunities, portfolio);
-        
-        // Log top opportunities
-        this._logTopOpportunities(rankedOpportunities.slice(0, 3));
-        
-        // Execute best opportunity if it meets criteria
-        await this._executeBestOpportunity(rankedOpportunities, portfolio);
+      // Fold new price history into the lead measurements
+      this.leadEstimator.update();
+      
+      // Check loss limits against open positions before any new entry
+      await this.riskSupervisor.update(await this._calculateUnrealizedPnL(marketData));
+      
+      if (this.eventDriven) {
+        this._cleanupOldOpportunities();
+      } else {
+        await this._scanOpportunities(marketData);
       }
       
       // Manage existing positions
-      await this._manageExistingPositions();
+      await this._manageExistingPositions(marketData);
+      
+      // Stop collecting demoted pairs whose positions have exited
+      await this._retireDemotedPairs();
       
     } catch (error) {
       this.logger.error('Error in trading logic execution', error);
@@ -408,51 +820,173 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
   }
   
   /**
-   * Detect trading opportunities across all pairs
+   * Detect, rank and execute opportunities for the pairs in marketData
+   * @private
+   */
+  async _scanOpportunities(marketData) {
+    const opportunities = await this._detectOpportunities(marketData);
+    if (opportunities.length === 0) return;
+    
+    this.opportunitiesDetected += opportunities.length;
+    
+    // Rank opportunities
+    const portfolio = await this.positionManager.getPortfolioState();
+    const rankedOpportunities = await this.rankingEngine.rank(opportunities, portfolio);
+    
+    // Log top opportunities
+    this._logTopOpportunities(rankedOpportunities.slice(0, 3));
+    
+    // Execute the opportunities that meet criteria and fit the budget
+    await this._executeOpportunities(rankedOpportunities);
+  }
+  
+  /**
+   * Evaluate pairs as their spot or futures data changes
+   * @private
+   */
+  _subscribeToMarketUpdates() {
+    this._handleMarketUpdate = ({ pair }) => {
+      if (this.pairs.includes(pair)) this._scheduleEvaluation(pair);
+    };
+    
+    this.dataCollector.on('futuresUpdate', this._handleMarketUpdate);
+    this.dataCollector.on('spotUpdate', this._handleMarketUpdate);
+  }
+  
+  /**
+   * @private
+   */
+  _unsubscribeFromMarketUpdates() {
+    if (this._handleMarketUpdate) {
+      this.dataCollector.off('futuresUpdate', this._handleMarketUpdate);
+      this.dataCollector.off('spotUpdate', this._handleMarketUpdate);
+      this._handleMarketUpdate = null;
+    }
+    
+    for (const { timer } of this.pendingEvaluations.values()) {
+      clearTimeout(timer);
+    }
+    this.pendingEvaluations.clear();
+  }
+  
+  /**
+   * Debounce a pair's evaluation: wait EVENT_DEBOUNCE after the latest update, but no
+   * longer than OPPORTUNITY_SCAN after the first one, so a busy feed is still evaluated
+   * @private
+   */
+  _scheduleEvaluation(pair) {
+    const now = Date.now();
+    const pending = this.pendingEvaluations.get(pair);
+    const firstUpdateAt = pending ? pending.firstUpdateAt : now;
+    const deadline = firstUpdateAt + CONFIG.INTERVALS.OPPORTUNITY_SCAN;
+    
+    if (pending) {
+      if (now + CONFIG.INTERVALS.EVENT_DEBOUNCE >= deadline) return; // Already due by the deadline
+      clearTimeout(pending.timer);
+    }
+    
+    const timer = setTimeout(() => {
+      this.pendingEvaluations.delete(pair);
+      this._evaluatePair(pair).catch(error => {
+        this.logger.error('Error evaluating pair', { pair, error: error.message });
+      });
+    }, Math.min(CONFIG.INTERVALS.EVENT_DEBOUNCE, deadline - now));
+    
+    this.pendingEvaluations.set(pair, { firstUpdateAt, timer });
+  }
+  
+  /**
+   * Detect and execute opportunities for one pair; updates arriving while the pair is
+   * being evaluated schedule one more evaluation once it finishes
+   * @private
+   */
+  async _evaluatePair(pair) {
+    if (this.evaluatingPairs.has(pair)) {
+      this.reevaluatePairs.add(pair);
+      return;
+    }
+    
+    this.evaluatingPairs.add(pair);
+    
+    try {
+      const marketData = { [pair]: await this.dataCollector.collectPairData(pair) };
+      await this._scanOpportunities(marketData);
+    } catch (error) {
+      this.logger.error('Error in pair evaluation', { pair, error: error.message });
+    } finally {
+      this.evaluatingPairs.delete(pair);
+      
+      if (this.reevaluatePairs.delete(pair) && this.isRunning) {
+        this._scheduleEvaluation(pair);
+      }
+    }
+  }
+  
+  /**
+   * Detect trading opportunities across all pairs from the merged signal sources
    * @private
    */
   async _detectOpportunities(marketData) {
     const opportunities = [];
     const now = Date.now();
     
-    for (const [pair, data] of Object.entries(marketData)) {
-      if (!data.spot || !data.futures) continue;
-      
-      // Calculate futures movement
-      const futuresMovement = this.dataCollector.calculateFuturesMovement(pair);
+    // Demoted pairs are still collected for their exits but take no new entries
+    const spotData = Object.fromEntries(
+      Object.entries(marketData).filter(([pair, data]) => data.spot && this.pairs.includes(pair))
+    );
+    const signals = await this.signalAggregator.collect(spotData);
+    
+    for (const [pair, merged] of signals) {
+      const data = spotData[pair];
       
-      if (Math.abs(futuresMovement) >= CONFIG.THRESHOLDS.MIN_FUTURES_MOVEMENT) {
-        // Check if we already have an active opportunity for this pair
-        const existingOpp = this.activeOpportunities.get(pair);
-        if (existingOpp && (now - existingOpp.timestamp) < 5000) {
-          continue; // Skip if recent opportunity exists
-        }
-        
-        const opportunity = {
-          id: uuidv4(),
-          pair,
-          timestamp: now,
-          signal: {
-            direction: futuresMovement > 0 ? 'BUY' : 'SELL',
-            futuresMovement,
-            futuresPrice: data.futures.price,
-            spotPrice: data.spot.price,
-            spread: ((data.futures.price - data.spot.price) / data.spot.price) * 100,
-            strength: Math.abs(futuresMovement)
-          },
-          marketData: {
-            spotBid: data.spot.bid,
-            spotAsk: data.spot.ask,
-            spotLiquidity: data.spot.liquidity,
-            futuresBid: data.futures.bid,
-            futuresAsk: data.futures.ask
-          },
-          leadTimeExpected: this._estimateLeadTime(futuresMovement)
-        };
-        
-        opportunities.push(opportunity);
-        this.activeOpportunities.set(pair, opportunity);
+      // Check if we already have an active opportunity for this pair
+      const existingOpp = this.activeOpportunities.get(pair);
+      if (existingOpp && (now - existingOpp.timestamp) < 5000) {
+        continue; // Skip if recent opportunity exists
       }
+      
+      const futuresLead = merged.candidates.find(candidate => candidate.source === 'futures_lead');
+      const futuresMovement = futuresLead
+        ? futuresLead.details.futuresMovement
+        : (data.futures ? this.dataCollector.calculateFuturesMovement(pair) : 0);
+      
+      // Score the premium over its mean once the basis model is ready, not a persistent premium
+      const basis = data.basis || null;
+      const premium = data.futures ? ((data.futures.price - data.spot.price) / data.spot.price) * 100 : 0;
+      
+      const opportunity = {
+        id: uuidv4(),
+        pair,
+        timestamp: now,
+        signal: {
+          direction: merged.direction,
+          futuresMovement,
+          expectedMove: merged.direction === 'BUY' ? merged.strength : -merged.strength,
+          futuresPrice: data.futures?.price ?? null,
+          spotPrice: data.spot.price,
+          spread: basis?.ready ? basis.excess : premium,
+          premium,
+          basis,
+          strength: merged.strength,
+          confidence: merged.confidence,
+          sources: merged.sources,
+          primarySource: merged.primarySource,
+          candidates: merged.candidates
+        },
+        marketData: {
+          spotBid: data.spot.bid,
+          spotAsk: data.spot.ask,
+          spotLiquidity: data.spot.liquidity,
+          futuresBid: data.futures?.bid,
+          futuresAsk: data.futures?.ask
+        },
+        leadTimeExpected: merged.horizon,
+        leadTimeUncertainty: futuresLead?.details.leadEstimate.uncertainty ?? null,
+        leadEstimate: futuresLead?.details.leadEstimate ?? null
+      };
+      
+      opportunities.push(opportunity);
+      this.activeOpportunities.set(pair, opportunity);
     }
     
     // Clean up old opportunities
@@ -462,135 +996,394 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
   }
   
   /**
-   * Estimate lead time based on movement magnitude
+   * Execute the opportunities selected by the execution planner, in parallel
    * @private
    */
-  _estimateLeadTime(movement) {
-    const absMovement = Math.abs(movement);
+  async _executeOpportunities(rankedOpportunities) {
+    if (this.riskSupervisor.isHalted()) {
+      this.logger.debug('Trading halted, skipping new entries', {
+        reason: this.riskSupervisor.halt.reason
+      });
+      return;
+    }
+    
+    const entries = await this.executionPlanner.plan(rankedOpportunities);
+    if (entries.length === 0) return;
+    
+    await this.executionPlanner.execute(entries, (entry, result) => this._recordEntry(entry, result));
+  }
+  
+  /**
+   * Track an executed entry as a pending position; called before its reservation is released
+   * @private
+   */
+  async _recordEntry({ opportunity, size }, result) {
+    this.tradesExecuted++;
+    
+    // Track a pending position; its size and entry price come from the entry fills
+    const positionId = await this.positionManager.addPosition({
+      pair: opportunity.pair,
+      side: opportunity.signal.direction,
+      status: 'pending',
+      requestedSize: size,
+      limitPrice: result.order.price,
+      orderId: result.order.id,
+      opportunityId: opportunity.id,
+      leadTimeExpected: opportunity.leadTimeExpected,
+      entryOrderIds: result.orders.map(order => order.id),
+      fillPath: result.fillPath,
+      signalBucket: this.outcomeTracker.getSignalBucket(opportunity),
+      rankingScores: opportunity.scores
+    });
     
-    if (absMovement > 0.5) {
-      return 2000; // 2 seconds for large moves
-    } else if (absMovement > 0.2) {
-      return 3000; // 3 seconds for medium moves
-    } else {
-      return 5000; // 5 seconds for small moves
+    await this._persistPosition(this.positionManager.positions.get(positionId));
+    this.fillTracker.trackEntry(positionId, result.orders);
+    
+    // Store opportunity in Redis
+    await this.redisAPI.storeOpportunity(opportunity, result.order);
+    
+    this.logger.info('Opportunity executed successfully', {
+      pair: opportunity.pair,
+      direction: opportunity.signal.direction,
+      size: result.filledAmount,
+      fillsPending: !!result.pending,
+      fillPath: result.fillPath,
+      effectiveFeeRate: result.effectiveFeeRate,
+      score: opportunity.finalScore,
+      executionTime: result.executionTime
+    });
+    
+    this.emit('tradeExecuted', {
+      opportunity,
+      order: result.order,
+      fillPath: result.fillPath,
+      effectiveFee: result.effectiveFee,
+      executionTime: result.executionTime
+    });
+  }
+  
+  /**
+   * Calculate position size for opportunity
+   * @private
+   */
+  async _calculatePositionSize(opportunity, portfolio) {
+    const sizing = this.positionSizer.size(opportunity, portfolio);
+    
+    if (sizing.reason) {
+      this.logger.debug('Opportunity not sized', {
+        pair: opportunity.pair,
+        reason: sizing.reason,
+        size: sizing.size,
+        atr: sizing.atr,
+        minimums: sizing.minimums
+      });
+      return 0;
     }
+    
+    opportunity.sizing = {
+      notional: sizing.notional,
+      atr: sizing.atr,
+      riskDistance: sizing.riskDistance,
+      scale: sizing.scale
+    };
+    
+    return sizing.size;
   }
   
   /**
-   * Execute the best opportunity if criteria are met
+   * Manage existing positions: evaluate exit conditions and close positions that trigger
    * @private
    */
-  async _executeBestOpportunity(rankedOpportunities, portfolio) {
-    for (const opportunity of rankedOpportunities) {
-      // Check minimum score threshold
-      if (opportunity.finalScore < CONFIG.THRESHOLDS.MIN_OPPORTUNITY_SCORE) {
-        break; // Opportunities are sorted, so no better ones below
-      }
+  async _manageExistingPositions(marketData = {}) {
+    await this.fillTracker.reconcile();
+    
+    const pendingEntries = new Set(this.fillTracker.getPendingEntries());
+    const pendingExits = new Set(this.fillTracker.getPendingExits());
+    const positions = await this.positionManager.getActivePositions();
+    
+    for (const position of positions) {
+      // Partially filled entries are managed once their entry orders are done,
+      // and positions with a closing order working wait for its fills
+      if (pendingEntries.has(position.id) || pendingExits.has(position.id)) continue;
       
-      // Check if we can take this position
-      const size = await this._calculatePositionSize(opportunity, portfolio);
-      if (!size || size === 0) {
-        continue;
-      }
+      const spot = marketData[position.pair]?.spot;
+      if (!spot || !spot.bid || !spot.ask) continue;
       
-      if (!this.positionManager.canTakePosition(opportunity.pair, size)) {
-        this.logger.debug('Position limits prevent taking opportunity', {
-          pair: opportunity.pair,
-          requestedSize: size
+      const decision = this.riskSupervisor.shouldFlatten()
+        ? {
+          reason: EXIT_REASONS.RISK_HALT,
+          price: position.side === 'BUY' ? spot.bid : spot.ask,
+          details: { halt: this.riskSupervisor.halt.reason }
+        }
+        : await this.exitManager.evaluate(position, {
+          bid: spot.bid,
+          ask: spot.ask,
+          futuresMovement: this.enableFuturesLeadDetection
+            ? this.dataCollector.calculateFuturesMovement(position.pair)
+            : 0
         });
-        continue;
-      }
       
-      // Execute the trade
-      const result = await this.executionEngine.executeOpportunity(opportunity, size);
-      
-      if (result.executed) {
-        this.tradesExecuted++;
-        
-        // Update position manager
-        await this.positionManager.addPosition({
-          pair: opportunity.pair,
-          side: opportunity.signal.direction,
-          size: size,
-          entryPrice: result.order.price,
-          orderId: result.order.id
-        });
-        
-        // Store opportunity in Redis
-        await this.redisAPI.storeOpportunity(opportunity, result.order);
-        
-        this.logger.info('Opportunity executed successfully', {
-          pair: opportunity.pair,
-          direction: opportunity.signal.direction,
-          size: size,
-          score: opportunity.finalScore,
-          executionTime: result.executionTime
-        });
-        
-        this.emit('tradeExecuted', {
-          opportunity,
-          order: result.order,
-          executionTime: result.executionTime
+      if (!decision) continue;
+      
+      this.logger.info('Exit triggered', {
+        positionId: position.id,
+        pair: position.pair,
+        side: position.side,
+        reason: decision.reason,
+        details: decision.details
+      });
+      
+      const closeResult = await this.exitManager.closePosition(position, decision);
+      if (!closeResult.placed) {
+        this.logger.warn('Exit order not placed, will retry next cycle', {
+          positionId: position.id,
+          pair: position.pair,
+          reason: closeResult.reason
         });
-        
-        break; // Only execute one opportunity per cycle
+        continue;
       }
+      
+      this.fillTracker.trackExit(position.id, [closeResult.order], { reason: decision.reason });
     }
   }
   
   /**
-   * Calculate position size for opportunity
+   * Book a position the fill tracker closed from its exit fills
    * @private
    */
-  async _calculatePositionSize(opportunity, portfolio) {
-    const availableBudget = portfolio.availableBalance;
-    const maxPairExposure = this.budget * CONFIG.RISK_LIMITS.MAX_PAIR_EXPOSURE;
-    const currentPairExposure = portfolio.exposures[opportunity.pair] || 0;
-    
-    // Calculate maximum allowed size
-    const maxAllowedSize = Math.min(
-      availableBudget * 0.1, // 10% of available per trade
-      maxPairExposure - currentPairExposure
-    );
+  async _onPositionClosed(closedPosition, reason) {
+    this.exitManager.forget(closedPosition.id);
+    await this._forgetPosition(closedPosition.id);
+    this.positionsClosed++;
+    this.realizedPnL += closedPosition.realizedPnL;
+    await this.outcomeTracker.recordOutcome(closedPosition);
+    await this.riskSupervisor.recordOutcome(closedPosition);
+    this.weightLearner?.recordOutcome(closedPosition.rankingScores, closedPosition.realizedPnLPercent);
     
-    // Convert to base currency size
-    const baseSize = maxAllowedSize / opportunity.signal.spotPrice;
+    this.emit('positionClosed', {
+      position: closedPosition,
+      reason,
+      realizedPnL: closedPosition.realizedPnL,
+      fees: closedPosition.fees,
+      holdTime: closedPosition.exitTime - closedPosition.entryTime
+    });
+  }
+  
+  /**
+   * Persist a position for crash recovery (failures are logged, never thrown)
+   * @private
+   */
+  async _persistPosition(position) {
+    if (!position) return;
     
-    // Ensure minimum size
-    if (baseSize * opportunity.signal.spotPrice < CONFIG.RISK_LIMITS.MIN_POSITION_SIZE_USD) {
-      return 0;
+    try {
+      await this.redisAPI.storePosition(position);
+    } catch (error) {
+      this.logger.warn('Failed to persist position', { positionId: position.id, error: error.message });
     }
-    
-    return baseSize;
   }
   
   /**
-   * Manage existing positions
+   * Drop a closed or cancelled position from the persisted set
    * @private
    */
-  async _manageExistingPositions() {
+  async _forgetPosition(positionId) {
+    try {
+      await this.redisAPI.removeStoredPosition(positionId);
+    } catch (error) {
+      this.logger.warn('Failed to remove persisted position', { positionId, error: error.message });
+    }
+  }
+  
+  /**
+   * Unrealized P&L of open positions, marked at the side they would exit on
+   * @private
+   */
+  async _calculateUnrealizedPnL(marketData) {
     const positions = await this.positionManager.getActivePositions();
+    let unrealizedPnL = 0;
     
     for (const position of positions) {
-      // Check for exit conditions
-      // This could include:
-      // - Take profit targets
-      // - Stop loss levels
-      // - Time-based exits
-      // - Signal reversal
-      
-      // For now, just track performance
-      const currentPrice = await this.dataCollector.getCurrentPrice(position.pair);
-      const pnl = this.positionManager.calculatePnL(position, currentPrice);
-      
-      if (pnl.percentage > 0.5) { // 0.5% profit
-        // Consider taking profit
-        this.logger.debug('Position in profit', {
-          pair: position.pair,
-          pnl: pnl.percentage
+      const spot = marketData[position.pair]?.spot;
+      const mark = position.side === 'BUY' ? spot?.bid : spot?.ask;
+      if (!mark || !position.entryPrice) continue;
+      
+      unrealizedPnL += this.positionManager.calculatePnL(position, mark).unrealizedPnL;
+    }
+    
+    return unrealizedPnL;
+  }
+  
+  /**
+   * Halt new entries immediately (manual kill-switch); persisted until resetTradingHalt()
+   * @param {Object} [details] - Context recorded with the halt (e.g. operator, note)
+   * @returns {Promise<void>}
+   */
+  async haltTrading(details = {}) {
+    await this.riskSupervisor.trip(details);
+  }
+  
+  /**
+   * Clear a risk halt so new entries resume; loss accounting restarts from current equity
+   * @param {Object} [details] - Context logged with the reset (e.g. operator)
+   * @returns {Promise<void>}
+   */
+  async resetTradingHalt(details = {}) {
+    await this.riskSupervisor.reset(details);
+  }
+  
+  /**
+   * Change the traded pairs while running. Promoted pairs are collected and tradeable at
+   * once; demoted pairs take no new entries but stay collected until their positions exit.
+   * The decision is recorded in Redis with the scores that led to it.
+   * @param {Array<String>} pairs - New set of traded pairs
+   * @param {Object} [details] - Context recorded with the decision
+   * @param {String} [details.source='manual'] - What triggered the rotation
+   * @param {Object} [details.scores] - Scores by pair (e.g. from DynamicPairSelector)
+   * @returns {Promise<Object>} Rotation decision { timestamp, previousPairs, pairs, added, demoted, scores, source }
+   */
+  async updatePairs(pairs, details = {}) {
+    const nextPairs = [...new Set(pairs)];
+    if (nextPairs.length === 0) {
+      throw new Error('At least one trading pair is required');
+    }
+    
+    const previousPairs = this.pairs;
+    const added = nextPairs.filter(pair => !previousPairs.includes(pair));
+    const demoted = previousPairs.filter(pair => !nextPairs.includes(pair));
+    
+    const decision = {
+      timestamp: Date.now(),
+      source: details.source || 'manual',
+      previousPairs,
+      pairs: nextPairs,
+      added,
+      demoted,
+      scores: details.scores || null
+    };
+    
+    if (added.length === 0 && demoted.length === 0) {
+      this.logger.debug('Pair rotation left pairs unchanged', { pairs: nextPairs });
+      await this.redisAPI.storeRotation(decision);
+      return decision;
+    }
+    
+    for (const pair of added) {
+      this.demotedPairs.delete(pair);
+      await this.dataCollector.addPair(pair);
+      await this.redisAPI.addPair(pair);
+    }
+    
+    demoted.forEach(pair => this.demotedPairs.add(pair));
+    this.pairs = nextPairs;
+    this._syncPairs();
+    
+    if (added.length > 0) {
+      await this.signalAggregator.initialize(added);
+      
+      if (this.decisionEngine) {
+        await this.decisionEngine.loadExchangeMinimums(added).catch(error => {
+          this.logger.warn('Exchange minimums unavailable for promoted pairs', { pairs: added, error: error.message });
         });
       }
+      
+      const unmapped = added.filter(pair => !this.instrumentRegistry.hasFutures(pair));
+      if (this.enableFuturesLeadDetection && unmapped.length > 0) {
+        this.logger.warn('No perpetual futures instrument for promoted pairs', { pairs: unmapped });
+      }
+    }
+    
+    if (this.isRunning && !this.correlationTimer && this.dataCollector.pairs.length > 1) {
+      this._startCorrelationTracking();
+    }
+    
+    await this.redisAPI.storeRotation(decision);
+    await this.redisAPI.updateSession({
+      tradingPairs: this.pairs,
+      demotedPairs: Array.from(this.demotedPairs)
+    });
+    
+    this.logger.info('Trading pairs rotated', {
+      source: decision.source,
+      pairs: this.pairs,
+      added,
+      demoted
+    });
+    
+    this.emit('pairsRotated', decision);
+    
+    await this._retireDemotedPairs();
+    
+    return decision;
+  }
+  
+  /**
+   * Start periodic pair rotation from the pair selector
+   * @private
+   */
+  _startPairRotation() {
+    this.rotationTimer = setInterval(() => {
+      this._rotatePairs().catch(error => {
+        this.logger.error('Error rotating pairs', error);
+      });
+    }, this.pairRotationInterval);
+  }
+  
+  /**
+   * Run the pair selector and apply its selection
+   * @private
+   */
+  async _rotatePairs() {
+    if (this.isRotating) return;
+    this.isRotating = true;
+    
+    try {
+      const report = await this.pairSelector.runAnalysis();
+      const selected = report?.selectedPairs || [];
+      
+      if (selected.length === 0) {
+        this.logger.warn('Pair selector returned no pairs, keeping current pairs', { pairs: this.pairs });
+        return;
+      }
+      
+      const scores = Object.fromEntries((report.detailedResults || []).map(result => [result.pair, {
+        finalScore: result.finalScore,
+        edgeScore: result.edgeScore,
+        initialScore: result.initialScore,
+        selected: selected.includes(result.pair)
+      }]));
+      
+      await this.updatePairs(selected, { source: 'pair_selector', scores });
+    } finally {
+      this.isRotating = false;
+    }
+  }
+  
+  /**
+   * Stop collecting demoted pairs once no position, entry or evaluation remains on them
+   * @private
+   */
+  async _retireDemotedPairs() {
+    const inFlight = new Set(this.executionPlanner.getInFlightPairs());
+    
+    for (const pair of this.demotedPairs) {
+      const positions = this.positionManager.pairPositions.get(pair);
+      if (positions?.size > 0 || inFlight.has(pair) || this.evaluatingPairs.has(pair)) continue;
+      
+      this.demotedPairs.delete(pair);
+      this.activeOpportunities.delete(pair);
+      
+      const pending = this.pendingEvaluations.get(pair);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingEvaluations.delete(pair);
+      }
+      
+      await this.dataCollector.removePair(pair);
+      this._syncPairs();
+      await this.redisAPI.removePair(pair);
+      
+      this.logger.info('Demoted pair retired', { pair });
     }
   }
   
@@ -618,10 +1411,9 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
    */
   _cleanupOldOpportunities() {
     const now = Date.now();
-    const maxAge = 30000; // 30 seconds
     
     for (const [pair, opportunity] of this.activeOpportunities) {
-      if (now - opportunity.timestamp > maxAge) {
+      if (now - opportunity.timestamp > CONFIG.INTERVALS.OPPORTUNITY_MAX_AGE) {
         this.activeOpportunities.delete(pair);
       }
     }
@@ -648,7 +1440,18 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
       sessionDuration: Date.now() - this.sessionStartTime,
       opportunitiesDetected: this.opportunitiesDetected,
       tradesExecuted: this.tradesExecuted,
+      positionsClosed: this.positionsClosed,
+      realizedPnL: this.realizedPnL,
       successRate: this.tradesExecuted > 0 ? (this.tradesExecuted / this.opportunitiesDetected) : 0,
+      execution: this.executionEngine.getMetrics(),
+      executionPlanner: this.executionPlanner.getMetrics(),
+      rankingWeights: this.rankingEngine.getWeights(),
+      weightLearning: this.weightLearner?.getDiagnostics() || null,
+      leadEstimation: this.leadEstimator.getStats(),
+      basisFilter: this.signalAggregator.sources.get('futures_lead')?.getStats() || null,
+      risk: this.riskSupervisor.getStatus(),
+      tradingPairs: this.pairs,
+      demotedPairs: Array.from(this.demotedPairs),
       pairPerformance: {}
     };
     
@@ -699,6 +1502,8 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
       status: 'completed',
       totalOpportunities: this.opportunitiesDetected,
       totalTrades: this.tradesExecuted,
+      positionsClosed: this.positionsClosed,
+      realizedPnL: this.realizedPnL,
       finalBalance: await this.exchangeAdapter.fetchBalances()
     };
     
@@ -720,11 +1525,14 @@ export class MultiPairOpportunisticTrader extends EventEmitter {
       if (this.dataCollector) {
         await this.dataCollector.stop();
       }
+      this.instrumentRegistry?.stop();
       
       // Clear intervals
       if (this.mainLoopTimer) clearInterval(this.mainLoopTimer);
+      this._unsubscribeFromMarketUpdates();
       if (this.performanceTimer) clearInterval(this.performanceTimer);
       if (this.correlationTimer) clearInterval(this.correlationTimer);
+      if (this.rotationTimer) clearInterval(this.rotationTimer);
       
       // Clear maps
       this.activeOpportunities.clear();
@@ -9,14 +9,30 @@ dotenv.config();
 import WebSocket from 'ws';
 import { KrakenFuturesWebSocketClient } from '../../lib/exchanges/KrakenFuturesWebSocketClient.js';
 import { LoggerFactory } from '../../utils/logger-factory.js';
+import { InstrumentRegistry } from '../data/InstrumentRegistry.js';
 
 const logger = LoggerFactory.createLogger({ component: 'DebugEdgeValidation' });
 
-const TEST_PAIRS = {
-  'BTC/USD': { spot: 'XBT/USD', futures: 'PF_XBTUSD' },
-  'ETH/USD': { spot: 'ETH/USD', futures: 'PF_ETHUSD' },
-  'SOL/USD': { spot: 'SOL/USD', futures: 'PF_SOLUSD' }
-};
+const PAIRS = ['BTC/USD', 'ETH/USD', 'SOL/USD'];
+
+// Spot WebSocket symbol and futures symbol per pair, resolved from the instrument registry at startup
+const TEST_PAIRS = {};
+
+async function resolveTestPairs() {
+  const registry = new InstrumentRegistry({ refreshInterval: 0, logger });
+  await registry.initialize();
+
+  for (const pair of PAIRS) {
+    const instrument = registry.getInstrument(pair);
+    if (instrument) {
+      TEST_PAIRS[pair] = { spot: instrument.spot.wsName, futures: instrument.futures.symbol };
+    }
+  }
+}
+
+function pairForSymbol(market, symbol) {
+  return Object.keys(TEST_PAIRS).find(pair => TEST_PAIRS[pair][market] === symbol);
+}
 
 const MOVEMENT_THRESHOLD = 0.01; // Lower threshold to catch more movements
 
@@ -194,8 +210,7 @@ class DebugSpotClient {
   }
   
   normalizePair(symbol) {
-    if (symbol === 'XBT/USD') return 'BTC/USD';
-    return symbol;
+    return pairForSymbol('spot', symbol) || symbol;
   }
   
   disconnect() {
@@ -240,10 +255,7 @@ class DebugFuturesClient {
   }
   
   normalizePair(symbol) {
-    if (symbol === 'PF_XBTUSD') return 'BTC/USD';
-    if (symbol === 'PF_ETHUSD') return 'ETH/USD';
-    if (symbol === 'PF_SOLUSD') return 'SOL/USD';
-    return null;
+    return pairForSymbol('futures', symbol) || null;
   }
   
   disconnect() {
@@ -253,6 +265,8 @@ class DebugFuturesClient {
 }
 
 async function debugEdgeValidation() {
+  await resolveTestPairs();
+
   console.log('🔍 Debug Edge Validation - Real Data Analysis\n');
   console.log(`Movement threshold: ${MOVEMENT_THRESHOLD}%`);
   console.log(`Monitoring pairs: ${Object.keys(TEST_PAIRS).join(', ')}\n`);
@@ -18,24 +18,24 @@ import WebSocket from 'ws';
 import { KrakenFuturesWebSocketClient } from '../../lib/exchanges/KrakenFuturesWebSocketClient.js';
 import { KrakenRESTClient } from '../../lib/exchanges/KrakenRESTClient.js';
 import { LoggerFactory } from '../../utils/logger-factory.js';
+import { InstrumentRegistry } from '../data/InstrumentRegistry.js';
 import fs from 'fs';
 
 const logger = LoggerFactory.createLogger({ component: 'DynamicPairSelector' });
 
-// Trading pair mappings between spot and futures
-const PAIR_MAPPINGS = {
-  'BTC/USD': { spot: 'XBT/USD', futures: 'PF_XBTUSD', priority: 10 },
-  'ETH/USD': { spot: 'ETH/USD', futures: 'PF_ETHUSD', priority: 9 },
-  'SOL/USD': { spot: 'SOL/USD', futures: 'PF_SOLUSD', priority: 8 },
-  'ADA/USD': { spot: 'ADA/USD', futures: 'PF_ADAUSD', priority: 7 },
-  'XRP/USD': { spot: 'XRP/USD', futures: 'PF_XRPUSD', priority: 7 },
-  'DOT/USD': { spot: 'DOT/USD', futures: 'PF_DOTUSD', priority: 6 },
-  'UNI/USD': { spot: 'UNI/USD', futures: 'PF_UNIUSD', priority: 6 },
-  'LTC/USD': { spot: 'LTC/USD', futures: 'PF_LTCUSD', priority: 5 },
-  'LINK/USD': { spot: 'LINK/USD', futures: 'PF_LINKUSD', priority: 5 },
-  'MATIC/USD': { spot: 'MATIC/USD', futures: 'PF_MATICUSD', priority: 4 },
-  'ATOM/USD': { spot: 'ATOM/USD', futures: 'PF_ATOMUSD', priority: 4 },
-  'AVAX/USD': { spot: 'AVAX/USD', futures: 'PF_AVAXUSD', priority: 4 }
+// Candidate pairs and their priority; spot/futures symbols come from the instrument registry
+const PAIR_PRIORITIES = {
+  'BTC/USD': 10,
+  'ETH/USD': 9,
+  'SOL/USD': 8,
+  'ADA/USD': 7,
+  'XRP/USD': 7,
+  'DOT/USD': 6,
+  'UNI/USD': 6,
+  'LTC/USD': 5,
+  'LINK/USD': 5,
+  'ATOM/USD': 4,
+  'AVAX/USD': 4
 };
 
 class DynamicPairSelector {
@@ -47,12 +47,14 @@ class DynamicPairSelector {
       maxSpreadBps: 50,       // Maximum spread in basis points
       minVolume24h: 1000000,  // Minimum 24h volume
       targetPairs: 5,         // Target number of pairs to select
+      saveResults: true,      // Write report files after each analysis (off when driving a running trader)
       ...config
     };
     
     this.spotClient = null;
     this.futuresClient = null;
     this.restClient = null;
+    this.instrumentRegistry = config.instrumentRegistry || null;
     
     // Real-time data tracking
     this.pairData = new Map();
@@ -72,9 +74,34 @@ class DynamicPairSelector {
       apiSecret: process.env.KRAKEN_API_SECRET
     });
     
+    this.instrumentRegistry = this.instrumentRegistry || new InstrumentRegistry({
+      spotClient: this.restClient,
+      refreshInterval: 0,
+      logger
+    });
+    await this.instrumentRegistry.initialize();
+    
     logger.info('✅ Clients initialized');
   }
   
+  /**
+   * Spot/futures symbols and priority for candidate pairs that have a perpetual
+   * @returns {Array} [normalizedPair, { spot, restSymbol, futures, priority }] entries
+   */
+  getPairMappings() {
+    return Object.entries(PAIR_PRIORITIES)
+      .filter(([pair]) => this.instrumentRegistry.hasFutures(pair))
+      .map(([pair, priority]) => {
+        const instrument = this.instrumentRegistry.getInstrument(pair);
+        return [pair, {
+          spot: instrument.spot.wsName,
+          restSymbol: instrument.spot.symbol,
+          futures: instrument.futures.symbol,
+          priority
+        }];
+      });
+  }
+  
   /**
    * Get available trading pairs from Kraken
    */
@@ -88,7 +115,7 @@ class DynamicPairSelector {
       const availablePairs = [];
       
       // Filter for USD pairs available in both spot and futures
-      for (const [normalizedPair, mapping] of Object.entries(PAIR_MAPPINGS)) {
+      for (const [normalizedPair, mapping] of this.getPairMappings()) {
         try {
           // Check if spot pair exists
           const spotSymbol = mapping.spot;
@@ -99,6 +126,7 @@ class DynamicPairSelector {
           
           // Check different possible formats
           const possibleSpotFormats = [
+            mapping.restSymbol,
             spotSymbol,
             spotSymbol.replace('/', ''),
             spotSymbol.replace('XBT', 'BTC')
@@ -163,7 +191,7 @@ class DynamicPairSelector {
       logger.error('❌ Failed to get available pairs:', error.message);
       
       // Fallback to default high-priority pairs
-      const fallbackPairs = Object.entries(PAIR_MAPPINGS)
+      const fallbackPairs = this.getPairMappings()
         .filter(([, mapping]) => mapping.priority >= 7)
         .map(([normalizedPair, mapping]) => ({
           normalizedPair,
@@ -565,7 +593,9 @@ class DynamicPairSelector {
       };
       
       // Save results
-      await this.saveResults(report);
+      if (this.config.saveResults) {
+        await this.saveResults(report);
+      }
       
       logger.info('\n✅ Dynamic Pair Selection Complete!');
       logger.info(`⏱️  Execution time: ${report.executionTime}ms`);
@@ -23,6 +23,7 @@ import { MarketRegimeDurationPredictor } from '../../trading-agent/strategy-anal
 import { exchangeFeeService } from '../../trading-agent/utils/exchange-fee-service.js';
 import { KrakenFuturesWebSocketClient } from '../../lib/exchanges/KrakenFuturesWebSocketClient.js';
 import { LoggerFactory } from '../../utils/logger-factory.js';
+import { InstrumentRegistry } from '../data/InstrumentRegistry.js';
 import WebSocket from 'ws';
 import fs from 'fs';
 
@@ -63,6 +64,7 @@ class FuturesEdgeExpectedValueModel {
     };
     
     // State management
+    this.instrumentRegistry = this.config.instrumentRegistry || null;
     this.futuresClient = null;
     this.spotClient = null;
     this.discovery = null;
@@ -91,6 +93,10 @@ class FuturesEdgeExpectedValueModel {
       'BTC/USD', 'ETH/USD', 'XRP/USD', 'ADA/USD', 'LINK/USD'
     ];
     
+    // Spot <-> futures symbol mapping
+    this.instrumentRegistry = this.instrumentRegistry || new InstrumentRegistry({ refreshInterval: 0, logger });
+    await this.instrumentRegistry.initialize();
+    
     // Initialize historical analysis engine
     this.discovery = new DirectionBasedTimeHorizonDiscovery({
       maxPairs: this.selectedPairs.length,
@@ -184,17 +190,9 @@ class FuturesEdgeExpectedValueModel {
     logger.info('📡 Subscribing to data feeds for all pairs...');
     
     // Subscribe to futures
-    const futuresPairs = this.selectedPairs.map(pair => {
-      // Map to futures symbols
-      const mapping = {
-        'BTC/USD': 'PF_XBTUSD',
-        'ETH/USD': 'PF_ETHUSD',
-        'XRP/USD': 'PF_XRPUSD',
-        'ADA/USD': 'PF_ADAUSD',
-        'LINK/USD': 'PF_LINKUSD'
-      };
-      return mapping[pair];
-    }).filter(Boolean);
+    const futuresPairs = this.selectedPairs
+      .map(pair => this.instrumentRegistry.getFuturesSymbol(pair))
+      .filter(Boolean);
     
     await this.futuresClient.subscribe('book', futuresPairs);
     
@@ -202,7 +200,7 @@ class FuturesEdgeExpectedValueModel {
     await new Promise(resolve => setTimeout(resolve, 1000));
     
     for (const pair of this.selectedPairs) {
-      const spotSymbol = pair === 'BTC/USD' ? 'XBT/USD' : pair;
+      const spotSymbol = this.instrumentRegistry.getInstrument(pair)?.spot.wsName || pair;
       const subscribeMsg = {
         method: 'subscribe',
         params: {
@@ -634,19 +632,13 @@ class FuturesEdgeExpectedValueModel {
   }
   
   normalizePairFromFutures(futuresSymbol) {
-    const mapping = {
-      'PF_XBTUSD': 'BTC/USD',
-      'PF_ETHUSD': 'ETH/USD',
-      'PF_XRPUSD': 'XRP/USD',
-      'PF_ADAUSD': 'ADA/USD',
-      'PF_LINKUSD': 'LINK/USD'
-    };
-    return mapping[futuresSymbol] || null;
+    return this.instrumentRegistry.getSpotPair(futuresSymbol);
   }
   
   normalizePairFromSpot(spotSymbol) {
-    if (spotSymbol === 'XBT/USD') return 'BTC/USD';
-    return spotSymbol;
+    const pair = this.selectedPairs.find(candidate =>
+      this.instrumentRegistry.getInstrument(candidate)?.spot.wsName === spotSymbol);
+    return pair || spotSymbol;
   }
   
   async generateTradingReport() {
@@ -10,29 +10,12 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import { KrakenRESTClient } from '../../lib/exchanges/KrakenRESTClient.js';
+import { InstrumentRegistry } from '../data/InstrumentRegistry.js';
 import { LoggerFactory } from '../../utils/logger-factory.js';
 import fs from 'fs';
 
 const logger = LoggerFactory.createLogger({ component: 'IntelligentPairDiscovery' });
 
-// Known futures mappings for filtering
-const FUTURES_MAPPING = {
-  'BTC/USD': 'PF_XBTUSD',
-  'ETH/USD': 'PF_ETHUSD', 
-  'SOL/USD': 'PF_SOLUSD',
-  'XRP/USD': 'PF_XRPUSD',
-  'ADA/USD': 'PF_ADAUSD',
-  'DOT/USD': 'PF_DOTUSD',
-  'UNI/USD': 'PF_UNIUSD',
-  'LTC/USD': 'PF_LTCUSD',
-  'LINK/USD': 'PF_LINKUSD',
-  'MATIC/USD': 'PF_MATICUSD',
-  'ATOM/USD': 'PF_ATOMUSD',
-  'AVAX/USD': 'PF_AVAXUSD',
-  'BCH/USD': 'PF_BCHUSD',
-  'ALGO/USD': 'PF_ALGOUSD'
-};
-
 class IntelligentPairDiscovery {
   constructor(config = {}) {
     this.config = {
@@ -47,6 +30,7 @@ class IntelligentPairDiscovery {
     };
     
     this.krakenClient = null;
+    this.instrumentRegistry = null;
     this.discoveredPairs = [];
     this.selectedPairs = [];
   }
@@ -67,6 +51,14 @@ class IntelligentPairDiscovery {
       }
     });
     
+    // Spot -> perpetual futures mapping discovered from the exchange listings
+    this.instrumentRegistry = new InstrumentRegistry({
+      spotClient: this.krakenClient,
+      refreshInterval: 0,
+      logger
+    });
+    await this.instrumentRegistry.initialize();
+    
     logger.info('✅ Intelligent discovery initialized');
   }
   
@@ -112,8 +104,8 @@ class IntelligentPairDiscovery {
         priceChange24h: pairData.priceChange24h,
         high24h: pairData.high24h,
         low24h: pairData.low24h,
-        hasFutures: FUTURES_MAPPING[pairData.pair] !== undefined,
-        futuresSymbol: FUTURES_MAPPING[pairData.pair] || null,
+        hasFutures: this.instrumentRegistry.hasFutures(pairData.pair),
+        futuresSymbol: this.instrumentRegistry.getFuturesSymbol(pairData.pair),
         // Calculate quality score
         qualityScore: this.calculateQualityScore(pairData)
       }));
@@ -139,7 +131,7 @@ class IntelligentPairDiscovery {
     const activityScore = Math.min(20, priceChange * 4); // 5% change = 20 points
     
     // Futures bonus (0-10 points)
-    const futuresBonus = FUTURES_MAPPING[pairData.pair] ? 10 : 0;
+    const futuresBonus = this.instrumentRegistry.hasFutures(pairData.pair) ? 10 : 0;
     
     return volumeScore + spreadScore + activityScore + futuresBonus;
   }
@@ -201,12 +193,16 @@ class IntelligentPairDiscovery {
     
     // Return the top static pairs as fallback
     const fallbackPairs = [
-      { pair: 'BTC/USD', volume24h: 500000000, spreadBps: 8, hasFutures: true, futuresSymbol: 'PF_XBTUSD', qualityScore: 90 },
-      { pair: 'ETH/USD', volume24h: 300000000, spreadBps: 10, hasFutures: true, futuresSymbol: 'PF_ETHUSD', qualityScore: 85 },
-      { pair: 'SOL/USD', volume24h: 150000000, spreadBps: 15, hasFutures: true, futuresSymbol: 'PF_SOLUSD', qualityScore: 75 },
-      { pair: 'XRP/USD', volume24h: 100000000, spreadBps: 12, hasFutures: true, futuresSymbol: 'PF_XRPUSD', qualityScore: 70 },
-      { pair: 'ADA/USD', volume24h: 80000000, spreadBps: 18, hasFutures: true, futuresSymbol: 'PF_ADAUSD', qualityScore: 65 }
-    ];
+      { pair: 'BTC/USD', volume24h: 500000000, spreadBps: 8, qualityScore: 90 },
+      { pair: 'ETH/USD', volume24h: 300000000, spreadBps: 10, qualityScore: 85 },
+      { pair: 'SOL/USD', volume24h: 150000000, spreadBps: 15, qualityScore: 75 },
+      { pair: 'XRP/USD', volume24h: 100000000, spreadBps: 12, qualityScore: 70 },
+      { pair: 'ADA/USD', volume24h: 80000000, spreadBps: 18, qualityScore: 65 }
+    ].map(pair => ({
+      ...pair,
+      hasFutures: this.instrumentRegistry.hasFutures(pair.pair),
+      futuresSymbol: this.instrumentRegistry.getFuturesSymbol(pair.pair)
+    }));
     
     logger.info('📊 Using curated high-volume pairs:');
     fallbackPairs.forEach((pair, i) => {
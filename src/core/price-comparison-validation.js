@@ -12,14 +12,30 @@ dotenv.config();
 import WebSocket from 'ws';
 import { KrakenFuturesWebSocketClient } from '../../lib/exchanges/KrakenFuturesWebSocketClient.js';
 import { LoggerFactory } from '../../utils/logger-factory.js';
+import { InstrumentRegistry } from '../data/InstrumentRegistry.js';
 
 const logger = LoggerFactory.createLogger({ component: 'PriceComparison' });
 
-const TEST_PAIRS = {
-  'BTC/USD': { spot: 'XBT/USD', futures: 'PF_XBTUSD' },
-  'ETH/USD': { spot: 'ETH/USD', futures: 'PF_ETHUSD' },
-  'SOL/USD': { spot: 'SOL/USD', futures: 'PF_SOLUSD' }
-};
+const PAIRS = ['BTC/USD', 'ETH/USD', 'SOL/USD'];
+
+// Spot WebSocket symbol and futures symbol per pair, resolved from the instrument registry at startup
+const TEST_PAIRS = {};
+
+async function resolveTestPairs() {
+  const registry = new InstrumentRegistry({ refreshInterval: 0, logger });
+  await registry.initialize();
+
+  for (const pair of PAIRS) {
+    const instrument = registry.getInstrument(pair);
+    if (instrument) {
+      TEST_PAIRS[pair] = { spot: instrument.spot.wsName, futures: instrument.futures.symbol };
+    }
+  }
+}
+
+function pairForSymbol(market, symbol) {
+  return Object.keys(TEST_PAIRS).find(pair => TEST_PAIRS[pair][market] === symbol);
+}
 
 class PriceTracker {
   constructor() {
@@ -210,8 +226,7 @@ class LiveSpotClient {
   }
   
   normalizePair(symbol) {
-    if (symbol === 'XBT/USD') return 'BTC/USD';
-    return symbol;
+    return pairForSymbol('spot', symbol) || symbol;
   }
   
   disconnect() {
@@ -246,10 +261,7 @@ class LiveFuturesClient {
   }
   
   normalizePair(symbol) {
-    if (symbol === 'PF_XBTUSD') return 'BTC/USD';
-    if (symbol === 'PF_ETHUSD') return 'ETH/USD';
-    if (symbol === 'PF_SOLUSD') return 'SOL/USD';
-    return null;
+    return pairForSymbol('futures', symbol) || null;
   }
   
   disconnect() {
@@ -258,6 +270,8 @@ class LiveFuturesClient {
 }
 
 async function validatePriceComparison() {
+  await resolveTestPairs();
+
   console.log('📊 Live Price Comparison Validation\n');
   console.log('Real-time analysis of spot vs futures pricing and update frequencies\n');
 
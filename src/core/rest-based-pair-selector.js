@@ -10,27 +10,12 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import { KrakenRESTClient } from '../../lib/exchanges/KrakenRESTClient.js';
+import { InstrumentRegistry } from '../data/InstrumentRegistry.js';
 import { LoggerFactory } from '../../utils/logger-factory.js';
 import fs from 'fs';
 
 const logger = LoggerFactory.createLogger({ component: 'RESTBasedPairSelector' });
 
-// Futures mapping for pairs that have both spot and futures
-const FUTURES_MAPPING = {
-  'BTC/USD': 'PF_XBTUSD',
-  'ETH/USD': 'PF_ETHUSD', 
-  'SOL/USD': 'PF_SOLUSD',
-  'XRP/USD': 'PF_XRPUSD',
-  'ADA/USD': 'PF_ADAUSD',
-  'DOT/USD': 'PF_DOTUSD',
-  'UNI/USD': 'PF_UNIUSD',
-  'LTC/USD': 'PF_LTCUSD',
-  'LINK/USD': 'PF_LINKUSD',
-  'MATIC/USD': 'PF_MATICUSD',
-  'ATOM/USD': 'PF_ATOMUSD',
-  'AVAX/USD': 'PF_AVAXUSD'
-};
-
 class RESTBasedPairSelector {
   constructor(config = {}) {
     this.config = {
@@ -46,6 +31,7 @@ class RESTBasedPairSelector {
     };
     
     this.krakenClient = null;
+    this.instrumentRegistry = null;
     this.results = [];
   }
   
@@ -64,6 +50,14 @@ class RESTBasedPairSelector {
       }
     });
     
+    // Spot -> perpetual futures mapping discovered from the exchange listings
+    this.instrumentRegistry = new InstrumentRegistry({
+      spotClient: this.krakenClient,
+      refreshInterval: 0,
+      logger
+    });
+    await this.instrumentRegistry.initialize();
+    
     logger.info('✅ REST client initialized');
   }
   
@@ -90,7 +84,7 @@ class RESTBasedPairSelector {
       
       for (const pairData of topPairsResult.data) {
         const pair = pairData.pair;
-        const hasFutures = FUTURES_MAPPING[pair] !== undefined;
+        const hasFutures = this.instrumentRegistry.hasFutures(pair);
         
         // Skip if futures required but not available
         if (this.config.requireFutures && !hasFutures) {
@@ -117,7 +111,7 @@ class RESTBasedPairSelector {
         
         eligiblePairs.push({
           pair,
-          futuresSymbol: FUTURES_MAPPING[pair] || null,
+          futuresSymbol: this.instrumentRegistry.getFuturesSymbol(pair),
           hasFutures,
           volume24h,
           spreadBps,
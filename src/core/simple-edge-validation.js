@@ -12,15 +12,31 @@ dotenv.config();
 import WebSocket from 'ws';
 import { KrakenFuturesWebSocketClient } from '../../lib/exchanges/KrakenFuturesWebSocketClient.js';
 import { LoggerFactory } from '../../utils/logger-factory.js';
+import { InstrumentRegistry } from '../data/InstrumentRegistry.js';
 
 const logger = LoggerFactory.createLogger({ component: 'SimpleEdgeValidation' });
 
 // Test configuration
-const TEST_PAIRS = {
-  'BTC/USD': { spot: 'XBT/USD', futures: 'PF_XBTUSD' },
-  'ETH/USD': { spot: 'ETH/USD', futures: 'PF_ETHUSD' },
-  'SOL/USD': { spot: 'SOL/USD', futures: 'PF_SOLUSD' }
-};
+const PAIRS = ['BTC/USD', 'ETH/USD', 'SOL/USD'];
+
+// Spot WebSocket symbol and futures symbol per pair, resolved from the instrument registry at startup
+const TEST_PAIRS = {};
+
+async function resolveTestPairs() {
+  const registry = new InstrumentRegistry({ refreshInterval: 0, logger });
+  await registry.initialize();
+
+  for (const pair of PAIRS) {
+    const instrument = registry.getInstrument(pair);
+    if (instrument) {
+      TEST_PAIRS[pair] = { spot: instrument.spot.wsName, futures: instrument.futures.symbol };
+    }
+  }
+}
+
+function pairForSymbol(market, symbol) {
+  return Object.keys(TEST_PAIRS).find(pair => TEST_PAIRS[pair][market] === symbol);
+}
 
 const VALIDATION_DURATION = 180000; // 3 minutes
 const MOVEMENT_THRESHOLD = 0.03; // 0.03% minimum movement
@@ -271,8 +287,7 @@ class SpotWebSocketClient {
   }
   
   normalizePair(symbol) {
-    if (symbol === 'XBT/USD') return 'BTC/USD';
-    return symbol;
+    return pairForSymbol('spot', symbol) || symbol;
   }
   
   disconnect() {
@@ -308,10 +323,7 @@ class FuturesWebSocketClient {
   }
   
   normalizePair(symbol) {
-    if (symbol === 'PF_XBTUSD') return 'BTC/USD';
-    if (symbol === 'PF_ETHUSD') return 'ETH/USD';
-    if (symbol === 'PF_SOLUSD') return 'SOL/USD';
-    return symbol;
+    return pairForSymbol('futures', symbol) || symbol;
   }
   
   disconnect() {
@@ -321,6 +333,8 @@ class FuturesWebSocketClient {
 }
 
 async function validateFuturesEdge() {
+  await resolveTestPairs();
+
   console.log('🚀 Simple Futures Edge Validation\n');
   console.log(`📋 Test Configuration:`);
   console.log(`  • Pairs: ${Object.keys(TEST_PAIRS).join(', ')}`);
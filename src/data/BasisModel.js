@@ -0,0 +1,210 @@
+/**
+ * BasisModel
+ *
+ * Per-pair model of the perpetual's premium over its reference price, so futures moves can
+ * be told apart from premium that is persistent or drifting:
+ * - Basis is (futures price - reference) / reference in percent; the reference is the
+ *   futures index price when the feed carries one, spot mid otherwise
+ * - Mean and standard deviation are time-decayed (halfLife), so a steady premium becomes
+ *   the mean and only the excess over it (z-score) reads as a lead
+ * - Funding rate, predicted rate and next funding time are tracked; the window around a
+ *   funding time or a funding rate change is flagged, as the premium reprices then
+ * - Open interest change over the movement window tells new positioning (rising) from
+ *   position closing (falling)
+ */
+
+import { CircularBuffer } from '../../lib/utils/circular-buffer.js';
+
+// Kraken perpetuals settle funding every hour
+const FUNDING_INTERVAL = 60 * 60 * 1000;
+
+export const BASIS_REFERENCES = {
+  INDEX: 'index',
+  SPOT: 'spot'
+};
+
+export class BasisModel {
+  /**
+   * @param {Object} [options]
+   * @param {Number} [options.halfLife=300000] - Ms for a basis sample's weight to halve
+   * @param {Number} [options.minSamples=60] - Samples before the model is ready
+   * @param {Number} [options.window=5000] - Ms over which basis and open interest changes are measured
+   * @param {Number} [options.fundingResetWindow=60000] - Ms around a funding time or rate change flagged as a reset
+   * @param {Number} [options.historySize=600] - Samples kept per pair for window lookbacks
+   */
+  constructor(options = {}) {
+    this.halfLife = options.halfLife || 300000;
+    this.minSamples = options.minSamples || 60;
+    this.window = options.window || 5000;
+    this.fundingResetWindow = options.fundingResetWindow || 60000;
+    this.historySize = options.historySize || 600;
+
+    this.states = new Map(); // pair -> model state
+  }
+
+  /**
+   * Add a basis sample
+   * @param {String} pair - Spot trading pair
+   * @param {Object} sample
+   * @param {Number} sample.timestamp - Event time in ms
+   * @param {Number} sample.futuresPrice - Perpetual price
+   * @param {Number} [sample.indexPrice] - Futures index price
+   * @param {Number} [sample.spotPrice] - Spot mid, the reference when no index price is available
+   * @param {Number} [sample.markPrice] - Futures mark price
+   * @param {Number} [sample.openInterest] - Open interest
+   * @param {Number} [sample.fundingRate] - Current funding rate
+   * @param {Number} [sample.fundingRatePrediction] - Predicted next funding rate
+   * @param {Number} [sample.nextFundingTime] - Next funding time in ms
+   */
+  update(pair, sample) {
+    const reference = sample.indexPrice > 0 ? sample.indexPrice : sample.spotPrice;
+    if (!(sample.futuresPrice > 0) || !(reference > 0)) return;
+
+    const state = this._state(pair);
+    const basis = ((sample.futuresPrice - reference) / reference) * 100;
+    const timestamp = sample.timestamp;
+
+    if (state.samples === 0) {
+      state.mean = basis;
+      state.variance = 0;
+    } else {
+      const elapsed = Math.max(0, timestamp - state.updatedAt);
+      const alpha = 1 - Math.exp(-elapsed * Math.LN2 / this.halfLife);
+      const deviation = basis - state.mean;
+      state.mean += alpha * deviation;
+      state.variance = (1 - alpha) * (state.variance + alpha * deviation * deviation);
+    }
+
+    if (Number.isFinite(sample.fundingRate)) {
+      if (state.fundingRate !== null && sample.fundingRate !== state.fundingRate) {
+        state.fundingChangedAt = timestamp;
+      }
+      state.fundingRate = sample.fundingRate;
+    }
+    if (Number.isFinite(sample.fundingRatePrediction)) {
+      state.fundingRatePrediction = sample.fundingRatePrediction;
+    }
+    if (sample.nextFundingTime) {
+      state.nextFundingTime = sample.nextFundingTime;
+    }
+
+    state.samples++;
+    state.updatedAt = timestamp;
+    state.basis = basis;
+    state.reference = sample.indexPrice > 0 ? BASIS_REFERENCES.INDEX : BASIS_REFERENCES.SPOT;
+    state.markBasis = sample.markPrice > 0 ? ((sample.markPrice - reference) / reference) * 100 : null;
+    state.openInterest = sample.openInterest > 0 ? sample.openInterest : state.openInterest;
+    state.history.push({ timestamp, basis, openInterest: state.openInterest });
+  }
+
+  /**
+   * Current basis model for a pair
+   * @param {String} pair - Spot trading pair
+   * @returns {Object|null} { basis, mean, std, zScore, excess, ready, samples, reference, markBasis,
+   *   basisChange, fundingRate, fundingRatePrediction, nextFundingTime, fundingReset,
+   *   openInterest, openInterestChange }
+   */
+  get(pair) {
+    const state = this.states.get(pair);
+    if (!state || state.samples === 0) return null;
+
+    const std = Math.sqrt(state.variance);
+    const excess = state.basis - state.mean;
+    const windowStart = this._sampleAt(state, state.updatedAt - this.window);
+
+    return {
+      basis: state.basis,
+      mean: state.mean,
+      std,
+      zScore: std > 0 ? excess / std : 0,
+      excess,
+      ready: state.samples >= this.minSamples,
+      samples: state.samples,
+      reference: state.reference,
+      markBasis: state.markBasis,
+      basisChange: windowStart ? state.basis - windowStart.basis : 0,
+      fundingRate: state.fundingRate,
+      fundingRatePrediction: state.fundingRatePrediction,
+      nextFundingTime: state.nextFundingTime ?? this._nextFundingTime(state.updatedAt),
+      fundingReset: this._isFundingReset(state),
+      openInterest: state.openInterest,
+      openInterestChange: windowStart?.openInterest > 0 && state.openInterest > 0
+        ? ((state.openInterest - windowStart.openInterest) / windowStart.openInterest) * 100
+        : null
+    };
+  }
+
+  /**
+   * Drop a pair's state
+   * @param {String} pair - Spot trading pair
+   */
+  removePair(pair) {
+    this.states.delete(pair);
+  }
+
+  /**
+   * Whether the latest sample is near a funding time or a funding rate change
+   * @private
+   */
+  _isFundingReset(state) {
+    const now = state.updatedAt;
+
+    if (state.fundingChangedAt !== null && now - state.fundingChangedAt <= this.fundingResetWindow) {
+      return true;
+    }
+
+    const nextFunding = state.nextFundingTime ?? this._nextFundingTime(now);
+    const previousFunding = nextFunding - FUNDING_INTERVAL;
+
+    return nextFunding - now <= this.fundingResetWindow || now - previousFunding <= this.fundingResetWindow;
+  }
+
+  /**
+   * Next hourly funding time when the feed does not report one
+   * @private
+   */
+  _nextFundingTime(timestamp) {
+    return Math.floor(timestamp / FUNDING_INTERVAL) * FUNDING_INTERVAL + FUNDING_INTERVAL;
+  }
+
+  /**
+   * Latest sample at or before a time
+   * @private
+   */
+  _sampleAt(state, timestamp) {
+    const samples = state.history.toArray();
+
+    for (let i = samples.length - 1; i >= 0; i--) {
+      if (samples[i].timestamp <= timestamp) return samples[i];
+    }
+
+    return samples[0] || null;
+  }
+
+  /**
+   * @private
+   */
+  _state(pair) {
+    if (!this.states.has(pair)) {
+      this.states.set(pair, {
+        samples: 0,
+        updatedAt: null,
+        basis: null,
+        mean: 0,
+        variance: 0,
+        reference: null,
+        markBasis: null,
+        openInterest: null,
+        fundingRate: null,
+        fundingRatePrediction: null,
+        nextFundingTime: null,
+        fundingChangedAt: null,
+        history: new CircularBuffer(this.historySize)
+      });
+    }
+
+    return this.states.get(pair);
+  }
+}
+
+export default BasisModel;
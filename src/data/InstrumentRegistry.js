@@ -0,0 +1,376 @@
+/**
+ * InstrumentRegistry
+ *
+ * Spot <-> perpetual futures instrument mapping built from the exchanges' own listings:
+ * - Spot pairs from Kraken AssetPairs, perpetuals (PF_*) from Kraken Futures instruments,
+ *   matched on normalized base/quote assets (XBT -> BTC, XDG -> DOGE)
+ * - Per leg: exchange symbol, tick size, lot size and contract multiplier
+ * - Snapshots are cached in Redis through MultiPairRedisAPI (shared across sessions) and
+ *   refreshed periodically; 'updated' is emitted when the mapping changes
+ *
+ * When discovery fails the last cached snapshot is used, then STATIC_FUTURES_MAP
+ * (symbols only, no tick/lot sizes).
+ */
+
+import { EventEmitter } from 'events';
+import { KrakenRESTClient } from '../../lib/exchanges/KrakenRESTClient.js';
+import { KrakenFuturesRESTClient } from '../../lib/exchanges/KrakenFuturesRESTClient.js';
+
+// Last-resort mapping when neither discovery nor the Redis cache is available
+export const STATIC_FUTURES_MAP = {
+  'BTC/USD': 'PF_XBTUSD',
+  'ETH/USD': 'PF_ETHUSD',
+  'SOL/USD': 'PF_SOLUSD',
+  'XRP/USD': 'PF_XRPUSD',
+  'ADA/USD': 'PF_ADAUSD',
+  'AVAX/USD': 'PF_AVAXUSD',
+  'DOT/USD': 'PF_DOTUSD',
+  'LINK/USD': 'PF_LINKUSD',
+  'LTC/USD': 'PF_LTCUSD',
+  'UNI/USD': 'PF_UNIUSD',
+  'ATOM/USD': 'PF_ATOMUSD',
+  'BCH/USD': 'PF_BCHUSD'
+};
+
+export const INSTRUMENT_SOURCES = {
+  STATIC: 'static',
+  CACHE: 'cache',
+  DISCOVERY: 'discovery'
+};
+
+// Kraken legacy asset codes -> common codes
+const ASSET_ALIASES = {
+  XBT: 'BTC',
+  XDG: 'DOGE'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class InstrumentRegistry extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.spotClient] - KrakenRESTClient (getAssetPairs, created when omitted)
+   * @param {Object} [options.futuresClient] - KrakenFuturesRESTClient (getInstruments, created when omitted)
+   * @param {Object} [options.redisAPI] - MultiPairRedisAPI for the cached snapshot (in-memory only when omitted)
+   * @param {Boolean} [options.discovery=true] - Query the exchanges (false: cache or static table only)
+   * @param {Number} [options.cacheTTL=21600000] - Age in ms after which a cached snapshot is rediscovered
+   * @param {Number} [options.refreshInterval=21600000] - Ms between background refreshes (0 disables)
+   * @param {Array<String>} [options.quoteCurrencies=['USD']] - Quote currencies to map
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super();
+
+    this.discovery = options.discovery !== false;
+    this.spotClient = options.spotClient || null;
+    this.futuresClient = options.futuresClient || null;
+    this.redisAPI = options.redisAPI;
+    this.cacheTTL = options.cacheTTL || 6 * HOUR_MS;
+    this.refreshInterval = options.refreshInterval ?? 6 * HOUR_MS;
+    this.quoteCurrencies = options.quoteCurrencies || ['USD'];
+    this.logger = options.logger;
+
+    this.instruments = new Map(); // spot pair -> instrument
+    this.futuresIndex = new Map(); // futures symbol -> spot pair
+    this.source = null;
+    this.updatedAt = null;
+    this.initialized = false;
+    this.refreshTimer = null;
+
+    // Lookups work before initialize() from the static table
+    this._apply(this._staticInstruments(), INSTRUMENT_SOURCES.STATIC, null);
+  }
+
+  /**
+   * Load the cached snapshot, rediscover when it is missing or older than cacheTTL,
+   * and start background refreshes. Safe to call more than once.
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    const cached = await this._loadCache();
+    if (cached) {
+      this._apply(cached.instruments, INSTRUMENT_SOURCES.CACHE, cached.updatedAt);
+    }
+
+    if (this.discovery && (!cached || Date.now() - cached.updatedAt > this.cacheTTL)) {
+      await this.refresh();
+    }
+
+    if (this.discovery && this.refreshInterval > 0) {
+      this.refreshTimer = setInterval(() => {
+        this.refresh().catch(error => {
+          this.logger?.error('Instrument refresh failed', { error: error.message });
+        });
+      }, this.refreshInterval);
+      this.refreshTimer.unref?.();
+    }
+
+    this.logger?.info('Instrument registry ready', {
+      source: this.source,
+      pairs: this.instruments.size
+    });
+  }
+
+  /**
+   * Rediscover instruments from the exchanges and cache the snapshot
+   * Keeps the current mapping when discovery fails or finds nothing.
+   * @returns {Promise<Boolean>} True if the mapping was replaced
+   */
+  async refresh() {
+    let instruments;
+
+    try {
+      instruments = await this._discover();
+    } catch (error) {
+      this.logger?.warn('Instrument discovery failed, keeping current mapping', {
+        source: this.source,
+        error: error.message
+      });
+      return false;
+    }
+
+    if (instruments.length === 0) {
+      this.logger?.warn('Instrument discovery found no spot/perpetual pairs, keeping current mapping');
+      return false;
+    }
+
+    const updatedAt = Date.now();
+    this._apply(instruments, INSTRUMENT_SOURCES.DISCOVERY, updatedAt);
+
+    try {
+      await this.redisAPI?.storeInstrumentSnapshot({ updatedAt, instruments });
+    } catch (error) {
+      this.logger?.warn('Failed to cache instrument snapshot', { error: error.message });
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop background refreshes
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Instrument details for a spot pair
+   * @param {String} pair - Spot pair, e.g. 'BTC/USD'
+   * @returns {Object|null} { pair, base, quote, spot: {...}, futures: {...} }; each leg has
+   *   symbol, tickSize, lotSize and contractMultiplier (sizes are null from the static table)
+   */
+  getInstrument(pair) {
+    return this.instruments.get(pair) || null;
+  }
+
+  /**
+   * Perpetual futures symbol for a spot pair
+   * @param {String} pair - Spot pair
+   * @returns {String|null} Futures symbol, e.g. 'PF_XBTUSD'
+   */
+  getFuturesSymbol(pair) {
+    return this.instruments.get(pair)?.futures.symbol || null;
+  }
+
+  /**
+   * Spot pair for a perpetual futures symbol
+   * @param {String} symbol - Futures symbol
+   * @returns {String|null} Spot pair
+   */
+  getSpotPair(symbol) {
+    return this.futuresIndex.get(symbol) || null;
+  }
+
+  /**
+   * @param {String} pair - Spot pair
+   * @returns {Boolean} True if the pair has a perpetual futures market
+   */
+  hasFutures(pair) {
+    return this.instruments.has(pair);
+  }
+
+  /**
+   * Spot pairs with a perpetual futures market
+   * @returns {Array<String>} Pairs
+   */
+  getPairs() {
+    return Array.from(this.instruments.keys());
+  }
+
+  /**
+   * Spot pair -> futures symbol map
+   * @param {Array<String>} [pairs] - Restrict to these pairs (default: all)
+   * @returns {Object} Map keyed by spot pair
+   */
+  getFuturesMap(pairs = null) {
+    const map = {};
+    for (const pair of pairs || this.instruments.keys()) {
+      const symbol = this.getFuturesSymbol(pair);
+      if (symbol) map[pair] = symbol;
+    }
+    return map;
+  }
+
+  /**
+   * @returns {Object} { source, updatedAt, pairs }
+   */
+  getStatus() {
+    return {
+      source: this.source,
+      updatedAt: this.updatedAt,
+      pairs: this.instruments.size
+    };
+  }
+
+  /**
+   * Match online spot pairs with tradeable perpetuals
+   * @private
+   */
+  async _discover() {
+    this.spotClient = this.spotClient || new KrakenRESTClient({ logger: this.logger });
+    this.futuresClient = this.futuresClient || new KrakenFuturesRESTClient({ logger: this.logger });
+
+    const [assetPairs, futures] = await Promise.all([
+      this.spotClient.getAssetPairs(),
+      this.futuresClient.getInstruments()
+    ]);
+
+    const spotLegs = new Map();
+    for (const [symbol, info] of Object.entries(assetPairs.result || {})) {
+      // Dark pool and other non-streamed pairs have no wsname
+      if (!info.wsname || (info.status && info.status !== 'online')) continue;
+
+      const [base, quote] = info.wsname.split('/').map(normalizeAsset);
+      if (!this.quoteCurrencies.includes(quote)) continue;
+
+      spotLegs.set(`${base}/${quote}`, {
+        symbol,
+        wsName: info.wsname,
+        tickSize: parseFloat(info.tick_size) || decimalsToStep(info.pair_decimals),
+        lotSize: decimalsToStep(info.lot_decimals),
+        contractMultiplier: info.lot_multiplier || 1,
+        minOrderSize: parseFloat(info.ordermin) || null,
+        minCost: parseFloat(info.costmin) || null
+      });
+    }
+
+    const instruments = [];
+    for (const inst of futures.instruments || []) {
+      if (!inst.symbol?.startsWith('PF_') || inst.tradeable === false) continue;
+
+      const assets = this._perpetualAssets(inst);
+      if (!assets) continue;
+
+      const pair = `${assets.base}/${assets.quote}`;
+      const spot = spotLegs.get(pair);
+      if (!spot) continue;
+
+      instruments.push({
+        pair,
+        base: assets.base,
+        quote: assets.quote,
+        spot,
+        futures: {
+          symbol: inst.symbol,
+          tickSize: inst.tickSize || null,
+          lotSize: Number.isFinite(inst.contractValueTradePrecision)
+            ? decimalsToStep(inst.contractValueTradePrecision)
+            : null,
+          contractMultiplier: inst.contractSize || 1,
+          maxPositionSize: inst.maxPositionSize || null
+        }
+      });
+    }
+
+    return instruments;
+  }
+
+  /**
+   * Base/quote of a perpetual from the instrument fields, or parsed from PF_<BASE><QUOTE>
+   * @private
+   */
+  _perpetualAssets(inst) {
+    if (inst.base && inst.quote) {
+      return { base: normalizeAsset(inst.base), quote: normalizeAsset(inst.quote) };
+    }
+
+    const body = inst.symbol.slice(3);
+    const quote = this.quoteCurrencies.find(currency => body.endsWith(currency) && body.length > currency.length);
+    if (!quote) return null;
+
+    return { base: normalizeAsset(body.slice(0, -quote.length)), quote };
+  }
+
+  /**
+   * @private
+   */
+  async _loadCache() {
+    if (!this.redisAPI) return null;
+
+    try {
+      const snapshot = await this.redisAPI.getInstrumentSnapshot();
+      return snapshot?.instruments?.length ? snapshot : null;
+    } catch (error) {
+      this.logger?.warn('Failed to load cached instruments', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _staticInstruments() {
+    return Object.entries(STATIC_FUTURES_MAP).map(([pair, symbol]) => {
+      const [base, quote] = pair.split('/');
+      return {
+        pair,
+        base,
+        quote,
+        spot: { symbol: pair, wsName: pair, tickSize: null, lotSize: null, contractMultiplier: 1 },
+        futures: { symbol, tickSize: null, lotSize: null, contractMultiplier: 1 }
+      };
+    });
+  }
+
+  /**
+   * Replace the mapping and emit 'updated' with the pairs added and removed
+   * @private
+   */
+  _apply(instruments, source, updatedAt) {
+    const previous = this.getFuturesMap();
+
+    this.instruments = new Map(instruments.map(instrument => [instrument.pair, instrument]));
+    this.futuresIndex = new Map(instruments.map(instrument => [instrument.futures.symbol, instrument.pair]));
+    this.source = source;
+    this.updatedAt = updatedAt;
+
+    const current = this.getFuturesMap();
+    const changed = Object.keys(current).filter(pair => previous[pair] !== current[pair]);
+    const removed = Object.keys(previous).filter(pair => !current[pair]);
+
+    if (changed.length > 0 || removed.length > 0) {
+      this.logger?.info('Instrument mapping updated', { source, pairs: this.instruments.size, changed, removed });
+      this.emit('updated', { source, changed, removed });
+    }
+  }
+}
+
+function normalizeAsset(asset) {
+  const code = String(asset).toUpperCase();
+  return ASSET_ALIASES[code] || code;
+}
+
+// Smallest increment for a number of decimals (negative decimals give multiples of 10),
+// or null when the decimals are missing
+function decimalsToStep(decimals) {
+  if (decimals === null || decimals === '' || !Number.isFinite(Number(decimals))) return null;
+  return decimals >= 0 ? 1 / Math.pow(10, decimals) : Math.pow(10, -decimals);
+}
+
+export default InstrumentRegistry;
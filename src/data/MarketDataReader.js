@@ -0,0 +1,198 @@
+/**
+ * MarketDataReader
+ *
+ * Reads market data written by MarketDataRecorder (or hand-made files in the same format)
+ * and yields events from all files merged in receive-time order.
+ *
+ * Files are streamed, not loaded: each file is assumed to be in receive order (as the recorder
+ * writes it) and the reader merges the heads of all files. Ties on receive time are broken by
+ * file order then line order, so the sequence is stable across runs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+
+export class MarketDataReader {
+  /**
+   * @param {Object} options
+   * @param {Array<String>} options.files - JSONL files or directories (searched recursively)
+   * @param {Array<String>} [options.pairs] - Only yield events for these spot pairs
+   * @param {Array<String>} [options.venues] - Only yield events for these venues ('spot', 'futures')
+   * @param {Array<String>} [options.types] - Only yield these event types
+   * @param {Number} [options.startTime] - Skip events received before this time (ms)
+   * @param {Number} [options.endTime] - Skip events received at or after this time (ms)
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.files = options.files || [];
+    this.pairs = options.pairs ? new Set(options.pairs) : null;
+    this.venues = options.venues ? new Set(options.venues) : null;
+    this.types = options.types ? new Set(options.types) : null;
+    this.startTime = options.startTime ?? -Infinity;
+    this.endTime = options.endTime ?? Infinity;
+    this.logger = options.logger;
+  }
+
+  /**
+   * List the files that will be read, in merge order
+   * @returns {Array<String>} File paths
+   */
+  listFiles() {
+    const files = [];
+
+    for (const entry of this.files) {
+      if (fs.statSync(entry).isDirectory()) {
+        files.push(...this._walk(entry));
+      } else {
+        files.push(entry);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Yield events from all files merged in receive-time order
+   * @returns {AsyncGenerator<Object>} Normalized events
+   */
+  async *events() {
+    const files = this.listFiles();
+    const sources = [];
+
+    try {
+      for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+        const lines = this._readLines(files[fileIndex]);
+        const source = {
+          file: files[fileIndex],
+          lines,
+          iterator: lines[Symbol.asyncIterator](),
+          lineIndex: 0,
+          head: null
+        };
+
+        await this._advance(source);
+        if (source.head) sources.push(source);
+      }
+
+      this.logger?.info('Reading recorded market data', { files: files.length });
+
+      while (sources.length > 0) {
+        // Few files are open at once, so a linear scan for the earliest head is enough
+        let earliest = 0;
+        for (let i = 1; i < sources.length; i++) {
+          if (sources[i].head.receiveTs < sources[earliest].head.receiveTs) {
+            earliest = i;
+          }
+        }
+
+        const source = sources[earliest];
+        yield source.head;
+
+        await this._advance(source);
+        if (!source.head) {
+          sources.splice(earliest, 1);
+        }
+      }
+    } finally {
+      sources.forEach(source => source.lines.close());
+    }
+  }
+
+  /**
+   * Validate and normalize a raw event
+   * @param {Object} raw - Parsed JSON line
+   * @returns {Object|null} Normalized event or null if unusable
+   */
+  normalizeEvent(raw) {
+    const receiveTs = Number(raw.receiveTs ?? raw.ts);
+    if (!Number.isFinite(receiveTs) || !raw.pair || !raw.venue || !raw.type) {
+      return null;
+    }
+
+    return {
+      ...raw,
+      receiveTs,
+      exchangeTs: raw.exchangeTs != null ? Number(raw.exchangeTs) : null
+    };
+  }
+
+  /**
+   * Move a source to its next event that passes the filters
+   * @private
+   */
+  async _advance(source) {
+    source.head = null;
+
+    while (true) {
+      const { value: line, done } = await source.iterator.next();
+      if (done) return;
+
+      source.lineIndex++;
+      if (!line.trim()) continue;
+
+      let event;
+      try {
+        event = this.normalizeEvent(JSON.parse(line));
+      } catch (error) {
+        this.logger?.warn('Skipping malformed event', {
+          file: source.file,
+          line: source.lineIndex,
+          error: error.message
+        });
+        continue;
+      }
+
+      if (event && this._matches(event)) {
+        source.head = event;
+        return;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _matches(event) {
+    if (this.pairs && !this.pairs.has(event.pair)) return false;
+    if (this.venues && !this.venues.has(event.venue)) return false;
+    if (this.types && !this.types.has(event.type)) return false;
+    return event.receiveTs >= this.startTime && event.receiveTs < this.endTime;
+  }
+
+  /**
+   * Recursively collect JSONL files under a directory (sorted by path)
+   * @private
+   */
+  _walk(dir) {
+    const files = [];
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        files.push(...this._walk(fullPath));
+      } else if (entry.name.endsWith('.jsonl') || entry.name.endsWith('.jsonl.gz')) {
+        files.push(fullPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Stream lines from a plain or gzipped file
+   * @private
+   */
+  _readLines(file) {
+    let input = fs.createReadStream(file);
+    if (file.endsWith('.gz')) {
+      input = input.pipe(zlib.createGunzip());
+    }
+
+    return readline.createInterface({ input, crlfDelay: Infinity });
+  }
+}
+
+export default MarketDataReader;
@@ -0,0 +1,489 @@
+/**
+ * MarketDataRecorder
+ *
+ * Captures the Kraken spot order book feed (exchange adapter `orderBookUpdate` / `trade` events,
+ * the same feed MultiPairDataCollector subscribes to) and the Kraken Futures WebSocket feed
+ * (book, ticker, trade) into replayable files:
+ *
+ *   <outputDir>/<BASE-QUOTE>/<YYYY-MM-DDTHH>.jsonl.gz   (one gzip JSONL file per pair per UTC hour)
+ *
+ * Each line is one normalized event:
+ *
+ *   { "receiveTs": 1700000000123, "exchangeTs": 1700000000100, "venue": "spot" | "futures",
+ *     "type": "book_snapshot" | "book_delta" | "ticker" | "trade", "pair": "BTC/USD", "symbol": "PF_XBTUSD", ... }
+ *
+ * - `receiveTs` is local receive time, `exchangeTs` the exchange's own timestamp (null when absent),
+ *   so futures-lead latency can be measured separately from transport delay
+ * - Both feeds publish full books, so the recorder diffs against the last written book and stores
+ *   deltas ([price, 0] removes a level), with a full snapshot at the start of every file and every
+ *   snapshotInterval
+ * - `pair` is always the spot pair, also for futures events
+ *
+ * Files are read back with MarketDataReader.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { EventEmitter } from 'events';
+import { LoggerFactory } from '../../utils/logger-factory.js';
+import { KrakenFuturesWebSocketClient } from '../../lib/exchanges/KrakenFuturesWebSocketClient.js';
+import { InstrumentRegistry } from './InstrumentRegistry.js';
+
+export const EVENT_TYPES = {
+  BOOK_SNAPSHOT: 'book_snapshot',
+  BOOK_DELTA: 'book_delta',
+  TICKER: 'ticker',
+  TRADE: 'trade'
+};
+
+export const VENUES = {
+  SPOT: 'spot',
+  FUTURES: 'futures'
+};
+
+const FUTURES_FEEDS = ['book', 'ticker', 'trade'];
+
+export class MarketDataRecorder extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Array<String>} options.pairs - Spot pairs to record
+   * @param {String} options.outputDir - Root directory for recorded files
+   * @param {Object} [options.exchangeAdapter] - Spot exchange adapter emitting orderBookUpdate/trade
+   * @param {Object} [options.futuresClient] - KrakenFuturesWebSocketClient (created when omitted)
+   * @param {Boolean} [options.enableFutures=true] - Record the futures feed
+   * @param {Object} [options.futuresSymbols] - Spot pair -> futures symbol map (overrides the registry)
+   * @param {Object} [options.instrumentRegistry] - InstrumentRegistry for the futures mapping (created when omitted)
+   * @param {Number} [options.bookDepth=25] - Levels recorded per side
+   * @param {Number} [options.snapshotInterval=60000] - Ms between full book snapshots
+   * @param {Number} [options.flushInterval=5000] - Ms between gzip flushes to disk
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.pairs || options.pairs.length === 0) {
+      throw new Error('pairs are required for recording');
+    }
+
+    if (!options.outputDir) {
+      throw new Error('outputDir is required for recording');
+    }
+
+    this.pairs = options.pairs;
+    this.outputDir = options.outputDir;
+    this.exchangeAdapter = options.exchangeAdapter;
+    this.enableFutures = options.enableFutures !== false;
+    this.bookDepth = options.bookDepth || 25;
+    this.snapshotInterval = options.snapshotInterval || 60000;
+    this.flushInterval = options.flushInterval || 5000;
+
+    this.logger = options.logger || LoggerFactory.createLogger({
+      component: 'MarketDataRecorder'
+    });
+
+    // Futures symbol <-> spot pair mapping for the recorded pairs, resolved in start()
+    this.futuresSymbolOverrides = options.futuresSymbols || null;
+    this.instrumentRegistry = options.instrumentRegistry || null;
+    this.futuresSymbols = new Map();
+    this.futuresPairs = new Map();
+
+    this.futuresClient = null;
+    this.ownsFuturesClient = false;
+    if (this.enableFutures) {
+      this.futuresClient = options.futuresClient || new KrakenFuturesWebSocketClient({
+        logger: this.logger.createChild('FuturesWS')
+      });
+      this.ownsFuturesClient = !options.futuresClient;
+    }
+
+    this.writers = new Map(); // pair -> { hourKey, file, gzip, output }
+    this.lastBooks = new Map(); // "venue:pair" -> { bids: Map, asks: Map, snapshotTs }
+    this.pendingCloses = new Set();
+    this.handlers = null;
+    this.flushTimer = null;
+    this.isRecording = false;
+
+    this.stats = {
+      events: 0,
+      snapshots: 0,
+      deltas: 0,
+      trades: 0,
+      tickers: 0,
+      files: 0
+    };
+  }
+
+  /**
+   * Attach to the spot feed, connect/subscribe the futures feed and start writing
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.isRecording) {
+      this.logger.warn('Recorder already running');
+      return;
+    }
+
+    if (this.futuresClient) {
+      await this._mapFuturesSymbols();
+    }
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    this.isRecording = true;
+
+    this.handlers = {
+      spotBook: data => this._recordBook(VENUES.SPOT, data.symbol || data.pair, data),
+      spotTrade: data => this._recordTrade(VENUES.SPOT, data.symbol || data.pair, data),
+      futuresBook: data => this._recordBook(VENUES.FUTURES, this.futuresPairs.get(data.symbol), data),
+      futuresTicker: data => this._recordTicker(this.futuresPairs.get(data.symbol), data),
+      futuresTrade: data => this._recordTrade(VENUES.FUTURES, this.futuresPairs.get(data.symbol), data)
+    };
+
+    if (this.exchangeAdapter) {
+      this.exchangeAdapter.on('orderBookUpdate', this.handlers.spotBook);
+      this.exchangeAdapter.on('trade', this.handlers.spotTrade);
+    } else {
+      this.logger.warn('No exchange adapter provided, spot data will not be recorded');
+    }
+
+    if (this.futuresClient && this.futuresSymbols.size > 0) {
+      this.futuresClient.on('orderBookUpdate', this.handlers.futuresBook);
+      this.futuresClient.on('tickerUpdate', this.handlers.futuresTicker);
+      this.futuresClient.on('tradeUpdate', this.handlers.futuresTrade);
+
+      if (!this.futuresClient.isPublicConnected) {
+        await this.futuresClient.connect(false);
+      }
+
+      const symbols = Array.from(this.futuresSymbols.values());
+      for (const feed of FUTURES_FEEDS) {
+        await this.futuresClient.subscribe(feed, symbols);
+      }
+    }
+
+    this.flushTimer = setInterval(() => this._flushAll(), this.flushInterval);
+
+    this.logger.info('Market data recording started', {
+      pairs: this.pairs,
+      futuresSymbols: Object.fromEntries(this.futuresSymbols),
+      outputDir: this.outputDir
+    });
+  }
+
+  /**
+   * Detach from both feeds and close all open files
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.exchangeAdapter) {
+      this.exchangeAdapter.off('orderBookUpdate', this.handlers.spotBook);
+      this.exchangeAdapter.off('trade', this.handlers.spotTrade);
+    }
+
+    if (this.futuresClient && this.futuresSymbols.size > 0) {
+      this.futuresClient.off('orderBookUpdate', this.handlers.futuresBook);
+      this.futuresClient.off('tickerUpdate', this.handlers.futuresTicker);
+      this.futuresClient.off('tradeUpdate', this.handlers.futuresTrade);
+
+      if (this.ownsFuturesClient) {
+        this.futuresClient.disconnect();
+      }
+    }
+
+    for (const pair of Array.from(this.writers.keys())) {
+      this._closeWriter(pair);
+    }
+    await Promise.all(this.pendingCloses);
+
+    this.lastBooks.clear();
+
+    this.logger.info('Market data recording stopped', this.getStats());
+  }
+
+  /**
+   * Get recording statistics
+   * @returns {Object} Counters and currently open files
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      openFiles: Array.from(this.writers.values()).map(writer => writer.file)
+    };
+  }
+
+  /**
+   * Get the file a pair's events for a given time are written to
+   * @param {String} pair - Spot pair
+   * @param {Number} timestamp - Receive time (ms)
+   * @returns {String} File path
+   */
+  getFilePath(pair, timestamp) {
+    return path.join(this.outputDir, pair.replace('/', '-'), `${this._hourKey(timestamp)}.jsonl.gz`);
+  }
+
+  /**
+   * Resolve futures symbols for the recorded pairs from the overrides or the instrument registry
+   * @private
+   */
+  async _mapFuturesSymbols() {
+    let futuresSymbols = this.futuresSymbolOverrides;
+
+    if (!futuresSymbols) {
+      this.instrumentRegistry = this.instrumentRegistry || new InstrumentRegistry({
+        refreshInterval: 0,
+        logger: this.logger.createChild('Instruments')
+      });
+      await this.instrumentRegistry.initialize();
+      futuresSymbols = this.instrumentRegistry.getFuturesMap(this.pairs);
+    }
+
+    this.futuresSymbols.clear();
+    this.futuresPairs.clear();
+    for (const pair of this.pairs) {
+      const symbol = futuresSymbols[pair];
+      if (symbol) {
+        this.futuresSymbols.set(pair, symbol);
+        this.futuresPairs.set(symbol, pair);
+      }
+    }
+
+    if (this.futuresSymbols.size === 0) {
+      this.logger.warn('No futures instruments for the recorded pairs, futures data will not be recorded');
+    }
+  }
+
+  /**
+   * Record a full book update as a snapshot or a delta against the last written book
+   * @private
+   */
+  _recordBook(venue, pair, data) {
+    if (!pair || !this.pairs.includes(pair)) return;
+
+    const receiveTs = Date.now();
+    this._ensureWriter(pair, receiveTs);
+
+    const key = `${venue}:${pair}`;
+    const bids = this._toLevels(data.bids, false);
+    const asks = this._toLevels(data.asks, true);
+    const previous = this.lastBooks.get(key);
+    const isSnapshot = !previous || receiveTs - previous.snapshotTs >= this.snapshotInterval;
+
+    const event = {
+      receiveTs,
+      exchangeTs: this._toTimestamp(data.timestamp),
+      venue,
+      type: isSnapshot ? EVENT_TYPES.BOOK_SNAPSHOT : EVENT_TYPES.BOOK_DELTA,
+      pair,
+      symbol: data.symbol
+    };
+
+    if (isSnapshot) {
+      event.bids = bids;
+      event.asks = asks;
+    } else {
+      event.bids = this._diffLevels(previous.bids, bids);
+      event.asks = this._diffLevels(previous.asks, asks);
+      if (event.bids.length === 0 && event.asks.length === 0) return;
+    }
+
+    this.lastBooks.set(key, {
+      bids: new Map(bids),
+      asks: new Map(asks),
+      snapshotTs: isSnapshot ? receiveTs : previous.snapshotTs
+    });
+
+    this._write(pair, event);
+    this.stats[isSnapshot ? 'snapshots' : 'deltas']++;
+  }
+
+  /**
+   * @private
+   */
+  _recordTrade(venue, pair, data) {
+    if (!pair || !this.pairs.includes(pair)) return;
+
+    const receiveTs = Date.now();
+    this._ensureWriter(pair, receiveTs);
+
+    this._write(pair, {
+      receiveTs,
+      exchangeTs: this._toTimestamp(data.timestamp),
+      venue,
+      type: EVENT_TYPES.TRADE,
+      pair,
+      symbol: data.symbol,
+      price: data.price,
+      qty: data.size ?? data.qty,
+      side: data.side,
+      tradeId: data.tradeId ?? null
+    });
+    this.stats.trades++;
+  }
+
+  /**
+   * @private
+   */
+  _recordTicker(pair, data) {
+    if (!pair || !this.pairs.includes(pair)) return;
+
+    const receiveTs = Date.now();
+    this._ensureWriter(pair, receiveTs);
+
+    this._write(pair, {
+      receiveTs,
+      exchangeTs: this._toTimestamp(data.timestamp),
+      venue: VENUES.FUTURES,
+      type: EVENT_TYPES.TICKER,
+      pair,
+      symbol: data.symbol,
+      last: data.last,
+      bid: data.bid,
+      ask: data.ask,
+      volume: data.volume,
+      markPrice: data.markPrice,
+      indexPrice: data.indexPrice,
+      openInterest: data.openInterest,
+      fundingRate: data.fundingRate,
+      fundingRatePrediction: data.fundingRatePrediction,
+      nextFundingTime: data.nextFundingTime
+    });
+    this.stats.tickers++;
+  }
+
+  /**
+   * Open the pair's file for the current hour, rotating out the previous one.
+   * A new file starts with fresh book snapshots so every file replays on its own.
+   * @private
+   */
+  _ensureWriter(pair, receiveTs) {
+    const hourKey = this._hourKey(receiveTs);
+    const current = this.writers.get(pair);
+    if (current && current.hourKey === hourKey) return current;
+
+    if (current) {
+      this._closeWriter(pair);
+      this.emit('fileRotated', { pair, file: current.file });
+    }
+
+    for (const venue of Object.values(VENUES)) {
+      this.lastBooks.delete(`${venue}:${pair}`);
+    }
+
+    const file = this.getFilePath(pair, receiveTs);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    // Append: gzip members concatenate, so a restarted recorder can continue the same hour
+    const output = fs.createWriteStream(file, { flags: 'a' });
+    const gzip = zlib.createGzip();
+    gzip.pipe(output);
+
+    const onError = error => this.logger.error('Recording file error', { file, error: error.message });
+    gzip.on('error', onError);
+    output.on('error', onError);
+
+    const writer = { hourKey, file, gzip, output };
+    this.writers.set(pair, writer);
+    this.stats.files++;
+
+    this.logger.debug('Opened recording file', { pair, file });
+    return writer;
+  }
+
+  /**
+   * @private
+   */
+  _closeWriter(pair) {
+    const writer = this.writers.get(pair);
+    if (!writer) return;
+
+    this.writers.delete(pair);
+
+    const closed = new Promise(resolve => {
+      writer.output.once('close', resolve);
+      writer.output.once('error', resolve);
+    });
+    this.pendingCloses.add(closed);
+    closed.then(() => this.pendingCloses.delete(closed));
+
+    writer.gzip.end();
+  }
+
+  /**
+   * @private
+   */
+  _write(pair, event) {
+    const writer = this.writers.get(pair);
+    writer.gzip.write(JSON.stringify(event) + '\n');
+    this.stats.events++;
+  }
+
+  /**
+   * Flush buffered gzip output so a crash loses at most one flush interval
+   * @private
+   */
+  _flushAll() {
+    for (const writer of this.writers.values()) {
+      writer.gzip.flush();
+    }
+  }
+
+  /**
+   * Normalize [[price, qty]] arrays or { price, size|qty } objects to sorted, depth-limited numbers
+   * @private
+   */
+  _toLevels(levels = [], ascending) {
+    return levels
+      .map(level => Array.isArray(level)
+        ? [parseFloat(level[0]), parseFloat(level[1])]
+        : [parseFloat(level.price), parseFloat(level.size ?? level.qty)])
+      .filter(([price, qty]) => Number.isFinite(price) && qty > 0)
+      .sort((a, b) => ascending ? a[0] - b[0] : b[0] - a[0])
+      .slice(0, this.bookDepth);
+  }
+
+  /**
+   * Levels that changed since the previous book, with [price, 0] for removed levels
+   * @private
+   */
+  _diffLevels(previous, levels) {
+    const changes = [];
+    const current = new Map(levels);
+
+    for (const [price, qty] of levels) {
+      if (previous.get(price) !== qty) changes.push([price, qty]);
+    }
+
+    for (const price of previous.keys()) {
+      if (!current.has(price)) changes.push([price, 0]);
+    }
+
+    return changes;
+  }
+
+  /**
+   * @private
+   */
+  _toTimestamp(value) {
+    if (value == null) return null;
+    const timestamp = typeof value === 'number' ? value : new Date(value).getTime();
+    return Number.isFinite(timestamp) ? timestamp : null;
+  }
+
+  /**
+   * UTC hour bucket, e.g. "2024-01-15T13"
+   * @private
+   */
+  _hourKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 13);
+  }
+}
+
+export default MarketDataRecorder;
@@ -5,24 +5,19 @@
  * - Real-time orderbook data from spot markets
  * - Futures market data for lead detection
  * - Price history tracking for movement analysis
+ * - Time-bucketed OHLC bars of the spot mid (barInterval) for volatility estimates
  * - Correlation data between pairs
+ *
+ * Emits 'spotUpdate' and 'futuresUpdate' ({ pair, price, timestamp }) as each pair's data changes.
  */
 
 import { EventEmitter } from 'events';
 import OrderBookBufferManager from '../../lib/utils/order-book-buffer-manager.js';
 import { KrakenFuturesRESTClient } from '../../lib/exchanges/KrakenFuturesRESTClient.js';
+import { KrakenFuturesWebSocketClient } from '../../lib/exchanges/KrakenFuturesWebSocketClient.js';
 import { CircularBuffer } from '../../lib/utils/circular-buffer.js';
-
-const FUTURES_PAIRS_MAP = {
-  'BTC/USD': 'PF_XBTUSD',
-  'ETH/USD': 'PF_ETHUSD',
-  'SOL/USD': 'PF_SOLUSD',
-  'XRP/USD': 'PF_XRPUSD',
-  'MATIC/USD': 'PF_MATICUSD',
-  'AVAX/USD': 'PF_AVAXUSD',
-  'DOT/USD': 'PF_DOTUSD',
-  'LINK/USD': 'PF_LINKUSD'
-};
+import { InstrumentRegistry } from './InstrumentRegistry.js';
+import { BasisModel } from './BasisModel.js';
 
 export class MultiPairDataCollector extends EventEmitter {
   /**
@@ -31,28 +26,58 @@ export class MultiPairDataCollector extends EventEmitter {
    * @param {String} options.exchange - Exchange name
    * @param {Object} options.exchangeAdapter - Exchange adapter for WebSocket data
    * @param {Boolean} options.enableFutures - Enable futures data collection
+   * @param {Boolean} options.enableTimers - Run internal polling/correlation timers (disable when an
+   *   external driver such as the backtest runner feeds futures data and refreshes correlations)
+   * @param {Object} options.futuresWsClient - KrakenFuturesWebSocketClient for streaming futures data (created when omitted)
+   * @param {Number} options.futuresStaleThreshold - Ms without a futures message before a pair's feed is stale (default: 5000)
+   * @param {Number} options.futuresRestInterval - REST fallback polling interval in ms while the socket is down (default: 1000)
+   * @param {Object} options.instrumentRegistry - InstrumentRegistry for the spot -> futures mapping (created when omitted)
+   * @param {Object} options.basis - Overrides for BasisModel (halfLife, minSamples, window, fundingResetWindow)
+   * @param {Number} options.barInterval - Spot OHLC bar length in ms (default: 30000)
+   * @param {Number} options.barHistorySize - Completed spot bars kept per pair (default: 120)
    * @param {Object} options.logger - Logger instance
    */
   constructor(options = {}) {
     super();
     
-    this.pairs = options.pairs || [];
+    this.pairs = [...(options.pairs || [])];
     this.exchange = options.exchange || 'kraken';
     this.exchangeAdapter = options.exchangeAdapter;
     this.enableFutures = options.enableFutures !== false;
+    this.enableTimers = options.enableTimers !== false;
     this.logger = options.logger;
+    this.instrumentRegistry = options.instrumentRegistry || new InstrumentRegistry({
+      logger: this.logger.createChild('Instruments')
+    });
+    this.ownsInstrumentRegistry = !options.instrumentRegistry;
     
     // OrderBook managers for each pair
     this.orderBookManagers = new Map();
     
     // Futures clients and data
-    this.futuresClient = null;
+    this.futuresClient = null; // REST, fallback only
+    this.futuresWsClient = null;
+    this.ownsFuturesWsClient = false;
     this.futuresData = new Map(); // pair -> latest futures data
     this.futuresPriceHistory = new Map(); // pair -> CircularBuffer of prices
+    this.futuresStaleThreshold = options.futuresStaleThreshold || 5000;
+    this.futuresRestInterval = options.futuresRestInterval || 1000;
+    this.staleFuturesPairs = new Set();
+    this.futuresSymbolPairs = new Map(); // futures symbol -> spot pair
+    this.futuresStartedAt = null;
+    this.lastFuturesWsEventAt = null;
+    
+    // Perpetual premium, funding and open interest per pair
+    this.basisModel = new BasisModel({ window: 5000, ...options.basis });
     
     // Spot price history for correlation tracking
     this.spotPriceHistory = new Map(); // pair -> CircularBuffer of prices
     
+    // Spot OHLC bars in time, independent of how often the book updates
+    this.barInterval = options.barInterval || 30000;
+    this.barHistorySize = options.barHistorySize || 120;
+    this.spotBars = new Map(); // pair -> { bars: CircularBuffer of completed bars, forming }
+    
     // Movement tracking
     this.movementWindow = 5000; // 5 seconds for movement calculation
     this.historySize = 600; // 10 minutes of data at 1 second intervals
@@ -65,34 +90,28 @@ export class MultiPairDataCollector extends EventEmitter {
     this.isRunning = false;
     this.dataCollectionInterval = null;
     this.futuresCollectionInterval = null;
+    this.futuresHealthInterval = null;
+    this.correlationInterval = null;
     
-    this._initializeManagers();
+    this._initializeManagers(options);
   }
   
   /**
    * Initialize orderbook managers and price history buffers
    * @private
    */
-  _initializeManagers() {
+  _initializeManagers(options = {}) {
     for (const pair of this.pairs) {
-      // Create orderbook manager for each pair
-      this.orderBookManagers.set(pair, new OrderBookBufferManager({
-        symbol: pair,
-        logger: this.logger.createChild(`OrderBook-${pair}`),
-        bufferTimeWindow: 60000, // 1 minute buffer
-        analysisTimeWindow: 250 // 250ms analysis window
-      }));
-      
-      // Initialize price history buffers
-      this.spotPriceHistory.set(pair, new CircularBuffer(this.historySize));
-      this.futuresPriceHistory.set(pair, new CircularBuffer(this.historySize));
-      
-      // Initialize futures data
-      this.futuresData.set(pair, null);
+      this._initializePair(pair);
     }
     
-    // Initialize futures client if enabled
-    if (this.enableFutures) {
+    // Initialize futures clients if enabled (not needed when futures data is fed externally)
+    if (this.enableFutures && this.enableTimers) {
+      this.futuresWsClient = options.futuresWsClient || new KrakenFuturesWebSocketClient({
+        logger: this.logger.createChild('FuturesWS')
+      });
+      this.ownsFuturesWsClient = !options.futuresWsClient;
+      
       this.futuresClient = new KrakenFuturesRESTClient({
         logger: this.logger.createChild('FuturesClient')
       });
@@ -104,6 +123,98 @@ export class MultiPairDataCollector extends EventEmitter {
     });
   }
   
+  /**
+   * Orderbook manager, price history buffers and futures slot for one pair
+   * @private
+   */
+  _initializePair(pair) {
+    // Create orderbook manager for each pair
+    this.orderBookManagers.set(pair, new OrderBookBufferManager({
+      symbol: pair,
+      logger: this.logger.createChild(`OrderBook-${pair}`),
+      bufferTimeWindow: 60000, // 1 minute buffer
+      analysisTimeWindow: 250 // 250ms analysis window
+    }));
+    
+    // Initialize price history buffers
+    this.spotPriceHistory.set(pair, new CircularBuffer(this.historySize));
+    this.futuresPriceHistory.set(pair, new CircularBuffer(this.historySize));
+    this.spotBars.set(pair, { bars: new CircularBuffer(this.barHistorySize), forming: null });
+    
+    // Initialize futures data
+    this.futuresData.set(pair, null);
+  }
+  
+  /**
+   * Start collecting a pair while running: spot book subscription (when the exchange
+   * adapter supports subscribeToOrderBook) and futures ticker/book streams
+   * @param {String} pair - Trading pair
+   * @returns {Promise<Boolean>} False if the pair was already collected
+   */
+  async addPair(pair) {
+    if (this.pairs.includes(pair)) return false;
+    
+    this.pairs.push(pair);
+    this._initializePair(pair);
+    
+    if (this.isRunning && typeof this.exchangeAdapter?.subscribeToOrderBook === 'function') {
+      try {
+        await this.exchangeAdapter.subscribeToOrderBook([pair]);
+      } catch (error) {
+        this.logger.error('Failed to subscribe spot orderbook', { pair, error: error.message });
+      }
+    }
+    
+    if (this.futuresStartedAt) {
+      await this._resubscribeFutures().catch(error => {
+        this.logger.error('Failed to update futures subscriptions', { pair, error: error.message });
+      });
+    }
+    
+    this.logger.info('Pair added to data collection', { pair, pairs: this.pairs });
+    return true;
+  }
+  
+  /**
+   * Stop collecting a pair and drop its books, history and correlations
+   * @param {String} pair - Trading pair
+   * @returns {Promise<Boolean>} False if the pair was not collected
+   */
+  async removePair(pair) {
+    if (!this.pairs.includes(pair)) return false;
+    
+    this.pairs = this.pairs.filter(other => other !== pair);
+    
+    if (this.isRunning && typeof this.exchangeAdapter?.unsubscribeFromOrderBook === 'function') {
+      try {
+        await this.exchangeAdapter.unsubscribeFromOrderBook([pair]);
+      } catch (error) {
+        this.logger.error('Failed to unsubscribe spot orderbook', { pair, error: error.message });
+      }
+    }
+    
+    if (this.futuresStartedAt) {
+      await this._resubscribeFutures().catch(error => {
+        this.logger.error('Failed to update futures subscriptions', { pair, error: error.message });
+      });
+    }
+    
+    this.orderBookManagers.delete(pair);
+    this.spotPriceHistory.delete(pair);
+    this.spotBars.delete(pair);
+    this.futuresPriceHistory.delete(pair);
+    this.futuresData.delete(pair);
+    this.basisModel.removePair(pair);
+    this.staleFuturesPairs.delete(pair);
+    
+    for (const key of this.correlationCache.keys()) {
+      if (key.split(':').includes(pair)) this.correlationCache.delete(key);
+    }
+    
+    this.logger.info('Pair removed from data collection', { pair, pairs: this.pairs });
+    return true;
+  }
+  
   /**
    * Start data collection
    * @returns {Promise<void>}
@@ -119,14 +230,17 @@ export class MultiPairDataCollector extends EventEmitter {
     // Subscribe to WebSocket orderbook updates
     this._subscribeToOrderbooks();
     
-    // Start futures data collection if enabled
-    if (this.enableFutures) {
-      this._startFuturesCollection();
+    if (this.enableTimers) {
+      // Start futures data collection if enabled
+      if (this.enableFutures) {
+        await this.instrumentRegistry.initialize();
+        await this._startFuturesCollection();
+      }
+      
+      // Start correlation calculation
+      this._startCorrelationTracking();
     }
     
-    // Start correlation calculation
-    this._startCorrelationTracking();
-    
     this.logger.info('Data collection started');
   }
   
@@ -143,9 +257,15 @@ export class MultiPairDataCollector extends EventEmitter {
       this.dataCollectionInterval = null;
     }
     
-    if (this.futuresCollectionInterval) {
-      clearInterval(this.futuresCollectionInterval);
-      this.futuresCollectionInterval = null;
+    this._stopFuturesCollection();
+    
+    if (this.ownsInstrumentRegistry) {
+      this.instrumentRegistry.stop();
+    }
+    
+    if (this.correlationInterval) {
+      clearInterval(this.correlationInterval);
+      this.correlationInterval = null;
     }
     
     // Unsubscribe from orderbooks
@@ -175,13 +295,17 @@ export class MultiPairDataCollector extends EventEmitter {
         
         // Update spot price history
         if (processed && processed.midPrice) {
+          const timestamp = Date.now();
           const history = this.spotPriceHistory.get(pair);
           if (history) {
             history.push({
-              timestamp: Date.now(),
+              timestamp,
               price: processed.midPrice
             });
           }
+          this._updateSpotBar(pair, timestamp, processed.midPrice);
+          
+          this.emit('spotUpdate', { pair, price: processed.midPrice, timestamp });
         }
       }
     };
@@ -203,16 +327,179 @@ export class MultiPairDataCollector extends EventEmitter {
   }
   
   /**
-   * Start futures data collection
+   * Start futures data collection: stream tickers and books over WebSocket, with a health
+   * check that falls back to REST polling while the socket is down
+   * @private
+   */
+  async _startFuturesCollection() {
+    this._mapFuturesSymbols();
+    const symbols = Array.from(this.futuresSymbolPairs.keys());
+    
+    this._futuresHandlers = {
+      tickerUpdate: ticker => {
+        const pair = this.futuresSymbolPairs.get(ticker.symbol);
+        if (!pair) return;
+        
+        this.lastFuturesWsEventAt = Date.now();
+        this.ingestFuturesTicker(pair, ticker);
+      },
+      orderBookUpdate: book => {
+        const pair = this.futuresSymbolPairs.get(book.symbol);
+        if (!pair || !book.bids?.length || !book.asks?.length) return;
+        
+        this.lastFuturesWsEventAt = Date.now();
+        this.ingestFuturesBook(pair, {
+          bid: book.bids[0].price,
+          ask: book.asks[0].price,
+          timestamp: book.timestamp
+        });
+      },
+      close: () => {
+        this.logger.warn('Futures WebSocket closed, REST fallback until it reconnects');
+        this._checkFuturesFeedHealth();
+      }
+    };
+    
+    for (const [event, handler] of Object.entries(this._futuresHandlers)) {
+      this.futuresWsClient.on(event, handler);
+    }
+    
+    this._handleInstrumentsUpdated = () => {
+      this._resubscribeFutures().catch(error => {
+        this.logger.error('Failed to resubscribe futures after instrument update', error);
+      });
+    };
+    this.instrumentRegistry.on('updated', this._handleInstrumentsUpdated);
+    
+    try {
+      if (!this.futuresWsClient.isPublicConnected) {
+        await this.futuresWsClient.connect(false);
+      }
+      
+      await this.futuresWsClient.subscribe('ticker', symbols);
+      await this.futuresWsClient.subscribe('book', symbols);
+      
+      this.logger.info('Streaming futures data over WebSocket', { symbols });
+    } catch (error) {
+      this.logger.error('Futures WebSocket unavailable, using REST polling', error);
+    }
+    
+    this.futuresStartedAt = Date.now();
+    this._checkFuturesFeedHealth();
+    this.futuresHealthInterval = setInterval(() => this._checkFuturesFeedHealth(), 1000);
+  }
+  
+  /**
+   * Build the futures symbol -> spot pair lookup for the collected pairs
+   * @private
+   */
+  _mapFuturesSymbols() {
+    const futuresMap = this.instrumentRegistry.getFuturesMap(this.pairs);
+    this.futuresSymbolPairs = new Map(Object.entries(futuresMap).map(([pair, symbol]) => [symbol, pair]));
+  }
+  
+  /**
+   * Follow a changed instrument mapping: drop symbols no longer mapped, subscribe new ones
+   * @private
+   */
+  async _resubscribeFutures() {
+    const previous = new Set(this.futuresSymbolPairs.keys());
+    this._mapFuturesSymbols();
+    
+    const added = Array.from(this.futuresSymbolPairs.keys()).filter(symbol => !previous.has(symbol));
+    const removed = Array.from(previous).filter(symbol => !this.futuresSymbolPairs.has(symbol));
+    
+    if (!this.futuresWsClient?.isPublicConnected) return;
+    
+    for (const feed of ['ticker', 'book']) {
+      if (removed.length > 0) await this.futuresWsClient.unsubscribe(feed, removed);
+      if (added.length > 0) await this.futuresWsClient.subscribe(feed, added);
+    }
+    
+    if (added.length > 0 || removed.length > 0) {
+      this.logger.info('Futures subscriptions updated', { added, removed });
+    }
+  }
+  
+  /**
+   * Stop futures streaming, REST fallback and health checks
+   * @private
+   */
+  _stopFuturesCollection() {
+    if (this.futuresHealthInterval) {
+      clearInterval(this.futuresHealthInterval);
+      this.futuresHealthInterval = null;
+    }
+    
+    this._stopFuturesRestPolling();
+    
+    if (this._handleInstrumentsUpdated) {
+      this.instrumentRegistry.off('updated', this._handleInstrumentsUpdated);
+      this._handleInstrumentsUpdated = null;
+    }
+    
+    if (this.futuresWsClient && this._futuresHandlers) {
+      for (const [event, handler] of Object.entries(this._futuresHandlers)) {
+        this.futuresWsClient.off(event, handler);
+      }
+      this._futuresHandlers = null;
+      
+      if (this.ownsFuturesWsClient) {
+        this.futuresWsClient.disconnect();
+      }
+    }
+  }
+  
+  /**
+   * Flag stale pairs and switch between WebSocket and REST polling
+   * REST runs while the socket is down, or connected but silent for longer than the stale
+   * threshold (judged on WebSocket messages only, so REST data cannot mask a dead socket).
    * @private
    */
-  _startFuturesCollection() {
-    // Collect futures data every second
+  _checkFuturesFeedHealth() {
+    const now = Date.now();
+    
+    for (const pair of this.pairs) {
+      if (!this.instrumentRegistry.hasFutures(pair)) continue;
+      
+      const futuresData = this.futuresData.get(pair);
+      const age = futuresData ? now - futuresData.receivedAt : null;
+      const stale = age === null ? now - this.futuresStartedAt > this.futuresStaleThreshold : age > this.futuresStaleThreshold;
+      
+      if (stale && !this.staleFuturesPairs.has(pair)) {
+        this.staleFuturesPairs.add(pair);
+        this.logger.warn('Futures feed stale', { pair, age });
+        this.emit('futuresFeedStale', { pair, age });
+      } else if (!stale && this.staleFuturesPairs.has(pair)) {
+        this.staleFuturesPairs.delete(pair);
+        this.logger.info('Futures feed recovered', { pair });
+        this.emit('futuresFeedRecovered', { pair });
+      }
+    }
+    
+    const socketDown = !this.futuresWsClient?.isPublicConnected;
+    const socketSilent = now - (this.lastFuturesWsEventAt ?? this.futuresStartedAt) > this.futuresStaleThreshold;
+    
+    if (socketDown || socketSilent) {
+      this._startFuturesRestPolling();
+    } else {
+      this._stopFuturesRestPolling();
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _startFuturesRestPolling() {
+    if (this.futuresCollectionInterval) return;
+    
+    this.logger.info('Starting futures REST polling fallback');
+    
     this.futuresCollectionInterval = setInterval(() => {
       this._collectFuturesData().catch(error => {
         this.logger.error('Error collecting futures data', error);
       });
-    }, 1000);
+    }, this.futuresRestInterval);
     
     // Collect immediately
     this._collectFuturesData().catch(error => {
@@ -221,7 +508,19 @@ export class MultiPairDataCollector extends EventEmitter {
   }
   
   /**
-   * Collect futures data for all pairs
+   * @private
+   */
+  _stopFuturesRestPolling() {
+    if (!this.futuresCollectionInterval) return;
+    
+    clearInterval(this.futuresCollectionInterval);
+    this.futuresCollectionInterval = null;
+    
+    this.logger.info('Futures WebSocket healthy, stopped REST polling fallback');
+  }
+  
+  /**
+   * Collect futures data for all pairs over REST
    * @private
    */
   async _collectFuturesData() {
@@ -231,29 +530,10 @@ export class MultiPairDataCollector extends EventEmitter {
       // Get tickers for all futures pairs
       const tickers = await this.futuresClient.getTickers();
       
-      for (const [spotPair, futuresPair] of Object.entries(FUTURES_PAIRS_MAP)) {
-        if (!this.pairs.includes(spotPair)) continue;
-        
-        const ticker = tickers.find(t => t.symbol === futuresPair);
-        if (ticker) {
-          const futuresData = {
-            price: ticker.last,
-            bid: ticker.bid,
-            ask: ticker.ask,
-            volume: ticker.volume,
-            timestamp: Date.now()
-          };
-          
-          this.futuresData.set(spotPair, futuresData);
-          
-          // Update futures price history
-          const history = this.futuresPriceHistory.get(spotPair);
-          if (history) {
-            history.push({
-              timestamp: futuresData.timestamp,
-              price: futuresData.price
-            });
-          }
+      for (const ticker of tickers) {
+        const pair = this.futuresSymbolPairs.get(ticker.symbol);
+        if (pair) {
+          this.ingestFuturesTicker(pair, ticker);
         }
       }
     } catch (error) {
@@ -261,6 +541,139 @@ export class MultiPairDataCollector extends EventEmitter {
     }
   }
   
+  /**
+   * Record a futures ticker for a spot pair
+   * History is kept in event time: the ticker's exchange timestamp when it has one,
+   * receive time otherwise. Events older than the latest recorded one only update receive time.
+   * Mark/index price, open interest and funding fields missing from a ticker carry over from
+   * the previous one. `price` and the movement history only ever hold the ticker's last trade
+   * price; book updates go through ingestFuturesBook() and never enter the history.
+   * @param {String} pair - Spot trading pair the futures contract maps to
+   * @param {Object} ticker - Futures ticker ({ last, bid, ask, volume, timestamp, markPrice, indexPrice,
+   *   openInterest, fundingRate, fundingRatePrediction, nextFundingTime })
+   */
+  ingestFuturesTicker(pair, ticker) {
+    if (!this.futuresData.has(pair)) return;
+    
+    const receivedAt = Date.now();
+    const eventTime = this._toTimestamp(ticker.timestamp) ?? receivedAt;
+    const previous = this.futuresData.get(pair);
+    
+    if (previous && eventTime < previous.timestamp) {
+      previous.receivedAt = receivedAt;
+      return;
+    }
+    
+    const futuresData = {
+      price: ticker.last,
+      bid: ticker.bid,
+      ask: ticker.ask,
+      volume: ticker.volume,
+      markPrice: ticker.markPrice || previous?.markPrice || null,
+      indexPrice: ticker.indexPrice || previous?.indexPrice || null,
+      openInterest: ticker.openInterest || previous?.openInterest || null,
+      fundingRate: ticker.fundingRate ?? previous?.fundingRate ?? null,
+      fundingRatePrediction: ticker.fundingRatePrediction ?? previous?.fundingRatePrediction ?? null,
+      nextFundingTime: this._toTimestamp(ticker.nextFundingTime) ?? previous?.nextFundingTime ?? null,
+      timestamp: eventTime,
+      bookTimestamp: previous?.bookTimestamp ?? null,
+      receivedAt
+    };
+    
+    this.futuresData.set(pair, futuresData);
+    
+    this.basisModel.update(pair, {
+      timestamp: eventTime,
+      futuresPrice: futuresData.price,
+      indexPrice: futuresData.indexPrice,
+      spotPrice: this.spotPriceHistory.get(pair)?.getLast()?.price,
+      markPrice: futuresData.markPrice,
+      openInterest: futuresData.openInterest,
+      fundingRate: futuresData.fundingRate,
+      fundingRatePrediction: futuresData.fundingRatePrediction,
+      nextFundingTime: futuresData.nextFundingTime
+    });
+    
+    // Update futures price history
+    const history = this.futuresPriceHistory.get(pair);
+    if (history) {
+      history.push({
+        timestamp: futuresData.timestamp,
+        receivedAt,
+        price: futuresData.price
+      });
+    }
+    
+    this.emit('futuresUpdate', { pair, price: futuresData.price, timestamp: eventTime });
+  }
+  
+  /**
+   * Record a futures top of book for a spot pair
+   * Refreshes bid/ask and keeps the feed alive between tickers; the last trade price and the
+   * movement history are left alone, so the movement is not a trade-vs-mid bounce.
+   * @param {String} pair - Spot trading pair the futures contract maps to
+   * @param {Object} book - { bid, ask, timestamp }
+   */
+  ingestFuturesBook(pair, book) {
+    const previous = this.futuresData.get(pair);
+    // Nothing to attach the quote to until the first ticker
+    if (!previous) return;
+    
+    const receivedAt = Date.now();
+    const eventTime = this._toTimestamp(book.timestamp) ?? receivedAt;
+    previous.receivedAt = receivedAt;
+    // Book time is kept apart from the ticker's, so a later ticker is never taken for out of order
+    if (eventTime < (previous.bookTimestamp ?? 0)) return;
+    
+    previous.bid = book.bid;
+    previous.ask = book.ask;
+    previous.bookTimestamp = eventTime;
+  }
+  
+  /**
+   * Whether a pair's futures feed has gone quiet
+   * @param {String} pair - Trading pair
+   * @returns {Boolean} True if no futures data arrived within the stale threshold
+   */
+  isFuturesStale(pair) {
+    const futuresData = this.futuresData.get(pair);
+    return !futuresData || Date.now() - futuresData.receivedAt > this.futuresStaleThreshold;
+  }
+  
+  /**
+   * Futures feed status for monitoring
+   * @returns {Object} { transport, connected, pairs: { [pair]: { lastEventTime, age, stale } } }
+   */
+  getFuturesFeedStatus() {
+    const now = Date.now();
+    const pairs = {};
+    
+    for (const pair of this.pairs) {
+      const futuresData = this.futuresData.get(pair);
+      pairs[pair] = {
+        lastEventTime: futuresData?.timestamp ?? null,
+        age: futuresData ? now - futuresData.receivedAt : null,
+        stale: this.isFuturesStale(pair)
+      };
+    }
+    
+    return {
+      transport: this.futuresCollectionInterval ? 'rest' : 'websocket',
+      connected: !!this.futuresWsClient?.isPublicConnected,
+      pairs
+    };
+  }
+  
+  /**
+   * Normalize exchange timestamps (ms number or ISO string)
+   * @private
+   */
+  _toTimestamp(value) {
+    if (value == null) return null;
+    const timestamp = typeof value === 'number' ? value : new Date(value).getTime();
+    return Number.isFinite(timestamp) ? timestamp : null;
+  }
+  
   /**
    * Collect all current market data
    * @returns {Object} Market data for all pairs
@@ -287,6 +700,7 @@ export class MultiPairDataCollector extends EventEmitter {
     const data = {
       spot: null,
       futures: null,
+      basis: null,
       movement: null
     };
     
@@ -294,8 +708,8 @@ export class MultiPairDataCollector extends EventEmitter {
     if (spotOrderbook) {
       data.spot = {
         price: spotOrderbook.midPrice,
-        bid: spotOrderbook.bestBid,
-        ask: spotOrderbook.bestAsk,
+        bid: spotOrderbook.bestBid ?? parseFloat(spotOrderbook.bids?.[0]?.[0]),
+        ask: spotOrderbook.bestAsk ?? parseFloat(spotOrderbook.asks?.[0]?.[0]),
         spread: spotOrderbook.spread,
         liquidity: this._calculateLiquidity(spotOrderbook),
         timestamp: spotOrderbook.timestamp
@@ -306,7 +720,8 @@ export class MultiPairDataCollector extends EventEmitter {
     if (this.enableFutures) {
       const futuresData = this.futuresData.get(pair);
       if (futuresData) {
-        data.futures = futuresData;
+        data.futures = { ...futuresData, stale: this.isFuturesStale(pair) };
+        data.basis = this.basisModel.get(pair);
       }
     }
     
@@ -340,6 +755,39 @@ export class MultiPairDataCollector extends EventEmitter {
     return ((currentPrice - oldPrice) / oldPrice) * 100;
   }
   
+  /**
+   * Completed spot OHLC bars for a pair, oldest first
+   * @param {String} pair - Trading pair
+   * @returns {Array<Object>} Bars ({ start, open, high, low, close })
+   */
+  getSpotBars(pair) {
+    return this.spotBars.get(pair)?.bars.toArray() || [];
+  }
+  
+  /**
+   * Fold a spot mid into the pair's forming bar, closing it when the interval rolls over
+   * @private
+   */
+  _updateSpotBar(pair, timestamp, price) {
+    const series = this.spotBars.get(pair);
+    if (!series) return;
+    
+    const start = Math.floor(timestamp / this.barInterval) * this.barInterval;
+    const bar = series.forming;
+    
+    if (bar && bar.start === start) {
+      bar.high = Math.max(bar.high, price);
+      bar.low = Math.min(bar.low, price);
+      bar.close = price;
+      return;
+    }
+    
+    if (bar) {
+      series.bars.push(bar);
+    }
+    series.forming = { start, open: price, high: price, low: price, close: price };
+  }
+  
   /**
    * Calculate futures price movement
    * @param {String} pair - Trading pair
@@ -347,10 +795,10 @@ export class MultiPairDataCollector extends EventEmitter {
    */
   calculateFuturesMovement(pair) {
     const history = this.futuresPriceHistory.get(pair);
-    if (!history || history.length < 2) return 0;
+    if (!history || history.length < 2 || this.isFuturesStale(pair)) return 0;
     
-    const now = Date.now();
-    const windowStart = now - this.movementWindow;
+    // Window ends at the latest futures event, so transport delay does not distort the move
+    const windowStart = history.getLast().timestamp - this.movementWindow;
     
     const recentPrices = history.filter(item => item.timestamp >= windowStart);
     if (recentPrices.length < 2) return 0;
@@ -375,6 +823,26 @@ export class MultiPairDataCollector extends EventEmitter {
     return null;
   }
   
+  /**
+   * Get the latest spot orderbook with numeric levels
+   * @param {String} pair - Trading pair
+   * @returns {Object|null} { bids: [[price, qty]], asks: [[price, qty]], midPrice, timestamp } or null
+   */
+  getSpotOrderBook(pair) {
+    const orderBookManager = this.orderBookManagers.get(pair);
+    const orderbook = orderBookManager ? orderBookManager.getLatestOrderbook() : null;
+    if (!orderbook || !orderbook.bids || !orderbook.asks) return null;
+
+    const toLevels = levels => levels.map(([price, amount]) => [parseFloat(price), parseFloat(amount)]);
+
+    return {
+      bids: toLevels(orderbook.bids),
+      asks: toLevels(orderbook.asks),
+      midPrice: orderbook.midPrice,
+      timestamp: orderbook.timestamp
+    };
+  }
+
   /**
    * Calculate liquidity from orderbook
    * @private
@@ -412,7 +880,7 @@ export class MultiPairDataCollector extends EventEmitter {
    */
   _startCorrelationTracking() {
     // Update correlations every 30 seconds
-    setInterval(() => {
+    this.correlationInterval = setInterval(() => {
       this._updateCorrelations();
     }, 30000);
   }
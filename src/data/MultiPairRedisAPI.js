@@ -13,6 +13,22 @@ export class MultiPairRedisAPI {
     
     // Key prefixes
     this.keyPrefix = `opportunistic:${this.exchange}:multi:${this.sessionId}`;
+    
+    // Trade outcome history is shared across sessions
+    this.outcomesKey = `opportunistic:${this.exchange}:multi:outcomes`;
+    
+    // Discovered spot/futures instrument snapshot, shared across sessions
+    this.instrumentsKey = `opportunistic:${this.exchange}:multi:instruments`;
+    
+    // Risk supervisor halt and daily P&L, shared across sessions so a restart stays halted
+    this.riskKey = `opportunistic:${this.exchange}:multi:risk`;
+    
+    // Open positions outlive the session that opened them, for crash recovery
+    this.positionsKey = `opportunistic:${this.exchange}:multi:positions`;
+    this.lastSessionKey = `opportunistic:${this.exchange}:multi:last_session`;
+    
+    // Pair rotation decisions, shared across sessions for review
+    this.rotationsKey = `opportunistic:${this.exchange}:multi:rotations`;
   }
   
   /**
@@ -26,6 +42,17 @@ export class MultiPairRedisAPI {
     this.logger?.debug('Added pair to session', { pair, sessionId: this.sessionId });
   }
   
+  /**
+   * Remove a trading pair from the session
+   * @param {String} pair - Trading pair
+   */
+  async removePair(pair) {
+    const key = `${this.keyPrefix}:active_pairs`;
+    await this.redis.srem(key, pair);
+    
+    this.logger?.debug('Removed pair from session', { pair, sessionId: this.sessionId });
+  }
+  
   /**
    * Get all active pairs
    * @returns {Array<String>} Active trading pairs
@@ -110,6 +137,150 @@ export class MultiPairRedisAPI {
     await this.redis.zremrangebyscore(historyKey, '-inf', dayAgo);
   }
   
+  /**
+   * Get persisted trade outcome stats
+   * @returns {Object} Stats keyed by outcome bucket
+   */
+  async getOutcomeStats() {
+    const stored = await this.redis.hgetall(this.outcomesKey) || {};
+    
+    return Object.fromEntries(
+      Object.entries(stored).map(([bucket, json]) => [bucket, JSON.parse(json)])
+    );
+  }
+  
+  /**
+   * Store trade outcome stats for one bucket
+   * @param {String} bucket - Outcome bucket key
+   * @param {Object} stats - Decayed outcome sums
+   */
+  async storeOutcomeStats(bucket, stats) {
+    await this.redis.hset(this.outcomesKey, bucket, JSON.stringify(stats));
+  }
+  
+  /**
+   * Get the cached instrument snapshot
+   * @returns {Object|null} { updatedAt, instruments }
+   */
+  async getInstrumentSnapshot() {
+    const json = await this.redis.get(this.instrumentsKey);
+    return json ? JSON.parse(json) : null;
+  }
+  
+  /**
+   * Cache the instrument snapshot
+   * @param {Object} snapshot - { updatedAt, instruments }
+   */
+  async storeInstrumentSnapshot(snapshot) {
+    await this.redis.set(this.instrumentsKey, JSON.stringify(snapshot));
+  }
+  
+  /**
+   * Get the persisted risk supervisor state
+   * @returns {Object|null} { halt, daily, consecutiveLosses }
+   */
+  async getRiskState() {
+    const json = await this.redis.get(this.riskKey);
+    return json ? JSON.parse(json) : null;
+  }
+  
+  /**
+   * Persist the risk supervisor state
+   * @param {Object} state - { halt, daily, consecutiveLosses }
+   */
+  async storeRiskState(state) {
+    await this.redis.set(this.riskKey, JSON.stringify(state));
+  }
+  
+  /**
+   * Persist an open or pending position
+   * @param {Object} position - Position from DynamicPositionManager
+   */
+  async storePosition(position) {
+    await this.redis.hset(this.positionsKey, position.id, JSON.stringify({
+      ...position,
+      sessionId: position.sessionId || this.sessionId
+    }));
+  }
+  
+  /**
+   * Remove a closed or cancelled position
+   * @param {String} positionId - Position ID
+   */
+  async removeStoredPosition(positionId) {
+    await this.redis.hdel(this.positionsKey, positionId);
+  }
+  
+  /**
+   * Get all persisted positions
+   * @returns {Array<Object>} Positions
+   */
+  async getStoredPositions() {
+    const stored = await this.redis.hgetall(this.positionsKey) || {};
+    return Object.values(stored).map(json => JSON.parse(json));
+  }
+  
+  /**
+   * Get the ID of the most recently started session
+   * @returns {String|null} Session ID
+   */
+  async getLastSessionId() {
+    return await this.redis.get(this.lastSessionKey) || null;
+  }
+  
+  /**
+   * Record this session as the most recently started one
+   */
+  async setLastSessionId() {
+    await this.redis.set(this.lastSessionKey, this.sessionId);
+  }
+  
+  /**
+   * Get another session's data
+   * @param {String} sessionId - Session ID
+   * @returns {Object|null} Session data
+   */
+  async getSessionData(sessionId) {
+    const json = await this.redis.get(`opportunistic:${this.exchange}:multi:${sessionId}:session`);
+    return json ? JSON.parse(json) : null;
+  }
+  
+  /**
+   * Get a session's executed opportunities since a timestamp
+   * @param {String} sessionId - Session ID
+   * @param {Number} since - Timestamp in ms
+   * @returns {Array<Object>} Opportunities, oldest first
+   */
+  async getRecentOpportunities(sessionId, since) {
+    const key = `opportunistic:${this.exchange}:multi:${sessionId}:opportunities:history`;
+    const entries = await this.redis.zrangebyscore(key, since, '+inf');
+    return (entries || []).map(json => JSON.parse(json));
+  }
+  
+  /**
+   * Record a pair rotation decision
+   * @param {Object} decision - { timestamp, previousPairs, pairs, added, demoted, scores, ... }
+   */
+  async storeRotation(decision) {
+    await this.redis.zadd(this.rotationsKey, decision.timestamp, JSON.stringify({
+      ...decision,
+      sessionId: this.sessionId
+    }));
+    
+    // Keep only last 1000 decisions
+    await this.redis.zremrangebyrank(this.rotationsKey, 0, -1001);
+  }
+  
+  /**
+   * Get pair rotation decisions since a timestamp
+   * @param {Number} [since=0] - Timestamp in ms
+   * @returns {Array<Object>} Decisions, oldest first
+   */
+  async getRotations(since = 0) {
+    const entries = await this.redis.zrangebyscore(this.rotationsKey, since, '+inf');
+    return (entries || []).map(json => JSON.parse(json));
+  }
+  
   /**
    * Get all orders across all pairs
    * @returns {Array} All orders
@@ -9,6 +9,8 @@
 import { EventEmitter } from 'events';
 import { TradingLogger } from '../../lib/utils/trading-logger.js';
 import { OrderStatus } from '../order/OrderStatus.js';
+import { DeadMansSwitch } from '../../../lib/utils/DeadMansSwitch.js';
+import { OrderLifecycle } from '../../../lib/utils/order/OrderLifecycle.js';
 
 /**
  * Adaptive Market Maker Exchange Adapter
@@ -25,6 +27,7 @@ export class AdaptiveMarketMakerExchangeAdapter extends EventEmitter {
    * @param {Object} [config.logger] - Logger object, will create TradingLogger if not provided
    * @param {string} [config.sessionId] - Session ID for logging
    * @param {Object} [config.exchangeOptions] - Exchange-specific options
+   * @param {Object} [config.deadMansSwitch] - Cancel-all-after settings { timeoutSeconds, refreshIntervalMs }; armed on connect when set
    */
   constructor(exchangeClient, config = {}) {
     super();
@@ -47,6 +50,10 @@ export class AdaptiveMarketMakerExchangeAdapter extends EventEmitter {
     this.orderManager = config.orderManager;
     this.fillManager = config.fillManager;
     
+    // Dead man's switch (started by the concrete adapter on connect)
+    this.deadMansSwitchConfig = config.deadMansSwitch || null;
+    this.deadMansSwitch = null;
+    
     // Set up event listeners for the exchange client
     if (this.client && typeof this.client.on === 'function') {
       // Listen for order updates
@@ -143,7 +150,8 @@ export class AdaptiveMarketMakerExchangeAdapter extends EventEmitter {
           parentOrderId: orderParams.parentOrderId,
           purpose: orderParams.purpose,
           sessionId: orderParams.sessionId,
-          pricingMetadata: orderParams.pricingMetadata
+          pricingMetadata: orderParams.pricingMetadata,
+          params: orderParams // Order flags such as timeInForce
         });
       } else {
         // Use individual parameters format for other adapters
@@ -178,6 +186,21 @@ export class AdaptiveMarketMakerExchangeAdapter extends EventEmitter {
     }
   }
   
+  /**
+   * Kraken Futures order type for an order's type and flags: post-only limits are sent as
+   * 'post' and IOC limits as 'ioc' (Futures orders have no ttl)
+   * @private
+   * @param {string} type - Order type ('limit' or 'market')
+   * @param {Object} flags - { postOnly, timeInForce }
+   * @returns {string} - 'mkt', 'post', 'ioc' or 'lmt'
+   */
+  _futuresOrderType(type, flags) {
+    if (type === 'market') return 'mkt';
+    if (flags.postOnly) return 'post';
+    if (String(flags.timeInForce || '').toUpperCase() === 'IOC') return 'ioc';
+    return 'lmt';
+  }
+  
   /**
    * Cancel an order on the exchange
    * @param {string} orderId - ID of the order to cancel
@@ -210,6 +233,230 @@ export class AdaptiveMarketMakerExchangeAdapter extends EventEmitter {
     }
   }
   
+  /**
+   * Place several orders
+   * 
+   * Uses the client's `createOrders` (Kraken v2 `batch_add`) or Kraken Futures `batchOrder`
+   * when available; otherwise the orders are placed one by one.
+   * 
+   * @param {Array<Object>} orders - Order details objects (see createOrder)
+   * @returns {Promise<Array<Object>>} - Per-order results in input order: { success, order } or { success: false, error }
+   */
+  async createOrders(orders) {
+    try {
+      this.logger.info('Creating orders', { count: orders.length });
+      
+      let results;
+      if (typeof this.client.createOrders === 'function') {
+        results = await this.client.createOrders(orders.map(order => ({ ...order, symbol: order.symbol || this.symbol })));
+      } else if (typeof this.client.batchOrder === 'function') {
+        const response = await this.client.batchOrder({
+          placeOrders: orders.map(order => {
+            const flags = { ...order, ...(order.params || {}) };
+            return {
+              orderType: this._futuresOrderType(order.type, flags),
+              symbol: order.symbol || this.symbol,
+              side: order.side,
+              size: order.amount,
+              ...(order.price !== undefined && { limitPrice: order.price }),
+              ...(order.clientOrderId && { cliOrdId: order.clientOrderId }),
+              ...(flags.reduceOnly && { reduceOnly: true })
+            };
+          })
+        });
+        
+        const statuses = response.batchStatus || [];
+        results = orders.map((order, index) => {
+          const status = statuses.find(s => s.order_tag === String(index));
+          if (status && status.status === 'placed') {
+            return {
+              success: true,
+              order: { ...order, id: status.order_id, clientOrderId: order.clientOrderId, status: OrderStatus.OPEN }
+            };
+          }
+          return { success: false, error: status ? status.status : 'missing from batch response' };
+        });
+      } else {
+        results = [];
+        for (const order of orders) {
+          try {
+            results.push({ success: true, order: await this.createOrder(order) });
+          } catch (error) {
+            results.push({ success: false, error: error.message });
+          }
+        }
+        return results;
+      }
+      
+      // Emit order created events for the batched orders that were placed
+      results.forEach((result, index) => {
+        if (!result.success) return;
+        const order = orders[index];
+        this.emit('orderCreated', {
+          id: result.order.id,
+          clientOrderId: result.order.clientOrderId || order.clientOrderId,
+          symbol: order.symbol || this.symbol,
+          side: order.side,
+          type: order.type,
+          price: order.price,
+          amount: order.amount,
+          status: result.order.status || OrderStatus.OPEN,
+          timestamp: Date.now(),
+          sessionId: order.sessionId || this.sessionId,
+          parentOrderId: order.parentOrderId || null,
+          purpose: order.purpose || null
+        });
+      });
+      
+      return results;
+    } catch (error) {
+      this.logger.error('Error creating orders', {
+        count: orders.length,
+        error: error.message,
+        stack: error.stack
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Cancel several orders
+   * 
+   * Uses the client's `cancelOrders` (Kraken v2 `batch_cancel`) or Kraken Futures `batchOrder`
+   * when available; otherwise the orders are cancelled one by one.
+   * 
+   * @param {Array<string>} orderIds - IDs of the orders to cancel
+   * @param {Object} [params] - Additional exchange-specific parameters
+   * @returns {Promise<Array<Object>>} - Per-order results in input order: { orderId, success, result } or { orderId, success: false, error }
+   */
+  async cancelOrders(orderIds, params = {}) {
+    try {
+      this.logger.info('Cancelling orders', { count: orderIds.length });
+      
+      if (orderIds.length === 0) {
+        return [];
+      }
+      
+      let results;
+      if (typeof this.client.cancelOrders === 'function') {
+        results = await this.client.cancelOrders(orderIds, params);
+      } else if (typeof this.client.batchOrder === 'function') {
+        const response = await this.client.batchOrder({ cancelOrders: orderIds });
+        
+        const statuses = response.batchStatus || [];
+        results = orderIds.map(orderId => {
+          const status = statuses.find(s => s.order_id === orderId);
+          if (status && status.status === 'cancelled') {
+            return { orderId, success: true, result: status };
+          }
+          return { orderId, success: false, error: status ? status.status : 'missing from batch response' };
+        });
+      } else {
+        results = [];
+        for (const orderId of orderIds) {
+          try {
+            results.push({ orderId, success: true, result: await this.cancelOrder(orderId, params) });
+          } catch (error) {
+            this.logger.error(`Failed to cancel order ${orderId}`, { error: error.message });
+            results.push({ orderId, success: false, error: error.message });
+          }
+        }
+        return results;
+      }
+      
+      // Emit order cancelled events for the batched cancellations that went through
+      for (const result of results) {
+        if (!result.success) continue;
+        this.emit('orderCancelled', {
+          id: result.orderId,
+          status: OrderStatus.CANCELLED,
+          timestamp: Date.now()
+        });
+      }
+      
+      return results;
+    } catch (error) {
+      this.logger.error('Error cancelling orders', {
+        count: orderIds.length,
+        error: error.message,
+        stack: error.stack
+      });
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Amend the price and/or amount of an open order
+   * 
+   * Amends in place when the client supports it (`amendOrder`, or the Kraken Futures
+   * `editOrder`); otherwise the order is cancelled and replaced for its unfilled part.
+   * 
+   * @param {string} orderId - ID of the order to amend
+   * @param {Object} changes - New order values
+   * @param {number} [changes.price] - New limit price
+   * @param {number} [changes.amount] - New total order amount
+   * @returns {Promise<Object>} - Amend response (the replacement order on cancel/replace)
+   */
+  async amendOrder(orderId, changes = {}) {
+    try {
+      this.logger.info('Amending order', { orderId, price: changes.price, amount: changes.amount });
+      
+      let result;
+      let replacementOrderId = null;
+      
+      if (typeof this.client.amendOrder === 'function') {
+        result = await this.client.amendOrder(orderId, changes);
+      } else if (typeof this.client.editOrder === 'function') {
+        result = await this.client.editOrder({
+          orderId,
+          ...(changes.price !== undefined && { limitPrice: changes.price }),
+          ...(changes.amount !== undefined && { size: changes.amount })
+        });
+      } else {
+        const order = await this.client.getOrderStatus(orderId);
+        const price = changes.price !== undefined ? changes.price : order.price;
+        const amount = changes.amount !== undefined ? changes.amount : order.amount;
+        const filled = parseFloat(order.filled || 0);
+        
+        await this.cancelOrder(orderId, { reason: 'amend' });
+        result = await this.createOrder({
+          symbol: order.symbol || this.symbol,
+          type: order.type || 'limit',
+          side: order.side,
+          price,
+          amount: parseFloat(amount) - filled
+        });
+        replacementOrderId = result.id;
+        
+        result.history = new OrderLifecycle({ ...order, filled })
+          .setAmended({ price: parseFloat(price), amount: parseFloat(amount), replacedOrderId: orderId, replacementOrderId })
+          .getHistory();
+      }
+      
+      // Emit order amended event
+      this.emit('orderAmended', {
+        id: orderId,
+        replacementOrderId,
+        price: changes.price,
+        amount: changes.amount,
+        timestamp: Date.now()
+      });
+      
+      return result;
+    } catch (error) {
+      this.logger.error('Error amending order', {
+        orderId,
+        changes,
+        error: error.message,
+        stack: error.stack
+      });
+      
+      throw error;
+    }
+  }
+  
   /**
    * Get the status of an order
    * @param {string} orderId - ID of the order
@@ -277,18 +524,7 @@ export class AdaptiveMarketMakerExchangeAdapter extends EventEmitter {
       
       this.logger.info(`Found ${openOrders.length} open orders to cancel`);
       
-      const cancelResults = [];
-      for (const order of openOrders) {
-        try {
-          const result = await this.cancelOrder(order.id || order.orderId, { reason });
-          cancelResults.push({ orderId: order.id || order.orderId, success: true, result });
-        } catch (error) {
-          this.logger.error(`Failed to cancel order ${order.id || order.orderId}`, { error: error.message });
-          cancelResults.push({ orderId: order.id || order.orderId, success: false, error: error.message });
-        }
-      }
-      
-      return cancelResults;
+      return await this.cancelOrders(openOrders.map(order => order.id || order.orderId), { reason });
     } catch (error) {
       this.logger.error('Error in cancelAllManagedOrders', {
         error: error.message,
@@ -323,18 +559,7 @@ export class AdaptiveMarketMakerExchangeAdapter extends EventEmitter {
       
       this.logger.info(`Found ${openOrders.length} open buy orders to cancel`);
       
-      const cancelResults = [];
-      for (const order of openOrders) {
-        try {
-          const result = await this.cancelOrder(order.id || order.orderId, { reason });
-          cancelResults.push({ orderId: order.id || order.orderId, success: true, result });
-        } catch (error) {
-          this.logger.error(`Failed to cancel buy order ${order.id || order.orderId}`, { error: error.message });
-          cancelResults.push({ orderId: order.id || order.orderId, success: false, error: error.message });
-        }
-      }
-      
-      return cancelResults;
+      return await this.cancelOrders(openOrders.map(order => order.id || order.orderId), { reason });
     } catch (error) {
       this.logger.error('Error in cancelOpenBuyOrders', {
         error: error.message,
@@ -344,6 +569,78 @@ export class AdaptiveMarketMakerExchangeAdapter extends EventEmitter {
     }
   }
   
+  /**
+   * Arm the exchange's cancel-all-after timer and keep refreshing it while the connection is healthy,
+   * so resting orders are cancelled if the process hangs or loses connectivity.
+   * Without a native timer (see _armCancelAllAfter) a local watchdog cancels all managed orders instead.
+   * Arm/refresh failures are emitted as critical errors.
+   * @param {Object} [options] - { timeoutSeconds=60, refreshIntervalMs=timeout/4 }
+   * @returns {Promise<Object>} - Switch status
+   */
+  async startDeadMansSwitch(options = this.deadMansSwitchConfig || {}) {
+    if (!this.deadMansSwitch) {
+      this.deadMansSwitch = new DeadMansSwitch({
+        ...options,
+        logger: this.logger,
+        arm: (timeoutSeconds) => this._armCancelAllAfter(timeoutSeconds),
+        disarm: () => this._armCancelAllAfter(0),
+        isHealthy: () => this._isDeadMansSwitchHealthy(),
+        onExpire: () => this.cancelAllManagedOrders('DEAD_MANS_SWITCH'),
+        onFailure: (action, error) => {
+          const failure = new Error(`Dead man's switch ${action} failed: ${error.message}`);
+          failure.type = 'DEAD_MANS_SWITCH_FAILURE';
+          failure.critical = true;
+          this.emit('error', failure);
+        }
+      });
+    }
+    
+    return this.deadMansSwitch.start();
+  }
+  
+  /**
+   * Stop refreshing the cancel-all-after timer and disarm it on the exchange
+   * @returns {Promise<void>}
+   */
+  async stopDeadMansSwitch() {
+    if (this.deadMansSwitch) {
+      await this.deadMansSwitch.stop();
+    }
+  }
+  
+  /**
+   * @returns {Object|null} - Switch status, or null if it was never started
+   */
+  getDeadMansSwitchStatus() {
+    return this.deadMansSwitch ? this.deadMansSwitch.getStatus() : null;
+  }
+  
+  /**
+   * Arm the native cancel-all-after timer (0 disarms it)
+   * Uses the exchange client's cancelAllOrdersAfter() when it has one; adapters talking to the
+   * exchange directly override this.
+   * @param {number} timeoutSeconds - Timeout in seconds
+   * @returns {Promise<boolean>} - false when there is no native timer
+   * @protected
+   */
+  async _armCancelAllAfter(timeoutSeconds) {
+    if (this.client && typeof this.client.cancelAllOrdersAfter === 'function') {
+      await this.client.cancelAllOrdersAfter(timeoutSeconds);
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Whether the connection is healthy enough to refresh the dead man's switch
+   * @returns {boolean}
+   * @protected
+   */
+  _isDeadMansSwitchHealthy() {
+    return true;
+  }
+  
   /**
    * Get account balances
    * @returns {Promise<Object>} - Account balances
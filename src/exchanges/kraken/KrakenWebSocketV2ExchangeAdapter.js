@@ -1,12 +1,18 @@
 import { AdaptiveMarketMakerExchangeAdapter } from './AdaptiveMarketMakerExchangeAdapter.js';
 import WebSocket from 'ws';
 import { KrakenRESTClient } from '../../lib/exchanges/KrakenRESTClient.js';
+import { QueueFillSimulator } from '../../../lib/utils/QueueFillSimulator.js';
+import { krakenBookChecksum, inferBookPrecision } from '../../../lib/utils/kraken-book-checksum.js';
+import { OrderLifecycle } from '../../../lib/utils/order/OrderLifecycle.js';
 import fs from 'fs'; // Import fs for file logging
 
 const DEFAULT_KRAKEN_PRIVATE_WS_URL = 'wss://ws-auth.kraken.com/v2';
 const DEFAULT_KRAKEN_PUBLIC_WS_URL = 'wss://ws.kraken.com/v2'; // For public v2 endpoint
 const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
 const DEFAULT_ORDER_BOOK_DEPTH = 10;
+const DEFAULT_MAX_BOOK_RESYNC_ATTEMPTS = 5; // Consecutive failed resyncs before giving up on a symbol
+const MAX_BATCH_ADD_ORDERS = 15; // Kraken v2 batch_add accepts 2-15 orders for one symbol
+const MAX_BATCH_CANCEL_ORDERS = 50; // Kraken v2 batch_cancel accepts 2-50 order IDs
 const DEFAULT_TOKEN_RENEWAL_BUFFER_SECONDS = 300; // 5 minutes before expiry
 const DEFAULT_TOKEN_RETRY_DELAY_SECONDS = 60; // 1 minute
 const DEBUG_LOG_FILE = '/tmp/jest_api_key_debug.log'; // Define log file path
@@ -39,6 +45,9 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
      * @param {number} [config.maxReconnectDelayMs=30000] Maximum delay for reconnection in milliseconds
      * @param {number} [config.orderBookDepth=10] Depth of order book to maintain and emit
      * @param {number} [config.orderBookPollIntervalMs=5000] Interval for REST order book polling (fallback)
+     * @param {object} [config.bookPrecision] Per-symbol { pricePrecision, qtyPrecision } for book checksums (from AssetPairs metadata otherwise, inferred from snapshots until it loads)
+     * @param {number} [config.maxBookResyncAttempts=5] Consecutive failed book resyncs before a symbol is left blocked
+     * @param {object} [config.deadMansSwitch] Arms cancel_all_orders_after on connect: { timeoutSeconds=60, refreshIntervalMs }
      */
     constructor(config) {
         // Create a mock client for paper mode or use real client for live mode
@@ -101,7 +110,8 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                     sessionId: orderParams.sessionId || config.sessionId, // Use from params or config
                     parentOrderId: orderParams.parentOrderId || null, // Preserve parentOrderId
                     purpose: orderParams.purpose || null, // Preserve purpose
-                    pricingMetadata: orderParams.pricingMetadata || null // Include pricing metadata
+                    pricingMetadata: orderParams.pricingMetadata || null, // Include pricing metadata
+                    timeInForce: orderParams.timeInForce || null // IOC orders match on placement only
                 };
                 
                 this.logger.info(`[KWSA Paper DEBUG] Preparing to add paper order ${paperOrder.id} to RedisOrderManager.`);
@@ -154,10 +164,25 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                                 side: paperOrder.side,
                                 parentOrderId: paperOrder.parentOrderId, // Preserve parentOrderId
                                 purpose: paperOrder.purpose, // Preserve purpose
-                                pricingMetadata: paperOrder.pricingMetadata // Preserve pricing metadata
+                                pricingMetadata: paperOrder.pricingMetadata, // Preserve pricing metadata
+                                time_in_force: paperOrder.timeInForce
                             });
                         }
                         
+                        // Estimate the order's queue position from the displayed size at its price
+                        // (without a book yet, the next fill simulation cycle adds it). IOC orders never rest
+                        const isIoc = paperOrder.timeInForce === 'IOC';
+                        const placementBook = this.paperFillSimulator ? this._getPaperOrderBook(paperOrder.symbol) : null;
+                        if (placementBook && !isIoc) {
+                            this.paperFillSimulator.addOrder({
+                                id: paperOrder.id,
+                                symbol: paperOrder.symbol,
+                                side: paperOrder.side,
+                                price: paperOrder.price,
+                                amount: paperOrder.size
+                            }, placementBook);
+                        }
+                        
                         // Update order in RedisOrderManager
                         if (config.redisOrderManager && typeof config.redisOrderManager.update === 'function') {
                             // Update order to Redis with new status
@@ -174,6 +199,11 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                         if (typeof this.emit === 'function') {
                             this.emit('orderUpdate', orderUpdate);
                         }
+                        
+                        // IOC: take what the placement book offers and cancel the rest right away
+                        if (isIoc && this.paperOrders) {
+                            await this._fillPaperIocOrder(paperOrder.id, placementBook);
+                        }
                     }, 10); // Small delay to simulate network latency
                 }
                 
@@ -291,6 +321,8 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
         // Store for paper trading orders
         if (this.paperMode) {
             this.paperOrders = new Map();
+            // Queue-position fill model, shared with FillDiscoveryManager and the backtest
+            this.paperFillSimulator = new QueueFillSimulator({ logger: this.logger });
             // Store budget for paper trading balance simulation
             this.budget = config.budget || null;
             this.initialBudget = config.initialBudget || config.budget || null;
@@ -372,6 +404,11 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             bids: new Map(), // Map for quick price lookups/updates
             asks: new Map()
         };
+        this.bookPrecision = { ...(config.bookPrecision || {}) }; // symbol -> { pricePrecision, qtyPrecision }
+        this.bookPrecisionSource = Object.fromEntries(Object.keys(this.bookPrecision).map(symbol => [symbol, 'config'])); // symbol -> 'config' | 'metadata' | 'inferred'
+        this._bookPrecisionRequests = new Map(); // symbol -> pending/settled metadata lookup
+        this.maxBookResyncAttempts = config.maxBookResyncAttempts || DEFAULT_MAX_BOOK_RESYNC_ATTEMPTS;
+        this.orderBookIntegrity = new Map(); // symbol -> checksum state, see _getOrderBookIntegrity()
 
         // Track emitted orderFilled events to prevent duplicates
         this.emittedOrderFilledEvents = new Set();
@@ -411,7 +448,8 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
      */
     _safeEmitOrderFilled(orderId, fillPayload) {
         // Create a unique key for this fill event
-        const fillKey = `${orderId}-${fillPayload.timestamp || Date.now()}`;
+        // Trades of one order can share a timestamp, so the execution ID tells them apart
+        const fillKey = `${orderId}-${fillPayload.fillRecord?.execId || fillPayload.timestamp || Date.now()}`;
         
         // Check if we've already emitted this fill event
         if (this.emittedOrderFilledEvents.has(fillKey)) {
@@ -470,6 +508,30 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
         await Promise.all(subscriptions);
     }
 
+    /**
+     * Whether the local order book for a symbol has passed Kraken's checksum and is not resynchronizing
+     * @param {string} symbol Trading symbol (e.g., "BTC/USD")
+     * @returns {boolean}
+     * @public
+     */
+    isOrderBookVerified(symbol) {
+        const integrity = this.orderBookIntegrity.get(this._formatSymbolForPublicWsInstrument(symbol));
+        return !!integrity && integrity.verified && !integrity.resyncing;
+    }
+
+    /**
+     * Checksum verification state of the order books
+     * @returns {object} symbol -> { verified, resyncing, corruptions, failedResyncs, lastMismatch, verifiedAt }
+     * @public
+     */
+    getOrderBookIntegrity() {
+        const integrity = {};
+        for (const [symbol, state] of this.orderBookIntegrity) {
+            integrity[symbol] = { ...state };
+        }
+        return integrity;
+    }
+
     /**
      * Subscribes to trade data for the given symbols via Public WebSocket.
      * @param {string[]} symbols Array of trading symbols (e.g., ["BTC/USD"])
@@ -685,6 +747,11 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             // Start monitoring connection
             this._monitorWebSocketConnection();
             
+            // Arm cancel_all_orders_after so resting orders don't outlive a hung process
+            if (this.deadMansSwitchConfig) {
+                await this.startDeadMansSwitch();
+            }
+            
             return true;
         } catch (error) {
             this.logger.error('Failed to establish one or both WebSocket connections:', error);
@@ -1395,6 +1462,13 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             this.logger.debug('[KrakenWSv2Adapter] Fee refresh timer cleared');
         }
         
+        // Disarm the dead man's switch while the private connection is still open
+        if (this.deadMansSwitch) {
+            this.stopDeadMansSwitch().catch(error => {
+                this.logger.warn(`[KrakenWSv2Adapter] Failed to stop dead man's switch: ${error.message}`);
+            });
+        }
+        
         // Disconnect private connection
         this._disconnectPrivate();
         
@@ -1749,7 +1823,8 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
     
     /**
      * Simulates order fills for paper trading by checking current orders against market data
-     * Only fills orders when they meet realistic market conditions
+     * Fills come from QueueFillSimulator: only on trade-through or once the estimated queue
+     * ahead of the order is exhausted, possibly partially (trade prints are applied as they arrive)
      * @private
      * @async
      */
@@ -1793,86 +1868,36 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             
             // Process each symbol's orders
             for (const [symbol, orders] of ordersBySymbol.entries()) {
-                // Get latest order book for this symbol
-                let latestOrderBook = null;
-                const orderBookForSymbol = this.orderBook[symbol];
-                
-                // Convert Map to arrays for easier use
-                if (orderBookForSymbol) {
-                    const bids = Array.from(orderBookForSymbol.bids.entries())
-                        .map(([price, size]) => [parseFloat(price), size])
-                        .sort((a, b) => b[0] - a[0]); // Bids sorted high to low
-                    
-                    const asks = Array.from(orderBookForSymbol.asks.entries())
-                        .map(([price, size]) => [parseFloat(price), size])
-                        .sort((a, b) => a[0] - b[0]); // Asks sorted low to high
-                    
-                    if (bids.length > 0 && asks.length > 0) {
-                        latestOrderBook = {
-                            bids,
-                            asks,
-                            timestamp: orderBookForSymbol.timestamp || Date.now()
-                        };
-                    }
-                }
+                const latestOrderBook = this._getPaperOrderBook(symbol);
                 
                 // If we don't have a valid order book for this symbol, skip to next symbol
-                if (!latestOrderBook || !latestOrderBook.bids || !latestOrderBook.asks || 
-                    latestOrderBook.bids.length === 0 || latestOrderBook.asks.length === 0) {
+                if (!latestOrderBook) {
                     this.logger.debug(`[Paper Fill Simulator] No valid order book data available for ${symbol}, skipping fill cycle`);
                     continue;
                 }
                 
-                // Get best bid and ask prices
-                const bestBid = parseFloat(latestOrderBook.bids[0][0]);
-                const bestAsk = parseFloat(latestOrderBook.asks[0][0]);
-                
-                if (isNaN(bestBid) || isNaN(bestAsk) || bestBid <= 0 || bestAsk <= 0) {
-                    this.logger.debug(`[Paper Fill Simulator] Invalid bid/ask prices for ${symbol}, skipping fill cycle`);
-                    continue;
-                }
-                
-                this.logger.debug(`[Paper Fill Simulator] Current market prices for ${symbol}: bestBid=${bestBid}, bestAsk=${bestAsk}`);
-                
-                // Process all orders for this symbol
+                // Orders placed before the book was available (or restored) join the queue now;
+                // an IOC order still open here gets its one match against this book instead
                 for (const [orderId, paperOrder] of orders) {
-                    const limitPrice = parseFloat(paperOrder.limit_price);
-                    if (isNaN(limitPrice) || limitPrice <= 0) {
-                        this.logger.warn(`[Paper Fill Simulator] Order ${orderId} has invalid limit price: ${paperOrder.limit_price}`);
+                    if (paperOrder.time_in_force === 'IOC') {
+                        await this._fillPaperIocOrder(orderId, latestOrderBook);
                         continue;
                     }
-                    
-                    // Normalize side to lowercase for consistent comparison
-                    const orderSide = paperOrder.side.toLowerCase();
-                    
-                    let shouldFill = false;
-                    let fillPrice = 0;
-                    
-                    // Apply realistic fill conditions that match real market behavior
-                    if (orderSide === 'buy') {
-                        // For a buy limit order: Fill when the market ask price drops to or below the limit price
-                        // This simulates the market moving favorably to the limit order
-                        if (bestAsk <= limitPrice) {
-                            shouldFill = true;
-                            fillPrice = Math.min(limitPrice, bestAsk); // Fill at the better price
-                            this.logger.info(`[Paper Fill Simulator] Buy order ${orderId} limit=${limitPrice} can fill because bestAsk=${bestAsk} dropped to/below limit price`);
-                        }
-                    } else if (orderSide === 'sell') {
-                        // For a sell limit order: Fill when the market bid price rises to or above the limit price
-                        // This simulates the market moving favorably to the limit order
-                        if (bestBid >= limitPrice) {
-                            shouldFill = true;
-                            fillPrice = Math.max(limitPrice, bestBid); // Fill at the better price
-                            this.logger.info(`[Paper Fill Simulator] Sell order ${orderId} limit=${limitPrice} can fill because bestBid=${bestBid} rose to/above limit price`);
-                        }
-                    }
-                    
-                    // If conditions are met, simulate a fill
-                    if (shouldFill) {
-                        this.logger.info(`[Paper Fill Simulator] Order ${orderId} (${orderSide}) meets market conditions for fill at ${fillPrice}. Will simulate fill.`);
-                        await this._simulateOrderFill(orderId, paperOrder, fillPrice);
+                    if (!this.paperFillSimulator.hasOrder(orderId)) {
+                        this.paperFillSimulator.addOrder({
+                            id: orderId,
+                            symbol,
+                            side: paperOrder.side,
+                            price: paperOrder.limit_price,
+                            amount: paperOrder.order_qty,
+                            filled: paperOrder.filled_qty
+                        }, latestOrderBook);
                     }
                 }
+                
+                // Fill only on trade-through or once the queue ahead is exhausted
+                const fills = this.paperFillSimulator.onBookUpdate(symbol, latestOrderBook);
+                await this._applyPaperFills(fills);
             }
             
         } catch (error) {
@@ -1880,6 +1905,134 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
         }
     }
     
+    /**
+     * Latest order book for a symbol in the [[price, size]] format of the paper fill simulator
+     * @private
+     * @param {string} symbol - Trading symbol
+     * @returns {Object|null} { bids, asks, timestamp } or null without a two-sided book
+     */
+    _getPaperOrderBook(symbol) {
+        const orderBookForSymbol = this.orderBook && this.orderBook[symbol];
+        if (!orderBookForSymbol) {
+            return null;
+        }
+        
+        const bids = Array.from(orderBookForSymbol.bids.entries())
+            .map(([price, size]) => [parseFloat(price), size])
+            .sort((a, b) => b[0] - a[0]); // Bids sorted high to low
+        
+        const asks = Array.from(orderBookForSymbol.asks.entries())
+            .map(([price, size]) => [parseFloat(price), size])
+            .sort((a, b) => a[0] - b[0]); // Asks sorted low to high
+        
+        if (bids.length === 0 || asks.length === 0) {
+            return null;
+        }
+        
+        return {
+            bids,
+            asks,
+            timestamp: orderBookForSymbol.timestamp || Date.now()
+        };
+    }
+    
+    /**
+     * Record fills produced by the paper fill simulator
+     * @private
+     * @async
+     * @param {Array<Object>} fills - Simulator fills ({ orderId, price, amount, remaining, reason })
+     */
+    async _applyPaperFills(fills) {
+        for (const fill of fills) {
+            const paperOrder = this.paperOrders.get(fill.orderId);
+            if (!paperOrder) {
+                this.paperFillSimulator.removeOrder(fill.orderId);
+                continue;
+            }
+            
+            this.logger.info(`[Paper Fill Simulator] Order ${fill.orderId} (${fill.side}) fills ${fill.amount} at ${fill.price} (${fill.reason}), remaining ${fill.remaining}`);
+            await this._simulateOrderFill(fill.orderId, paperOrder, fill.price, fill.amount);
+            
+            if (fill.remaining <= 0) {
+                this.paperFillSimulator.removeOrder(fill.orderId);
+            }
+        }
+    }
+    
+    /**
+     * Match an IOC paper order against the opposite side of the book, level by level up to its
+     * limit price, then cancel the unfilled remainder. IOC orders never join the queue simulator
+     * @private
+     * @async
+     * @param {string} orderId - The ID of the order
+     * @param {Object|null} book - Order book from _getPaperOrderBook (null cancels the whole order)
+     */
+    async _fillPaperIocOrder(orderId, book) {
+        const paperOrder = this.paperOrders.get(orderId);
+        if (!paperOrder || paperOrder.status !== 'open') {
+            return;
+        }
+        
+        const isBuy = paperOrder.side.toLowerCase() === 'buy';
+        const limitPrice = parseFloat(paperOrder.limit_price);
+        const levels = book ? (isBuy ? book.asks : book.bids) : [];
+        let remaining = parseFloat(paperOrder.order_qty || 0) - parseFloat(paperOrder.filled_qty || 0);
+        
+        for (const [price, size] of levels) {
+            if (remaining <= 0 || (isBuy ? price > limitPrice : price < limitPrice)) {
+                break;
+            }
+            const fillQty = Math.min(parseFloat(size), remaining);
+            await this._simulateOrderFill(orderId, paperOrder, price, fillQty);
+            remaining -= fillQty;
+        }
+        
+        const currentOrder = this.paperOrders.get(orderId);
+        if (currentOrder && currentOrder.status === 'open') {
+            await this._expirePaperIocOrder(orderId, currentOrder);
+        }
+    }
+    
+    /**
+     * Cancel the unfilled remainder of an IOC paper order
+     * @private
+     * @async
+     * @param {string} orderId - The ID of the order to cancel
+     * @param {Object} paperOrder - The paper order object
+     */
+    async _expirePaperIocOrder(orderId, paperOrder) {
+        this.paperOrders.set(orderId, { ...paperOrder, status: 'cancelled' });
+        this.paperFillSimulator.removeOrder(orderId);
+        
+        const orderQty = parseFloat(paperOrder.order_qty || 0);
+        const filledQty = parseFloat(paperOrder.filled_qty || 0);
+        const cancelledOrder = {
+            id: orderId,
+            clientOrderId: paperOrder.cl_ord_id,
+            symbol: paperOrder.symbol,
+            side: paperOrder.side.toLowerCase(),
+            type: 'limit',
+            price: paperOrder.limit_price,
+            size: orderQty,
+            amount: orderQty,
+            filled: filledQty,
+            remaining: orderQty - filledQty,
+            status: 'CANCELLED',
+            cancelReason: 'IOC',
+            timestamp: Date.now(),
+            sessionId: this.sessionId,
+            parentOrderId: paperOrder.parentOrderId,
+            purpose: paperOrder.purpose
+        };
+        
+        if (this.redisOrderManager && typeof this.redisOrderManager.update === 'function') {
+            await this.redisOrderManager.update(cancelledOrder);
+        }
+        
+        this.logger.info(`[Paper Fill Simulator] IOC order ${orderId} cancelled with ${orderQty - filledQty} unfilled`);
+        this.emit('orderUpdate', cancelledOrder);
+    }
+    
     /**
      * Simulates a fill for a paper trading order
      * @private
@@ -1887,8 +2040,9 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
      * @param {string} orderId - The ID of the order to fill
      * @param {Object} paperOrder - The paper order object
      * @param {number} fillPrice - The price at which to fill the order
+     * @param {number} [fillQty] - Quantity filled (defaults to the unfilled remainder)
      */
-    async _simulateOrderFill(orderId, paperOrder, fillPrice) {
+    async _simulateOrderFill(orderId, paperOrder, fillPrice, fillQty) {
         try {
             // BUGFIX: Check if order is already filled to prevent duplicate fills
             const currentOrder = this.paperOrders.get(orderId);
@@ -1914,9 +2068,10 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             // Generate a unique fill ID
             const fillId = `paper-fill-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
             
-            // Create a fill size (we'll fill the entire order for simplicity)
-            // In a more sophisticated simulation we could do partial fills
-            const fillSize = paperOrder.order_qty - paperOrder.filled_qty;
+            // Partial fills leave the order open with the remainder
+            const fillSize = Math.min(fillQty ?? (orderQty - filledQty), orderQty - filledQty);
+            const totalFilled = filledQty + fillSize;
+            const fullyFilled = totalFilled >= orderQty;
             
             // Create timestamp for fill
             const fillTimestamp = Date.now(); // Timestamp in milliseconds since epoch
@@ -1943,9 +2098,9 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             
             // Update the paper order
             const updatedOrder = {
-                ...paperOrder,
-                filled_qty: paperOrder.order_qty,
-                status: 'filled'
+                ...currentOrder,
+                filled_qty: totalFilled,
+                status: fullyFilled ? 'filled' : 'open'
             };
             this.paperOrders.set(orderId, updatedOrder);
             
@@ -1959,9 +2114,9 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                 price: paperOrder.limit_price,
                 size: paperOrder.order_qty, // Standardize on size
                 amount: paperOrder.order_qty, // Include amount for compatibility
-                filled: paperOrder.order_qty, // Fully filled
-                remaining: 0,
-                status: 'FILLED', // Use uppercase status to match AMM expectations
+                filled: totalFilled,
+                remaining: orderQty - totalFilled,
+                status: fullyFilled ? 'FILLED' : 'PARTIALLY_FILLED', // Use uppercase status to match AMM expectations
                 timestamp: fillTimestamp, // Same timestamp as fill
                 lastUpdated: fillTimestamp, // Add lastUpdated field to match backend API
                 lastFillTimestamp: fillTimestamp, // Timestamp in milliseconds since epoch
@@ -1980,15 +2135,18 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             // Update order in Redis
             if (this.redisOrderManager && typeof this.redisOrderManager.update === 'function') {
                 await this.redisOrderManager.update(standardizedOrder);
-                this.logger.info(`[Paper Fill Simulator] Order ${orderId} updated to filled status in RedisOrderManager`);
+                this.logger.info(`[Paper Fill Simulator] Order ${orderId} updated to ${standardizedOrder.status} status in RedisOrderManager`);
             }
             
             // Emit filled event with both fill data and updated order in the expected format
             // This is the format expected by AdaptiveMarketMakerV2._handleOrderFilled
-            this.emit('orderFilled', {
-                fillData: fill,
-                updatedOrder: standardizedOrder
-            });
+            // Partial fills are reported through orderUpdate and fill only
+            if (fullyFilled) {
+                this.emit('orderFilled', {
+                    fillData: fill,
+                    updatedOrder: standardizedOrder
+                });
+            }
             
             // Emit order status change
             this.emit('orderUpdate', standardizedOrder);
@@ -2127,6 +2285,11 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             return;
         }
 
+        // Dead man's switch, amend and batch cancel acks are consumed via the 'response' event
+        if (message.method === 'cancel_all_orders_after' || message.method === 'amend_order' || message.method === 'batch_cancel') {
+            return;
+        }
+
         this.logger.warn('Received unhandled Private WebSocket message:', message);
     }
 
@@ -2506,6 +2669,7 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                             // Use internal ID as primary identifier for fills
                             const orderId = associatedOrderInCurrentSession.id; // This is now our internal ID
                             const clientOrderId = associatedOrderInCurrentSession.clientOrderId || associatedOrderInCurrentSession.id;
+                            const internalOrderId = clientOrderId;
                             
                             // Create comprehensive fill record
                             const fillRecord = {
@@ -2533,23 +2697,44 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                                 this.logger.info(`[FILL_PROCESSING] Fill ${fillRecord.id} persisted for order ${orderId} (internal: ${internalOrderId}) in session ${this.sessionId}`);
                             }
                             
-                            // Update order status to FILLED in Redis
+                            // An order can fill in several trades: Kraken reports the cumulative quantity and
+                            // average price on each one, so the order is only FILLED once nothing is left
+                            const orderAmount = parseFloat(associatedOrderInCurrentSession.amount);
+                            const previousFilled = parseFloat(associatedOrderInCurrentSession.filled) || 0;
+                            const previousAvgPrice = parseFloat(associatedOrderInCurrentSession.avgPrice) || 0;
+                            const tradeQuantity = parseFloat(fillRecord.quantity) || 0;
+                            const cumQty = parseFloat(executionReport.cum_qty);
+                            const filled = Number.isFinite(cumQty) ? cumQty : previousFilled + tradeQuantity;
+                            const avgPrice = parseFloat(executionReport.avg_price) ||
+                                (previousAvgPrice * previousFilled + parseFloat(fillRecord.price) * tradeQuantity) / (filled || 1);
+                            const leavesQty = parseFloat(executionReport.leaves_qty);
+                            const remaining = Number.isFinite(leavesQty) ? leavesQty : Math.max(0, orderAmount - filled);
+                            const fullyFilled = executionReport.order_status
+                                ? executionReport.order_status === 'filled'
+                                : !(remaining > orderAmount * 1e-9);
+                            
                             const updatedOrderData = {
                                 ...associatedOrderInCurrentSession,
-                                status: 'FILLED',
-                                filled: fillRecord.quantity,
-                                remaining: 0,
-                                avgPrice: fillRecord.price,
+                                status: fullyFilled ? 'FILLED' : 'PARTIALLY_FILLED',
+                                filled,
+                                remaining: fullyFilled ? 0 : remaining,
+                                avgPrice,
                                 fees: fillRecord.fees,
                                 lastUpdated: Date.now()
                             };
                             
                             await this.redisOrderManager.update(updatedOrderData);
-                            this.logger.info(`[FILL_PROCESSING] Order ${orderId} status updated to FILLED in Redis`);
+                            this.logger.info(`[FILL_PROCESSING] Order ${orderId} status updated to ${updatedOrderData.status} in Redis`, {
+                                filled,
+                                remaining: updatedOrderData.remaining
+                            });
+                            if (!fullyFilled) {
+                                this.liveOrders.set(orderId, updatedOrderData);
+                            }
                             
-                            // Emit events
+                            // Emit the fill before the order update: fill trackers count the trade from the fill
+                            // and then find the cumulative amount already accounted for
                             this.emit('fill', fillRecord);
-                            this.emit('orderUpdate', updatedOrderData);
                             
                             // Emit orderFilled event that AdaptiveMarketMakerV2 expects for take-profit creation
                             // Use internal order ID for backward compatibility with AdaptiveMarketMakerV2
@@ -2566,6 +2751,16 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                                 updatedOrder: updatedOrderData,
                                 timestamp: fillRecord.timestamp
                             });
+                            this.emit('orderUpdate', updatedOrderData);
+                            
+                            if (!fullyFilled) {
+                                this.logger.info(`[FILL_PARTIAL] Order ${orderId} partially filled: ${filled} of ${orderAmount}`, {
+                                    exchangeOrderId,
+                                    quantity: fillRecord.quantity,
+                                    price: fillRecord.price
+                                });
+                                return;
+                            }
                             
                             this.logger.info(`[FILL_COMPLETE] Order ${orderId} (internal: ${internalOrderId}, exchange: ${exchangeOrderId}) filled and take-profit event emitted`, {
                                 orderId: orderId,
@@ -2876,10 +3071,10 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             return;
         }
 
-        this._handlePublicMessage(message);
+        this._handlePublicMessage(message, event.data);
     }
 
-    _handlePublicMessage(message) {
+    _handlePublicMessage(message, rawMessage = null) {
         // 1. Handle direct responses to requests via req_id
         if (message.req_id && this.publicSubscriptions.has(message.req_id)) {
             const sub = this.publicSubscriptions.get(message.req_id);
@@ -2964,6 +3159,29 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                                     };
                                 }
                                 const currentSymbolBook = this.orderBook[symbol];
+                                const integrity = this._getOrderBookIntegrity(symbol);
+
+                                if (message.type === 'snapshot') {
+                                    // A snapshot replaces the book; levels left over from before would break the checksum
+                                    currentSymbolBook.bids.clear();
+                                    currentSymbolBook.asks.clear();
+                                    if (!this.bookPrecision[symbol] && rawMessage) {
+                                        const inferredPrecision = inferBookPrecision(rawMessage);
+                                        if (inferredPrecision) {
+                                            this.bookPrecision[symbol] = inferredPrecision;
+                                            this.bookPrecisionSource[symbol] = 'inferred';
+                                            this.logger.info(`[Public WS Book] Inferred checksum precision for ${symbol} from snapshot`, inferredPrecision);
+                                        }
+                                    }
+                                    if (!this._bookPrecisionRequests.has(symbol) && this.bookPrecisionSource[symbol] !== 'config') {
+                                        // Trailing zeros can make inference guess short; the instrument metadata replaces it once loaded
+                                        this._loadBookPrecision(symbol);
+                                    }
+                                } else if (integrity.resyncing) {
+                                    // Deltas on top of a corrupted book are meaningless until the fresh snapshot arrives
+                                    this.logger.debug(`[Public WS Book] Dropping ${symbol} update while the book is resynchronizing`);
+                                    return;
+                                }
 
                                 // Process bid updates
                                 if (bookEntry.bids) {
@@ -2990,9 +3208,17 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                                     });
                                 }
                                 
+                                // Kraken computes the checksum over the book truncated to the subscribed depth
+                                this._truncateBookSide(currentSymbolBook.bids, this.orderBookDepth, (a, b) => b - a);
+                                this._truncateBookSide(currentSymbolBook.asks, this.orderBookDepth, (a, b) => a - b);
+                                
                                 // Update timestamp
                                 currentSymbolBook.timestamp = bookEntry.timestamp ? new Date(bookEntry.timestamp).getTime() : Date.now();
 
+                                if (!this._verifyOrderBookChecksum(symbol, bookEntry, message.type === 'snapshot')) {
+                                    return;
+                                }
+
                                 // Only proceed if this update is for the symbol this adapter instance is for
                                 if (this.symbol === symbol) {
                                     // Convert current full book state to arrays for emission
@@ -3009,7 +3235,9 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                                         symbol: symbol,
                                         bids: formattedBids,
                                         asks: formattedAsks,
-                                        timestamp: currentSymbolBook.timestamp 
+                                        timestamp: currentSymbolBook.timestamp,
+                                        checksum: bookEntry.checksum,
+                                        checksumPrecision: this.bookPrecision[symbol] || null
                                     });
                                     this.logger.info(`[Public WS Book] Emitted 'orderBookUpdate' for ${symbol}. Bids: ${formattedBids.length}, Asks: ${formattedAsks.length}. Type: ${message.type || 'delta'}`);
                                 } else {
@@ -3042,6 +3270,12 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                             };
                             this.emit('trade', standardizedTrade);
                             this.logger.info(`[Public WS Trade] Emitted 'trade' for ${symbol}: ${standardizedTrade.tradeId}`);
+                            
+                            // Trade prints advance the queue position of resting paper orders
+                            if (this.paperMode && this.paperFillSimulator) {
+                                this._applyPaperFills(this.paperFillSimulator.onTrade(symbol, standardizedTrade))
+                                    .catch(error => this.logger.error('[Paper Fill Simulator] Error applying trade fills:', error));
+                            }
                         });
                     } else {
                          this.logger.warn(`[Public WS Trade] Received 'trade' message without data array or empty data.`, message);
@@ -3303,6 +3537,262 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
         });
     }
 
+    /**
+     * Unsubscribes from a public channel.
+     * @private
+     * @param {string} channelName The name of the channel (e.g., 'book').
+     * @param {object} params Parameters of the original subscription (e.g., symbol, depth).
+     * @param {string} originalSymbol The original, unformatted symbol for logging.
+     * @returns {Promise<object>} Resolves with the unsubscribe confirmation or rejects on error/timeout.
+     */
+    async _unsubscribeFromPublicChannel(channelName, params = {}, originalSymbol = '') {
+        const reqId = this._publicNextReqId++;
+        const finalPayload = {
+            method: 'unsubscribe',
+            params: {
+                channel: channelName,
+                ...params
+            },
+            req_id: reqId
+        };
+
+        return new Promise((resolve, reject) => {
+            if (!this.wsPublic || this.wsPublic.readyState !== WebSocket.OPEN) {
+                return reject(new Error(`[Public WS Unsubscribe] Public WebSocket not connected. Cannot unsubscribe from ${channelName} for ${originalSymbol}`));
+            }
+
+            this.logger.info(`[Public WS Unsubscribe] Unsubscribing from ${channelName} for ${originalSymbol} (req_id: ${reqId})`);
+
+            this.publicSubscriptions.set(reqId, {
+                payload: finalPayload,
+                resolve,
+                reject,
+                timeout: setTimeout(() => {
+                    if (this.publicSubscriptions.has(reqId)) {
+                        this.publicSubscriptions.delete(reqId);
+                        reject(new Error(`Unsubscribe from ${channelName} for ${originalSymbol} timed out`));
+                    }
+                }, this.requestTimeoutMs)
+            });
+
+            try {
+                this.wsPublic.send(JSON.stringify(finalPayload));
+            } catch (error) {
+                clearTimeout(this.publicSubscriptions.get(reqId).timeout);
+                this.publicSubscriptions.delete(reqId);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Checksum state of a symbol's order book
+     * @private
+     * @param {string} symbol Kraken public WS symbol
+     * @returns {object} { verified, resyncing, corruptions, failedResyncs, precisionRederived, lastMismatch, verifiedAt }
+     */
+    _getOrderBookIntegrity(symbol) {
+        if (!this.orderBookIntegrity.has(symbol)) {
+            this.orderBookIntegrity.set(symbol, {
+                verified: false,
+                resyncing: false,
+                corruptions: 0,
+                failedResyncs: 0,
+                precisionRederived: false,
+                lastMismatch: null,
+                verifiedAt: null
+            });
+        }
+        return this.orderBookIntegrity.get(symbol);
+    }
+
+    /**
+     * Keep the best `depth` levels of a book side
+     * @private
+     * @param {Map} levels price -> qty
+     * @param {number} depth Levels to keep
+     * @param {Function} compare Sort order, best first
+     */
+    _truncateBookSide(levels, depth, compare) {
+        if (levels.size <= depth) {
+            return;
+        }
+        const prices = Array.from(levels.keys()).sort(compare);
+        for (const price of prices.slice(depth)) {
+            levels.delete(price);
+        }
+    }
+
+    /**
+     * Check the local book against the checksum Kraken sent with a book message.
+     * On a mismatch the book is cleared, quoting on the symbol is blocked and it is resubscribed
+     * for a fresh snapshot.
+     * @private
+     * @param {string} symbol Kraken public WS symbol
+     * @param {object} bookEntry Book data entry (with checksum)
+     * @param {boolean} isSnapshot Whether the entry was a snapshot
+     * @returns {boolean} Whether the book can be used
+     */
+    _verifyOrderBookChecksum(symbol, bookEntry, isSnapshot) {
+        const integrity = this._getOrderBookIntegrity(symbol);
+        const precision = this.bookPrecision[symbol];
+        const book = this.orderBook[symbol];
+
+        if (bookEntry.checksum === undefined || !precision) {
+            // Nothing to verify against: a snapshot is taken as-is, deltas keep the current state
+            if (isSnapshot) {
+                this._markOrderBookVerified(symbol);
+            }
+            return integrity.verified;
+        }
+
+        const bids = Array.from(book.bids.entries()).sort((a, b) => b[0] - a[0]);
+        const asks = Array.from(book.asks.entries()).sort((a, b) => a[0] - b[0]);
+        const expected = Number(bookEntry.checksum);
+        const actual = krakenBookChecksum(bids, asks, precision);
+
+        if (actual === expected) {
+            this._markOrderBookVerified(symbol);
+            return true;
+        }
+
+        if (integrity.resyncing) {
+            integrity.failedResyncs++;
+        }
+        integrity.verified = false;
+        integrity.resyncing = true;
+        integrity.corruptions++;
+        integrity.lastMismatch = { expected, actual, snapshot: isSnapshot, timestamp: Date.now() };
+        book.bids.clear();
+        book.asks.clear();
+
+        this.logger.warn(`[Public WS Book] Checksum mismatch for ${symbol} (expected ${expected}, got ${actual}); blocking quotes and resynchronizing`, {
+            corruptions: integrity.corruptions,
+            snapshot: isSnapshot
+        });
+        this.emit('orderBookCorrupted', {
+            symbol,
+            corruptions: integrity.corruptions,
+            expected,
+            actual,
+            snapshot: isSnapshot
+        });
+
+        this._resyncOrderBook(symbol);
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    _markOrderBookVerified(symbol) {
+        const integrity = this._getOrderBookIntegrity(symbol);
+        const wasResyncing = integrity.resyncing;
+
+        integrity.verified = true;
+        integrity.resyncing = false;
+        integrity.failedResyncs = 0;
+        integrity.precisionRederived = false;
+        integrity.verifiedAt = Date.now();
+
+        if (wasResyncing) {
+            this.logger.info(`[Public WS Book] ${symbol} order book restored from a verified snapshot; quoting unblocked`);
+            this.emit('orderBookResynced', { symbol, corruptions: integrity.corruptions });
+        }
+    }
+
+    /**
+     * Load a symbol's checksum precision from the AssetPairs instrument metadata
+     * (pair_decimals / lot_decimals, the same values as the v2 instrument channel's price_precision / qty_precision).
+     * Lookups are made once per symbol; a failed lookup leaves the inferred precision in place.
+     * @private
+     * @param {string} symbol Kraken public WS symbol (e.g. 'BTC/USD')
+     * @returns {Promise<object|null>} { pricePrecision, qtyPrecision } or null when the metadata is unavailable
+     */
+    _loadBookPrecision(symbol) {
+        if (this._bookPrecisionRequests.has(symbol)) {
+            return this._bookPrecisionRequests.get(symbol);
+        }
+
+        const request = (async () => {
+            if (typeof this._restClient?.getPairPrecision !== 'function') {
+                return null;
+            }
+            try {
+                const pairInfo = (await this._restClient.getPairPrecision(symbol))?.[symbol];
+                if (!pairInfo || pairInfo.status === 'unknown') {
+                    this.logger.warn(`[Public WS Book] No instrument metadata for ${symbol}; keeping the inferred checksum precision`);
+                    return null;
+                }
+                if (this.bookPrecisionSource[symbol] === 'config') {
+                    return this.bookPrecision[symbol];
+                }
+
+                const precision = { pricePrecision: pairInfo.pairDecimals, qtyPrecision: pairInfo.lotDecimals };
+                const previous = this.bookPrecision[symbol];
+                this.bookPrecision[symbol] = precision;
+                this.bookPrecisionSource[symbol] = 'metadata';
+                if (!previous || previous.pricePrecision !== precision.pricePrecision || previous.qtyPrecision !== precision.qtyPrecision) {
+                    this.logger.info(`[Public WS Book] Checksum precision for ${symbol} from instrument metadata`, { precision, previous });
+                }
+                return precision;
+            } catch (error) {
+                this.logger.warn(`[Public WS Book] Instrument metadata lookup for ${symbol} failed; keeping the inferred checksum precision: ${error.message}`);
+                return null;
+            }
+        })();
+
+        this._bookPrecisionRequests.set(symbol, request);
+        return request;
+    }
+
+    /**
+     * Rebuild a corrupted book from a fresh snapshot by unsubscribing and resubscribing its book channel
+     * @private
+     * @param {string} symbol Kraken public WS symbol
+     */
+    async _resyncOrderBook(symbol) {
+        const integrity = this._getOrderBookIntegrity(symbol);
+
+        if (integrity.failedResyncs >= this.maxBookResyncAttempts) {
+            // Fresh snapshots keep failing, so the precision is likely wrong. Unless it was configured,
+            // drop it and derive it again (metadata, else the next snapshot) for one more round of resyncs.
+            if (this.bookPrecisionSource[symbol] === 'config' || integrity.precisionRederived) {
+                this.logger.error(`[Public WS Book] ${symbol} order book failed verification after ${integrity.failedResyncs} resyncs; leaving quoting blocked (set config.bookPrecision)`, {
+                    precision: this.bookPrecision[symbol],
+                    source: this.bookPrecisionSource[symbol]
+                });
+                return;
+            }
+
+            this.logger.warn(`[Public WS Book] ${symbol} order book failed verification after ${integrity.failedResyncs} resyncs; re-deriving checksum precision`, {
+                precision: this.bookPrecision[symbol],
+                source: this.bookPrecisionSource[symbol]
+            });
+            integrity.precisionRederived = true;
+            integrity.failedResyncs = 0;
+            delete this.bookPrecision[symbol];
+            delete this.bookPrecisionSource[symbol];
+            this._bookPrecisionRequests.delete(symbol);
+            await this._loadBookPrecision(symbol);
+        }
+
+        try {
+            await this._unsubscribeFromPublicChannel('book', {
+                symbol: [symbol],
+                depth: this.orderBookDepth
+            }, symbol);
+        } catch (error) {
+            this.logger.warn(`[Public WS Book] Unsubscribe before resync of ${symbol} failed, resubscribing anyway: ${error.message}`);
+        }
+
+        try {
+            await this.subscribeToOrderBook([symbol]);
+        } catch (error) {
+            this.logger.error(`[Public WS Book] Resubscribe for ${symbol} failed; book stays blocked until the public connection resubscribes: ${error.message}`);
+        }
+    }
+
     // Update transform methods if they exist in the file
     async _transformKrakenFill(executionReport) {
         // Check if this is a fill execution
@@ -3816,7 +4306,7 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
      */
     async createOrder(orderParams) {
         // Handle both object parameter and individual parameters for backward compatibility
-        let symbol, type, side, amount, price, clientOrderId, parentOrderId, purpose, pricingMetadata, ttl;
+        let symbol, type, side, amount, price, clientOrderId, parentOrderId, purpose, pricingMetadata, ttl, timeInForce, postOnly;
         
         if (typeof orderParams === 'object' && orderParams.symbol) {
             // Object parameter format (used by AdaptiveMarketMakerV2)
@@ -3830,6 +4320,8 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             purpose = orderParams.purpose;
             pricingMetadata = orderParams.pricingMetadata;
             ttl = orderParams.ttl; // Accept TTL in seconds
+            timeInForce = this._normalizeTimeInForce(orderParams.params?.timeInForce ?? orderParams.timeInForce);
+            postOnly = !!(orderParams.params?.postOnly ?? orderParams.postOnly);
         } else {
             // Individual parameters format (legacy)
             symbol = arguments[0];
@@ -3841,6 +4333,8 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             parentOrderId = null;
             purpose = null;
             ttl = null;
+            timeInForce = this._normalizeTimeInForce(arguments[5]?.timeInForce);
+            postOnly = !!arguments[5]?.postOnly;
         }
 
         this.logger.info(`Creating order via WebSocket: ${side} ${amount} ${symbol} @ ${price || 'MARKET'} (type: ${type})`, { 
@@ -3851,18 +4345,31 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             ttl: ttl,
             ttlType: typeof ttl,
             hasCustomTTL: !!ttl,
+            timeInForce: timeInForce || 'GTD',
+            postOnly,
             orderParamsKeys: Object.keys(orderParams || {})
         });
 
+        // Don't quote off a book that failed its checksum
+        if (type === 'limit' && this.orderBookIntegrity.get(this._formatSymbolForPublicWsInstrument(symbol))?.resyncing) {
+            throw new Error(`Order book for ${symbol} failed checksum verification and is resynchronizing; limit orders blocked until it is restored`);
+        }
+
         try {
             if (this.paperMode) {
+                // Reject a post-only order that would take liquidity, as Kraken does
+                if (postOnly && type === 'limit' && this._wouldTakeLiquidity(symbol, side, price)) {
+                    throw new Error(`Post only order would take liquidity: ${side} ${symbol} @ ${price}`);
+                }
+                
                 // In paper mode, use the mock client
                 const paperOrder = await this.client.createOrder(symbol, type, side, amount, price, { 
                     clientOrderId,
                     parentOrderId,
                     purpose,
                     sessionId: this.sessionId,
-                    pricingMetadata
+                    pricingMetadata,
+                    timeInForce
                 });
                 
                 // Add TTL fields to paper orders too
@@ -3955,12 +4462,11 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                     (side === 'buy' ? TTL_CONFIG.BUY_ORDERS_MS : TTL_CONFIG.SELL_ORDERS_MS);
                 const ttlSeconds = Math.floor(ttlMs / 1000);
                 
-                addOrderMessage.params.time_in_force = 'GTD';
-                // Kraken WebSocket API expects RFC3339 format for expire_time with GTD orders (precision to seconds)
-                const expireDate = new Date(Date.now() + ttlMs);
-                addOrderMessage.params.expire_time = expireDate.toISOString().replace(/\.\d{3}Z$/, 'Z');
+                this._applyOrderFlags(addOrderMessage.params, { side, ttl, timeInForce, postOnly });
                 
-                this.logger.info(`[TTL] Setting ${side} order TTL: ${ttlSeconds} seconds (expires at ${addOrderMessage.params.expire_time}) - Custom TTL: ${!!ttl}`);
+                if (addOrderMessage.params.expire_time) {
+                    this.logger.info(`[TTL] Setting ${side} order TTL: ${ttlSeconds} seconds (expires at ${addOrderMessage.params.expire_time}) - Custom TTL: ${!!ttl}`);
+                }
                 
                 this.logger.info(`[ORDER_CREATE_DEBUG] Sending WebSocket add_order message:`, {
                     reqId,
@@ -3971,6 +4477,7 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                     price: krakenPrice,
                     clientOrderId,
                     timeInForce: addOrderMessage.params.time_in_force,
+                    postOnly: !!addOrderMessage.params.post_only,
                     expireTime: addOrderMessage.params.expire_time,
                     ttlSeconds: addOrderMessage.params.expire_time ? Math.floor((new Date(addOrderMessage.params.expire_time).getTime() - Date.now()) / 1000) : 'N/A'
                 });
@@ -4214,20 +4721,295 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                 return standardOrder;
             }
         } catch (error) {
+            // Kraken rejects a post-only limit that would cross ("EOrder:Post only order");
+            // callers re-price from a fresh book instead of treating it as a failure
+            if (postOnly && /post.?only/i.test(error.message)) {
+                error.postOnlyRejected = true;
+            }
             this.logger.error(`Failed to create order on Kraken WebSocket for ${symbol}:`, error.message);
             throw error;
         }
     }
 
-    async cancelOrder(orderId, params = {}) {
-        this.logger.info(`[${this.exchangeName}] Cancelling order ${orderId}`, { 
-            tradingMode: this.tradingMode, 
-            params 
+    /**
+     * Places several orders, batching live orders per symbol with Kraken v2 `batch_add`
+     * Kraken validates a batch as a whole: if one order is rejected, none of the batch is placed
+     * and every order in it gets a failed result. Paper orders go through createOrder() one by one.
+     * @param {Array<Object>} ordersParams - createOrder() parameter objects
+     * @returns {Promise<Array<Object>>} - Per-order results in input order: { clientOrderId, success, order | error }
+     */
+    async createOrders(ordersParams) {
+        const results = new Array(ordersParams.length);
+
+        if (this.paperMode) {
+            for (let i = 0; i < ordersParams.length; i++) {
+                results[i] = await this._createOrderResult(ordersParams[i]);
+            }
+            return results;
+        }
+
+        // batch_add takes a single symbol per request
+        const bySymbol = new Map();
+        ordersParams.forEach((orderParams, index) => {
+            if (!bySymbol.has(orderParams.symbol)) {
+                bySymbol.set(orderParams.symbol, []);
+            }
+            bySymbol.get(orderParams.symbol).push({ orderParams, index });
         });
 
-        try {
-            if (this.tradingMode === 'paper') {
-                // Paper trading - only update Redis, no exchange interaction
+        for (const [symbol, entries] of bySymbol) {
+            for (let i = 0; i < entries.length; i += MAX_BATCH_ADD_ORDERS) {
+                const chunk = entries.slice(i, i + MAX_BATCH_ADD_ORDERS);
+
+                if (chunk.length === 1) {
+                    results[chunk[0].index] = await this._createOrderResult(chunk[0].orderParams);
+                    continue;
+                }
+
+                try {
+                    const orders = await this._sendBatchAdd(symbol, chunk.map(entry => entry.orderParams));
+                    chunk.forEach((entry, j) => {
+                        results[entry.index] = { clientOrderId: orders[j].clientOrderId, success: true, order: orders[j] };
+                    });
+                } catch (error) {
+                    this.logger.error(`[${this.exchangeName}] batch_add failed for ${chunk.length} ${symbol} orders:`, error.message);
+                    for (const entry of chunk) {
+                        results[entry.index] = { clientOrderId: entry.orderParams.clientOrderId, success: false, error: error.message };
+                    }
+                }
+            }
+        }
+
+        this.logger.info(`[${this.exchangeName}] Batch order placement complete.`, {
+            total: results.length,
+            successful: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success).length
+        });
+
+        return results;
+    }
+
+    /**
+     * createOrder() wrapped into a per-order result
+     * @private
+     */
+    async _createOrderResult(orderParams) {
+        try {
+            const order = await this.createOrder(orderParams);
+            return { clientOrderId: order.clientOrderId || orderParams.clientOrderId, success: true, order };
+        } catch (error) {
+            return { clientOrderId: orderParams.clientOrderId, success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Sends one batch_add request and stores the placed orders
+     * @private
+     * @param {string} symbol - Trading pair shared by the orders
+     * @param {Array<Object>} ordersParams - createOrder() parameter objects
+     * @returns {Promise<Array<Object>>} - Stored orders in request order
+     */
+    async _sendBatchAdd(symbol, ordersParams) {
+        if (!this.ws || this.connectionState !== 'connected') {
+            throw new Error('Private WebSocket not connected');
+        }
+
+        if (!this.token) {
+            throw new Error('Authentication token is required for order creation but not available');
+        }
+
+        // Don't quote off a book that failed its checksum
+        if (ordersParams.some(o => o.type === 'limit') &&
+            this.orderBookIntegrity.get(this._formatSymbolForPublicWsInstrument(symbol))?.resyncing) {
+            throw new Error(`Order book for ${symbol} failed checksum verification and is resynchronizing; limit orders blocked until it is restored`);
+        }
+
+        const reqId = this._nextReqId++;
+        const now = Date.now();
+        const ttlsMs = ordersParams.map(o => this._resolveOrderTtlMs(o.side, o.ttl));
+
+        const batchMessage = {
+            method: 'batch_add',
+            params: {
+                symbol: this._formatPairForKraken(symbol),
+                token: this.token,
+                orders: ordersParams.map(o => {
+                    const krakenOrder = {
+                        order_type: o.type,
+                        side: o.side,
+                        order_qty: parseFloat(o.amount),
+                        ...(o.type === 'limit' && o.price && { limit_price: parseFloat(o.price) }),
+                        ...(o.clientOrderId && { cl_ord_id: o.clientOrderId })
+                    };
+                    this._applyOrderFlags(krakenOrder, {
+                        side: o.side,
+                        ttl: o.ttl,
+                        timeInForce: this._normalizeTimeInForce(o.params?.timeInForce ?? o.timeInForce),
+                        postOnly: !!(o.params?.postOnly ?? o.postOnly)
+                    });
+                    return krakenOrder;
+                })
+            },
+            req_id: reqId
+        };
+
+        this.logger.info(`[ORDER_CREATE_DEBUG] Sending WebSocket batch_add message:`, {
+            reqId,
+            symbol: batchMessage.params.symbol,
+            count: ordersParams.length
+        });
+
+        const response = await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                if (this.subscriptions.has(reqId)) {
+                    this.subscriptions.delete(reqId);
+                    reject(new Error(`Batch order creation timeout after ${this.requestTimeoutMs}ms`));
+                }
+            }, this.requestTimeoutMs);
+
+            this.subscriptions.set(reqId, {
+                payload: batchMessage,
+                resolve: (result) => {
+                    clearTimeout(timeout);
+                    resolve(result);
+                },
+                reject: (error) => {
+                    clearTimeout(timeout);
+                    reject(error);
+                },
+                timeout
+            });
+
+            try {
+                this.ws.send(JSON.stringify(batchMessage));
+            } catch (error) {
+                clearTimeout(timeout);
+                this.subscriptions.delete(reqId);
+                reject(new Error(`Failed to send batch order message: ${error.message}`));
+            }
+        });
+
+        // batch_add results are returned in request order
+        const placed = Array.isArray(response) ? response : [];
+        const orders = [];
+
+        for (let i = 0; i < ordersParams.length; i++) {
+            const { type, side, amount, price, clientOrderId, parentOrderId, purpose, pricingMetadata } = ordersParams[i];
+            const exchangeOrderId = placed[i]?.order_id;
+            // Only GTD orders expire; IOC and GTC orders were sent without an expire_time
+            const expires = !!batchMessage.params.orders[i].expire_time;
+
+            const standardOrder = {
+                id: clientOrderId,  // Use our internal ID as primary identifier
+                clientOrderId: clientOrderId,
+                exchangeOrderId: exchangeOrderId,
+                symbol: symbol,
+                type: type,
+                side: side,
+                price: price,
+                amount: amount,
+                size: amount, // Map amount to size for UI compatibility
+                status: 'OPEN',
+                timestamp: now,
+                filled: 0,
+                remaining: amount,
+                sessionId: this.sessionId,
+                parentOrderId: parentOrderId || null,
+                purpose: purpose || null,
+                exchange: 'kraken_ws_v2',
+                paperTrading: false,
+                rawOrderData: { result: placed[i] || null, batchReqId: reqId },
+                ttlMs: expires ? ttlsMs[i] : null,
+                expiresAt: expires ? now + ttlsMs[i] : null,
+                createdAt: now,
+                pricingMetadata: pricingMetadata || null
+            };
+
+            this.liveOrders.set(clientOrderId, standardOrder);
+            if (exchangeOrderId) {
+                this.exchangeOrderIdMap.set(exchangeOrderId, clientOrderId);
+            }
+
+            if (this.redisOrderManager && typeof this.redisOrderManager.add === 'function') {
+                await this.redisOrderManager.add(standardOrder);
+            }
+
+            this.emit('orderUpdate', standardOrder);
+            orders.push(standardOrder);
+        }
+
+        this.logger.info(`[${this.exchangeName}] batch_add placed ${orders.length} ${symbol} orders`, {
+            exchangeOrderIds: orders.map(o => o.exchangeOrderId)
+        });
+
+        return orders;
+    }
+
+    /**
+     * Order lifetime for exchange-level GTD expiry: the requested TTL (seconds), or the
+     * per-side default (16 seconds for buys, 15 minutes for sells)
+     * @private
+     * @returns {number} - TTL in milliseconds
+     */
+    _resolveOrderTtlMs(side, ttl) {
+        if (ttl) {
+            return ttl * 1000;
+        }
+        return side === 'buy' ? 16000 : 900000;
+    }
+
+    /**
+     * Whether a limit order at this price would cross the paper book
+     * @private
+     */
+    _wouldTakeLiquidity(symbol, side, price) {
+        const book = this._getPaperOrderBook(symbol);
+        if (!book) {
+            return false;
+        }
+        return side === 'buy' ? price >= book.asks[0][0] : price <= book.bids[0][0];
+    }
+
+    /**
+     * Upper-case a requested time in force ('IOC', 'GTC', 'GTD'), or null when none was given
+     * @private
+     */
+    _normalizeTimeInForce(timeInForce) {
+        return timeInForce ? String(timeInForce).toUpperCase() : null;
+    }
+
+    /**
+     * Set time_in_force and post_only on add_order / batch_add order params. IOC and GTC are
+     * sent as requested; anything else rests as GTD with the order's TTL so it expires exchange-side.
+     * @private
+     * @param {Object} krakenParams - Kraken order params to update
+     * @param {Object} order - { side, ttl, timeInForce, postOnly }
+     */
+    _applyOrderFlags(krakenParams, { side, ttl, timeInForce, postOnly }) {
+        if (postOnly) {
+            krakenParams.post_only = true;
+        }
+
+        if (timeInForce === 'IOC' || timeInForce === 'GTC') {
+            krakenParams.time_in_force = timeInForce.toLowerCase();
+            return;
+        }
+
+        krakenParams.time_in_force = 'GTD';
+        // Kraken WebSocket API expects RFC3339 format for expire_time with GTD orders (precision to seconds)
+        const expireDate = new Date(Date.now() + this._resolveOrderTtlMs(side, ttl));
+        krakenParams.expire_time = expireDate.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    async cancelOrder(orderId, params = {}) {
+        this.logger.info(`[${this.exchangeName}] Cancelling order ${orderId}`, { 
+            tradingMode: this.tradingMode, 
+            params 
+        });
+
+        try {
+            if (this.tradingMode === 'paper') {
+                // Paper trading - only update Redis, no exchange interaction
                 this.logger.info(`[${this.exchangeName}] Paper trading: Cancelling order ${orderId} in Redis only`);
                 
                 // Get the order from Redis order manager (corrected property name)
@@ -4253,6 +5035,14 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                 // Save to Redis via order manager (corrected property name)
                 await this.redisOrderManager.update(updatedOrder);
                 
+                // Stop simulating fills for the cancelled order
+                if (this.paperOrders && this.paperOrders.has(orderId)) {
+                    this.paperOrders.set(orderId, { ...this.paperOrders.get(orderId), status: 'cancelled' });
+                }
+                if (this.paperFillSimulator) {
+                    this.paperFillSimulator.removeOrder(orderId);
+                }
+                
                 // Emit order status changed event
                 this.emit('orderStatusChanged', {
                     orderId: order.id,
@@ -4289,27 +5079,7 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
                 
                 // Get the order from Redis to extract the real Kraken order ID
                 const order = await this.redisOrderManager.getById(orderId);
-                let krakenOrderId = orderId;
-                
-                if (order) {
-                    // Prefer exchangeOrderId if available
-                    if (order.exchangeOrderId) {
-                        krakenOrderId = order.exchangeOrderId;
-                        this.logger.info(`[${this.exchangeName}] Using exchange order ID ${krakenOrderId} for cancellation`);
-                    } else if (order.rawOrderData && order.rawOrderData.result && order.rawOrderData.result.order_id) {
-                        krakenOrderId = order.rawOrderData.result.order_id;
-                        this.logger.info(`[${this.exchangeName}] Using Kraken order ID ${krakenOrderId} from rawOrderData (WebSocket v2 format)`);
-                    } else {
-                        this.logger.warn(`[${this.exchangeName}] Could not find exchange order ID for ${orderId}, will try with client order ID`);
-                        // Try using cl_ord_id if we have clientOrderId
-                        if (order.clientOrderId) {
-                            krakenOrderId = order.clientOrderId;
-                            this.logger.info(`[${this.exchangeName}] Using client order ID ${krakenOrderId} for cancellation`);
-                        }
-                    }
-                } else {
-                    this.logger.warn(`[${this.exchangeName}] Order ${orderId} not found in Redis`);
-                }
+                const krakenOrderId = this._resolveKrakenOrderId(order, orderId, 'cancellation');
                 
                 // Create cancel order message for Kraken v2
                 const cancelMessage = {
@@ -4350,6 +5120,366 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
         }
     }
 
+    /**
+     * Cancels several orders, batching live cancellations with Kraken v2 `batch_cancel`
+     * A batch that fails is retried order by order so each order still gets its own result.
+     * Paper orders go through cancelOrder().
+     * @param {Array<string>} orderIds - Order IDs
+     * @param {Object} [params] - Cancellation parameters ({ reason })
+     * @returns {Promise<Array<Object>>} - Per-order results in input order: { orderId, success, result | error }
+     */
+    async cancelOrders(orderIds, params = {}) {
+        if (orderIds.length === 0) {
+            return [];
+        }
+
+        if (this.tradingMode === 'paper') {
+            return Promise.all(orderIds.map(orderId => this._cancelOrderResult(orderId, params)));
+        }
+
+        const results = [];
+
+        for (let i = 0; i < orderIds.length; i += MAX_BATCH_CANCEL_ORDERS) {
+            const chunk = orderIds.slice(i, i + MAX_BATCH_CANCEL_ORDERS);
+
+            if (chunk.length === 1) {
+                results.push(await this._cancelOrderResult(chunk[0], params));
+                continue;
+            }
+
+            try {
+                results.push(...await this._sendBatchCancel(chunk, params));
+            } catch (batchError) {
+                this.logger.error(`[${this.exchangeName}] Batch cancellation failed:`, batchError);
+
+                // Fall back to individual cancellation for this chunk
+                for (const orderId of chunk) {
+                    results.push(await this._cancelOrderResult(orderId, params));
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * cancelOrder() wrapped into a per-order result
+     * @private
+     */
+    async _cancelOrderResult(orderId, params) {
+        try {
+            const result = await this.cancelOrder(orderId, params);
+            return { orderId, success: true, result };
+        } catch (error) {
+            this.logger.error(`[${this.exchangeName}] Failed to cancel order ${orderId}:`, error);
+            return { orderId, success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Sends one batch_cancel request and marks the orders cancelled.
+     * Kraken only reports how many orders it cancelled, so when that is fewer than requested none of
+     * them is marked: they get an unconfirmed failed result and their status comes from the executions stream.
+     * @private
+     * @param {Array<string>} orderIds - Order IDs
+     * @param {Object} params - Cancellation parameters ({ reason })
+     * @returns {Promise<Array<Object>>} - Per-order results
+     */
+    async _sendBatchCancel(orderIds, params) {
+        if (!this.ws || this.connectionState !== 'connected') {
+            throw new Error('Private WebSocket not connected');
+        }
+
+        if (!this.token) {
+            throw new Error('Authentication token is required for order cancellation but not available');
+        }
+
+        const orders = await Promise.all(orderIds.map(orderId => this.redisOrderManager.getById(orderId)));
+        const reqId = this._nextReqId++;
+
+        this.ws.send(JSON.stringify({
+            method: 'batch_cancel',
+            params: {
+                orders: orders.map((order, i) => this._resolveKrakenOrderId(order, orderIds[i], 'cancellation')),
+                token: this.token
+            },
+            req_id: reqId
+        }));
+
+        const response = await this._waitForResponse(reqId, 'batch_cancel', this.requestTimeoutMs);
+
+        if (response.success === false || response.error) {
+            throw new Error(`Exchange error: ${response.error_message || response.error || 'batch_cancel rejected'}`);
+        }
+
+        const ordersCancelled = Number(response.orders_cancelled ?? response.result?.orders_cancelled ?? response.result?.count);
+
+        if (!(ordersCancelled >= orderIds.length)) {
+            this.logger.warn(`[${this.exchangeName}] batch_cancel confirmed ${Number.isNaN(ordersCancelled) ? 'no' : ordersCancelled} of ${orderIds.length} cancellations; leaving order status to the executions stream`, {
+                orderIds
+            });
+            return orderIds.map(orderId => ({
+                orderId,
+                success: false,
+                unconfirmed: true,
+                error: `batch_cancel did not confirm the cancellation of ${orderId}`
+            }));
+        }
+
+        this.logger.info(`[${this.exchangeName}] batch_cancel cancelled ${orderIds.length} orders`, {
+            ordersCancelled
+        });
+
+        const now = Date.now();
+        const results = [];
+
+        for (let i = 0; i < orderIds.length; i++) {
+            const order = orders[i];
+
+            if (order) {
+                try {
+                    await this.redisOrderManager.update({
+                        ...order,
+                        status: 'CANCELLED',
+                        canceledAt: now,
+                        lastUpdated: now,
+                        cancelReason: params.reason || 'USER_REQUESTED'
+                    });
+
+                    this.emit('orderStatusChanged', {
+                        orderId: order.id,
+                        clientOrderId: order.clientOrderId,
+                        status: 'CANCELLED',
+                        timestamp: now,
+                        reason: params.reason
+                    });
+                } catch (updateError) {
+                    this.logger.error(`[${this.exchangeName}] Failed to update Redis for cancelled order ${orderIds[i]}:`, updateError);
+                }
+            }
+
+            results.push({
+                orderId: orderIds[i],
+                success: true,
+                result: { id: orderIds[i], status: 'CANCELLED' }
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Amends an open order's price and/or quantity in place (Kraken v2 `amend_order`)
+     * Kraken keeps the order's queue priority when only the quantity is reduced; a new price
+     * or a larger quantity moves it to the back of the level. Paper orders are amended in Redis
+     * and in the fill simulator, which applies the same priority rule.
+     * @param {string} orderId - Order ID
+     * @param {Object} changes - { price, amount } (amount is the new total order quantity)
+     * @returns {Promise<Object>} - { id, status, success, order }
+     */
+    async amendOrder(orderId, changes = {}) {
+        this.logger.info(`[${this.exchangeName}] Amending order ${orderId}`, {
+            tradingMode: this.tradingMode,
+            changes
+        });
+
+        try {
+            const order = await this.redisOrderManager.getById(orderId);
+
+            if (!order) {
+                throw new Error(`Order ${orderId} not found`);
+            }
+
+            if (order.status !== 'OPEN' && order.status !== 'open' && order.status !== 'PARTIALLY_FILLED') {
+                throw new Error(`Order ${orderId} is not open. Current status: ${order.status}`);
+            }
+
+            const price = changes.price !== undefined ? parseFloat(changes.price) : parseFloat(order.price);
+            const amount = changes.amount !== undefined ? parseFloat(changes.amount) : parseFloat(order.amount);
+            const filled = parseFloat(order.filled || 0);
+
+            if (!(amount > filled)) {
+                throw new Error(`Cannot amend order ${orderId}: new amount ${amount} does not exceed filled ${filled}`);
+            }
+
+            if (this.tradingMode === 'paper') {
+                if (this.paperOrders && this.paperOrders.has(orderId)) {
+                    this.paperOrders.set(orderId, { ...this.paperOrders.get(orderId), order_qty: amount, limit_price: price });
+                }
+                if (this.paperFillSimulator) {
+                    this.paperFillSimulator.amendOrder(orderId, { price, amount }, this._getPaperOrderBook(order.symbol));
+                }
+            } else {
+                if (!this.ws || this.connectionState !== 'connected') {
+                    throw new Error('Private WebSocket not connected');
+                }
+
+                if (!this.token) {
+                    throw new Error('Authentication token is required for order amendment but not available');
+                }
+
+                const krakenOrderId = this._resolveKrakenOrderId(order, orderId, 'amendment');
+                const reqId = this._nextReqId++;
+
+                // order_qty is required by amend_order and is the new total quantity
+                this.ws.send(JSON.stringify({
+                    method: 'amend_order',
+                    params: {
+                        order_id: krakenOrderId,
+                        order_qty: amount,
+                        limit_price: price,
+                        token: this.token
+                    },
+                    req_id: reqId
+                }));
+
+                const response = await this._waitForResponse(reqId, 'amend_order', this.requestTimeoutMs);
+
+                if (response.success === false || response.error) {
+                    throw new Error(`Exchange error: ${response.error_message || response.error || 'amend_order rejected'}`);
+                }
+            }
+
+            const lifecycle = new OrderLifecycle({
+                ...order,
+                price: parseFloat(order.price),
+                amount: parseFloat(order.amount),
+                filled
+            }).setAmended({ price, amount });
+
+            const updatedOrder = {
+                ...order,
+                price,
+                amount,
+                remaining: lifecycle.remaining,
+                history: lifecycle.getHistory(),
+                amendedAt: Date.now(),
+                lastUpdated: Date.now()
+            };
+
+            await this.redisOrderManager.update(updatedOrder);
+
+            this.emit('orderAmended', {
+                orderId: order.id,
+                clientOrderId: order.clientOrderId,
+                price,
+                amount,
+                previousPrice: order.price,
+                previousAmount: order.amount,
+                timestamp: Date.now()
+            });
+
+            this.logger.info(`[${this.exchangeName}] Order ${orderId} amended`, {
+                previousPrice: order.price,
+                previousAmount: order.amount,
+                price,
+                amount
+            });
+
+            return {
+                id: orderId,
+                status: updatedOrder.status,
+                success: true,
+                order: updatedOrder
+            };
+        } catch (error) {
+            this.logger.error(`[${this.exchangeName}] Error amending order ${orderId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Kraken's own order ID for a stored order: exchangeOrderId, then the v2 add_order
+     * result, then the client order ID
+     * @private
+     * @param {Object|null} order - Order from Redis
+     * @param {string} orderId - Order ID the caller used
+     * @param {string} action - Action for logging ('cancellation', 'amendment')
+     * @returns {string}
+     */
+    _resolveKrakenOrderId(order, orderId, action) {
+        if (!order) {
+            this.logger.warn(`[${this.exchangeName}] Order ${orderId} not found in Redis`);
+            return orderId;
+        }
+
+        // Prefer exchangeOrderId if available
+        if (order.exchangeOrderId) {
+            this.logger.info(`[${this.exchangeName}] Using exchange order ID ${order.exchangeOrderId} for ${action}`);
+            return order.exchangeOrderId;
+        }
+
+        if (order.rawOrderData && order.rawOrderData.result && order.rawOrderData.result.order_id) {
+            this.logger.info(`[${this.exchangeName}] Using Kraken order ID ${order.rawOrderData.result.order_id} from rawOrderData (WebSocket v2 format)`);
+            return order.rawOrderData.result.order_id;
+        }
+
+        this.logger.warn(`[${this.exchangeName}] Could not find exchange order ID for ${orderId}, will try with client order ID`);
+        // Try using cl_ord_id if we have clientOrderId
+        if (order.clientOrderId) {
+            this.logger.info(`[${this.exchangeName}] Using client order ID ${order.clientOrderId} for ${action}`);
+            return order.clientOrderId;
+        }
+
+        return orderId;
+    }
+
+    /**
+     * Arms Kraken's cancel_all_orders_after timer (0 disarms it)
+     * Paper orders never reach the exchange, so paper mode reports no native timer and the
+     * dead man's switch falls back to its local watchdog.
+     * @protected
+     * @param {number} timeoutSeconds - Seconds until all orders are cancelled
+     * @returns {Promise<boolean>} - false in paper mode
+     */
+    async _armCancelAllAfter(timeoutSeconds) {
+        if (this.paperMode) {
+            return false;
+        }
+        
+        if (!this.ws || this.connectionState !== 'connected') {
+            throw new Error('Private WebSocket not connected');
+        }
+        
+        if (!this.token) {
+            throw new Error('Authentication token is required for cancel_all_orders_after but not available');
+        }
+        
+        const reqId = this._nextReqId++;
+        this.ws.send(JSON.stringify({
+            method: 'cancel_all_orders_after',
+            params: {
+                timeout: timeoutSeconds,
+                token: this.token
+            },
+            req_id: reqId
+        }));
+        
+        // Disarming happens while the connection is being closed, so don't wait for the ack
+        if (timeoutSeconds === 0) {
+            return true;
+        }
+        
+        const response = await this._waitForResponse(reqId, 'cancel_all_orders_after', this.requestTimeoutMs);
+        
+        if (response.success === false || response.error) {
+            throw new Error(`Exchange error: ${response.error || 'cancel_all_orders_after rejected'}`);
+        }
+        
+        this.logger.debug(`[${this.exchangeName}] cancel_all_orders_after armed for ${timeoutSeconds}s`, response.result);
+        
+        return true;
+    }
+
+    /**
+     * The dead man's switch is refreshed only while the private connection is up
+     * @protected
+     * @returns {boolean}
+     */
+    _isDeadMansSwitchHealthy() {
+        return this.paperMode || (this.connectionState === 'connected' && !!this.token);
+    }
+
     /**
      * Waits for a response to a specific request
      * @private
@@ -4399,180 +5529,12 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             
             this.logger.info(`[${this.exchangeName}] Found ${openBuyOrders.length} open buy orders to cancel`);
             
-            const results = [];
-            
             if (openBuyOrders.length === 0) {
-                return results;
+                return [];
             }
             
-            // Handle paper trading - batch update in Redis
-            if (this.tradingMode === 'paper') {
-                this.logger.info(`[${this.exchangeName}] Paper trading: Batch cancelling ${openBuyOrders.length} orders in Redis`);
-                
-                const now = Date.now();
-                const cancelPromises = openBuyOrders.map(async (order) => {
-                    try {
-                        const updatedOrder = {
-                            ...order,
-                            status: 'CANCELLED',
-                            canceledAt: now,
-                            lastUpdated: now,
-                            cancelReason: reason
-                        };
-                        
-                        await this.redisOrderManager.update(updatedOrder);
-                        
-                        // Emit order status changed event
-                        this.emit('orderStatusChanged', {
-                            orderId: order.id,
-                            clientOrderId: order.clientOrderId,
-                            status: 'CANCELLED',
-                            timestamp: now,
-                            reason: reason
-                        });
-                        
-                        return {
-                            orderId: order.id,
-                            success: true,
-                            result: { id: order.id, status: 'CANCELLED' }
-                        };
-                    } catch (error) {
-                        this.logger.error(`[${this.exchangeName}] Failed to cancel paper order ${order.id}:`, error);
-                        return {
-                            orderId: order.id,
-                            success: false,
-                            error: error.message
-                        };
-                    }
-                });
-                
-                const batchResults = await Promise.all(cancelPromises);
-                return batchResults;
-                
-            } else {
-                // Live trading - use batch cancellation if available
-                if (this._restClient && typeof this._restClient.cancelOrderBatch === 'function') {
-                    this.logger.info(`[${this.exchangeName}] Live trading: Using batch cancellation for ${openBuyOrders.length} orders`);
-                    
-                    // Extract Kraken order IDs
-                    const krakenOrderIds = [];
-                    const orderIdMap = new Map(); // Map Kraken IDs back to our internal IDs
-                    
-                    for (const order of openBuyOrders) {
-                        let krakenOrderId = order.id;
-                        if (order.rawOrderData && order.rawOrderData.result && order.rawOrderData.result.order_id) {
-                            krakenOrderId = order.rawOrderData.result.order_id;
-                        }
-                        krakenOrderIds.push(krakenOrderId);
-                        orderIdMap.set(krakenOrderId, order.id);
-                    }
-                    
-                    // Cancel in batches of 50 (Kraken's limit)
-                    const chunkSize = 50;
-                    for (let i = 0; i < krakenOrderIds.length; i += chunkSize) {
-                        const chunk = krakenOrderIds.slice(i, i + chunkSize);
-                        
-                        try {
-                            const batchResponse = await this._restClient.cancelOrderBatch(chunk);
-                            
-                            if (batchResponse.result) {
-                                for (let j = 0; j < batchResponse.result.length; j++) {
-                                    const result = batchResponse.result[j];
-                                    const krakenId = chunk[j];
-                                    const internalId = orderIdMap.get(krakenId);
-                                    
-                                    if (result.success) {
-                                        results.push({
-                                            orderId: internalId,
-                                            success: true,
-                                            result: { id: internalId, status: 'CANCELLED' }
-                                        });
-                                        
-                                        // Update order status in Redis
-                                        try {
-                                            const order = openBuyOrders.find(o => o.id === internalId);
-                                            if (order) {
-                                                const updatedOrder = {
-                                                    ...order,
-                                                    status: 'CANCELLED',
-                                                    canceledAt: Date.now(),
-                                                    lastUpdated: Date.now(),
-                                                    cancelReason: reason
-                                                };
-                                                await this.redisOrderManager.update(updatedOrder);
-                                                
-                                                // Emit order status changed event
-                                                this.emit('orderStatusChanged', {
-                                                    orderId: order.id,
-                                                    clientOrderId: order.clientOrderId,
-                                                    status: 'CANCELLED',
-                                                    timestamp: Date.now(),
-                                                    reason: reason
-                                                });
-                                                
-                                                this.logger.debug(`[${this.exchangeName}] Updated Redis order status for ${internalId}`);
-                                            }
-                                        } catch (updateError) {
-                                            this.logger.error(`[${this.exchangeName}] Failed to update Redis for cancelled order ${internalId}:`, updateError);
-                                        }
-                                    } else {
-                                        results.push({
-                                            orderId: internalId,
-                                            success: false,
-                                            error: result.error || 'Unknown error'
-                                        });
-                                    }
-                                }
-                            }
-                        } catch (batchError) {
-                            this.logger.error(`[${this.exchangeName}] Batch cancellation failed:`, batchError);
-                            
-                            // Fall back to individual cancellation for this chunk
-                            for (const krakenId of chunk) {
-                                const internalId = orderIdMap.get(krakenId);
-                                const order = openBuyOrders.find(o => o.id === internalId);
-                                
-                                try {
-                                    const result = await this.cancelOrder(internalId, { reason });
-                                    results.push({
-                                        orderId: internalId,
-                                        success: true,
-                                        result
-                                    });
-                                } catch (error) {
-                                    this.logger.error(`[${this.exchangeName}] Failed to cancel order ${internalId}:`, error);
-                                    results.push({
-                                        orderId: internalId,
-                                        success: false,
-                                        error: error.message
-                                    });
-                                }
-                            }
-                        }
-                    }
-                } else {
-                    // Fallback to individual cancellation
-                    this.logger.warn(`[${this.exchangeName}] Batch cancellation not available, falling back to individual cancellation`);
-                    
-                    for (const order of openBuyOrders) {
-                        try {
-                            const result = await this.cancelOrder(order.id, { reason });
-                            results.push({
-                                orderId: order.id,
-                                success: true,
-                                result
-                            });
-                        } catch (error) {
-                            this.logger.error(`[${this.exchangeName}] Failed to cancel order ${order.id}:`, error);
-                            results.push({
-                                orderId: order.id,
-                                success: false,
-                                error: error.message
-                            });
-                        }
-                    }
-                }
-            }
+            // Paper orders are cancelled in Redis; live ones go out as batch_cancel requests
+            const results = await this.cancelOrders(openBuyOrders.map(order => order.id), { reason });
             
             this.logger.info(`[${this.exchangeName}] Buy order cancellation complete.`, {
                 total: openBuyOrders.length,
@@ -4604,179 +5566,12 @@ export class KrakenWebSocketV2ExchangeAdapter extends AdaptiveMarketMakerExchang
             
             this.logger.info(`[${this.exchangeName}] Found ${openOrders.length} open orders to cancel`);
             
-            const results = [];
-            
             if (openOrders.length === 0) {
-                return results;
+                return [];
             }
             
-            // Handle paper trading - batch update in Redis
-            if (this.tradingMode === 'paper') {
-                this.logger.info(`[${this.exchangeName}] Paper trading: Batch cancelling ${openOrders.length} orders in Redis`);
-                
-                const now = Date.now();
-                const cancelPromises = openOrders.map(async (order) => {
-                    try {
-                        const updatedOrder = {
-                            ...order,
-                            status: 'CANCELLED',
-                            canceledAt: now,
-                            lastUpdated: now,
-                            cancelReason: reason
-                        };
-                        
-                        await this.redisOrderManager.update(updatedOrder);
-                        
-                        // Emit order status changed event
-                        this.emit('orderStatusChanged', {
-                            orderId: order.id,
-                            clientOrderId: order.clientOrderId,
-                            status: 'CANCELLED',
-                            timestamp: now,
-                            reason: reason
-                        });
-                        
-                        return {
-                            orderId: order.id,
-                            success: true,
-                            result: { id: order.id, status: 'CANCELLED' }
-                        };
-                    } catch (error) {
-                        this.logger.error(`[${this.exchangeName}] Failed to cancel paper order ${order.id}:`, error);
-                        return {
-                            orderId: order.id,
-                            success: false,
-                            error: error.message
-                        };
-                    }
-                });
-                
-                const batchResults = await Promise.all(cancelPromises);
-                return batchResults;
-                
-            } else {
-                // Live trading - use batch cancellation if available
-                if (this._restClient && typeof this._restClient.cancelOrderBatch === 'function') {
-                    this.logger.info(`[${this.exchangeName}] Live trading: Using batch cancellation for ${openOrders.length} orders`);
-                    
-                    // Extract Kraken order IDs
-                    const krakenOrderIds = [];
-                    const orderIdMap = new Map(); // Map Kraken IDs back to our internal IDs
-                    
-                    for (const order of openOrders) {
-                        let krakenOrderId = order.id;
-                        if (order.rawOrderData && order.rawOrderData.result && order.rawOrderData.result.order_id) {
-                            krakenOrderId = order.rawOrderData.result.order_id;
-                        }
-                        krakenOrderIds.push(krakenOrderId);
-                        orderIdMap.set(krakenOrderId, order.id);
-                    }
-                    
-                    // Cancel in batches of 50 (Kraken's limit)
-                    const chunkSize = 50;
-                    for (let i = 0; i < krakenOrderIds.length; i += chunkSize) {
-                        const chunk = krakenOrderIds.slice(i, i + chunkSize);
-                        
-                        try {
-                            const batchResponse = await this._restClient.cancelOrderBatch(chunk);
-                            
-                            if (batchResponse.result) {
-                                for (let j = 0; j < batchResponse.result.length; j++) {
-                                    const result = batchResponse.result[j];
-                                    const krakenId = chunk[j];
-                                    const internalId = orderIdMap.get(krakenId);
-                                    
-                                    if (result.success) {
-                                        results.push({
-                                            orderId: internalId,
-                                            success: true,
-                                            result: { id: internalId, status: 'CANCELLED' }
-                                        });
-                                        
-                                        // Update order status in Redis
-                                        try {
-                                            const order = openOrders.find(o => o.id === internalId);
-                                            if (order) {
-                                                const updatedOrder = {
-                                                    ...order,
-                                                    status: 'CANCELLED',
-                                                    canceledAt: Date.now(),
-                                                    lastUpdated: Date.now(),
-                                                    cancelReason: reason
-                                                };
-                                                await this.redisOrderManager.update(updatedOrder);
-                                                
-                                                // Emit order status changed event
-                                                this.emit('orderStatusChanged', {
-                                                    orderId: order.id,
-                                                    clientOrderId: order.clientOrderId,
-                                                    status: 'CANCELLED',
-                                                    timestamp: Date.now(),
-                                                    reason: reason
-                                                });
-                                                
-                                                this.logger.debug(`[${this.exchangeName}] Updated Redis order status for ${internalId}`);
-                                            }
-                                        } catch (updateError) {
-                                            this.logger.error(`[${this.exchangeName}] Failed to update Redis for cancelled order ${internalId}:`, updateError);
-                                        }
-                                    } else {
-                                        results.push({
-                                            orderId: internalId,
-                                            success: false,
-                                            error: result.error || 'Unknown error'
-                                        });
-                                    }
-                                }
-                            }
-                        } catch (batchError) {
-                            this.logger.error(`[${this.exchangeName}] Batch cancellation failed:`, batchError);
-                            
-                            // Fall back to individual cancellation for this chunk
-                            for (const krakenId of chunk) {
-                                const internalId = orderIdMap.get(krakenId);
-                                
-                                try {
-                                    const result = await this.cancelOrder(internalId, { reason });
-                                    results.push({
-                                        orderId: internalId,
-                                        success: true,
-                                        result
-                                    });
-                                } catch (error) {
-                                    this.logger.error(`[${this.exchangeName}] Failed to cancel order ${internalId}:`, error);
-                                    results.push({
-                                        orderId: internalId,
-                                        success: false,
-                                        error: error.message
-                                    });
-                                }
-                            }
-                        }
-                    }
-                } else {
-                    // Fallback to individual cancellation
-                    this.logger.warn(`[${this.exchangeName}] Batch cancellation not available, falling back to individual cancellation`);
-                    
-                    for (const order of openOrders) {
-                        try {
-                            const result = await this.cancelOrder(order.id, { reason });
-                            results.push({
-                                orderId: order.id,
-                                success: true,
-                                result
-                            });
-                        } catch (error) {
-                            this.logger.error(`[${this.exchangeName}] Failed to cancel order ${order.id}:`, error);
-                            results.push({
-                                orderId: order.id,
-                                success: false,
-                                error: error.message
-                            });
-                        }
-                    }
-                }
-            }
+            // Paper orders are cancelled in Redis; live ones go out as batch_cancel requests
+            const results = await this.cancelOrders(openOrders.map(order => order.id), { reason });
             
             this.logger.info(`[${this.exchangeName}] Order cancellation complete.`, {
                 total: openOrders.length,
@@ -0,0 +1,227 @@
+/**
+ * ExecutionPlanner
+ *
+ * Selects the opportunities to enter in one trading cycle and executes them concurrently:
+ * - Walks ranked opportunities down to the minimum score, up to maxConcurrentEntries
+ * - Skips pairs with an entry already in flight and opportunities that conflict with
+ *   one (same base asset, or opposite direction on a correlated pair)
+ * - Reserves budget for each entry through DynamicPositionManager.reserve(), so the
+ *   entries together stay within the exposure limits
+ * - Executes the entries in parallel through FastExecutionEngine and releases each
+ *   reservation once the entry failed or has been recorded as a position; reservations
+ *   left behind expire after reservationTTL
+ */
+
+/**
+ * Reason codes for ranked opportunities left out of a plan
+ */
+export const PLAN_SKIP_REASONS = {
+  PAIR_IN_FLIGHT: 'pair_in_flight',
+  CONFLICT: 'conflict',
+  NOT_SIZED: 'not_sized',
+  POSITION_LIMITS: 'position_limits'
+};
+
+export class ExecutionPlanner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.positionManager - DynamicPositionManager holding the reservations
+   * @param {Object} options.executionEngine - FastExecutionEngine placing the entries
+   * @param {Function} options.sizeOpportunity - async (opportunity, portfolio) => size in base currency (0 to skip)
+   * @param {Number} [options.minScore=65] - Minimum finalScore to enter
+   * @param {Number} [options.maxConcurrentEntries=3] - Max entries in flight at once
+   * @param {Number} [options.reservationTTL=15000] - Ms before an unreleased reservation expires
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.positionManager = options.positionManager;
+    this.executionEngine = options.executionEngine;
+    this.sizeOpportunity = options.sizeOpportunity;
+    this.minScore = options.minScore ?? 65;
+    this.maxConcurrentEntries = options.maxConcurrentEntries || 3;
+    this.reservationTTL = options.reservationTTL || 15000;
+    this.logger = options.logger;
+    
+    this.inFlight = new Map(); // pair -> opportunity being entered
+    
+    this.metrics = {
+      plans: 0,
+      planned: 0,
+      executed: 0,
+      failed: 0,
+      maxInFlight: 0,
+      skipped: {}
+    };
+  }
+  
+  /**
+   * Select, size and reserve budget for the entries of this cycle
+   * @param {Array<Object>} rankedOpportunities - Opportunities sorted by finalScore, best first
+   * @returns {Promise<Array<Object>>} Entries { opportunity, size, reservation }
+   */
+  async plan(rankedOpportunities) {
+    this.positionManager.expireReservations();
+    
+    const entries = [];
+    
+    for (const opportunity of rankedOpportunities) {
+      if (this.inFlight.size >= this.maxConcurrentEntries) break;
+      
+      // Opportunities are sorted, so no better ones below
+      if (opportunity.finalScore < this.minScore) break;
+      
+      const portfolio = await this.positionManager.getPortfolioState();
+      const requestedSize = await this.sizeOpportunity(opportunity, portfolio);
+      
+      // From here to the reservation nothing awaits, so an overlapping cycle cannot interleave
+      const skip = this._checkConflicts(opportunity);
+      if (skip) {
+        this._skip(opportunity, skip.reason, skip.details);
+        continue;
+      }
+      
+      if (!requestedSize) {
+        this._skip(opportunity, PLAN_SKIP_REASONS.NOT_SIZED);
+        continue;
+      }
+      
+      const positionCheck = this.positionManager.reserve(
+        opportunity.pair,
+        requestedSize,
+        opportunity.signal.spotPrice,
+        opportunity.signal.direction,
+        this.reservationTTL
+      );
+      
+      if (!positionCheck.allowed) {
+        this.logger?.info('Position limits prevent taking opportunity', {
+          pair: opportunity.pair,
+          requestedSize,
+          reason: positionCheck.reason,
+          details: positionCheck.details
+        });
+        this._skip(opportunity, PLAN_SKIP_REASONS.POSITION_LIMITS, { reason: positionCheck.reason });
+        continue;
+      }
+      
+      this.inFlight.set(opportunity.pair, opportunity);
+      entries.push({ opportunity, size: positionCheck.size, reservation: positionCheck.reservation });
+    }
+    
+    this.metrics.plans++;
+    this.metrics.planned += entries.length;
+    this.metrics.maxInFlight = Math.max(this.metrics.maxInFlight, this.inFlight.size);
+    
+    if (entries.length > 1) {
+      this.logger?.info('Executing opportunities concurrently', {
+        pairs: entries.map(entry => entry.opportunity.pair),
+        reserved: entries.reduce((sum, entry) => sum + entry.reservation.value, 0)
+      });
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Execute planned entries in parallel
+   * @param {Array<Object>} entries - Entries from plan()
+   * @param {Function} [onExecuted] - async (entry, result) called for each executed entry before its
+   *   reservation is released, to record the position that takes over the reserved exposure
+   * @returns {Promise<Array<Object>>} Entries with the FastExecutionEngine result
+   */
+  async execute(entries, onExecuted) {
+    return Promise.all(entries.map(entry => this._executeEntry(entry, onExecuted)));
+  }
+  
+  /**
+   * Pairs with an entry in flight
+   * @returns {Array<String>} Trading pairs
+   */
+  getInFlightPairs() {
+    return Array.from(this.inFlight.keys());
+  }
+  
+  /**
+   * Get planner metrics
+   * @returns {Object} Metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      inFlight: this.inFlight.size,
+      reservations: this.positionManager.reservations.size
+    };
+  }
+  
+  /**
+   * @private
+   */
+  async _executeEntry(entry, onExecuted) {
+    const { opportunity, size, reservation } = entry;
+    
+    try {
+      const result = await this.executionEngine.executeOpportunity(opportunity, size);
+      
+      if (result.executed) {
+        this.metrics.executed++;
+        if (onExecuted) await onExecuted(entry, result);
+      } else {
+        this.metrics.failed++;
+      }
+      
+      return { ...entry, result };
+    } catch (error) {
+      this.logger?.error('Planned entry failed', {
+        pair: opportunity.pair,
+        error: error.message
+      });
+      
+      return { ...entry, result: { executed: false, reason: 'error', details: { message: error.message } } };
+    } finally {
+      this.positionManager.releaseReservation(reservation.id);
+      this.inFlight.delete(opportunity.pair);
+    }
+  }
+  
+  /**
+   * Check an opportunity against the entries in flight
+   * @private
+   */
+  _checkConflicts(opportunity) {
+    if (this.inFlight.has(opportunity.pair)) {
+      return { reason: PLAN_SKIP_REASONS.PAIR_IN_FLIGHT };
+    }
+    
+    const base = opportunity.pair.split('/')[0];
+    const threshold = this.positionManager.riskLimits.correlationClusterThreshold;
+    
+    for (const other of this.inFlight.values()) {
+      const sameBase = other.pair.split('/')[0] === base;
+      const opposing = other.signal.direction !== opportunity.signal.direction &&
+        this.positionManager.getCorrelation(other.pair, opportunity.pair) >= threshold;
+      
+      if (sameBase || opposing) {
+        return {
+          reason: PLAN_SKIP_REASONS.CONFLICT,
+          details: { with: other.pair, sameBase, opposing }
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * @private
+   */
+  _skip(opportunity, reason, details = {}) {
+    this.metrics.skipped[reason] = (this.metrics.skipped[reason] || 0) + 1;
+    this.logger?.debug('Opportunity left out of execution plan', {
+      pair: opportunity.pair,
+      reason,
+      ...details
+    });
+  }
+}
+
+export default ExecutionPlanner;
@@ -4,12 +4,105 @@
  * Handles rapid order execution for opportunities with validation and timing constraints
  */
 
+/**
+ * Reason codes for opportunities that were not executed
+ */
+export const EXECUTION_REASONS = {
+  EXPIRED: 'expired',
+  TOO_SOON: 'too_soon',
+  INVALID_OPPORTUNITY: 'invalid_opportunity',
+  NO_MARKET_DATA: 'no_market_data',
+  EDGE_CONSUMED: 'edge_consumed',
+  SLIPPAGE_EXCEEDED: 'slippage_exceeded',
+  INSUFFICIENT_DEPTH: 'insufficient_depth',
+  EDGE_BELOW_TAKER_COST: 'edge_below_taker_cost',
+  UNFILLED: 'unfilled',
+  ORDER_FAILED: 'order_failed',
+  ERROR: 'error'
+};
+
+/**
+ * Entry execution modes
+ * - taker: aggressive IOC limit crossing the spread
+ * - maker_first: post-only at/inside the touch for the remaining lead window, then IOC
+ *   for the unfilled remainder only if the remaining edge still covers taker cost
+ */
+export const EXECUTION_MODES = {
+  TAKER: 'taker',
+  MAKER_FIRST: 'maker_first'
+};
+
+/**
+ * Which order(s) filled an entry
+ */
+export const FILL_PATHS = {
+  TAKER: 'taker',
+  MAKER: 'maker',
+  MAKER_THEN_TAKER: 'maker_then_taker'
+};
+
+// Order statuses after which the reported filled amount is final
+export const FINAL_ORDER_STATUSES = ['closed', 'filled', 'canceled', 'cancelled', 'expired', 'rejected'];
+
+// Same defaults as FeeAwareExitOptimizer until a fee model is provided
+const DEFAULT_FEES = {
+  maker: 0.0026,
+  taker: 0.0040
+};
+
 export class FastExecutionEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.exchangeAdapter - Exchange adapter used to place orders
+   * @param {Object} [options.dataCollector] - MultiPairDataCollector used to re-read the spot book before executing
+   * @param {Number} [options.maxExecutionDelay=3000] - Max ms from detection to execution
+   * @param {Object} [options.validation] - Live validation thresholds
+   * @param {Number} [options.validation.maxSlippagePercent=0.05] - Max drift of the expected fill price from the detection price (%)
+   * @param {Number} [options.validation.edgeConsumedRatio=0.8] - Reject once spot has moved this fraction of the expected move
+   * @param {String} [options.executionMode='taker'] - One of EXECUTION_MODES
+   * @param {Object} [options.makerFirst] - Maker-first settings
+   * @param {Number} [options.makerFirst.pollInterval=250] - Ms between order status checks while the post-only order rests
+   * @param {Number} [options.makerFirst.priceImprovement=0] - Fraction of the spread to step inside the touch (0 = join the touch)
+   * @param {Number} [options.makerFirst.postOnlyRetries=1] - Re-price attempts at a fresh touch after a post-only rejection
+   * @param {Object} [options.feeModel] - Object exposing currentFees { maker, taker } (e.g. FeeAwareExitOptimizer)
+   * @param {Object} [options.logger] - Logger instance
+   */
   constructor(options = {}) {
     this.exchangeAdapter = options.exchangeAdapter;
+    this.dataCollector = options.dataCollector;
     this.maxExecutionDelay = options.maxExecutionDelay || 3000; // 3 seconds
     this.logger = options.logger;
     
+    // Live validation thresholds
+    this.validation = {
+      maxSlippagePercent: 0.05,
+      edgeConsumedRatio: 0.8,
+      ...options.validation
+    };
+    
+    // Execution mode
+    this.executionMode = options.executionMode || EXECUTION_MODES.TAKER;
+    if (!Object.values(EXECUTION_MODES).includes(this.executionMode)) {
+      throw new Error(`Unknown execution mode: ${this.executionMode}`);
+    }
+    this.makerFirst = {
+      pollInterval: 250,
+      priceImprovement: 0,
+      postOnlyRetries: 1,
+      ...options.makerFirst
+    };
+    this.feeModel = options.feeModel;
+    
+    // Execution metrics
+    this.metrics = {
+      attempts: 0,
+      executed: 0,
+      rejected: 0,
+      rejections: {}, // reason code -> count
+      fillPaths: {}, // fill path -> count
+      fees: 0
+    };
+    
     // Execution tracking with memory management
     this.recentExecutions = new Map(); // pair -> last execution time
     this.minTimeBetweenExecutions = 5000; // 5 seconds between executions per pair
@@ -74,6 +167,18 @@ export class FastExecutionEngine {
     this.recentExecutions.clear();
   }
   
+  /**
+   * Get execution metrics
+   * @returns {Object} Attempt, execution and per-reason rejection counts
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      rejections: { ...this.metrics.rejections },
+      fillPaths: { ...this.metrics.fillPaths }
+    };
+  }
+  
   /**
    * Execute a trading opportunity
    * @param {Object} opportunity - Opportunity to execute
@@ -82,6 +187,7 @@ export class FastExecutionEngine {
    */
   async executeOpportunity(opportunity, size) {
     const startTime = Date.now();
+    this.metrics.attempts++;
     
     try {
       // Check if opportunity is still valid
@@ -92,54 +198,71 @@ export class FastExecutionEngine {
           age: timeSinceDetection,
           maxAge: this.maxExecutionDelay
         });
-        return { executed: false, reason: 'Opportunity expired' };
+        return this._reject(EXECUTION_REASONS.EXPIRED, { age: timeSinceDetection });
       }
       
       // Check recent executions
       if (!this._canExecuteForPair(opportunity.pair)) {
-        return { executed: false, reason: 'Too soon after last execution' };
+        return this._reject(EXECUTION_REASONS.TOO_SOON);
       }
       
       // Validate opportunity is still valid
-      const validationResult = await this._validateOpportunity(opportunity);
+      const validationResult = await this._validateOpportunity(opportunity, size);
       if (!validationResult.valid) {
-        return { executed: false, reason: validationResult.reason };
+        this.logger?.info('Opportunity failed live validation', {
+          pair: opportunity.pair,
+          reason: validationResult.reason,
+          details: validationResult.details
+        });
+        return this._reject(validationResult.reason, validationResult.details);
       }
       
-      // Calculate order parameters
-      const orderParams = this._calculateOrderParams(opportunity, size);
-      
-      // Place the order
-      const order = await this._placeOrder(orderParams);
+      // Place the entry
+      const execution = this.executionMode === EXECUTION_MODES.MAKER_FIRST
+        ? await this._executeMakerFirst(opportunity, size)
+        : await this._executeTaker(opportunity, size);
       
-      if (order && order.id) {
-        // Update recent executions
-        this.recentExecutions.set(opportunity.pair, Date.now());
-        
-        const executionTime = Date.now() - startTime;
-        
-        this.logger?.info('Order executed successfully', {
-          pair: opportunity.pair,
-          orderId: order.id,
-          side: orderParams.side,
-          size: orderParams.amount,
-          price: orderParams.price,
-          executionTime
-        });
-        
-        return {
-          executed: true,
-          order,
-          executionTime,
-          opportunity
-        };
-      } else {
-        return {
-          executed: false,
-          reason: 'Order placement failed'
-        };
+      if (!execution.order) {
+        return this._reject(execution.reason || EXECUTION_REASONS.ORDER_FAILED, execution.details);
       }
       
+      // Update recent executions
+      this.recentExecutions.set(opportunity.pair, Date.now());
+      this.metrics.executed++;
+      this.metrics.fillPaths[execution.fillPath] = (this.metrics.fillPaths[execution.fillPath] || 0) + 1;
+      this.metrics.fees += execution.fee;
+      
+      const executionTime = Date.now() - startTime;
+      const notional = execution.filled * execution.averagePrice;
+      
+      this.logger?.info(execution.pending ? 'Order placed, fills pending' : 'Order executed successfully', {
+        pair: opportunity.pair,
+        orderId: execution.order.id,
+        side: execution.order.side,
+        size: execution.filled,
+        price: execution.averagePrice,
+        fillPath: execution.fillPath,
+        fee: execution.fee,
+        executionTime
+      });
+      
+      // filledAmount only counts confirmed fills; with pending set, more may still arrive
+      // through the adapter's fill events (EntryFillTracker builds the position from them)
+      return {
+        executed: true,
+        order: execution.order,
+        orders: execution.orders,
+        fillPath: execution.fillPath,
+        filledAmount: execution.filled,
+        pending: execution.pending,
+        averagePrice: execution.averagePrice,
+        effectiveFee: execution.fee,
+        effectiveFeeRate: notional > 0 ? execution.fee / notional : 0,
+        executionTime,
+        opportunity,
+        validation: validationResult.details
+      };
+      
     } catch (error) {
       this.logger?.error('Execution error', {
         pair: opportunity.pair,
@@ -147,13 +270,23 @@ export class FastExecutionEngine {
       });
       
       return {
-        executed: false,
-        reason: error.message,
+        ...this._reject(EXECUTION_REASONS.ERROR, { message: error.message }),
         error
       };
     }
   }
   
+  /**
+   * Count a rejection and build the result
+   * @private
+   */
+  _reject(reason, details = {}) {
+    this.metrics.rejected++;
+    this.metrics.rejections[reason] = (this.metrics.rejections[reason] || 0) + 1;
+    
+    return { executed: false, reason, details };
+  }
+  
   /**
    * Check if we can execute for this pair
    * @private
@@ -166,21 +299,106 @@ export class FastExecutionEngine {
   }
   
   /**
-   * Validate opportunity is still valid
+   * Validate opportunity against the current spot book:
+   * - Edge consumed: spot has already moved most of the expected move
+   * - Slippage: expected fill price for the full size drifted beyond the budget
+   * - Depth: not enough size available at the order's limit price
    * @private
    */
-  async _validateOpportunity(opportunity) {
-    // In a real implementation, this would:
-    // 1. Check current market prices
-    // 2. Verify the signal still exists
-    // 3. Confirm liquidity is available
-    
-    // For now, basic validation
+  async _validateOpportunity(opportunity, size) {
     if (!opportunity.signal || !opportunity.pair) {
-      return { valid: false, reason: 'Invalid opportunity structure' };
+      return { valid: false, reason: EXECUTION_REASONS.INVALID_OPPORTUNITY };
+    }
+    
+    // Without a data collector there is nothing fresher than the detection snapshot
+    if (!this.dataCollector) {
+      return { valid: true };
+    }
+    
+    const book = this.dataCollector.getSpotOrderBook(opportunity.pair);
+    if (!book || book.bids.length === 0 || book.asks.length === 0) {
+      return { valid: false, reason: EXECUTION_REASONS.NO_MARKET_DATA };
     }
     
-    return { valid: true };
+    const { direction, spotPrice } = opportunity.signal;
+    const isBuy = direction === 'BUY';
+    const sign = isBuy ? 1 : -1;
+    const currentMid = (book.bids[0][0] + book.asks[0][0]) / 2;
+    
+    // Edge consumed: directional spot move since detection vs the expected move
+    const spotCatchUp = sign * ((currentMid - spotPrice) / spotPrice) * 100;
+    const expectedMove = this._expectedMove(opportunity.signal);
+    const details = { currentMid, spotCatchUp, expectedMove };
+    
+    if (spotCatchUp >= expectedMove * this.validation.edgeConsumedRatio) {
+      return { valid: false, reason: EXECUTION_REASONS.EDGE_CONSUMED, details };
+    }
+    
+    // Slippage: walk the current book for the full size and compare to the detection price
+    const levels = isBuy ? book.asks : book.bids;
+    const referencePrice = isBuy ? opportunity.marketData.spotAsk : opportunity.marketData.spotBid;
+    const fill = this._walkBook(levels, size, null);
+    
+    if (!this._isFilled(fill, size)) {
+      return {
+        valid: false,
+        reason: EXECUTION_REASONS.INSUFFICIENT_DEPTH,
+        details: { ...details, available: fill.filled, size }
+      };
+    }
+    
+    details.expectedFillPrice = fill.averagePrice;
+    details.slippagePercent = sign * ((fill.averagePrice - referencePrice) / referencePrice) * 100;
+    
+    if (details.slippagePercent > this.validation.maxSlippagePercent) {
+      return { valid: false, reason: EXECUTION_REASONS.SLIPPAGE_EXCEEDED, details };
+    }
+    
+    // Depth at the price the order will actually be placed at
+    const { price: limitPrice } = this._calculateOrderParams(opportunity, size);
+    const depth = this._walkBook(levels, size, isBuy ? (price => price <= limitPrice) : (price => price >= limitPrice));
+    details.depthAtLimit = depth.filled;
+    
+    if (!this._isFilled(depth, size)) {
+      return { valid: false, reason: EXECUTION_REASONS.INSUFFICIENT_DEPTH, details: { ...details, limitPrice, size } };
+    }
+    
+    return { valid: true, details };
+  }
+  
+  /**
+   * Compare a walked fill to the order size, tolerating float rounding in the running sum
+   * @private
+   */
+  _isFilled(fill, size) {
+    return fill.filled >= size * (1 - 1e-9);
+  }
+  
+  /**
+   * Walk book levels until size is filled
+   * @param {Array} levels - [[price, qty]] from best to worst
+   * @param {Number} size - Size to fill
+   * @param {Function|null} withinLimit - Stop at the first level failing this price check
+   * @returns {Object} { filled, averagePrice }
+   * @private
+   */
+  _walkBook(levels, size, withinLimit) {
+    let filled = 0;
+    let cost = 0;
+    
+    for (const [price, qty] of levels) {
+      if (filled >= size) break;
+      if (withinLimit && !withinLimit(price)) break;
+      
+      const take = Math.min(qty, size - filled);
+      filled += take;
+      cost += take * price;
+    }
+    
+    return {
+      filled,
+      averagePrice: filled > 0 ? cost / filled : null
+    };
   }
   
   /**
@@ -214,6 +432,338 @@ export class FastExecutionEngine {
     };
   }
   
+  /**
+   * Taker entry: a single IOC limit crossing the spread
+   * @private
+   */
+  async _executeTaker(opportunity, size) {
+    const orderParams = this._calculateOrderParams(opportunity, size);
+    const order = await this._placeOrder(orderParams);
+    
+    if (!order || !order.id) {
+      return { order: null, reason: EXECUTION_REASONS.ORDER_FAILED };
+    }
+    
+    const fill = this._summarizeFill(order, orderParams, 'taker');
+    if (fill.filled === 0 && !fill.pending) {
+      return { order: null, reason: EXECUTION_REASONS.UNFILLED };
+    }
+    
+    return {
+      order,
+      orders: [order],
+      fillPath: FILL_PATHS.TAKER,
+      ...fill
+    };
+  }
+  
+  /**
+   * Maker-first entry: rest a post-only order for the remaining lead window, then
+   * escalate the unfilled remainder to IOC only while the edge still pays for taker cost
+   * @private
+   */
+  async _executeMakerFirst(opportunity, size) {
+    const orders = [];
+    let makerFill = { filled: 0, averagePrice: null, fee: 0, pending: false };
+    
+    const placement = await this._placeMakerOrder(opportunity, size);
+    if (placement.error) {
+      return { order: null, reason: EXECUTION_REASONS.ORDER_FAILED, details: { message: placement.error.message } };
+    }
+    
+    const { makerParams } = placement;
+    let makerOrder = placement.order;
+    
+    if (makerOrder && makerOrder.id) {
+      makerOrder = await this._monitorMakerOrder(makerOrder, opportunity);
+      makerFill = this._summarizeFill(makerOrder, makerParams, 'maker');
+      orders.push(makerOrder);
+    }
+    
+    const remaining = size - makerFill.filled;
+    if (remaining <= size * 1e-9) {
+      return { order: makerOrder, orders, fillPath: FILL_PATHS.MAKER, ...makerFill };
+    }
+    
+    // The cancel is not confirmed yet: the maker order may still fill, so do not add an IOC on top
+    if (makerFill.pending) {
+      this.logger?.info('Maker entry still working after cancel, skipping IOC escalation', {
+        pair: opportunity.pair,
+        orderId: makerOrder.id,
+        makerFilled: makerFill.filled
+      });
+      return { order: makerOrder, orders, fillPath: FILL_PATHS.MAKER, ...makerFill };
+    }
+    
+    const escalation = this._evaluateEscalation(opportunity);
+    
+    if (!escalation.worthwhile) {
+      this.logger?.info('Skipping IOC escalation, remaining edge below taker cost', {
+        pair: opportunity.pair,
+        makerFilled: makerFill.filled,
+        remaining,
+        ...escalation
+      });
+      
+      if (makerFill.filled > 0) {
+        return { order: makerOrder, orders, fillPath: FILL_PATHS.MAKER, ...makerFill };
+      }
+      return { order: null, reason: EXECUTION_REASONS.EDGE_BELOW_TAKER_COST, details: escalation };
+    }
+    
+    // Price the IOC off the current book rather than the detection snapshot
+    const takerParams = this._calculateOrderParams({
+      ...opportunity,
+      marketData: {
+        ...opportunity.marketData,
+        spotBid: escalation.bid,
+        spotAsk: escalation.ask
+      }
+    }, remaining);
+    takerParams.clientOrderId = `opp_${opportunity.id}_ioc`;
+    
+    const takerOrder = await this._placeOrder(takerParams);
+    if (!takerOrder || !takerOrder.id) {
+      if (makerFill.filled > 0) {
+        return { order: makerOrder, orders, fillPath: FILL_PATHS.MAKER, ...makerFill };
+      }
+      return { order: null, reason: EXECUTION_REASONS.ORDER_FAILED };
+    }
+    
+    orders.push(takerOrder);
+    const takerFill = this._summarizeFill(takerOrder, takerParams, 'taker');
+    
+    if (takerFill.filled === 0 && !takerFill.pending) {
+      if (makerFill.filled > 0) {
+        return { order: makerOrder, orders, fillPath: FILL_PATHS.MAKER, ...makerFill };
+      }
+      return { order: null, reason: EXECUTION_REASONS.UNFILLED };
+    }
+    
+    if (makerFill.filled === 0) {
+      return { order: takerOrder, orders, fillPath: FILL_PATHS.TAKER, ...takerFill };
+    }
+    
+    const filled = makerFill.filled + takerFill.filled;
+    const cost = makerFill.filled * makerFill.averagePrice + takerFill.filled * takerFill.averagePrice;
+    
+    return {
+      order: makerOrder,
+      orders,
+      fillPath: FILL_PATHS.MAKER_THEN_TAKER,
+      filled,
+      averagePrice: cost / filled,
+      fee: makerFill.fee + takerFill.fee,
+      pending: takerFill.pending
+    };
+  }
+  
+  /**
+   * Place the post-only entry, re-pricing from a fresh touch when the exchange rejects it
+   * for crossing the book. Once the retries are used up the entry goes to the escalation check.
+   * @returns {Promise<Object>} { order, makerParams } or { error } for any other placement failure
+   * @private
+   */
+  async _placeMakerOrder(opportunity, size) {
+    let makerParams = this._calculateMakerOrderParams(opportunity, size);
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return { order: await this._placeOrder(makerParams), makerParams };
+      } catch (error) {
+        if (!error.postOnlyRejected) {
+          this.logger?.warn('Maker entry placement failed', {
+            pair: opportunity.pair,
+            price: makerParams.price,
+            error: error.message
+          });
+          return { error };
+        }
+        
+        this.logger?.debug('Post-only entry rejected', {
+          pair: opportunity.pair,
+          price: makerParams.price,
+          attempt,
+          error: error.message
+        });
+        
+        if (attempt >= this.makerFirst.postOnlyRetries) {
+          return { order: null, makerParams };
+        }
+        
+        makerParams = this._calculateMakerOrderParams(opportunity, size);
+      }
+    }
+  }
+  
+  /**
+   * Post-only order at the touch, optionally stepped inside the spread
+   * @private
+   */
+  _calculateMakerOrderParams(opportunity, size) {
+    const side = opportunity.signal.direction === 'BUY' ? 'buy' : 'sell';
+    const book = this.dataCollector?.getSpotOrderBook(opportunity.pair);
+    const bid = book?.bids[0]?.[0] ?? opportunity.marketData.spotBid;
+    const ask = book?.asks[0]?.[0] ?? opportunity.marketData.spotAsk;
+    const improvement = (ask - bid) * this.makerFirst.priceImprovement;
+    
+    // Never step onto the opposite touch, or the order would be rejected as post-only
+    const price = side === 'buy'
+      ? Math.min(bid + improvement, ask - (ask - bid) / 2)
+      : Math.max(ask - improvement, bid + (ask - bid) / 2);
+    
+    return {
+      symbol: opportunity.pair,
+      type: 'limit',
+      side,
+      price,
+      amount: size,
+      clientOrderId: `opp_${opportunity.id}`,
+      params: {
+        postOnly: true,
+        timeInForce: 'GTC'
+      }
+    };
+  }
+  
+  /**
+   * Poll a resting maker order until it fills or the opportunity's lead window runs out,
+   * then cancel whatever is left
+   * @returns {Promise<Object>} Latest known order state
+   * @private
+   */
+  async _monitorMakerOrder(order, opportunity) {
+    const windowRemaining = (opportunity.leadTimeExpected || 0) - (Date.now() - opportunity.timestamp);
+    // Bounded by poll count rather than wall-clock checks so the loop ends under a simulated clock
+    const polls = Math.max(0, Math.ceil(windowRemaining / this.makerFirst.pollInterval));
+    let latest = order;
+    
+    for (let i = 0; i < polls && !this._isOrderFilled(latest) && !this._isOrderFinal(latest); i++) {
+      await this._sleep(this.makerFirst.pollInterval);
+      latest = await this._refreshOrder(latest);
+    }
+    
+    // Filled, or already done (e.g. cancelled by the exchange as a post-only reject)
+    if (this._isOrderFilled(latest) || this._isOrderFinal(latest)) {
+      return latest;
+    }
+    
+    try {
+      await this.exchangeAdapter.cancelOrder(order.id);
+    } catch (error) {
+      // Typically the order filled or expired between the last poll and the cancel
+      this.logger?.debug('Maker entry cancel failed', { orderId: order.id, error: error.message });
+    }
+    
+    return await this._refreshOrder(latest);
+  }
+  
+  /**
+   * Re-read the book and decide whether the remaining edge still pays for crossing the spread
+   * @private
+   */
+  _evaluateEscalation(opportunity) {
+    const book = this.dataCollector?.getSpotOrderBook(opportunity.pair);
+    const bid = book?.bids[0]?.[0] ?? opportunity.marketData.spotBid;
+    const ask = book?.asks[0]?.[0] ?? opportunity.marketData.spotAsk;
+    const mid = (bid + ask) / 2;
+    
+    const { direction, spotPrice } = opportunity.signal;
+    const sign = direction === 'BUY' ? 1 : -1;
+    const spotCatchUp = sign * ((mid - spotPrice) / spotPrice) * 100;
+    const remainingEdgePercent = this._expectedMove(opportunity.signal) - spotCatchUp;
+    
+    // Taker fee plus half the spread paid to cross from mid
+    const takerCostPercent = this._getFees().taker * 100 + ((ask - bid) / 2 / mid) * 100;
+    
+    return {
+      worthwhile: remainingEdgePercent > takerCostPercent,
+      remainingEdgePercent,
+      takerCostPercent,
+      bid,
+      ask
+    };
+  }
+  
+  /**
+   * Absolute spot move the signal expects, in percent
+   * Merged signals carry expectedMove; plain futures-lead opportunities only futuresMovement.
+   * @private
+   */
+  _expectedMove(signal) {
+    return Math.abs(signal.expectedMove ?? signal.futuresMovement);
+  }
+  
+  /**
+   * Confirmed filled amount, average price and fee of an order
+   * Exchanges that confirm IOC fills asynchronously return an open order with filled: 0; such
+   * an order is reported as pending rather than filled, and its fills arrive as adapter events.
+   * @returns {Object} { filled, averagePrice, fee, pending }
+   * @private
+   */
+  _summarizeFill(order, orderParams, liquidity) {
+    const filled = Number(order.filled) || 0;
+    const pending = !this._isOrderFinal(order) && filled < orderParams.amount * (1 - 1e-9);
+    const averagePrice = Number(order.average ?? order.averagePrice ?? order.avgPrice) || orderParams.price;
+    
+    let fee;
+    if (filled > 0 && typeof order.fee === 'number') {
+      fee = order.fee;
+    } else if (filled > 0 && order.fee && typeof order.fee.cost === 'number') {
+      fee = order.fee.cost;
+    } else {
+      fee = filled * averagePrice * this._getFees()[liquidity];
+    }
+    
+    return { filled, averagePrice, fee, pending };
+  }
+  
+  /**
+   * @private
+   */
+  _isOrderFinal(order) {
+    return FINAL_ORDER_STATUSES.includes(String(order.status).toLowerCase());
+  }
+  
+  /**
+   * @private
+   */
+  _isOrderFilled(order) {
+    const filled = Number(order.filled) || 0;
+    return filled > 0 && filled >= order.amount * (1 - 1e-9);
+  }
+  
+  /**
+   * @private
+   */
+  async _refreshOrder(order) {
+    if (typeof this.exchangeAdapter.getOrderStatus !== 'function') {
+      return order;
+    }
+    
+    try {
+      const status = await this.exchangeAdapter.getOrderStatus(order.id);
+      return status ? { ...order, ...status } : order;
+    } catch (error) {
+      this.logger?.debug('Order status check failed', { orderId: order.id, error: error.message });
+      return order;
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _getFees() {
+    return this.feeModel?.currentFees || DEFAULT_FEES;
+  }
+  
+  /**
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
   /**
    * Place order on exchange
    * @private
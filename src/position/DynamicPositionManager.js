@@ -4,6 +4,14 @@
  * Manages positions across multiple trading pairs with portfolio-level risk management
  */
 
+export const REJECTION_REASONS = {
+  MAX_CONCURRENT_POSITIONS: 'max_concurrent_positions',
+  POSITION_TOO_SMALL: 'position_too_small',
+  PORTFOLIO_EXPOSURE: 'portfolio_exposure',
+  PAIR_EXPOSURE: 'pair_exposure',
+  CORRELATED_EXPOSURE: 'correlated_exposure'
+};
+
 export class DynamicPositionManager {
   constructor(options = {}) {
     this.totalBudget = options.totalBudget || 0;
@@ -15,6 +23,7 @@ export class DynamicPositionManager {
       maxPortfolioExposure: 0.80,
       maxPairExposure: 0.20,
       maxCorrelatedExposure: 0.40,
+      correlationClusterThreshold: 0.70, // Pairs at or above this correlation share a cluster
       maxConcurrentPositions: 10,
       minPositionSizeUSD: 50,
       ...options.riskLimits
@@ -24,6 +33,7 @@ export class DynamicPositionManager {
     this.positions = new Map(); // positionId -> position data
     this.pairPositions = new Map(); // pair -> Set of positionIds
     this.exposures = new Map(); // pair -> total exposure
+    this.reservations = new Map(); // reservationId -> budget held for an entry being placed
     
     // Performance tracking
     this.pairPerformance = new Map(); // pair -> performance metrics
@@ -40,28 +50,29 @@ export class DynamicPositionManager {
    * @param {String} pair - Trading pair
    * @param {Number} size - Position size in base currency
    * @param {Number} price - Entry price
-   * @returns {Boolean}
+   * @param {String} side - Position side ('BUY' or 'SELL'), used for correlated exposure
+   * @returns {Object} { allowed, size, reason, details } - size may be reduced to fit the correlated exposure limit
    */
-  canTakePosition(pair, size, price = null) {
-    // Check concurrent positions limit
-    if (this.positions.size >= this.riskLimits.maxConcurrentPositions) {
-      this.logger?.debug('Max concurrent positions reached', {
-        current: this.positions.size,
+  canTakePosition(pair, size, price = null, side = null) {
+    // Check concurrent positions limit (entries being placed count as positions)
+    const positionCount = this.positions.size + this.reservations.size;
+    if (positionCount >= this.riskLimits.maxConcurrentPositions) {
+      return this._rejectPosition(REJECTION_REASONS.MAX_CONCURRENT_POSITIONS, {
+        current: positionCount,
         max: this.riskLimits.maxConcurrentPositions
       });
-      return false;
     }
     
     // Calculate position value
-    const positionValue = size * (price || 1);
+    const unitPrice = price || 1;
+    let positionValue = size * unitPrice;
     
     // Check minimum position size
     if (positionValue < this.riskLimits.minPositionSizeUSD) {
-      this.logger?.debug('Position too small', {
+      return this._rejectPosition(REJECTION_REASONS.POSITION_TOO_SMALL, {
         value: positionValue,
         minimum: this.riskLimits.minPositionSizeUSD
       });
-      return false;
     }
     
     // Check portfolio exposure
@@ -70,12 +81,11 @@ export class DynamicPositionManager {
     const maxPortfolioExposure = this.totalBudget * this.riskLimits.maxPortfolioExposure;
     
     if (newTotalExposure > maxPortfolioExposure) {
-      this.logger?.debug('Portfolio exposure limit exceeded', {
+      return this._rejectPosition(REJECTION_REASONS.PORTFOLIO_EXPOSURE, {
         current: currentExposure,
         new: newTotalExposure,
         max: maxPortfolioExposure
       });
-      return false;
     }
     
     // Check pair exposure
@@ -84,35 +94,259 @@ export class DynamicPositionManager {
     const maxPairExposure = this.totalBudget * this.riskLimits.maxPairExposure;
     
     if (newPairExposure > maxPairExposure) {
-      this.logger?.debug('Pair exposure limit exceeded', {
+      return this._rejectPosition(REJECTION_REASONS.PAIR_EXPOSURE, {
         pair,
         current: currentPairExposure,
         new: newPairExposure,
         max: maxPairExposure
       });
-      return false;
     }
     
+    // Check correlated exposure (downsize if possible)
+    if (side) {
+      const clusterCheck = this._checkCorrelatedExposure(pair, side, positionValue);
+      
+      if (clusterCheck.allowedValue <= 0 || clusterCheck.allowedValue < this.riskLimits.minPositionSizeUSD) {
+        return this._rejectPosition(REJECTION_REASONS.CORRELATED_EXPOSURE, clusterCheck.details);
+      }
+      
+      if (clusterCheck.allowedValue < positionValue) {
+        this.logger?.debug('Position downsized by correlated exposure limit', {
+          pair,
+          requestedValue: positionValue,
+          allowedValue: clusterCheck.allowedValue,
+          ...clusterCheck.details
+        });
+        positionValue = clusterCheck.allowedValue;
+      }
+    }
+    
+    return {
+      allowed: true,
+      size: positionValue / unitPrice,
+      reason: null
+    };
+  }
+  
+  /**
+   * Check a new position against the limits and hold its budget until the entry is
+   * placed. Check and reservation happen in one synchronous step, so entries placed
+   * concurrently cannot together exceed the exposure limits.
+   * @param {String} pair - Trading pair
+   * @param {Number} size - Position size in base currency
+   * @param {Number} price - Entry price
+   * @param {String} side - Position side ('BUY' or 'SELL')
+   * @param {Number} [ttl=15000] - Ms before an unreleased reservation expires
+   * @returns {Object} canTakePosition() result, plus the reservation when allowed
+   */
+  reserve(pair, size, price, side, ttl = 15000) {
+    this.expireReservations();
+    
+    const check = this.canTakePosition(pair, size, price, side);
+    if (!check.allowed) return check;
+    
+    const now = Date.now();
+    const reservation = {
+      id: `res_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      pair,
+      side,
+      size: check.size,
+      value: check.size * price,
+      createdAt: now,
+      expiresAt: now + ttl
+    };
+    
+    this.reservations.set(reservation.id, reservation);
+    this._adjustExposure(pair, reservation.value);
+    
+    return { ...check, reservation };
+  }
+  
+  /**
+   * Release a reservation once its entry failed or has been added as a position
+   * @param {String} reservationId - Reservation ID
+   * @returns {Boolean} False if it was already released or expired
+   */
+  releaseReservation(reservationId) {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) return false;
+    
+    this.reservations.delete(reservationId);
+    this._adjustExposure(reservation.pair, -reservation.value);
+    
     return true;
   }
   
+  /**
+   * Release reservations past their expiry
+   * @param {Number} [now=Date.now()] - Current time in ms
+   * @returns {Array<Object>} Expired reservations
+   */
+  expireReservations(now = Date.now()) {
+    const expired = [];
+    
+    for (const reservation of this.reservations.values()) {
+      if (reservation.expiresAt <= now) {
+        this.releaseReservation(reservation.id);
+        expired.push(reservation);
+      }
+    }
+    
+    if (expired.length > 0) {
+      this.logger?.warn('Position reservations expired', {
+        reservations: expired.map(({ id, pair, value }) => ({ id, pair, value }))
+      });
+    }
+    
+    return expired;
+  }
+  
+  /**
+   * Get the correlation between two pairs
+   * @param {String} pairA - First trading pair
+   * @param {String} pairB - Second trading pair
+   * @returns {Number} Pearson correlation (0 if unknown)
+   */
+  getCorrelation(pairA, pairB) {
+    if (pairA === pairB) return 1;
+    
+    const correlation = this.correlations[`${pairA}:${pairB}`] ?? this.correlations[`${pairB}:${pairA}`];
+    return Number.isFinite(correlation) ? correlation : 0;
+  }
+  
+  /**
+   * Get the correlation cluster containing a pair
+   * Pairs are linked when their correlation is at or above the cluster threshold;
+   * clusters are the connected components of that graph.
+   * @param {String} pair - Trading pair
+   * @returns {Array<String>} Pairs in the same cluster (always includes the pair itself)
+   */
+  getCorrelationCluster(pair) {
+    const candidates = new Set([...this.pairs, ...this.pairPositions.keys()]);
+    candidates.delete(pair);
+    
+    const cluster = [pair];
+    const queue = [pair];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      
+      for (const other of candidates) {
+        if (this.getCorrelation(current, other) >= this.riskLimits.correlationClusterThreshold) {
+          candidates.delete(other);
+          cluster.push(other);
+          queue.push(other);
+        }
+      }
+    }
+    
+    return cluster;
+  }
+  
+  /**
+   * Get net directional exposure for a set of pairs (long positive, short negative),
+   * including reserved entries and the unfilled part of entries still being built from fills
+   * @param {Array<String>} pairs - Trading pairs
+   * @returns {Number} Net directional exposure in USD
+   */
+  getDirectionalExposure(pairs) {
+    const pairSet = new Set(pairs);
+    let exposure = 0;
+    
+    for (const position of this.positions.values()) {
+      if ((position.status !== 'open' && position.status !== 'pending') || !pairSet.has(position.pair)) continue;
+      
+      // Filled notional plus the entry's remaining reservation, as held in exposures
+      const value = this._positionExposure(position);
+      exposure += position.side === 'BUY' ? value : -value;
+    }
+    
+    for (const reservation of this.reservations.values()) {
+      if (!pairSet.has(reservation.pair)) continue;
+      
+      exposure += reservation.side === 'BUY' ? reservation.value : -reservation.value;
+    }
+    
+    return exposure;
+  }
+  
+  /**
+   * Check a new entry against the correlated exposure limit
+   * @private
+   */
+  _checkCorrelatedExposure(pair, side, positionValue) {
+    const cluster = this.getCorrelationCluster(pair);
+    const maxClusterExposure = this.totalBudget * this.riskLimits.maxCorrelatedExposure;
+    const currentExposure = this.getDirectionalExposure(cluster);
+    const direction = side === 'BUY' ? 1 : -1;
+    
+    // Exposure in the direction of the new entry; entries that reduce net exposure are never limited
+    const sameDirectionExposure = currentExposure * direction;
+    const headroom = maxClusterExposure - sameDirectionExposure;
+    
+    return {
+      allowedValue: Math.min(positionValue, Math.max(0, headroom)),
+      details: {
+        pair,
+        side,
+        cluster,
+        currentExposure,
+        requestedValue: positionValue,
+        max: maxClusterExposure
+      }
+    };
+  }
+  
+  /**
+   * Build a rejection result
+   * @private
+   */
+  _rejectPosition(reason, details) {
+    this.logger?.debug('Position rejected', { reason, ...details });
+    
+    return {
+      allowed: false,
+      size: 0,
+      reason,
+      details
+    };
+  }
+  
   /**
    * Add a new position
+   * Pending positions (entry order placed, fills not yet known) start with size 0 and reserve
+   * requestedSize * limitPrice of exposure until fills arrive or the entry completes.
    * @param {Object} position - Position data
+   * @param {String} [position.status='open'] - 'open', or 'pending' to build the position from fills
+   * @param {Number} [position.requestedSize] - Size the entry order(s) asked for
+   * @param {Number} [position.limitPrice] - Entry order limit price, used for the exposure reservation
+   * @param {Array<String>} [position.entryOrderIds] - All entry order IDs (defaults to [orderId])
    * @returns {String} Position ID
    */
   async addPosition(position) {
     const positionId = `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const isPending = position.status === 'pending';
+    const requestedSize = position.requestedSize ?? position.size;
     
     const positionData = {
       id: positionId,
       pair: position.pair,
       side: position.side,
-      size: position.size,
-      entryPrice: position.entryPrice,
+      size: isPending ? 0 : position.size,
+      requestedSize,
+      entryPrice: isPending ? null : position.entryPrice,
       entryTime: Date.now(),
       orderId: position.orderId,
-      status: 'open',
+      entryOrderIds: position.entryOrderIds || [position.orderId].filter(Boolean),
+      opportunityId: position.opportunityId || null,
+      leadTimeExpected: position.leadTimeExpected || null,
+      entryFee: isPending ? 0 : (position.entryFee || 0),
+      fillPath: position.fillPath || null,
+      signalBucket: position.signalBucket || null,
+      rankingScores: position.rankingScores || null,
+      status: isPending ? 'pending' : 'open',
+      limitPrice: position.limitPrice ?? position.entryPrice,
+      reservedExposure: isPending ? requestedSize * (position.limitPrice ?? position.entryPrice) : 0,
       unrealizedPnL: 0,
       realizedPnL: 0
     };
@@ -127,18 +361,331 @@ export class DynamicPositionManager {
     this.pairPositions.get(position.pair).add(positionId);
     
     // Update exposure
-    const exposure = position.size * position.entryPrice;
-    this.exposures.set(position.pair, (this.exposures.get(position.pair) || 0) + exposure);
+    this._adjustExposure(position.pair, this._positionExposure(positionData));
     
-    this.logger?.info('Position added', {
+    this.logger?.info(isPending ? 'Pending position added' : 'Position added', {
       positionId,
       pair: position.pair,
       side: position.side,
+      size: positionData.size,
+      requestedSize,
+      entryPrice: positionData.entryPrice
+    });
+    
+    return positionId;
+  }
+  
+  /**
+   * Restore an open position recovered after a restart, keeping its ID and entry time
+   * @param {Object} position - Persisted position with reconciled size, entryPrice and entryFee
+   * @returns {Object} Restored position
+   */
+  restorePosition(position) {
+    const positionData = {
+      ...position,
+      status: 'open',
+      reservedExposure: 0,
+      unrealizedPnL: 0,
+      realizedPnL: 0,
+      // The reconciled size already excludes earlier exits
+      exitFilled: 0,
+      exitCost: 0,
+      exitFee: 0
+    };
+    
+    this.positions.set(positionData.id, positionData);
+    
+    if (!this.pairPositions.has(positionData.pair)) {
+      this.pairPositions.set(positionData.pair, new Set());
+    }
+    this.pairPositions.get(positionData.pair).add(positionData.id);
+    
+    this._adjustExposure(positionData.pair, this._positionExposure(positionData));
+    
+    this.logger?.info('Position restored', {
+      positionId: positionData.id,
+      pair: positionData.pair,
+      side: positionData.side,
+      size: positionData.size,
+      entryPrice: positionData.entryPrice
+    });
+    
+    return positionData;
+  }
+  
+  /**
+   * Apply an entry fill: grow the position at the volume-weighted entry price
+   * @param {String} positionId - Position ID
+   * @param {Object} fill - { amount, price, fee }
+   * @returns {Object|null} Updated position, or null if not found
+   */
+  applyEntryFill(positionId, fill) {
+    const position = this.positions.get(positionId);
+    if (!position) {
+      this.logger?.warn('Cannot apply fill to unknown position', { positionId });
+      return null;
+    }
+    
+    const exposureBefore = this._positionExposure(position);
+    const size = position.size + fill.amount;
+    
+    position.entryPrice = ((position.entryPrice || 0) * position.size + fill.price * fill.amount) / size;
+    position.size = size;
+    position.entryFee += fill.fee || 0;
+    position.reservedExposure = Math.max(0, position.reservedExposure - fill.amount * position.limitPrice);
+    position.status = 'open';
+    
+    this._adjustExposure(position.pair, this._positionExposure(position) - exposureBefore);
+    
+    this.logger?.debug('Entry fill applied', {
+      positionId,
+      pair: position.pair,
+      amount: fill.amount,
+      price: fill.price,
       size: position.size,
+      requestedSize: position.requestedSize,
       entryPrice: position.entryPrice
     });
     
-    return positionId;
+    return position;
+  }
+  
+  /**
+   * Mark a position's entry as complete (all entry orders filled, cancelled or expired):
+   * release the remaining exposure reservation, and cancel the position if nothing filled
+   * @param {String} positionId - Position ID
+   * @returns {Object|null} Open position, cancelled position, or null if not found
+   */
+  completeEntry(positionId) {
+    const position = this.positions.get(positionId);
+    if (!position) return null;
+    
+    if (position.size <= 0) {
+      return this.cancelPosition(positionId, 'entry_unfilled');
+    }
+    
+    this._adjustExposure(position.pair, -position.reservedExposure);
+    position.reservedExposure = 0;
+    
+    if (position.size < position.requestedSize) {
+      this.logger?.info('Entry completed with partial fill', {
+        positionId,
+        pair: position.pair,
+        size: position.size,
+        requestedSize: position.requestedSize
+      });
+    }
+    
+    return position;
+  }
+  
+  /**
+   * Remove a position that never (fully) existed, without realizing P&L
+   * @param {String} positionId - Position ID
+   * @param {String} [reason] - Cancellation reason
+   * @returns {Object|null} Cancelled position, or null if not found
+   */
+  cancelPosition(positionId, reason = null) {
+    const position = this.positions.get(positionId);
+    if (!position) return null;
+    
+    this._removePosition(position);
+    
+    this.logger?.info('Position cancelled', {
+      positionId,
+      pair: position.pair,
+      reason
+    });
+    
+    return {
+      ...position,
+      status: 'cancelled',
+      cancelReason: reason
+    };
+  }
+  
+  /**
+   * Apply an exit fill: reduce the position by the filled amount at the fill price, and close it
+   * once nothing is left. Exits that fill in pieces close at their volume-weighted exit price.
+   * @param {String} positionId - Position ID
+   * @param {Object} fill - { amount, price, fee, reason }
+   * @returns {Object|null} Reduced open position, closed position (status 'closed'), or null if not found
+   */
+  applyExitFill(positionId, fill) {
+    const position = this.positions.get(positionId);
+    if (!position) {
+      this.logger?.warn('Cannot apply exit fill to unknown position', { positionId });
+      return null;
+    }
+    
+    const amount = Math.min(fill.amount, position.size);
+    if (!(amount > 0)) return position;
+    
+    this._recordExit(position, amount, fill.price, fill.fee);
+    
+    if (position.size > (position.size + position.exitFilled) * 1e-9) {
+      this.logger?.debug('Exit fill applied', {
+        positionId,
+        pair: position.pair,
+        amount,
+        price: fill.price,
+        size: position.size,
+        exitFilled: position.exitFilled
+      });
+      
+      return position;
+    }
+    
+    return this._finalizeClose(position, fill.reason);
+  }
+  
+  /**
+   * Close a position and remove it from exposure tracking
+   * Whatever is left of the position is closed at exitPrice; earlier exit fills are kept.
+   * @param {String} positionId - Position ID
+   * @param {Object} exit - Exit data
+   * @param {Number} exit.exitPrice - Average exit price
+   * @param {Number} [exit.exitFee] - Fee paid on the closing order
+   * @param {String} [exit.reason] - Exit reason
+   * @returns {Object|null} Closed position with realized P&L, or null if not found
+   */
+  async closePosition(positionId, exit) {
+    const position = this.positions.get(positionId);
+    if (!position) {
+      this.logger?.warn('Cannot close unknown position', { positionId });
+      return null;
+    }
+    
+    this._recordExit(position, position.size, exit.exitPrice, exit.exitFee);
+    
+    return this._finalizeClose(position, exit.reason);
+  }
+  
+  /**
+   * Move an exited amount out of the open size and into the exit totals
+   * @private
+   */
+  _recordExit(position, amount, price, fee) {
+    const exposureBefore = this._positionExposure(position);
+    
+    position.size -= amount;
+    position.exitFilled = (position.exitFilled || 0) + amount;
+    position.exitCost = (position.exitCost || 0) + amount * price;
+    position.exitFee = (position.exitFee || 0) + (fee || 0);
+    
+    // Realized so far, with the entry fee pro-rated over the exited share
+    const direction = position.side === 'BUY' ? 1 : -1;
+    const exitedShare = position.exitFilled / (position.exitFilled + position.size);
+    position.realizedPnL = (position.exitCost - position.entryPrice * position.exitFilled) * direction
+      - position.exitFee - (position.entryFee || 0) * exitedShare;
+    
+    this._adjustExposure(position.pair, this._positionExposure(position) - exposureBefore);
+  }
+  
+  /**
+   * Build the closed position from its exit totals and stop tracking it
+   * @private
+   */
+  _finalizeClose(position, reason) {
+    const direction = position.side === 'BUY' ? 1 : -1;
+    const size = position.exitFilled;
+    const exitPrice = size > 0 ? position.exitCost / size : position.entryPrice;
+    const grossPnL = (exitPrice - position.entryPrice) * direction * size;
+    const fees = (position.entryFee || 0) + position.exitFee;
+    const realizedPnL = grossPnL - fees;
+    
+    const closedPosition = {
+      ...position,
+      size,
+      status: 'closed',
+      exitPrice,
+      exitFee: position.exitFee,
+      exitReason: reason || null,
+      exitTime: Date.now(),
+      grossPnL,
+      fees,
+      realizedPnL,
+      unrealizedPnL: 0,
+      realizedPnLPercent: (realizedPnL / (position.entryPrice * size)) * 100
+    };
+    
+    // Remove from tracking and release exposure
+    this._removePosition(position);
+    this._updatePairPerformance(closedPosition);
+    
+    this.logger?.info('Position closed', {
+      positionId: position.id,
+      pair: position.pair,
+      side: position.side,
+      entryPrice: position.entryPrice,
+      exitPrice,
+      reason,
+      realizedPnL
+    });
+    
+    return closedPosition;
+  }
+  
+  /**
+   * Fold a closed position into the pair's session performance
+   * @private
+   */
+  _updatePairPerformance(closedPosition) {
+    const perf = this.pairPerformance.get(closedPosition.pair) || {
+      totalTrades: 0,
+      wins: 0,
+      winRate: 0,
+      avgProfit: 0,
+      totalProfit: 0,
+      totalVolume: 0
+    };
+    
+    perf.totalTrades++;
+    perf.wins += closedPosition.realizedPnL > 0 ? 1 : 0;
+    perf.winRate = perf.wins / perf.totalTrades;
+    perf.totalProfit += closedPosition.realizedPnL;
+    perf.avgProfit = perf.totalProfit / perf.totalTrades;
+    perf.totalVolume += closedPosition.size * closedPosition.entryPrice;
+    
+    this.pairPerformance.set(closedPosition.pair, perf);
+  }
+  
+  /**
+   * Remove a position from tracking and release its exposure
+   * @private
+   */
+  _removePosition(position) {
+    this.positions.delete(position.id);
+    
+    const pairSet = this.pairPositions.get(position.pair);
+    if (pairSet) {
+      pairSet.delete(position.id);
+      if (pairSet.size === 0) {
+        this.pairPositions.delete(position.pair);
+      }
+    }
+    
+    this._adjustExposure(position.pair, -this._positionExposure(position));
+  }
+  
+  /**
+   * Exposure held by a position: filled notional plus any pending reservation
+   * @private
+   */
+  _positionExposure(position) {
+    return position.size * (position.entryPrice || 0) + (position.reservedExposure || 0);
+  }
+  
+  /**
+   * @private
+   */
+  _adjustExposure(pair, delta) {
+    const exposure = (this.exposures.get(pair) || 0) + delta;
+    if (exposure > 1e-8) {
+      this.exposures.set(pair, exposure);
+    } else {
+      this.exposures.delete(pair);
+    }
   }
   
   /**
@@ -174,7 +721,8 @@ export class DynamicPositionManager {
       positions: Object.fromEntries(this.positions),
       exposures: Object.fromEntries(this.exposures),
       pairPerformance: Object.fromEntries(this.pairPerformance),
-      positionCount: this.positions.size
+      positionCount: this.positions.size,
+      reservationCount: this.reservations.size
     };
   }
   
@@ -233,7 +781,7 @@ export class DynamicPositionManager {
   
   /**
    * Update correlation data
-   * @param {Object} correlations - Correlation matrix
+   * @param {Object} correlations - Pearson correlations keyed by "pair1:pair2" (MultiPairDataCollector.calculateCorrelations)
    */
   async updateCorrelations(correlations) {
     this.correlations = correlations;
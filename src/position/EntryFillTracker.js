@@ -0,0 +1,467 @@
+/**
+ * EntryFillTracker
+ *
+ * Builds opportunity positions from actual entry fills instead of requested size:
+ * - The trader adds a pending position for each executed opportunity and tracks its entry order(s)
+ * - Fill events grow the position in DynamicPositionManager at the volume-weighted fill price
+ * - When every entry order is final (filled, cancelled, expired) the entry is completed;
+ *   positions whose orders were cancelled without any fill are cancelled
+ * - Closing orders are tracked the same way: exit fills reduce the position at their fill price
+ *   and the position is closed once it is flat. An exit whose orders end with size left emits
+ *   exitCompleted and the remainder stays open for the trader to retry
+ *
+ * Accepted inputs:
+ * - Exchange adapter events: `orderFilled` (per-fill) and `orderUpdate` / `orderCancelled`
+ *   (status, cumulative filled amount) — see attach()
+ * - KrakenPrivateWebSocketAdapter executions: pass handleOrderUpdate as its onOrderUpdate callback
+ * - FillDiscoveryManager fills: pass handleFill as its onFill callback
+ *
+ * Fills can arrive before createOrder() resolves (synchronous simulators, fast WebSocket
+ * executions), so fills for unknown orders are buffered briefly and replayed on trackEntry()
+ * and trackExit().
+ */
+
+import { EventEmitter } from 'events';
+import { FINAL_ORDER_STATUSES } from '../execution/FastExecutionEngine.js';
+
+// Fee rates used when a fill does not report its fee
+const DEFAULT_FEES = {
+  maker: 0.0026,
+  taker: 0.0040
+};
+
+export class EntryFillTracker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.positionManager - DynamicPositionManager
+   * @param {Object} [options.exchangeAdapter] - Adapter used to poll stale entry orders (getOrderStatus)
+   * @param {Object} [options.feeModel] - Object exposing currentFees { maker, taker } for fills without a fee
+   * @param {Number} [options.staleEntryTime=10000] - Ms before an unresolved entry or exit order is polled
+   * @param {Number} [options.maxPendingTime=60000] - Ms before an unresolved entry or exit is completed with what filled
+   * @param {Number} [options.orphanTTL=30000] - Ms to keep fills for orders not (yet) tracked
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super();
+
+    this.positionManager = options.positionManager;
+    this.exchangeAdapter = options.exchangeAdapter;
+    this.feeModel = options.feeModel;
+    this.staleEntryTime = options.staleEntryTime || 10000;
+    this.maxPendingTime = options.maxPendingTime || 60000;
+    this.orphanTTL = options.orphanTTL || 30000;
+    this.logger = options.logger;
+
+    this.orders = new Map(); // order id / client order id -> tracked order
+    this.entries = new Map(); // positionId -> { positionId, orders: [], startTime }
+    this.exits = new Map(); // positionId -> { positionId, orders: [], startTime, reason }
+    this.orphans = new Map(); // order id -> [{ type, payload, receivedAt }]
+    this.attached = [];
+
+    this.handleFill = this.handleFill.bind(this);
+    this.handleOrderUpdate = this.handleOrderUpdate.bind(this);
+  }
+
+  /**
+   * Listen to fill and order events from an exchange adapter
+   * @param {EventEmitter} source - Exchange adapter
+   */
+  attach(source) {
+    const listeners = {
+      orderFilled: payload => this.handleFill(payload.fillRecord || payload.fillData || payload),
+      orderUpdate: update => this.handleOrderUpdate(update),
+      orderCancelled: event => this.handleOrderUpdate({
+        ...(event.order || {}),
+        id: event.orderId || event.id,
+        clientOrderId: event.clientOrderId,
+        status: 'cancelled'
+      })
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      source.on(event, listener);
+    }
+
+    this.attached.push({ source, listeners });
+  }
+
+  /**
+   * Stop listening to all attached sources
+   */
+  detach() {
+    for (const { source, listeners } of this.attached) {
+      for (const [event, listener] of Object.entries(listeners)) {
+        source.off(event, listener);
+      }
+    }
+
+    this.attached = [];
+  }
+
+  /**
+   * Track the entry orders of a pending position
+   * @param {String} positionId - Pending position ID from DynamicPositionManager.addPosition()
+   * @param {Array<Object>} orders - Entry orders as returned by createOrder()
+   */
+  trackEntry(positionId, orders) {
+    const entry = { positionId, orders: [], startTime: Date.now() };
+    this.entries.set(positionId, entry);
+
+    this._trackOrders(entry, 'entry', orders);
+  }
+
+  /**
+   * Track the closing orders of an open position
+   * @param {String} positionId - Open position ID
+   * @param {Array<Object>} orders - Closing orders as returned by createOrder()
+   * @param {Object} [options]
+   * @param {String} [options.reason] - Exit reason recorded on the closed position
+   */
+  trackExit(positionId, orders, options = {}) {
+    const exit = { positionId, orders: [], startTime: Date.now(), reason: options.reason || null };
+    this.exits.set(positionId, exit);
+
+    this._trackOrders(exit, 'exit', orders);
+  }
+
+  /**
+   * @private
+   */
+  _trackOrders(group, role, orders) {
+    const { positionId } = group;
+
+    for (const order of orders) {
+      const tracked = {
+        positionId,
+        role,
+        ids: [order.id, order.clientOrderId, order.exchangeOrderId].filter(Boolean),
+        amount: order.amount,
+        liquidity: order.params?.postOnly || order.postOnly ? 'maker' : 'taker',
+        filled: 0,
+        cost: 0,
+        fillIds: new Set(),
+        final: false,
+        lastPoll: 0
+      };
+
+      group.orders.push(tracked);
+      tracked.ids.forEach(id => this.orders.set(id, tracked));
+    }
+
+    // Replay anything that arrived before the order was tracked, then the order's own state
+    for (const tracked of group.orders) {
+      for (const id of tracked.ids) {
+        const buffered = this.orphans.get(id) || [];
+        this.orphans.delete(id);
+        buffered.forEach(({ type, payload }) => {
+          if (type === 'fill') this.handleFill(payload);
+          else this.handleOrderUpdate(payload);
+        });
+      }
+    }
+
+    for (const order of orders) {
+      this.handleOrderUpdate(order);
+    }
+  }
+
+  /**
+   * Handle a single fill
+   * @param {Object} fill - Fill with orderId/clientOrderId, amount|quantity|size, price, fee
+   */
+  handleFill(fill) {
+    const tracked = this._findOrder(fill);
+    if (!tracked) {
+      this._bufferOrphan('fill', fill);
+      return;
+    }
+
+    const fillId = fill.fillId || fill.id || fill.execId;
+    if (fillId && tracked.fillIds.has(fillId)) return;
+    if (fillId) tracked.fillIds.add(fillId);
+
+    const amount = parseFloat(fill.amount ?? fill.quantity ?? fill.size ?? fill.lastFillSize);
+    const price = parseFloat(fill.price ?? fill.lastFillPrice);
+    if (!(amount > 0) || !(price > 0)) return;
+
+    this._applyFill(tracked, amount, price, this._resolveFee(fill, tracked, amount, price));
+
+    const status = fill.orderStatus || fill.updatedOrder?.status;
+    if (status) {
+      this._updateStatus(tracked, status);
+    }
+  }
+
+  /**
+   * Handle an order state update carrying status and cumulative filled amount
+   * Only fills not already seen through handleFill() are applied.
+   * @param {Object} update - Order or execution update
+   */
+  handleOrderUpdate(update) {
+    const tracked = this._findOrder(update);
+    if (!tracked) {
+      this._bufferOrphan('update', update);
+      return;
+    }
+
+    const cumulative = parseFloat(update.filledAmount ?? update.filled ?? 0) || 0;
+    const missing = cumulative - tracked.filled;
+
+    if (missing > tracked.amount * 1e-9) {
+      const averagePrice = parseFloat(update.avgFillPrice ?? update.average ?? update.averagePrice ?? update.avgPrice);
+
+      if (averagePrice > 0) {
+        // Price of the fills we have not seen, so the position ends at the order's average price
+        const price = (cumulative * averagePrice - tracked.cost) / missing;
+        this._applyFill(tracked, missing, price, this._resolveFee({}, tracked, missing, price));
+      } else if (parseFloat(update.price) > 0) {
+        // No average reported: the limit price is the best estimate for the unseen fills
+        const price = parseFloat(update.price);
+        this._applyFill(tracked, missing, price, this._resolveFee({}, tracked, missing, price));
+      }
+    }
+
+    if (update.status) {
+      this._updateStatus(tracked, update.status);
+    }
+  }
+
+  /**
+   * Resolve entries that never reported a final status: poll stale orders and complete
+   * entries older than maxPendingTime with whatever filled
+   * @returns {Promise<void>}
+   */
+  async reconcile() {
+    const now = Date.now();
+    const groups = [
+      ...Array.from(this.entries.values(), group => ({ group, role: 'entry' })),
+      ...Array.from(this.exits.values(), group => ({ group, role: 'exit' }))
+    ];
+
+    for (const { group, role } of groups) {
+      const age = now - group.startTime;
+
+      if (age >= this.maxPendingTime) {
+        this.logger?.warn(`${role === 'entry' ? 'Entry' : 'Exit'} unresolved after max pending time, completing with known fills`, {
+          positionId: group.positionId,
+          age
+        });
+        this._completeGroup(group, role);
+        continue;
+      }
+
+      if (age < this.staleEntryTime || typeof this.exchangeAdapter?.getOrderStatus !== 'function') continue;
+
+      for (const tracked of group.orders) {
+        if (tracked.final || now - tracked.lastPoll < this.staleEntryTime) continue;
+        tracked.lastPoll = now;
+
+        try {
+          const status = await this.exchangeAdapter.getOrderStatus(tracked.ids[0]);
+          if (status) {
+            this.handleOrderUpdate({ ...status, id: tracked.ids[0] });
+          }
+        } catch (error) {
+          this.logger?.debug('Order status check failed', {
+            orderId: tracked.ids[0],
+            error: error.message
+          });
+        }
+      }
+    }
+
+    this._pruneOrphans(now);
+  }
+
+  /**
+   * Position IDs whose entries are still being built
+   * @returns {Array<String>} Position IDs
+   */
+  getPendingEntries() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Position IDs with closing orders still working
+   * @returns {Array<String>} Position IDs
+   */
+  getPendingExits() {
+    return Array.from(this.exits.keys());
+  }
+
+  /**
+   * @private
+   */
+  _applyFill(tracked, amount, price, fee) {
+    tracked.filled += amount;
+    tracked.cost += amount * price;
+
+    if (tracked.role === 'exit') {
+      this._applyExitFill(tracked, amount, price, fee);
+      if (!this.orders.has(tracked.ids[0])) return;
+    } else {
+      const position = this.positionManager.applyEntryFill(tracked.positionId, { amount, price, fee });
+      if (position) {
+        this.emit('entryFilled', { position, amount, price, fee });
+      }
+    }
+
+    if (tracked.filled >= tracked.amount * (1 - 1e-9)) {
+      this._markFinal(tracked);
+    }
+  }
+
+  /**
+   * Reduce the position by an exit fill; stop tracking the exit once the position is closed
+   * @private
+   */
+  _applyExitFill(tracked, amount, price, fee) {
+    const exit = this.exits.get(tracked.positionId);
+    const position = this.positionManager.applyExitFill(tracked.positionId, {
+      amount,
+      price,
+      fee,
+      reason: exit?.reason
+    });
+    if (!position) return;
+
+    if (position.status !== 'closed') {
+      this.emit('exitFilled', { position, amount, price, fee });
+      return;
+    }
+
+    if (exit) this._forgetGroup(this.exits, exit);
+    this.emit('positionClosed', { position, reason: exit?.reason || null });
+  }
+
+  /**
+   * @private
+   */
+  _updateStatus(tracked, status) {
+    if (FINAL_ORDER_STATUSES.includes(String(status).toLowerCase())) {
+      this._markFinal(tracked);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _markFinal(tracked) {
+    if (tracked.final) return;
+    tracked.final = true;
+
+    const groups = tracked.role === 'exit' ? this.exits : this.entries;
+    const group = groups.get(tracked.positionId);
+    if (group && group.orders.every(order => order.final)) {
+      this._completeGroup(group, tracked.role);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _completeGroup(group, role) {
+    if (role === 'exit') {
+      this._completeExit(group);
+    } else {
+      this._completeEntry(group);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _forgetGroup(groups, group) {
+    groups.delete(group.positionId);
+    group.orders.forEach(tracked => tracked.ids.forEach(id => this.orders.delete(id)));
+  }
+
+  /**
+   * Closing orders are done but the position is not flat: leave the remainder open
+   * @private
+   */
+  _completeExit(exit) {
+    this._forgetGroup(this.exits, exit);
+
+    const position = this.positionManager.positions.get(exit.positionId);
+    if (!position) return;
+
+    this.emit('exitCompleted', {
+      position,
+      reason: exit.reason,
+      filled: exit.orders.reduce((sum, tracked) => sum + tracked.filled, 0),
+      remaining: position.size
+    });
+  }
+
+  /**
+   * @private
+   */
+  _completeEntry(entry) {
+    this._forgetGroup(this.entries, entry);
+
+    const position = this.positionManager.completeEntry(entry.positionId);
+    if (!position) return;
+
+    if (position.status === 'cancelled') {
+      this.emit('entryCancelled', { position });
+    } else {
+      this.emit('entryCompleted', { position });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _findOrder(event) {
+    const ids = [event.orderId, event.id, event.clientOrderId, event.exchangeOrderId, event.internalOrderId];
+
+    for (const id of ids) {
+      if (id && this.orders.has(id)) return this.orders.get(id);
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _bufferOrphan(type, payload) {
+    const id = payload.orderId || payload.id || payload.clientOrderId;
+    if (!id) return;
+
+    if (!this.orphans.has(id)) this.orphans.set(id, []);
+    this.orphans.get(id).push({ type, payload, receivedAt: Date.now() });
+  }
+
+  /**
+   * @private
+   */
+  _pruneOrphans(now) {
+    for (const [id, buffered] of this.orphans) {
+      if (now - buffered[buffered.length - 1].receivedAt > this.orphanTTL) {
+        this.orphans.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Fee reported by the fill, or estimated from the order's liquidity
+   * @private
+   */
+  _resolveFee(fill, tracked, amount, price) {
+    if (typeof fill.fee === 'number') return fill.fee;
+    if (fill.fee && typeof fill.fee.cost === 'number') return fill.fee.cost;
+    if (typeof fill.feeAmount === 'number' && fill.feeAmount > 0) return fill.feeAmount;
+
+    const liquidityInd = fill.liquidity || fill.liquidityInd;
+    const liquidity = liquidityInd === 'maker' || liquidityInd === 'm' ? 'maker'
+      : liquidityInd === 'taker' || liquidityInd === 't' ? 'taker'
+      : tracked.liquidity;
+    const fees = this.feeModel?.currentFees || DEFAULT_FEES;
+
+    return amount * price * fees[liquidity];
+  }
+}
+
+export default EntryFillTracker;
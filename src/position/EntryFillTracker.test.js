@@ -0,0 +1,285 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { EntryFillTracker } from './EntryFillTracker.js';
+import { DynamicPositionManager } from './DynamicPositionManager.js';
+
+const FEES = { maker: 0.001, taker: 0.002 };
+
+const openPosition = async (positionManager, { size = 1, entryPrice = 100, entryFee = 0.2 } = {}) => {
+  return positionManager.addPosition({
+    pair: 'ETH/USD',
+    side: 'BUY',
+    size,
+    entryPrice,
+    entryFee,
+    orderId: 'entry-1'
+  });
+};
+
+const openPendingPosition = async (positionManager, { requestedSize = 1, limitPrice = 100, entryOrderIds = ['entry-1'] } = {}) => {
+  return positionManager.addPosition({
+    pair: 'ETH/USD',
+    side: 'BUY',
+    status: 'pending',
+    requestedSize,
+    limitPrice,
+    orderId: entryOrderIds[0],
+    entryOrderIds
+  });
+};
+
+describe('EntryFillTracker entries', () => {
+  let positionManager;
+  let tracker;
+
+  beforeEach(() => {
+    positionManager = new DynamicPositionManager({ totalBudget: 10000 });
+    tracker = new EntryFillTracker({ positionManager, feeModel: { currentFees: FEES } });
+  });
+
+  test('reserves the requested exposure until fills arrive', async () => {
+    const positionId = await openPendingPosition(positionManager);
+    tracker.trackEntry(positionId, [{ id: 'entry-1', amount: 1, status: 'open' }]);
+
+    const position = positionManager.positions.get(positionId);
+    expect(position.status).toBe('pending');
+    expect(position.size).toBe(0);
+    expect(positionManager.exposures.get('ETH/USD')).toBeCloseTo(100);
+    expect(positionManager.getDirectionalExposure(['ETH/USD'])).toBeCloseTo(100);
+    expect(tracker.getPendingEntries()).toEqual([positionId]);
+
+    // A partial fill moves exposure from the reservation to the filled notional
+    tracker.handleFill({ orderId: 'entry-1', fillId: 'f1', amount: 0.5, price: 98 });
+    expect(positionManager.getDirectionalExposure(['ETH/USD'])).toBeCloseTo(0.5 * 98 + 0.5 * 100);
+  });
+
+  test('opens the position at the filled size when a partially filled entry is cancelled', async () => {
+    const completed = jest.fn();
+    const cancelled = jest.fn();
+    tracker.on('entryCompleted', completed);
+    tracker.on('entryCancelled', cancelled);
+
+    const positionId = await openPendingPosition(positionManager);
+    tracker.trackEntry(positionId, [{ id: 'entry-1', amount: 1, status: 'open' }]);
+    tracker.handleFill({ orderId: 'entry-1', fillId: 'f1', amount: 0.4, price: 99.5, fee: 0.04 });
+    tracker.handleOrderUpdate({ id: 'entry-1', filled: 0.4, status: 'cancelled' });
+
+    expect(cancelled).not.toHaveBeenCalled();
+    expect(completed).toHaveBeenCalledTimes(1);
+    const { position } = completed.mock.calls[0][0];
+    expect(position.status).toBe('open');
+    expect(position.size).toBeCloseTo(0.4);
+    expect(position.requestedSize).toBe(1);
+    expect(position.entryPrice).toBeCloseTo(99.5);
+    expect(position.entryFee).toBeCloseTo(0.04);
+    expect(position.reservedExposure).toBe(0);
+    // Only the filled notional is held once the reservation is released
+    expect(positionManager.exposures.get('ETH/USD')).toBeCloseTo(0.4 * 99.5);
+    expect(tracker.getPendingEntries()).toEqual([]);
+  });
+
+  test('cancels the position when the entry expires without a fill', async () => {
+    const completed = jest.fn();
+    const cancelled = jest.fn();
+    tracker.on('entryCompleted', completed);
+    tracker.on('entryCancelled', cancelled);
+
+    const positionId = await openPendingPosition(positionManager);
+    tracker.trackEntry(positionId, [{ id: 'entry-1', amount: 1, status: 'open' }]);
+    tracker.handleOrderUpdate({ id: 'entry-1', filled: 0, status: 'EXPIRED' });
+
+    expect(completed).not.toHaveBeenCalled();
+    expect(cancelled).toHaveBeenCalledTimes(1);
+    expect(cancelled.mock.calls[0][0].position).toMatchObject({ status: 'cancelled', cancelReason: 'entry_unfilled' });
+    expect(positionManager.positions.has(positionId)).toBe(false);
+    expect(positionManager.exposures.has('ETH/USD')).toBe(false);
+    expect(tracker.getPendingEntries()).toEqual([]);
+  });
+
+  test('builds the entry price from the fills of several entry orders', async () => {
+    const completed = jest.fn();
+    tracker.on('entryCompleted', completed);
+
+    const positionId = await openPendingPosition(positionManager, { entryOrderIds: ['entry-1', 'entry-2'] });
+    tracker.trackEntry(positionId, [
+      { id: 'entry-1', amount: 0.5, status: 'open' },
+      { id: 'entry-2', amount: 0.5, status: 'open' }
+    ]);
+
+    tracker.handleFill({ orderId: 'entry-1', fillId: 'f1', amount: 0.5, price: 100, orderStatus: 'filled' });
+    expect(completed).not.toHaveBeenCalled();
+
+    // Cumulative update without per-fill events: the unseen fill is priced from the order's average
+    tracker.handleOrderUpdate({ id: 'entry-2', filled: 0.25, avgFillPrice: 103, status: 'canceled' });
+
+    expect(completed).toHaveBeenCalledTimes(1);
+    const { position } = completed.mock.calls[0][0];
+    expect(position.size).toBeCloseTo(0.75);
+    expect(position.entryPrice).toBeCloseTo((0.5 * 100 + 0.25 * 103) / 0.75);
+    // No fees reported: estimated at the taker rate
+    expect(position.entryFee).toBeCloseTo((0.5 * 100 + 0.25 * 103) * FEES.taker);
+  });
+
+  test('applies a fill only once when it is reported again', async () => {
+    const positionId = await openPendingPosition(positionManager);
+    tracker.trackEntry(positionId, [{ id: 'entry-1', amount: 1, status: 'open' }]);
+
+    tracker.handleFill({ orderId: 'entry-1', fillId: 'f1', amount: 0.3, price: 100 });
+    tracker.handleFill({ orderId: 'entry-1', fillId: 'f1', amount: 0.3, price: 100 });
+    tracker.handleOrderUpdate({ id: 'entry-1', filled: 0.3, avgFillPrice: 100, status: 'open' });
+
+    expect(positionManager.positions.get(positionId).size).toBeCloseTo(0.3);
+    expect(tracker.getPendingEntries()).toEqual([positionId]);
+  });
+
+  test('counts every trade of an entry that fills in several Kraken executions', async () => {
+    const adapter = new EventEmitter();
+    const completed = jest.fn();
+    tracker.attach(adapter);
+    tracker.on('entryCompleted', completed);
+
+    const positionId = await openPendingPosition(positionManager);
+    const order = { id: 'entry-1', clientOrderId: 'entry-1', exchangeOrderId: 'OABC-1', amount: 1, status: 'OPEN' };
+    tracker.trackEntry(positionId, [order]);
+
+    // Emission order of the Kraken adapter for each `trade` execution: fill, orderFilled, then the cumulative orderUpdate
+    const trade = (execId, quantity, price, cumQty, avgPrice, status) => {
+      const fillRecord = { id: execId, orderId: 'entry-1', clientOrderId: 'entry-1', exchangeOrderId: 'OABC-1', quantity, price, feeAmount: 0, execId };
+      const updatedOrder = { ...order, status, filled: cumQty, avgPrice };
+      adapter.emit('fill', fillRecord);
+      adapter.emit('orderFilled', { orderId: 'entry-1', internalOrderId: 'entry-1', quantity, price, fillRecord, updatedOrder });
+      adapter.emit('orderUpdate', updatedOrder);
+    };
+
+    trade('E1', 0.25, 100, 0.25, 100, 'PARTIALLY_FILLED');
+    trade('E2', 0.5, 101, 0.75, 100.66666667, 'PARTIALLY_FILLED');
+    expect(completed).not.toHaveBeenCalled();
+    expect(tracker.getPendingEntries()).toEqual([positionId]);
+
+    trade('E3', 0.25, 102, 1, 101, 'FILLED');
+    // Kraken's closing `filled` status report
+    adapter.emit('orderUpdate', { ...order, status: 'FILLED', filled: 1, avgPrice: 101 });
+
+    expect(completed).toHaveBeenCalledTimes(1);
+    const { position } = completed.mock.calls[0][0];
+    expect(position.size).toBeCloseTo(1);
+    expect(position.entryPrice).toBeCloseTo(101);
+    expect(tracker.getPendingEntries()).toEqual([]);
+  });
+
+  test('completes an entry with its known fills after the max pending time', async () => {
+    const completed = jest.fn();
+    tracker.on('entryCompleted', completed);
+
+    const positionId = await openPendingPosition(positionManager);
+    tracker.trackEntry(positionId, [{ id: 'entry-1', amount: 1, status: 'open' }]);
+    tracker.handleFill({ orderId: 'entry-1', fillId: 'f1', amount: 0.6, price: 100 });
+
+    const now = Date.now();
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now + tracker.maxPendingTime);
+    await tracker.reconcile();
+    nowSpy.mockRestore();
+
+    expect(completed).toHaveBeenCalledTimes(1);
+    expect(completed.mock.calls[0][0].position.size).toBeCloseTo(0.6);
+    expect(positionManager.positions.get(positionId).reservedExposure).toBe(0);
+    expect(tracker.getPendingEntries()).toEqual([]);
+  });
+});
+
+describe('EntryFillTracker exits', () => {
+  let positionManager;
+  let tracker;
+  let positionId;
+
+  beforeEach(async () => {
+    positionManager = new DynamicPositionManager({ totalBudget: 10000 });
+    tracker = new EntryFillTracker({ positionManager, feeModel: { currentFees: FEES } });
+    positionId = await openPosition(positionManager);
+  });
+
+  test('closes the position at the fill price once the exit fills completely', () => {
+    const closed = jest.fn();
+    tracker.on('positionClosed', closed);
+
+    tracker.trackExit(positionId, [{ id: 'exit-1', amount: 1, status: 'open' }], { reason: 'take_profit' });
+    tracker.handleFill({ orderId: 'exit-1', fillId: 'f1', amount: 1, price: 101, fee: 0.2 });
+
+    expect(closed).toHaveBeenCalledTimes(1);
+    const { position, reason } = closed.mock.calls[0][0];
+    expect(reason).toBe('take_profit');
+    expect(position.status).toBe('closed');
+    expect(position.size).toBe(1);
+    expect(position.exitPrice).toBe(101);
+    expect(position.realizedPnL).toBeCloseTo(1 - 0.4);
+    expect(positionManager.positions.has(positionId)).toBe(false);
+    expect(tracker.getPendingExits()).toEqual([]);
+  });
+
+  test('reduces the position by a partial IOC fill and leaves the remainder open', () => {
+    const closed = jest.fn();
+    const completed = jest.fn();
+    tracker.on('positionClosed', closed);
+    tracker.on('exitCompleted', completed);
+
+    tracker.trackExit(positionId, [{ id: 'exit-1', amount: 1, status: 'open' }], { reason: 'stop_loss' });
+    tracker.handleOrderUpdate({ id: 'exit-1', filled: 0.4, avgFillPrice: 99, status: 'cancelled' });
+
+    expect(closed).not.toHaveBeenCalled();
+    expect(completed).toHaveBeenCalledTimes(1);
+    expect(completed.mock.calls[0][0]).toMatchObject({ reason: 'stop_loss', remaining: 0.6 });
+    expect(completed.mock.calls[0][0].filled).toBeCloseTo(0.4);
+
+    const position = positionManager.positions.get(positionId);
+    expect(position.status).toBe('open');
+    expect(position.size).toBeCloseTo(0.6);
+    expect(position.exitFilled).toBeCloseTo(0.4);
+    expect(positionManager.exposures.get('ETH/USD')).toBeCloseTo(60);
+    expect(tracker.getPendingExits()).toEqual([]);
+  });
+
+  test('keeps the position unchanged when the IOC exit does not fill', () => {
+    const completed = jest.fn();
+    tracker.on('exitCompleted', completed);
+
+    tracker.trackExit(positionId, [{ id: 'exit-1', amount: 1, status: 'open' }]);
+    expect(tracker.getPendingExits()).toEqual([positionId]);
+
+    tracker.handleOrderUpdate({ id: 'exit-1', filled: 0, status: 'CANCELLED' });
+
+    expect(completed).toHaveBeenCalledTimes(1);
+    expect(completed.mock.calls[0][0]).toMatchObject({ filled: 0, remaining: 1 });
+    expect(positionManager.positions.get(positionId).size).toBe(1);
+  });
+
+  test('closes at the volume-weighted price of a retried exit', () => {
+    const closed = jest.fn();
+    tracker.on('positionClosed', closed);
+
+    tracker.trackExit(positionId, [{ id: 'exit-1', amount: 1, status: 'open' }]);
+    tracker.handleFill({ orderId: 'exit-1', fillId: 'f1', amount: 0.25, price: 104, fee: 0.05 });
+    tracker.handleOrderUpdate({ id: 'exit-1', filled: 0.25, status: 'cancelled' });
+
+    tracker.trackExit(positionId, [{ id: 'exit-2', amount: 0.75, status: 'open' }], { reason: 'time_stop' });
+    tracker.handleFill({ orderId: 'exit-2', fillId: 'f2', amount: 0.75, price: 100, fee: 0.15 });
+
+    expect(closed).toHaveBeenCalledTimes(1);
+    const { position } = closed.mock.calls[0][0];
+    expect(position.size).toBe(1);
+    expect(position.exitPrice).toBeCloseTo(101);
+    expect(position.exitFee).toBeCloseTo(0.2);
+    expect(position.realizedPnL).toBeCloseTo(1 - 0.4);
+  });
+
+  test('replays exit fills that arrive before the order is tracked', () => {
+    const closed = jest.fn();
+    tracker.on('positionClosed', closed);
+
+    tracker.handleFill({ orderId: 'exit-1', fillId: 'f1', amount: 1, price: 102 });
+    tracker.trackExit(positionId, [{ id: 'exit-1', amount: 1, status: 'open' }]);
+
+    expect(closed).toHaveBeenCalledTimes(1);
+    // No fee reported: estimated at the taker rate
+    expect(closed.mock.calls[0][0].position.exitFee).toBeCloseTo(102 * FEES.taker);
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * PositionExitManager
+ *
+ * Decides when open opportunity positions should be closed and places the closing orders.
+ * Each position is evaluated against:
+ * - Take-profit target (FeeAwareExitOptimizer, or OptimalExitFinder when provided)
+ * - Hard stop-loss
+ * - Trailing stop once the position has moved in our favour
+ * - Maximum holding time derived from the expected futures lead time
+ * - Futures signal reversal against the position
+ *
+ * RISK_HALT exits are decided by the trader when the RiskSupervisor flattens the book.
+ * Closing orders are IOC and may fill partially or not at all: the position is only reduced
+ * from confirmed exit fills (EntryFillTracker.trackExit), never from the placed order.
+ */
+
+import { FeeAwareExitOptimizer } from '../core/fee-aware-exit-optimizer.js';
+
+export const EXIT_REASONS = {
+  TAKE_PROFIT: 'take_profit',
+  STOP_LOSS: 'stop_loss',
+  TRAILING_STOP: 'trailing_stop',
+  TIME_STOP: 'time_stop',
+  SIGNAL_REVERSAL: 'signal_reversal',
+  RISK_HALT: 'risk_halt'
+};
+
+export class PositionExitManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.exchangeAdapter - Exchange adapter used to place closing orders
+   * @param {Object} [options.exitOptimizer] - FeeAwareExitOptimizer instance (created if not provided)
+   * @param {Object} [options.optimalExitFinder] - Optional OptimalExitFinder for history-based targets
+   * @param {Object} [options.config] - Exit thresholds (percentages are in %, times in ms)
+   * @param {Object} options.logger - Logger instance
+   */
+  constructor(options = {}) {
+    this.exchangeAdapter = options.exchangeAdapter;
+    this.exitOptimizer = options.exitOptimizer || new FeeAwareExitOptimizer();
+    this.optimalExitFinder = options.optimalExitFinder || null;
+    this.logger = options.logger;
+
+    this.config = {
+      stopLossPercent: 0.50,           // Hard stop 0.5% against entry
+      trailingActivationPercent: 0.15, // Trail once 0.15% in profit
+      trailingStopPercent: 0.25,       // Exit on 0.25% retrace from best price
+      holdTimeLeadMultiple: 15,        // Hold for up to 15x the expected lead time
+      minHoldTime: 15000,              // Never time out before 15 seconds
+      maxHoldTime: 300000,             // Never hold longer than 5 minutes
+      reversalThreshold: 0.05,         // 0.05% futures move against the position
+      exitSlippage: 0.0001,            // Cross the touch by 1bp on the closing IOC
+      ...options.config
+    };
+
+    // Exit tracking
+    this.exitStates = new Map(); // positionId -> { takeProfitPrice, bestPrice, maxHoldTime }
+    this.closingPositions = new Set(); // positionIds with a closing order in flight
+  }
+
+  /**
+   * Evaluate exit conditions for a position
+   * @param {Object} position - Open position from DynamicPositionManager
+   * @param {Object} market - Current market snapshot
+   * @param {Number} market.bid - Current spot bid
+   * @param {Number} market.ask - Current spot ask
+   * @param {Number} [market.futuresMovement] - Recent futures movement in %
+   * @returns {Object|null} Exit decision ({ reason, price, details }) or null to keep holding
+   */
+  async evaluate(position, market) {
+    if (!market || !market.bid || !market.ask) return null;
+    if (this.closingPositions.has(position.id)) return null;
+
+    const state = await this._getExitState(position, market);
+    const isLong = position.side === 'BUY';
+
+    // Longs are closed into the bid, shorts into the ask
+    const exitPrice = isLong ? market.bid : market.ask;
+    const direction = isLong ? 1 : -1;
+    const movePercent = ((exitPrice - position.entryPrice) / position.entryPrice) * 100 * direction;
+
+    // Track best price seen for the trailing stop
+    if ((exitPrice - state.bestPrice) * direction > 0) {
+      state.bestPrice = exitPrice;
+    }
+    const bestMovePercent = ((state.bestPrice - position.entryPrice) / position.entryPrice) * 100 * direction;
+    const retracePercent = ((state.bestPrice - exitPrice) / state.bestPrice) * 100 * direction;
+
+    if (state.takeProfitPrice && (exitPrice - state.takeProfitPrice) * direction >= 0) {
+      return this._decision(EXIT_REASONS.TAKE_PROFIT, exitPrice, {
+        takeProfitPrice: state.takeProfitPrice,
+        movePercent
+      });
+    }
+
+    if (movePercent <= -this.config.stopLossPercent) {
+      return this._decision(EXIT_REASONS.STOP_LOSS, exitPrice, {
+        movePercent,
+        stopLossPercent: this.config.stopLossPercent
+      });
+    }
+
+    if (bestMovePercent >= this.config.trailingActivationPercent &&
+        retracePercent >= this.config.trailingStopPercent) {
+      return this._decision(EXIT_REASONS.TRAILING_STOP, exitPrice, {
+        bestPrice: state.bestPrice,
+        retracePercent,
+        movePercent
+      });
+    }
+
+    const holdTime = Date.now() - position.entryTime;
+    if (holdTime >= state.maxHoldTime) {
+      return this._decision(EXIT_REASONS.TIME_STOP, exitPrice, {
+        holdTime,
+        maxHoldTime: state.maxHoldTime,
+        movePercent
+      });
+    }
+
+    const futuresMovement = market.futuresMovement || 0;
+    if (futuresMovement * direction <= -this.config.reversalThreshold) {
+      return this._decision(EXIT_REASONS.SIGNAL_REVERSAL, exitPrice, {
+        futuresMovement,
+        movePercent
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Place the closing order for a position
+   * @param {Object} position - Position to close
+   * @param {Object} decision - Exit decision returned by evaluate()
+   * @returns {Object} Close result ({ placed, order } or { placed: false, reason })
+   */
+  async closePosition(position, decision) {
+    if (this.closingPositions.has(position.id)) {
+      return { placed: false, reason: 'Close already in progress' };
+    }
+
+    this.closingPositions.add(position.id);
+
+    try {
+      const orderParams = this._calculateCloseOrderParams(position, decision);
+      const order = await this.exchangeAdapter.createOrder(orderParams);
+
+      if (!order || !order.id) {
+        return { placed: false, reason: 'Close order placement failed' };
+      }
+
+      this.logger?.info('Position close order placed', {
+        positionId: position.id,
+        pair: position.pair,
+        reason: decision.reason,
+        orderId: order.id,
+        price: orderParams.price,
+        amount: orderParams.amount
+      });
+
+      return {
+        placed: true,
+        order: { ...order, amount: order.amount ?? orderParams.amount }
+      };
+    } catch (error) {
+      this.logger?.error('Failed to close position', {
+        positionId: position.id,
+        pair: position.pair,
+        reason: decision.reason,
+        error: error.message
+      });
+
+      return { placed: false, reason: error.message, error };
+    } finally {
+      this.closingPositions.delete(position.id);
+    }
+  }
+
+  /**
+   * Drop exit tracking for a position that was closed or removed elsewhere
+   * @param {String} positionId - Position ID
+   */
+  forget(positionId) {
+    this.exitStates.delete(positionId);
+    this.closingPositions.delete(positionId);
+  }
+
+  /**
+   * Get or lazily build exit state for a position
+   * @private
+   */
+  async _getExitState(position, market) {
+    let state = this.exitStates.get(position.id);
+    if (state) return state;
+
+    const leadTime = position.leadTimeExpected || 3000;
+    const maxHoldTime = Math.min(
+      this.config.maxHoldTime,
+      Math.max(this.config.minHoldTime, leadTime * this.config.holdTimeLeadMultiple)
+    );
+
+    state = {
+      takeProfitPrice: await this._calculateTakeProfit(position, market),
+      bestPrice: position.entryPrice,
+      maxHoldTime
+    };
+
+    this.exitStates.set(position.id, state);
+
+    this.logger?.debug('Exit plan created', {
+      positionId: position.id,
+      pair: position.pair,
+      takeProfitPrice: state.takeProfitPrice,
+      maxHoldTime
+    });
+
+    return state;
+  }
+
+  /**
+   * Calculate take-profit price for a position
+   * @private
+   */
+  async _calculateTakeProfit(position, market) {
+    const direction = position.side === 'BUY' ? 'buy' : 'sell';
+    const decision = {
+      pair: position.pair,
+      direction,
+      confidence: position.confidence || 0.7
+    };
+
+    if (this.optimalExitFinder) {
+      try {
+        const exits = await this.optimalExitFinder.findOptimalExits(
+          { price: position.entryPrice },
+          { price: (market.bid + market.ask) / 2, bid: market.bid, ask: market.ask },
+          decision,
+          this.exitOptimizer.currentFees
+        );
+
+        if (exits?.summary?.primary?.price) {
+          return exits.summary.primary.price;
+        }
+      } catch (error) {
+        this.logger?.warn('OptimalExitFinder failed, falling back to fee-aware target', {
+          pair: position.pair,
+          error: error.message
+        });
+      }
+    }
+
+    const exit = this.exitOptimizer.calculateOptimalExit(
+      { price: position.entryPrice },
+      { price: (market.bid + market.ask) / 2, bid: market.bid, ask: market.ask },
+      decision,
+      { useMakerOnly: false } // Entry and exit both cross the spread
+    );
+
+    return exit.targetExit.price;
+  }
+
+  /**
+   * Build order parameters for the closing IOC order
+   * @private
+   */
+  _calculateCloseOrderParams(position, decision) {
+    const side = position.side === 'BUY' ? 'sell' : 'buy';
+    const slippage = this.config.exitSlippage;
+    const price = side === 'sell'
+      ? decision.price * (1 - slippage)
+      : decision.price * (1 + slippage);
+
+    return {
+      symbol: position.pair,
+      type: 'limit',
+      side,
+      price,
+      amount: position.size,
+      clientOrderId: `exit_${position.id}`,
+      params: {
+        postOnly: false,
+        timeInForce: 'IOC',
+        reduceOnly: true
+      }
+    };
+  }
+
+  /**
+   * Build an exit decision
+   * @private
+   */
+  _decision(reason, price, details) {
+    return { reason, price, details };
+  }
+}
+
+export default PositionExitManager;
@@ -0,0 +1,181 @@
+/**
+ * PositionSizer
+ *
+ * Volatility-scaled sizing for opportunity entries:
+ * - Risk budget per trade (riskPerTrade × budget) divided by the risk distance gives the notional,
+ *   so a pair twice as volatile gets half the size
+ * - Risk distance is atrMultiple × ATR, with ATR computed as in OHLCRegimeDetector.calculateATR
+ *   (mean true range over atrPeriod bars, relative to price) on the collector's time-bucketed
+ *   spot bars (MultiPairDataCollector.getSpotBars); the hard stop distance is used until enough bars exist
+ * - The notional is capped by maxTradeFraction of available balance and the pair's remaining
+ *   exposure, then scaled by signal confidence and the OutcomeTracker's historical expectancy
+ * - Size is rounded down to the lot step; sizes below the exchange minimum volume or cost
+ *   (MultiPairDecisionEngine.loadExchangeMinimums, falling back to InstrumentRegistry) are rejected
+ */
+
+export const SIZING_REJECTIONS = {
+  NO_PRICE: 'no_price',
+  NO_CAPACITY: 'no_capacity',
+  BELOW_MIN_VOLUME: 'below_min_volume',
+  BELOW_MIN_COST: 'below_min_cost'
+};
+
+export class PositionSizer {
+  /**
+   * @param {Object} options
+   * @param {Number} options.budget - Total trading budget
+   * @param {Object} options.dataCollector - MultiPairDataCollector (spot OHLC bars)
+   * @param {Object} [options.instrumentRegistry] - InstrumentRegistry for lot size and minimum order size
+   * @param {Object} [options.decisionEngine] - MultiPairDecisionEngine whose exchangeMinimums take precedence
+   * @param {Object} [options.outcomeTracker] - OutcomeTracker for historical expectancy
+   * @param {Number} [options.riskPerTrade=0.0002] - Risk budget per trade as a fraction of budget
+   * @param {Number} [options.atrMultiple=2] - Risk distance in ATRs
+   * @param {Number} [options.atrPeriod=14] - Bars averaged for ATR
+   * @param {Number} [options.minRiskDistance=0.0005] - Floor on the risk distance (fraction of price)
+   * @param {Number} [options.fallbackRiskDistance=0.005] - Risk distance until ATR is available (hard stop)
+   * @param {Number} [options.maxTradeFraction=0.1] - Max share of available balance per trade
+   * @param {Number} [options.maxPairExposure=0.2] - Max pair exposure as a fraction of budget
+   * @param {Number} [options.minPositionSizeUSD=50] - Smallest notional worth trading
+   * @param {Number} [options.expectancyScale=0.5] - Expectancy (net % per trade) that moves the scale by 1
+   * @param {Number} [options.minScale=0.25] - Floor on the confidence × expectancy scale
+   * @param {Number} [options.maxScale=1] - Cap on the confidence × expectancy scale
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.budget = options.budget;
+    this.dataCollector = options.dataCollector;
+    this.instrumentRegistry = options.instrumentRegistry;
+    this.decisionEngine = options.decisionEngine;
+    this.outcomeTracker = options.outcomeTracker;
+    this.riskPerTrade = options.riskPerTrade || 0.0002;
+    this.atrMultiple = options.atrMultiple || 2;
+    this.atrPeriod = options.atrPeriod || 14;
+    this.minRiskDistance = options.minRiskDistance || 0.0005;
+    this.fallbackRiskDistance = options.fallbackRiskDistance || 0.005;
+    this.maxTradeFraction = options.maxTradeFraction || 0.1;
+    this.maxPairExposure = options.maxPairExposure || 0.2;
+    this.minPositionSizeUSD = options.minPositionSizeUSD ?? 50;
+    this.expectancyScale = options.expectancyScale || 0.5;
+    this.minScale = options.minScale ?? 0.25;
+    this.maxScale = options.maxScale ?? 1;
+    this.logger = options.logger;
+  }
+
+  /**
+   * Size an opportunity
+   * @param {Object} opportunity - Opportunity from the trader (pair, signal.spotPrice, signal.confidence)
+   * @param {Object} portfolio - DynamicPositionManager.getPortfolioState()
+   * @returns {Object} { size, notional, atr, riskDistance, scale, minimums, reason }; size is 0 when rejected
+   */
+  size(opportunity, portfolio) {
+    const { pair } = opportunity;
+    const price = opportunity.signal.spotPrice;
+    if (!(price > 0)) return this._reject(SIZING_REJECTIONS.NO_PRICE);
+
+    const atr = this.calculateATR(pair);
+    const riskDistance = atr !== null
+      ? Math.max(this.minRiskDistance, this.atrMultiple * atr)
+      : this.fallbackRiskDistance;
+    const riskNotional = (this.budget * this.riskPerTrade) / riskDistance;
+
+    const capacity = Math.min(
+      portfolio.availableBalance * this.maxTradeFraction,
+      this.budget * this.maxPairExposure - (portfolio.exposures[pair] || 0)
+    );
+    if (!(capacity > 0)) return this._reject(SIZING_REJECTIONS.NO_CAPACITY, { atr, riskDistance });
+
+    const scale = this._scale(opportunity);
+    const notional = Math.min(riskNotional, capacity) * scale;
+
+    const minimums = this.getMinimums(pair);
+    const size = this._roundToLot(notional / price, minimums.lotSize);
+    const details = { atr, riskDistance, scale, minimums };
+
+    if (minimums.minVolume && size < minimums.minVolume) {
+      return this._reject(SIZING_REJECTIONS.BELOW_MIN_VOLUME, { ...details, notional, size });
+    }
+
+    const minCost = Math.max(minimums.minCost || 0, this.minPositionSizeUSD);
+    if (size * price < minCost) {
+      return this._reject(SIZING_REJECTIONS.BELOW_MIN_COST, { ...details, notional, size });
+    }
+
+    return { size, notional: size * price, ...details, reason: null };
+  }
+
+  /**
+   * ATR of a pair's spot price as a fraction of price
+   * @param {String} pair - Trading pair
+   * @returns {Number|null} ATR, or null until atrPeriod + 1 bars of history exist
+   */
+  calculateATR(pair) {
+    const bars = this.dataCollector.getSpotBars(pair);
+    if (bars.length < this.atrPeriod + 1) return null;
+
+    const trueRanges = [];
+    for (let i = 1; i < bars.length; i++) {
+      const current = bars[i];
+      const previous = bars[i - 1];
+      trueRanges.push(Math.max(
+        current.high - current.low,
+        Math.abs(current.high - previous.close),
+        Math.abs(current.low - previous.close)
+      ));
+    }
+
+    const recent = trueRanges.slice(-this.atrPeriod);
+    const atr = recent.reduce((sum, tr) => sum + tr, 0) / recent.length;
+
+    return atr / bars[bars.length - 1].close;
+  }
+
+  /**
+   * Exchange minimums and lot step for a pair
+   * @param {String} pair - Trading pair
+   * @returns {Object} { minVolume, minCost, lotSize } (null where unknown)
+   */
+  getMinimums(pair) {
+    const loaded = this.decisionEngine?.exchangeMinimums?.[pair];
+    const spot = this.instrumentRegistry?.getInstrument(pair)?.spot;
+
+    return {
+      minVolume: loaded?.minVolume ?? spot?.minOrderSize ?? null,
+      minCost: loaded?.minCost ?? spot?.minCost ?? null,
+      lotSize: Number.isInteger(loaded?.volumePrecision)
+        ? 1 / 10 ** loaded.volumePrecision
+        : spot?.lotSize ?? null
+    };
+  }
+
+  /**
+   * Confidence × historical expectancy, clamped to [minScale, maxScale]
+   * @private
+   */
+  _scale(opportunity) {
+    const confidence = opportunity.signal.confidence ?? 1;
+    const expectancy = this.outcomeTracker ? this.outcomeTracker.score(opportunity).expectancy : 0;
+    const expectancyFactor = Math.max(0, 1 + expectancy / this.expectancyScale);
+
+    return Math.max(this.minScale, Math.min(this.maxScale, confidence * expectancyFactor));
+  }
+
+  /**
+   * @private
+   */
+  _roundToLot(size, lotSize) {
+    const step = lotSize || 1e-8;
+    const decimals = Math.max(0, Math.ceil(-Math.log10(step)));
+
+    // Nudge before flooring so sizes like 0.3 / 0.1 do not lose a step to float error
+    return Number((Math.floor(size / step + 1e-9) * step).toFixed(decimals));
+  }
+
+  /**
+   * @private
+   */
+  _reject(reason, details = {}) {
+    return { size: 0, notional: 0, ...details, reason };
+  }
+}
+
+export default PositionSizer;
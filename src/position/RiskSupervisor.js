@@ -0,0 +1,304 @@
+/**
+ * RiskSupervisor
+ *
+ * Portfolio kill-switch for the multi-pair trader. Aggregates P&L across pairs and halts
+ * new entries when any limit is breached:
+ * - Daily loss: realized P&L for the UTC day plus open unrealized P&L
+ * - Session loss: realized P&L since the session started plus open unrealized P&L
+ * - Consecutive losing trades
+ * - Drawdown of equity (budget + session P&L) from its session peak
+ *
+ * Loss and drawdown limits are fractions of the budget; null or 0 disables a limit.
+ * The halt (and the day's realized P&L) is persisted through MultiPairRedisAPI, so a
+ * restarted trader stays halted until reset() is called explicitly.
+ *
+ * Emits 'halted' and 'reset'.
+ */
+
+import { EventEmitter } from 'events';
+
+export const HALT_REASONS = {
+  DAILY_LOSS: 'daily_loss',
+  SESSION_LOSS: 'session_loss',
+  CONSECUTIVE_LOSSES: 'consecutive_losses',
+  MAX_DRAWDOWN: 'max_drawdown',
+  MANUAL: 'manual'
+};
+
+export class RiskSupervisor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Number} options.budget - Trading budget the limits are relative to
+   * @param {Object} [options.redisAPI] - MultiPairRedisAPI for persistence (in-memory only when omitted)
+   * @param {String} [options.sessionId] - Session recorded with a halt
+   * @param {Number} [options.dailyLossLimit=0.05] - Max loss per UTC day as a fraction of budget
+   * @param {Number} [options.sessionLossLimit] - Max loss per session as a fraction of budget (off by default)
+   * @param {Number} [options.maxConsecutiveLosses=10] - Losing trades in a row before halting
+   * @param {Number} [options.maxDrawdown=0.10] - Max equity drawdown from session peak as a fraction of budget
+   * @param {Boolean} [options.flattenOnHalt=false] - Close all open positions once halted
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.budget || options.budget <= 0) {
+      throw new Error('RiskSupervisor requires a positive budget');
+    }
+
+    this.budget = options.budget;
+    this.redisAPI = options.redisAPI;
+    this.sessionId = options.sessionId || null;
+    this.dailyLossLimit = options.dailyLossLimit !== undefined ? options.dailyLossLimit : 0.05;
+    this.sessionLossLimit = options.sessionLossLimit || null;
+    this.maxConsecutiveLosses = options.maxConsecutiveLosses !== undefined ? options.maxConsecutiveLosses : 10;
+    this.maxDrawdown = options.maxDrawdown !== undefined ? options.maxDrawdown : 0.10;
+    this.flattenOnHalt = !!options.flattenOnHalt;
+    this.logger = options.logger;
+
+    this.halt = null; // { reason, details, haltedAt, sessionId }
+    this.daily = { date: utcDate(Date.now()), realizedPnL: 0 };
+    this.sessionRealizedPnL = 0;
+    this.unrealizedPnL = 0;
+    this.consecutiveLosses = 0;
+    this.peakEquity = this.budget;
+  }
+
+  /**
+   * Load the persisted halt and today's realized P&L
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.redisAPI) return;
+
+    try {
+      const stored = await this.redisAPI.getRiskState();
+      if (!stored) return;
+
+      this.halt = stored.halt || null;
+      this.consecutiveLosses = stored.consecutiveLosses || 0;
+      if (stored.daily && stored.daily.date === utcDate(Date.now())) {
+        this.daily = stored.daily;
+      }
+
+      if (this.halt) {
+        this.logger?.warn('Trading halt restored, new entries disabled until reset', this.halt);
+      }
+    } catch (error) {
+      this.logger?.warn('Failed to load risk state', { error: error.message });
+    }
+  }
+
+  /**
+   * Whether new entries are blocked
+   * @returns {Boolean}
+   */
+  isHalted() {
+    return this.halt !== null;
+  }
+
+  /**
+   * Whether open positions should be closed because of the halt
+   * @returns {Boolean}
+   */
+  shouldFlatten() {
+    return this.isHalted() && this.flattenOnHalt;
+  }
+
+  /**
+   * Mark open positions to market and check the loss and drawdown limits
+   * @param {Number} unrealizedPnL - Unrealized P&L across all open positions
+   * @returns {Promise<Boolean>} True if trading is halted
+   */
+  async update(unrealizedPnL) {
+    this.unrealizedPnL = Number.isFinite(unrealizedPnL) ? unrealizedPnL : 0;
+    this._rollDay();
+
+    const equity = this._equity();
+    this.peakEquity = Math.max(this.peakEquity, equity);
+
+    if (!this.isHalted()) {
+      await this._checkLimits();
+    }
+
+    return this.isHalted();
+  }
+
+  /**
+   * Fold a closed position into realized P&L and the losing streak. Loss and drawdown
+   * limits are checked on the next update(), once open positions are marked again.
+   * @param {Object} position - Closed position from DynamicPositionManager (realizedPnL)
+   * @returns {Promise<Boolean>} True if trading is halted
+   */
+  async recordOutcome(position) {
+    const realizedPnL = position.realizedPnL;
+    if (!Number.isFinite(realizedPnL)) return this.isHalted();
+
+    this._rollDay();
+    this.daily.realizedPnL += realizedPnL;
+    this.sessionRealizedPnL += realizedPnL;
+    this.consecutiveLosses = realizedPnL < 0 ? this.consecutiveLosses + 1 : 0;
+
+    if (this.maxConsecutiveLosses && this.consecutiveLosses >= this.maxConsecutiveLosses) {
+      await this._halt(HALT_REASONS.CONSECUTIVE_LOSSES, {
+        losses: this.consecutiveLosses,
+        limit: this.maxConsecutiveLosses
+      });
+    }
+
+    await this._persist();
+
+    return this.isHalted();
+  }
+
+  /**
+   * Halt new entries immediately (manual kill-switch)
+   * @param {Object} [details] - Context recorded with the halt
+   * @returns {Promise<void>}
+   */
+  async trip(details = {}) {
+    await this._halt(HALT_REASONS.MANUAL, details);
+  }
+
+  /**
+   * Clear the halt and start loss accounting afresh from the current equity
+   * @param {Object} [details] - Context logged with the reset (e.g. operator)
+   * @returns {Promise<void>}
+   */
+  async reset(details = {}) {
+    const previous = this.halt;
+
+    this.halt = null;
+    this.daily = { date: utcDate(Date.now()), realizedPnL: 0 };
+    this.sessionRealizedPnL = 0;
+    this.consecutiveLosses = 0;
+    this.peakEquity = this._equity();
+
+    await this._persist();
+
+    this.logger?.info('Trading halt reset', { previous, ...details });
+    this.emit('reset', { previous, details });
+  }
+
+  /**
+   * Current limits, P&L and halt state
+   * @returns {Object}
+   */
+  getStatus() {
+    const equity = this._equity();
+
+    return {
+      halted: this.isHalted(),
+      halt: this.halt,
+      flattenOnHalt: this.flattenOnHalt,
+      dailyPnL: this.daily.realizedPnL + this.unrealizedPnL,
+      sessionPnL: this.sessionRealizedPnL + this.unrealizedPnL,
+      unrealizedPnL: this.unrealizedPnL,
+      consecutiveLosses: this.consecutiveLosses,
+      equity,
+      peakEquity: this.peakEquity,
+      drawdown: this.peakEquity - equity,
+      limits: {
+        dailyLoss: this._limit(this.dailyLossLimit),
+        sessionLoss: this._limit(this.sessionLossLimit),
+        maxConsecutiveLosses: this.maxConsecutiveLosses || null,
+        maxDrawdown: this._limit(this.maxDrawdown)
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _checkLimits() {
+    const dailyLimit = this._limit(this.dailyLossLimit);
+    const sessionLimit = this._limit(this.sessionLossLimit);
+    const drawdownLimit = this._limit(this.maxDrawdown);
+
+    const dailyPnL = this.daily.realizedPnL + this.unrealizedPnL;
+    const sessionPnL = this.sessionRealizedPnL + this.unrealizedPnL;
+    const drawdown = this.peakEquity - this._equity();
+
+    if (dailyLimit !== null && -dailyPnL >= dailyLimit) {
+      await this._halt(HALT_REASONS.DAILY_LOSS, { pnl: dailyPnL, limit: dailyLimit });
+    } else if (sessionLimit !== null && -sessionPnL >= sessionLimit) {
+      await this._halt(HALT_REASONS.SESSION_LOSS, { pnl: sessionPnL, limit: sessionLimit });
+    } else if (this.maxConsecutiveLosses && this.consecutiveLosses >= this.maxConsecutiveLosses) {
+      await this._halt(HALT_REASONS.CONSECUTIVE_LOSSES, {
+        losses: this.consecutiveLosses,
+        limit: this.maxConsecutiveLosses
+      });
+    } else if (drawdownLimit !== null && drawdown >= drawdownLimit) {
+      await this._halt(HALT_REASONS.MAX_DRAWDOWN, {
+        drawdown,
+        peakEquity: this.peakEquity,
+        limit: drawdownLimit
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _halt(reason, details) {
+    if (this.isHalted()) return;
+
+    this.halt = {
+      reason,
+      details,
+      haltedAt: Date.now(),
+      sessionId: this.sessionId
+    };
+
+    await this._persist();
+
+    this.logger?.error('Trading halted', this.halt);
+    this.emit('halted', { ...this.halt, flatten: this.flattenOnHalt });
+  }
+
+  /**
+   * @private
+   */
+  async _persist() {
+    try {
+      await this.redisAPI?.storeRiskState({
+        halt: this.halt,
+        daily: this.daily,
+        consecutiveLosses: this.consecutiveLosses
+      });
+    } catch (error) {
+      this.logger?.warn('Failed to persist risk state', { error: error.message });
+    }
+  }
+
+  /**
+   * Start a new daily P&L at UTC midnight
+   * @private
+   */
+  _rollDay() {
+    const date = utcDate(Date.now());
+    if (this.daily.date !== date) {
+      this.daily = { date, realizedPnL: 0 };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _equity() {
+    return this.budget + this.sessionRealizedPnL + this.unrealizedPnL;
+  }
+
+  /**
+   * Limit fraction in quote currency, or null when disabled
+   * @private
+   */
+  _limit(fraction) {
+    return fraction ? this.budget * fraction : null;
+  }
+}
+
+function utcDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+export default RiskSupervisor;
@@ -0,0 +1,171 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { RiskSupervisor, HALT_REASONS } from './RiskSupervisor.js';
+
+const DAY_ONE = Date.UTC(2026, 0, 1, 23, 0);
+const DAY_TWO = Date.UTC(2026, 0, 2, 1, 0);
+
+// In-memory stand-in for MultiPairRedisAPI's risk state
+const createRedisAPI = () => {
+  let stored = null;
+  return {
+    getRiskState: async () => stored && JSON.parse(JSON.stringify(stored)),
+    storeRiskState: async state => { stored = JSON.parse(JSON.stringify(state)); }
+  };
+};
+
+const createSupervisor = (options = {}) => new RiskSupervisor({
+  budget: 1000,
+  dailyLossLimit: 0.05,
+  sessionLossLimit: null,
+  maxConsecutiveLosses: 3,
+  maxDrawdown: 0.10,
+  ...options
+});
+
+describe('RiskSupervisor limits', () => {
+  let now;
+
+  beforeEach(() => {
+    now = DAY_ONE;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('halts on the daily loss, counting open unrealized P&L', async () => {
+    const supervisor = createSupervisor();
+    const halted = jest.fn();
+    supervisor.on('halted', halted);
+
+    await supervisor.recordOutcome({ realizedPnL: -30 });
+    expect(await supervisor.update(-19)).toBe(false);
+    expect(await supervisor.update(-20)).toBe(true);
+
+    expect(supervisor.halt).toMatchObject({ reason: HALT_REASONS.DAILY_LOSS, details: { pnl: -50, limit: 50 } });
+    expect(halted).toHaveBeenCalledWith(expect.objectContaining({ reason: HALT_REASONS.DAILY_LOSS, flatten: false }));
+  });
+
+  test('halts on the session loss once the session limit is set', async () => {
+    const supervisor = createSupervisor({ dailyLossLimit: null, sessionLossLimit: 0.02 });
+
+    await supervisor.recordOutcome({ realizedPnL: -15 });
+    await supervisor.update(-5);
+
+    expect(supervisor.halt).toMatchObject({ reason: HALT_REASONS.SESSION_LOSS, details: { pnl: -20, limit: 20 } });
+  });
+
+  test('halts after the configured number of losing trades in a row', async () => {
+    const supervisor = createSupervisor({ dailyLossLimit: null, maxDrawdown: null });
+
+    await supervisor.recordOutcome({ realizedPnL: -1 });
+    await supervisor.recordOutcome({ realizedPnL: -1 });
+    await supervisor.recordOutcome({ realizedPnL: 2 });
+    await supervisor.recordOutcome({ realizedPnL: -1 });
+    await supervisor.recordOutcome({ realizedPnL: -1 });
+    expect(supervisor.isHalted()).toBe(false);
+
+    expect(await supervisor.recordOutcome({ realizedPnL: -1 })).toBe(true);
+    expect(supervisor.halt).toMatchObject({ reason: HALT_REASONS.CONSECUTIVE_LOSSES, details: { losses: 3, limit: 3 } });
+  });
+
+  test('halts on the drawdown from the session peak', async () => {
+    const supervisor = createSupervisor({ dailyLossLimit: null });
+
+    await supervisor.update(150);
+    expect(supervisor.peakEquity).toBe(1150);
+    expect(await supervisor.update(60)).toBe(false);
+
+    expect(await supervisor.update(50)).toBe(true);
+    expect(supervisor.halt).toMatchObject({
+      reason: HALT_REASONS.MAX_DRAWDOWN,
+      details: { drawdown: 100, peakEquity: 1150, limit: 100 }
+    });
+  });
+
+  test('starts a new daily P&L at UTC midnight', async () => {
+    const supervisor = createSupervisor();
+
+    await supervisor.recordOutcome({ realizedPnL: -40 });
+    now = DAY_TWO;
+
+    expect(await supervisor.update(-20)).toBe(false);
+    expect(supervisor.getStatus()).toMatchObject({ dailyPnL: -20, sessionPnL: -60 });
+    expect(supervisor.daily).toEqual({ date: '2026-01-02', realizedPnL: 0 });
+  });
+
+  test('sets flatten on the halt when configured', async () => {
+    const supervisor = createSupervisor({ flattenOnHalt: true });
+
+    await supervisor.trip({ operator: 'ops' });
+
+    expect(supervisor.halt).toMatchObject({ reason: HALT_REASONS.MANUAL, details: { operator: 'ops' } });
+    expect(supervisor.shouldFlatten()).toBe(true);
+  });
+});
+
+describe('RiskSupervisor persistence', () => {
+  let now;
+  let redisAPI;
+
+  beforeEach(() => {
+    now = DAY_ONE;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    redisAPI = createRedisAPI();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps a halt across a restart until reset', async () => {
+    await createSupervisor({ redisAPI, sessionId: 'session-1' }).trip({ operator: 'ops' });
+
+    now = DAY_TWO;
+    const restarted = createSupervisor({ redisAPI, sessionId: 'session-2' });
+    await restarted.load();
+
+    expect(restarted.isHalted()).toBe(true);
+    expect(restarted.halt).toMatchObject({ reason: HALT_REASONS.MANUAL, sessionId: 'session-1' });
+    expect(await restarted.update(0)).toBe(true);
+  });
+
+  test('restores the day\'s realized P&L and losing streak on the same UTC day only', async () => {
+    const supervisor = createSupervisor({ redisAPI });
+    await supervisor.recordOutcome({ realizedPnL: -30 });
+    await supervisor.recordOutcome({ realizedPnL: -5 });
+
+    const sameDay = createSupervisor({ redisAPI });
+    await sameDay.load();
+    expect(sameDay.daily).toEqual({ date: '2026-01-01', realizedPnL: -35 });
+    expect(sameDay.consecutiveLosses).toBe(2);
+    expect(await sameDay.update(-15)).toBe(true);
+
+    now = DAY_TWO;
+    const nextDay = createSupervisor({ redisAPI });
+    await nextDay.load();
+    expect(nextDay.daily).toEqual({ date: '2026-01-02', realizedPnL: 0 });
+  });
+
+  test('reset clears the halt and restarts loss accounting from current equity', async () => {
+    const supervisor = createSupervisor({ redisAPI });
+    const reset = jest.fn();
+    supervisor.on('reset', reset);
+
+    await supervisor.recordOutcome({ realizedPnL: -30 });
+    await supervisor.update(-40);
+    const previous = supervisor.halt;
+    expect(previous.reason).toBe(HALT_REASONS.DAILY_LOSS);
+
+    await supervisor.reset({ operator: 'ops' });
+
+    expect(supervisor.isHalted()).toBe(false);
+    expect(supervisor.getStatus()).toMatchObject({ dailyPnL: -40, sessionPnL: -40, consecutiveLosses: 0, peakEquity: 960 });
+    expect(reset).toHaveBeenCalledWith({ previous, details: { operator: 'ops' } });
+
+    const restarted = createSupervisor({ redisAPI });
+    await restarted.load();
+    expect(restarted.isHalted()).toBe(false);
+  });
+});
@@ -0,0 +1,392 @@
+/**
+ * StateReconciler
+ *
+ * Startup crash recovery for the multi-pair trader. Positions persisted through
+ * MultiPairRedisAPI are checked against the exchange before the main loop starts:
+ * - Entry size, price and fee are rebuilt from the entry orders' fills (recent fills when the
+ *   adapter exposes fetchMyTrades, otherwise order status), so entries that filled while
+ *   the trader was down are picked up
+ * - Entry orders still resting are cancelled (their lead window is long gone); entries that
+ *   never filled are dropped
+ * - Positions whose closing order (clientOrderId exit_<positionId>) filled while down are
+ *   closed at the exit fills
+ * - Open orders on traded pairs not belonging to any position, and base balances below the
+ *   restored long size, are reported
+ *
+ * Every correction is recorded as a discrepancy in the returned report.
+ */
+
+import { FINAL_ORDER_STATUSES } from '../execution/FastExecutionEngine.js';
+
+export const DISCREPANCY_TYPES = {
+  ENTRY_UNFILLED: 'entry_unfilled',
+  ENTRY_SIZE_MISMATCH: 'entry_size_mismatch',
+  RESTING_ENTRY: 'resting_entry',
+  CLOSED_WHILE_OFFLINE: 'closed_while_offline',
+  PARTIAL_EXIT: 'partial_exit',
+  ORPHAN_ORDER: 'orphan_order',
+  UNTRACKED_PAIR: 'untracked_pair',
+  BALANCE_SHORTFALL: 'balance_shortfall',
+  LOOKUP_FAILED: 'lookup_failed'
+};
+
+// Client order ID prefixes of orders placed by the trader
+const OWN_ORDER_PREFIXES = ['opp_', 'exit_'];
+
+export class StateReconciler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.redisAPI - MultiPairRedisAPI holding the persisted positions
+   * @param {Object} options.exchangeAdapter - Adapter (getOrderStatus, cancelOrder, fetchOpenOrders|getOpenOrders, fetchMyTrades)
+   * @param {Object} options.positionManager - DynamicPositionManager to restore positions into
+   * @param {Array<String>} options.pairs - Pairs traded by this session
+   * @param {Boolean} [options.cancelRestingEntries=true] - Cancel entry orders still open at startup
+   * @param {Boolean} [options.cancelOrphanOrders=false] - Cancel the trader's own open orders that match no position
+   * @param {Number} [options.sizeTolerance=1e-6] - Relative size difference treated as equal
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.redisAPI = options.redisAPI;
+    this.exchangeAdapter = options.exchangeAdapter;
+    this.positionManager = options.positionManager;
+    this.pairs = options.pairs || [];
+    this.cancelRestingEntries = options.cancelRestingEntries !== false;
+    this.cancelOrphanOrders = !!options.cancelOrphanOrders;
+    this.sizeTolerance = options.sizeTolerance || 1e-6;
+    this.logger = options.logger;
+  }
+
+  /**
+   * Rebuild positions from Redis and the exchange
+   * @param {Object} [balances] - Balances already fetched from the adapter
+   * @returns {Promise<Object>} { restored, closed, dropped, cancelledOrders, discrepancies }
+   */
+  async reconcile(balances = null) {
+    const report = {
+      restored: [],
+      closed: [],
+      dropped: [],
+      cancelledOrders: [],
+      discrepancies: []
+    };
+
+    const stored = await this.redisAPI.getStoredPositions();
+    const openOrders = await this._fetchOpenOrders(report);
+    const since = Math.min(Date.now(), ...stored.map(position => position.entryTime || Date.now()));
+    const fills = stored.length > 0 ? await this._fetchFills(since, report) : null;
+    const claimedOrders = new Set();
+
+    for (const position of stored) {
+      if (!this.pairs.includes(position.pair)) {
+        this._discrepancy(report, DISCREPANCY_TYPES.UNTRACKED_PAIR, position, {
+          size: position.size,
+          side: position.side
+        });
+        continue;
+      }
+
+      const entryIds = position.entryOrderIds || [position.orderId].filter(Boolean);
+      entryIds.forEach(id => claimedOrders.add(id));
+
+      const entry = await this._resolveEntry(position, entryIds, openOrders, fills, report);
+
+      if (!(entry.size > 0)) {
+        await this.redisAPI.removeStoredPosition(position.id);
+        report.dropped.push(position.id);
+        this._discrepancy(report, DISCREPANCY_TYPES.ENTRY_UNFILLED, position, { resolved: entry.resolved });
+        continue;
+      }
+
+      if (position.status === 'open' && this._differs(entry.size, position.size)) {
+        this._discrepancy(report, DISCREPANCY_TYPES.ENTRY_SIZE_MISMATCH, position, {
+          storedSize: position.size,
+          filledSize: entry.size
+        });
+      }
+
+      const exit = this._exitFills(position, fills);
+      const closedOffline = exit && (exit.size >= entry.size || !this._differs(exit.size, entry.size));
+
+      if (exit && !closedOffline) {
+        // Partially closed: keep the remainder under exit management
+        this._discrepancy(report, DISCREPANCY_TYPES.PARTIAL_EXIT, position, {
+          exitedSize: exit.size,
+          remainingSize: entry.size - exit.size
+        });
+      }
+
+      const restored = this.positionManager.restorePosition({
+        ...position,
+        size: exit && !closedOffline ? entry.size - exit.size : entry.size,
+        entryPrice: entry.price,
+        entryFee: entry.fee,
+        entryOrderIds: entryIds
+      });
+
+      if (closedOffline) {
+        const closed = await this.positionManager.closePosition(restored.id, {
+          exitPrice: exit.price,
+          exitFee: exit.fee,
+          reason: DISCREPANCY_TYPES.CLOSED_WHILE_OFFLINE
+        });
+
+        await this.redisAPI.removeStoredPosition(position.id);
+        report.closed.push(closed);
+        this._discrepancy(report, DISCREPANCY_TYPES.CLOSED_WHILE_OFFLINE, position, {
+          exitPrice: exit.price,
+          realizedPnL: closed.realizedPnL
+        });
+        continue;
+      }
+
+      await this.redisAPI.storePosition(restored);
+      report.restored.push(restored.id);
+    }
+
+    await this._reportOrphanOrders(openOrders, claimedOrders, report);
+
+    if (balances) {
+      this._checkBalances(balances, report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Entry size, average price and fee of a stored position, as known to the exchange
+   * @private
+   */
+  async _resolveEntry(position, entryIds, openOrders, fills, report) {
+    const entryFills = fills ? fills.filter(fill => entryIds.includes(fill.orderId)) : [];
+    let size = 0;
+    let cost = 0;
+    let fee = 0;
+    let resolved = true;
+
+    for (const id of entryIds) {
+      let order = openOrders.find(open => open.id === id) || null;
+
+      if (order && this.cancelRestingEntries) {
+        order = await this._cancel(id, report, DISCREPANCY_TYPES.RESTING_ENTRY, position) || order;
+      }
+
+      if (!order) {
+        order = await this._orderStatus(id, report, position);
+      }
+
+      const orderFills = entryFills.filter(fill => fill.orderId === id);
+      if (orderFills.length > 0) {
+        for (const fill of orderFills) {
+          size += fill.amount;
+          cost += fill.amount * fill.price;
+          fee += fill.fee;
+        }
+      } else if (order) {
+        const filled = parseFloat(order.filled ?? order.filledAmount ?? 0) || 0;
+        const price = parseFloat(order.average ?? order.averagePrice ?? order.avgPrice ?? order.price) || 0;
+        size += filled;
+        cost += filled * price;
+        fee += typeof order.fee === 'number' ? order.fee : (order.fee?.cost || 0);
+      } else {
+        resolved = false;
+      }
+    }
+
+    // Nothing known from the exchange: fall back to what was persisted
+    if (!resolved && size === 0 && position.size > 0) {
+      return { size: position.size, price: position.entryPrice, fee: position.entryFee || 0, resolved };
+    }
+
+    return {
+      size,
+      price: size > 0 ? cost / size : null,
+      fee: fee || (size === position.size ? position.entryFee || 0 : 0),
+      resolved
+    };
+  }
+
+  /**
+   * Fills of the position's closing order
+   * @private
+   */
+  _exitFills(position, fills) {
+    if (!fills) return null;
+
+    const clientOrderId = `exit_${position.id}`;
+    const exitFills = fills.filter(fill => fill.clientOrderId === clientOrderId);
+    if (exitFills.length === 0) return null;
+
+    const size = exitFills.reduce((sum, fill) => sum + fill.amount, 0);
+    const cost = exitFills.reduce((sum, fill) => sum + fill.amount * fill.price, 0);
+
+    return {
+      size,
+      price: cost / size,
+      fee: exitFills.reduce((sum, fill) => sum + fill.fee, 0)
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _reportOrphanOrders(openOrders, claimedOrders, report) {
+    for (const order of openOrders) {
+      if (claimedOrders.has(order.id) || !this.pairs.includes(order.symbol)) continue;
+
+      const own = OWN_ORDER_PREFIXES.some(prefix => String(order.clientOrderId || '').startsWith(prefix));
+      const cancelled = own && this.cancelOrphanOrders
+        ? !!await this._cancel(order.id, report)
+        : false;
+
+      this._discrepancy(report, DISCREPANCY_TYPES.ORPHAN_ORDER, null, {
+        orderId: order.id,
+        clientOrderId: order.clientOrderId || null,
+        pair: order.symbol,
+        side: order.side,
+        amount: order.amount,
+        own,
+        cancelled
+      });
+    }
+  }
+
+  /**
+   * Spot longs must be covered by the base currency balance
+   * @private
+   */
+  _checkBalances(balances, report) {
+    const longs = new Map();
+    for (const position of this.positionManager.positions.values()) {
+      if (position.side !== 'BUY') continue;
+      const base = position.pair.split('/')[0];
+      longs.set(base, (longs.get(base) || 0) + position.size);
+    }
+
+    for (const [currency, expected] of longs) {
+      const balance = balances[currency];
+      if (balance === undefined) continue;
+
+      const total = typeof balance === 'object' ? parseFloat(balance.total ?? balance.free) : parseFloat(balance);
+      if (total < expected * (1 - this.sizeTolerance)) {
+        this._discrepancy(report, DISCREPANCY_TYPES.BALANCE_SHORTFALL, null, { currency, expected, balance: total });
+      }
+    }
+  }
+
+  /**
+   * Open orders from the adapter, normalized to { id, clientOrderId, symbol, side, amount, filled, price, status }
+   * @private
+   */
+  async _fetchOpenOrders(report) {
+    const fetch = typeof this.exchangeAdapter.fetchOpenOrders === 'function'
+      ? () => this.exchangeAdapter.fetchOpenOrders()
+      : typeof this.exchangeAdapter.getOpenOrders === 'function'
+        ? () => this.exchangeAdapter.getOpenOrders()
+        : null;
+    if (!fetch) return [];
+
+    try {
+      const result = await fetch();
+      const orders = Array.isArray(result)
+        ? result
+        : Object.entries(result?.open || result || {}).map(([id, order]) => ({ id, ...order }));
+
+      return orders.map(order => ({
+        id: order.id,
+        clientOrderId: order.clientOrderId ?? order.cl_ord_id ?? null,
+        symbol: order.symbol ?? order.pair ?? order.descr?.pair,
+        side: order.side ?? order.descr?.type,
+        amount: parseFloat(order.amount ?? order.vol),
+        filled: parseFloat(order.filled ?? order.vol_exec ?? 0) || 0,
+        average: order.average ?? order.averagePrice ?? null,
+        price: parseFloat(order.price ?? order.descr?.price),
+        fee: order.fee,
+        status: order.status || 'open'
+      }));
+    } catch (error) {
+      this._discrepancy(report, DISCREPANCY_TYPES.LOOKUP_FAILED, null, { lookup: 'open_orders', error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Own fills since the oldest stored position, or null when the adapter cannot list fills
+   * @private
+   */
+  async _fetchFills(since, report) {
+    if (typeof this.exchangeAdapter.fetchMyTrades !== 'function') return null;
+
+    try {
+      const trades = await this.exchangeAdapter.fetchMyTrades(undefined, since);
+
+      return (trades || []).map(trade => ({
+        orderId: trade.orderId ?? trade.order,
+        clientOrderId: trade.clientOrderId ?? null,
+        amount: parseFloat(trade.amount ?? trade.quantity),
+        price: parseFloat(trade.price),
+        fee: typeof trade.fee === 'number' ? trade.fee : (parseFloat(trade.fee?.cost) || 0)
+      }));
+    } catch (error) {
+      this._discrepancy(report, DISCREPANCY_TYPES.LOOKUP_FAILED, null, { lookup: 'fills', error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _orderStatus(orderId, report, position) {
+    if (typeof this.exchangeAdapter.getOrderStatus !== 'function') return null;
+
+    try {
+      return await this.exchangeAdapter.getOrderStatus(orderId);
+    } catch (error) {
+      this._discrepancy(report, DISCREPANCY_TYPES.LOOKUP_FAILED, position, { orderId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Cancel an order, returning its final state (null if the cancel failed)
+   * @private
+   */
+  async _cancel(orderId, report, type = null, position = null) {
+    try {
+      const order = await this.exchangeAdapter.cancelOrder(orderId);
+      report.cancelledOrders.push(orderId);
+
+      if (type) {
+        this._discrepancy(report, type, position, { orderId, cancelled: true });
+      }
+
+      return order && FINAL_ORDER_STATUSES.includes(String(order.status).toLowerCase()) ? order : null;
+    } catch (error) {
+      this._discrepancy(report, DISCREPANCY_TYPES.LOOKUP_FAILED, position, { orderId, cancel: true, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _differs(a, b) {
+    return Math.abs(a - b) > Math.max(a, b) * this.sizeTolerance;
+  }
+
+  /**
+   * @private
+   */
+  _discrepancy(report, type, position, details) {
+    const discrepancy = {
+      type,
+      positionId: position?.id || null,
+      pair: position?.pair || details.pair || null,
+      ...details
+    };
+
+    report.discrepancies.push(discrepancy);
+    this.logger?.warn('Recovery discrepancy', discrepancy);
+  }
+}
+
+export default StateReconciler;
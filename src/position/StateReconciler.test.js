@@ -0,0 +1,163 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { StateReconciler, DISCREPANCY_TYPES } from './StateReconciler.js';
+import { DynamicPositionManager } from './DynamicPositionManager.js';
+
+// In-memory stand-in for MultiPairRedisAPI's stored positions
+const createRedisAPI = (positions) => {
+  const stored = new Map(positions.map(position => [position.id, position]));
+  return {
+    stored,
+    getStoredPositions: async () => [...stored.values()],
+    storePosition: jest.fn(async position => { stored.set(position.id, position); }),
+    removeStoredPosition: jest.fn(async id => { stored.delete(id); })
+  };
+};
+
+const storedEntry = (overrides = {}) => ({
+  id: 'pos-1',
+  pair: 'ETH/USD',
+  side: 'BUY',
+  status: 'pending',
+  size: 0,
+  requestedSize: 1,
+  limitPrice: 100,
+  entryTime: 1000,
+  orderId: 'opp_1',
+  entryOrderIds: ['opp_1'],
+  ...overrides
+});
+
+const createAdapter = ({ openOrders = [], trades = [], orders = {} } = {}) => ({
+  fetchOpenOrders: jest.fn(async () => openOrders),
+  fetchMyTrades: jest.fn(async () => trades),
+  getOrderStatus: jest.fn(async id => orders[id] || null),
+  cancelOrder: jest.fn(async id => ({ id, status: 'cancelled', filled: orders[id]?.filled || 0 }))
+});
+
+describe('StateReconciler', () => {
+  let positionManager;
+
+  beforeEach(() => {
+    positionManager = new DynamicPositionManager({ totalBudget: 10000 });
+  });
+
+  const createReconciler = (redisAPI, exchangeAdapter, options = {}) => new StateReconciler({
+    redisAPI,
+    exchangeAdapter,
+    positionManager,
+    pairs: ['ETH/USD', 'BTC/USD'],
+    ...options
+  });
+
+  test('restores a position from the entry fills received while offline', async () => {
+    const redisAPI = createRedisAPI([storedEntry()]);
+    const adapter = createAdapter({
+      trades: [
+        { orderId: 'opp_1', amount: 0.4, price: 99, fee: 0.04 },
+        { orderId: 'opp_1', amount: 0.6, price: 100, fee: 0.06 },
+        { orderId: 'other', amount: 5, price: 1, fee: 0 }
+      ],
+      orders: { opp_1: { id: 'opp_1', status: 'closed', filled: 1, average: 99.6 } }
+    });
+
+    const report = await createReconciler(redisAPI, adapter).reconcile();
+
+    expect(report.restored).toEqual(['pos-1']);
+    expect(adapter.fetchMyTrades).toHaveBeenCalledWith(undefined, 1000);
+
+    const position = positionManager.positions.get('pos-1');
+    expect(position).toMatchObject({ status: 'open', size: 1, entryOrderIds: ['opp_1'] });
+    expect(position.entryPrice).toBeCloseTo(99.6);
+    expect(position.entryFee).toBeCloseTo(0.1);
+    expect(redisAPI.stored.get('pos-1')).toMatchObject({ status: 'open', size: 1 });
+  });
+
+  test('falls back to order status without a fills listing and reports a size mismatch', async () => {
+    const redisAPI = createRedisAPI([storedEntry({ status: 'open', size: 1, entryPrice: 100 })]);
+    const adapter = createAdapter({ orders: { opp_1: { id: 'opp_1', status: 'closed', filled: 0.5, average: 101, fee: 0.05 } } });
+    delete adapter.fetchMyTrades;
+
+    const report = await createReconciler(redisAPI, adapter).reconcile();
+
+    expect(positionManager.positions.get('pos-1')).toMatchObject({ size: 0.5, entryPrice: 101, entryFee: 0.05 });
+    expect(report.discrepancies).toEqual([
+      expect.objectContaining({ type: DISCREPANCY_TYPES.ENTRY_SIZE_MISMATCH, positionId: 'pos-1', storedSize: 1, filledSize: 0.5 })
+    ]);
+  });
+
+  test('cancels a resting entry and drops it when nothing filled', async () => {
+    const redisAPI = createRedisAPI([storedEntry()]);
+    const adapter = createAdapter({
+      openOrders: [{ id: 'opp_1', clientOrderId: 'opp_1', symbol: 'ETH/USD', side: 'buy', amount: 1, price: 100 }]
+    });
+
+    const report = await createReconciler(redisAPI, adapter).reconcile();
+
+    expect(adapter.cancelOrder).toHaveBeenCalledWith('opp_1');
+    expect(report.cancelledOrders).toEqual(['opp_1']);
+    expect(report.dropped).toEqual(['pos-1']);
+    expect(report.discrepancies.map(discrepancy => discrepancy.type)).toEqual([
+      DISCREPANCY_TYPES.RESTING_ENTRY,
+      DISCREPANCY_TYPES.ENTRY_UNFILLED
+    ]);
+    expect(positionManager.positions.size).toBe(0);
+    expect(redisAPI.removeStoredPosition).toHaveBeenCalledWith('pos-1');
+  });
+
+  test('closes a position whose exit order filled while offline', async () => {
+    const redisAPI = createRedisAPI([storedEntry({ status: 'open', size: 1, entryPrice: 100 })]);
+    const adapter = createAdapter({
+      trades: [
+        { orderId: 'opp_1', amount: 1, price: 100, fee: 0.1 },
+        { orderId: 'exit-order', clientOrderId: 'exit_pos-1', amount: 1, price: 103, fee: 0.1 }
+      ]
+    });
+
+    const report = await createReconciler(redisAPI, adapter).reconcile();
+
+    expect(report.closed).toHaveLength(1);
+    expect(report.closed[0]).toMatchObject({ id: 'pos-1', exitPrice: 103 });
+    expect(report.discrepancies).toEqual([
+      expect.objectContaining({ type: DISCREPANCY_TYPES.CLOSED_WHILE_OFFLINE, positionId: 'pos-1', exitPrice: 103 })
+    ]);
+    expect(redisAPI.stored.has('pos-1')).toBe(false);
+  });
+
+  test('reports open orders that belong to no position and cancels only its own when configured', async () => {
+    const openOrders = [
+      { id: 'opp_9', clientOrderId: 'opp_9', symbol: 'ETH/USD', side: 'buy', amount: 1, price: 99 },
+      { id: 'manual-1', clientOrderId: 'manual-1', symbol: 'BTC/USD', side: 'sell', amount: 0.1, price: 50000 },
+      { id: 'opp_7', clientOrderId: 'opp_7', symbol: 'SOL/USD', side: 'buy', amount: 2, price: 20 }
+    ];
+
+    const reported = await createReconciler(createRedisAPI([]), createAdapter({ openOrders })).reconcile();
+
+    expect(reported.discrepancies).toEqual([
+      expect.objectContaining({ type: DISCREPANCY_TYPES.ORPHAN_ORDER, orderId: 'opp_9', pair: 'ETH/USD', own: true, cancelled: false }),
+      expect.objectContaining({ type: DISCREPANCY_TYPES.ORPHAN_ORDER, orderId: 'manual-1', pair: 'BTC/USD', own: false, cancelled: false })
+    ]);
+    expect(reported.cancelledOrders).toEqual([]);
+
+    const adapter = createAdapter({ openOrders });
+    const cancelled = await createReconciler(createRedisAPI([]), adapter, { cancelOrphanOrders: true }).reconcile();
+
+    expect(adapter.cancelOrder).toHaveBeenCalledTimes(1);
+    expect(adapter.cancelOrder).toHaveBeenCalledWith('opp_9');
+    expect(cancelled.cancelledOrders).toEqual(['opp_9']);
+    expect(cancelled.discrepancies[0]).toMatchObject({ orderId: 'opp_9', cancelled: true });
+    expect(cancelled.discrepancies[1]).toMatchObject({ orderId: 'manual-1', cancelled: false });
+  });
+
+  test('leaves positions on pairs this session does not trade untouched', async () => {
+    const redisAPI = createRedisAPI([storedEntry({ pair: 'SOL/USD', status: 'open', size: 2 })]);
+    const adapter = createAdapter();
+
+    const report = await createReconciler(redisAPI, adapter).reconcile();
+
+    expect(report.discrepancies).toEqual([
+      expect.objectContaining({ type: DISCREPANCY_TYPES.UNTRACKED_PAIR, pair: 'SOL/USD', size: 2 })
+    ]);
+    expect(positionManager.positions.size).toBe(0);
+    expect(redisAPI.stored.has('pos-1')).toBe(true);
+  });
+});
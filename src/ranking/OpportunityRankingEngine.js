@@ -2,7 +2,7 @@
  * OpportunityRankingEngine
  * 
  * Ranks trading opportunities based on multiple factors including:
- * - Signal strength from futures lead
+ * - Signal strength (expected move weighted by signal confidence)
  * - Timing (how fresh the signal is)
  * - Spread opportunity
  * - Liquidity available
@@ -11,8 +11,15 @@
  */
 
 export class OpportunityRankingEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.weights] - Factor weights (should sum to 1)
+   * @param {Object} [options.outcomeTracker] - OutcomeTracker for the historical factor (falls back to portfolio.pairPerformance)
+   * @param {Object} [options.logger] - Logger instance
+   */
   constructor(options = {}) {
     this.logger = options.logger;
+    this.outcomeTracker = options.outcomeTracker;
     
     // Configurable weights for scoring
     this.weights = {
@@ -32,6 +39,23 @@ export class OpportunityRankingEngine {
     }
   }
   
+  /**
+   * Current factor weights
+   * @returns {Object} Weights keyed by factor
+   */
+  getWeights() {
+    return { ...this.weights };
+  }
+  
+  /**
+   * Replace factor weights (e.g. from RankingWeightLearner)
+   * @param {Object} weights - Weights keyed by factor; missing factors keep their weight
+   */
+  setWeights(weights) {
+    this.weights = { ...this.weights, ...weights };
+    this.logger?.debug('Ranking weights updated', { weights: this.weights });
+  }
+  
   /**
    * Rank opportunities based on multiple factors
    * @param {Array} opportunities - Array of opportunity objects
@@ -72,7 +96,8 @@ export class OpportunityRankingEngine {
    * @private
    */
   _scoreSignalStrength(opportunity) {
-    const movement = Math.abs(opportunity.signal.futuresMovement);
+    const { expectedMove, futuresMovement, confidence } = opportunity.signal;
+    const movement = Math.abs(expectedMove ?? futuresMovement) * (confidence ?? 1);
     
     // Scale: 0.05% = 50, 0.1% = 70, 0.5% = 90, 1%+ = 100
     if (movement >= 1.0) return 100;
@@ -164,6 +189,11 @@ export class OpportunityRankingEngine {
    * @private
    */
   _scoreHistoricalPerformance(opportunity, portfolio) {
+    // Decayed per pair/direction/signal outcomes, shrunk toward neutral when samples are few
+    if (this.outcomeTracker) {
+      return this.outcomeTracker.score(opportunity).score;
+    }
+    
     // Check pair performance history
     const pairPerf = portfolio.pairPerformance?.[opportunity.pair];
     
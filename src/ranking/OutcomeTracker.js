@@ -0,0 +1,217 @@
+/**
+ * OutcomeTracker
+ *
+ * Tracks closed-trade outcomes for the ranking engine's historical factor:
+ * - Buckets: pair, pair + direction, and pair + direction + signal bucket
+ *   (primary signal source and expected-move band)
+ * - Stats per bucket: win rate, average net return, expectancy and sample count,
+ *   exponentially decayed so old trades fade out (default half-life: 7 days)
+ * - Persisted through MultiPairRedisAPI so history survives restarts
+ *
+ * Scores shrink each bucket toward its parent (signal bucket -> direction -> pair -> neutral)
+ * in proportion to how few samples it holds, so a handful of lucky trades does not dominate.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class OutcomeTracker {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.redisAPI] - MultiPairRedisAPI for persistence (in-memory only when omitted)
+   * @param {Number} [options.halfLife=604800000] - Decay half-life in ms
+   * @param {Number} [options.priorSamples=10] - Samples at which a bucket and its parent weigh equally
+   * @param {Array<Number>} [options.strengthBands=[0.05, 0.1, 0.2, 0.5]] - Expected move band edges in percent
+   * @param {Number} [options.expectancyScale=0.5] - Expectancy (net % per trade) that maps to a score of 100
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.redisAPI = options.redisAPI;
+    this.halfLife = options.halfLife || 7 * DAY_MS;
+    this.priorSamples = options.priorSamples ?? 10;
+    this.strengthBands = options.strengthBands || [0.05, 0.1, 0.2, 0.5];
+    this.expectancyScale = options.expectancyScale || 0.5;
+    this.logger = options.logger;
+
+    this.buckets = new Map(); // bucket key -> decayed sums
+  }
+
+  /**
+   * Load persisted outcome stats
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.redisAPI) return;
+
+    try {
+      const stored = await this.redisAPI.getOutcomeStats();
+      for (const [key, stats] of Object.entries(stored)) {
+        this.buckets.set(key, stats);
+      }
+
+      this.logger?.info('Outcome history loaded', { buckets: this.buckets.size });
+    } catch (error) {
+      this.logger?.warn('Failed to load outcome history', { error: error.message });
+    }
+  }
+
+  /**
+   * Signal bucket of an opportunity: primary source plus expected-move band
+   * @param {Object} opportunity - Opportunity from the trader
+   * @returns {String} Bucket label, e.g. "futures_lead:0.1-0.2"
+   */
+  getSignalBucket(opportunity) {
+    const { primarySource, expectedMove, futuresMovement } = opportunity.signal;
+    const move = Math.abs(expectedMove ?? futuresMovement ?? 0);
+
+    let lower = 0;
+    let band = null;
+    for (const edge of this.strengthBands) {
+      if (move < edge) {
+        band = `${lower}-${edge}`;
+        break;
+      }
+      lower = edge;
+    }
+
+    return `${primarySource || 'futures_lead'}:${band || `${lower}+`}`;
+  }
+
+  /**
+   * Record a closed position's net outcome in all of its buckets
+   * @param {Object} position - Closed position (pair, side, signalBucket, realizedPnLPercent)
+   * @returns {Promise<void>}
+   */
+  async recordOutcome(position) {
+    const netReturn = position.realizedPnLPercent;
+    if (!Number.isFinite(netReturn)) return;
+
+    const now = Date.now();
+    const keys = this._bucketKeys(position.pair, position.side, position.signalBucket);
+
+    for (const key of keys) {
+      const stats = this._decayed(this.buckets.get(key), now);
+
+      stats.weight += 1;
+      stats.samples += 1;
+      stats.sumReturn += netReturn;
+      if (netReturn > 0) {
+        stats.wins += 1;
+        stats.sumWin += netReturn;
+      } else {
+        stats.sumLoss += netReturn;
+      }
+
+      this.buckets.set(key, stats);
+
+      try {
+        await this.redisAPI?.storeOutcomeStats(key, stats);
+      } catch (error) {
+        this.logger?.warn('Failed to persist outcome stats', { key, error: error.message });
+      }
+    }
+
+    this.logger?.debug('Outcome recorded', {
+      pair: position.pair,
+      side: position.side,
+      signalBucket: position.signalBucket,
+      netReturn
+    });
+  }
+
+  /**
+   * Decayed stats for a bucket
+   * @param {String} pair - Trading pair
+   * @param {String} [direction] - 'BUY' or 'SELL'
+   * @param {String} [signalBucket] - Signal bucket label
+   * @returns {Object} { samples, effectiveSamples, winRate, avgNetReturn, avgWin, avgLoss, expectancy }
+   */
+  getStats(pair, direction, signalBucket) {
+    const keys = this._bucketKeys(pair, direction, signalBucket);
+    return this._summarize(this._decayed(this.buckets.get(keys[keys.length - 1]), Date.now()));
+  }
+
+  /**
+   * Historical score (0-100) for an opportunity; 50 is neutral
+   * @param {Object} opportunity - Opportunity from the trader
+   * @returns {Object} { score, expectancy, samples }
+   */
+  score(opportunity) {
+    const now = Date.now();
+    const keys = this._bucketKeys(
+      opportunity.pair,
+      opportunity.signal.direction,
+      this.getSignalBucket(opportunity)
+    );
+
+    // Walk from the broadest bucket down, shrinking each toward its parent's estimate
+    let expectancy = 0;
+    let samples = 0;
+    for (const key of keys) {
+      const stats = this._summarize(this._decayed(this.buckets.get(key), now));
+      const credibility = stats.effectiveSamples / (stats.effectiveSamples + this.priorSamples);
+      expectancy = credibility * stats.expectancy + (1 - credibility) * expectancy;
+      samples = stats.samples;
+    }
+
+    const score = Math.max(0, Math.min(100, 50 + 50 * (expectancy / this.expectancyScale)));
+    return { score, expectancy, samples };
+  }
+
+  /**
+   * @private
+   */
+  _bucketKeys(pair, direction, signalBucket) {
+    const keys = [pair];
+    if (direction) keys.push(`${pair}|${direction}`);
+    if (direction && signalBucket) keys.push(`${pair}|${direction}|${signalBucket}`);
+    return keys;
+  }
+
+  /**
+   * Copy of the stored sums decayed to now
+   * @private
+   */
+  _decayed(stats, now) {
+    if (!stats) {
+      return { weight: 0, wins: 0, sumReturn: 0, sumWin: 0, sumLoss: 0, samples: 0, updatedAt: now };
+    }
+
+    const factor = Math.pow(0.5, Math.max(0, now - stats.updatedAt) / this.halfLife);
+
+    return {
+      weight: stats.weight * factor,
+      wins: stats.wins * factor,
+      sumReturn: stats.sumReturn * factor,
+      sumWin: stats.sumWin * factor,
+      sumLoss: stats.sumLoss * factor,
+      samples: stats.samples,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * @private
+   */
+  _summarize(stats) {
+    if (stats.weight <= 0) {
+      return { samples: stats.samples, effectiveSamples: 0, winRate: 0, avgNetReturn: 0, avgWin: 0, avgLoss: 0, expectancy: 0 };
+    }
+
+    const losses = stats.weight - stats.wins;
+    const winRate = stats.wins / stats.weight;
+    const avgWin = stats.wins > 0 ? stats.sumWin / stats.wins : 0;
+    const avgLoss = losses > 0 ? stats.sumLoss / losses : 0;
+
+    return {
+      samples: stats.samples,
+      effectiveSamples: stats.weight,
+      winRate,
+      avgNetReturn: stats.sumReturn / stats.weight,
+      avgWin,
+      avgLoss,
+      expectancy: winRate * avgWin + (1 - winRate) * avgLoss
+    };
+  }
+}
+
+export default OutcomeTracker;
@@ -0,0 +1,315 @@
+/**
+ * RankingWeightLearner
+ *
+ * Optional online tuning of OpportunityRankingEngine weights from realized outcomes:
+ * - Records the component scores of each executed opportunity with its net return
+ * - Every refitInterval new samples, fits a ridge regression of net return on the
+ *   standardized component scores over a rolling window
+ * - Positive coefficients (rescaled to raw score units) become the target weights;
+ *   factors that never vary keep their current weight
+ * - Weights move toward the target by at most maxStepChange per factor per refit
+ *   (before renormalizing), never drop below minWeight, and always sum to 1
+ *
+ * Emits 'weightsUpdated' after each applied refit. freeze() pins the weights to a snapshot.
+ */
+
+import { EventEmitter } from 'events';
+
+export class RankingWeightLearner extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.initialWeights - Starting weights keyed by ranking factor
+   * @param {Number} [options.minSamples=30] - Samples required before the first refit
+   * @param {Number} [options.refitInterval=20] - New samples between refits
+   * @param {Number} [options.maxSamples=500] - Rolling window of samples used for fitting
+   * @param {Number} [options.maxStepChange=0.05] - Maximum absolute change per weight per refit
+   * @param {Number} [options.minWeight=0.02] - Floor for every weight
+   * @param {Number} [options.ridge=1] - Ridge penalty on standardized coefficients
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.initialWeights) {
+      throw new Error('RankingWeightLearner requires initialWeights');
+    }
+
+    this.factors = Object.keys(options.initialWeights);
+    this.weights = { ...options.initialWeights };
+    this.minSamples = options.minSamples || 30;
+    this.refitInterval = options.refitInterval || 20;
+    this.maxSamples = options.maxSamples || 500;
+    this.maxStepChange = options.maxStepChange ?? 0.05;
+    this.minWeight = options.minWeight ?? 0.02;
+    this.ridge = options.ridge ?? 1;
+    this.logger = options.logger;
+
+    this.samples = [];
+    this.samplesSinceFit = 0;
+    this.frozen = null;
+    this.diagnostics = {
+      fits: 0,
+      lastFitAt: null,
+      r2: null,
+      coefficients: null,
+      targetWeights: null,
+      appliedChanges: null
+    };
+  }
+
+  /**
+   * Record an executed opportunity's component scores and its realized net return
+   * @param {Object} scores - Component scores from OpportunityRankingEngine.rank() (0-100 each)
+   * @param {Number} netReturn - Realized net return in percent
+   * @returns {Boolean} True if this sample triggered a refit
+   */
+  recordOutcome(scores, netReturn) {
+    if (!scores || !Number.isFinite(netReturn)) return false;
+
+    this.samples.push({
+      x: this.factors.map(factor => scores[factor] ?? 0),
+      y: netReturn
+    });
+
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+
+    this.samplesSinceFit++;
+
+    if (!this.frozen && this.samples.length >= this.minSamples && this.samplesSinceFit >= this.refitInterval) {
+      this.refit();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Fit target weights on the current window and step toward them
+   * @returns {Object} Current weights
+   */
+  refit() {
+    this.samplesSinceFit = 0;
+
+    if (this.frozen) {
+      return this.getWeights();
+    }
+
+    const fit = this._fit();
+    if (!fit) {
+      this.logger?.debug('Weight refit skipped, no informative factors');
+      return this.getWeights();
+    }
+
+    const previous = this.weights;
+    this.weights = this._step(previous, fit.targetWeights);
+
+    this.diagnostics = {
+      fits: this.diagnostics.fits + 1,
+      lastFitAt: Date.now(),
+      samples: this.samples.length,
+      r2: fit.r2,
+      coefficients: fit.coefficients,
+      targetWeights: fit.targetWeights,
+      appliedChanges: Object.fromEntries(
+        this.factors.map(factor => [factor, this.weights[factor] - previous[factor]])
+      )
+    };
+
+    this.logger?.info('Ranking weights refit', {
+      weights: this.weights,
+      r2: fit.r2,
+      samples: this.samples.length
+    });
+
+    this.emit('weightsUpdated', { weights: this.getWeights(), diagnostics: this.getDiagnostics() });
+
+    return this.getWeights();
+  }
+
+  /**
+   * Weights in effect (the frozen snapshot when frozen)
+   * @returns {Object} Weights keyed by factor
+   */
+  getWeights() {
+    return { ...(this.frozen || this.weights) };
+  }
+
+  /**
+   * Fit diagnostics of the last refit
+   * @returns {Object} { fits, lastFitAt, samples, r2, coefficients, targetWeights, appliedChanges, frozen }
+   */
+  getDiagnostics() {
+    return {
+      ...this.diagnostics,
+      pendingSamples: this.samplesSinceFit,
+      frozen: !!this.frozen
+    };
+  }
+
+  /**
+   * Pin weights to a snapshot; outcomes are still recorded but no refits are applied
+   * @param {Object} [weights] - Snapshot to freeze to (default: current weights)
+   * @returns {Object} Frozen weights
+   */
+  freeze(weights = null) {
+    this.frozen = { ...(weights || this.weights) };
+    this.logger?.info('Ranking weights frozen', { weights: this.frozen });
+    this.emit('weightsUpdated', { weights: this.getWeights(), diagnostics: this.getDiagnostics() });
+    return this.getWeights();
+  }
+
+  /**
+   * Resume learning from the frozen snapshot
+   */
+  unfreeze() {
+    if (!this.frozen) return;
+
+    this.weights = this.frozen;
+    this.frozen = null;
+    this.logger?.info('Ranking weights unfrozen', { weights: this.weights });
+  }
+
+  /**
+   * Ridge regression of net return on standardized scores
+   * @private
+   */
+  _fit() {
+    const n = this.samples.length;
+    const k = this.factors.length;
+
+    const means = new Array(k).fill(0);
+    const stdDevs = new Array(k).fill(0);
+    let meanY = 0;
+
+    for (const { x, y } of this.samples) {
+      x.forEach((value, j) => { means[j] += value / n; });
+      meanY += y / n;
+    }
+
+    for (const { x } of this.samples) {
+      x.forEach((value, j) => { stdDevs[j] += (value - means[j]) ** 2 / n; });
+    }
+
+    // Factors that never vary carry no information and keep their weight
+    const informative = [];
+    for (let j = 0; j < k; j++) {
+      stdDevs[j] = Math.sqrt(stdDevs[j]);
+      if (stdDevs[j] > 1e-9) informative.push(j);
+    }
+
+    if (informative.length === 0) return null;
+
+    const m = informative.length;
+    const xtx = Array.from({ length: m }, () => new Array(m).fill(0));
+    const xty = new Array(m).fill(0);
+    const rows = this.samples.map(({ x }) => informative.map(j => (x[j] - means[j]) / stdDevs[j]));
+
+    rows.forEach((row, i) => {
+      const y = this.samples[i].y - meanY;
+      for (let a = 0; a < m; a++) {
+        xty[a] += row[a] * y;
+        for (let b = 0; b < m; b++) {
+          xtx[a][b] += row[a] * row[b];
+        }
+      }
+    });
+
+    for (let a = 0; a < m; a++) {
+      xtx[a][a] += this.ridge;
+    }
+
+    const beta = this._solve(xtx, xty);
+    if (!beta) return null;
+
+    // Goodness of fit on the window
+    let sse = 0;
+    let sst = 0;
+    rows.forEach((row, i) => {
+      const y = this.samples[i].y - meanY;
+      const predicted = row.reduce((sum, value, a) => sum + value * beta[a], 0);
+      sse += (y - predicted) ** 2;
+      sst += y ** 2;
+    });
+
+    const coefficients = {};
+    informative.forEach((j, a) => { coefficients[this.factors[j]] = beta[a]; });
+
+    // Target: informative factors share the weight they hold now, in proportion to their positive raw-score effect
+    const raw = informative.map((j, a) => Math.max(0, beta[a]) / stdDevs[j]);
+    const rawTotal = raw.reduce((sum, value) => sum + value, 0);
+    if (rawTotal <= 0) return null;
+
+    const informativeShare = informative.reduce((sum, j) => sum + this.weights[this.factors[j]], 0);
+    const targetWeights = { ...this.weights };
+    informative.forEach((j, a) => {
+      targetWeights[this.factors[j]] = informativeShare * raw[a] / rawTotal;
+    });
+
+    return {
+      coefficients,
+      targetWeights,
+      r2: sst > 0 ? 1 - sse / sst : null
+    };
+  }
+
+  /**
+   * Move toward the target within the per-step limit, floor and renormalize
+   * @private
+   */
+  _step(current, target) {
+    const next = {};
+
+    for (const factor of this.factors) {
+      const change = Math.max(-this.maxStepChange, Math.min(this.maxStepChange, target[factor] - current[factor]));
+      next[factor] = Math.max(this.minWeight, current[factor] + change);
+    }
+
+    const total = Object.values(next).reduce((sum, weight) => sum + weight, 0);
+    for (const factor of this.factors) {
+      next[factor] /= total;
+    }
+
+    return next;
+  }
+
+  /**
+   * Solve a small linear system with Gaussian elimination (partial pivoting)
+   * @private
+   */
+  _solve(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+
+      if (Math.abs(a[pivot][col]) < 1e-12) return null;
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+
+      for (let row = col + 1; row < n; row++) {
+        const factor = a[row][col] / a[col][col];
+        for (let c = col; c <= n; c++) {
+          a[row][c] -= factor * a[col][c];
+        }
+      }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = a[row][n];
+      for (let c = row + 1; c < n; c++) {
+        sum -= a[row][c] * solution[c];
+      }
+      solution[row] = sum / a[row][row];
+    }
+
+    return solution;
+  }
+}
+
+export default RankingWeightLearner;
@@ -0,0 +1,53 @@
+/**
+ * FuturesEdgeSignalSource
+ *
+ * Reads the opportunities FuturesEdgeExpectedValueModel keeps from its own futures/spot
+ * streams (confirmed futures-led moves scored with historical and regime context) and
+ * passes through the fresh ones with a positive fee-adjusted expected value.
+ */
+
+import { SignalSource, SIGNAL_DIRECTIONS } from './SignalSource.js';
+
+export class FuturesEdgeSignalSource extends SignalSource {
+  /**
+   * @param {Object} options
+   * @param {Object} options.model - FuturesEdgeExpectedValueModel instance
+   * @param {Number} [options.minExpectedValue=0] - Minimum fee-adjusted expected value (fraction)
+   * @param {Number} [options.maxAge] - Ignore model opportunities older than this (ms, default: model lead time window)
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super({ name: 'futures_edge', ...options });
+
+    this.model = options.model;
+    this.minExpectedValue = options.minExpectedValue ?? 0;
+    this.maxAge = options.maxAge || this.model.config?.leadTimeWindow || 30000;
+  }
+
+  async initialize(pairs) {
+    if (!this.model.selectedPairs) {
+      await this.model.initialize(pairs);
+    }
+  }
+
+  async generate(pair) {
+    const now = Date.now();
+
+    return this.model.getAllOpportunities()
+      .filter(opp => opp.pair === pair
+        && now - opp.timestamp <= this.maxAge
+        && opp.expectedValue > this.minExpectedValue)
+      .map(opp => ({
+        direction: opp.futuresSignal.direction === 'up' ? SIGNAL_DIRECTIONS.BUY : SIGNAL_DIRECTIONS.SELL,
+        strength: opp.futuresSignal.magnitude * 100,
+        confidence: opp.confidence,
+        horizon: Math.max(1000, this.maxAge - (now - opp.timestamp)),
+        details: {
+          expectedValue: opp.expectedValue,
+          leadTime: opp.leadTime
+        }
+      }));
+  }
+}
+
+export default FuturesEdgeSignalSource;
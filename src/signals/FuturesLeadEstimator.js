@@ -0,0 +1,504 @@
+/**
+ * FuturesLeadEstimator
+ *
+ * Measures, per pair, how long spot takes to follow a futures move:
+ * - Catch-up events: a futures move of at least minMove within eventWindow opens an event;
+ *   the first spot price that has moved catchUpRatio of the way in the same direction closes
+ *   it and records the lag (no catch-up within maxLead counts as a miss)
+ * - Cross-correlation: returns of both legs on a sampleInterval grid over correlationWindow,
+ *   correlated at lags 0..maxLead; the best lag is a coarse estimate while events are scarce
+ *
+ * Lags run from futures receive time to spot receive time, i.e. the time left to act.
+ * Event lags are kept per pair, per pair + volatility regime and per pair + trading session +
+ * regime; estimates use the most specific bucket with minSamples, then the correlation lag,
+ * then a move-size default.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const VOLATILITY_REGIMES = {
+  LOW: 'low',
+  NORMAL: 'normal',
+  HIGH: 'high'
+};
+
+// UTC hour at which each session starts
+export const TRADING_SESSIONS = {
+  ASIA: 0,
+  EUROPE: 8,
+  US: 14
+};
+
+export const LEAD_ESTIMATE_SOURCES = {
+  EVENTS: 'events',
+  CORRELATION: 'correlation',
+  DEFAULT: 'default'
+};
+
+export class FuturesLeadEstimator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dataCollector - MultiPairDataCollector (spot/futures price histories)
+   * @param {Number} [options.minMove=0.05] - Futures move in percent that opens a catch-up event
+   * @param {Number} [options.eventWindow=2000] - Ms over which the futures move is measured
+   * @param {Number} [options.catchUpRatio=0.5] - Share of the futures move spot must cover
+   * @param {Number} [options.maxLead=15000] - Longest lag measured in ms (events and correlation)
+   * @param {Number} [options.sampleInterval=250] - Correlation grid step in ms
+   * @param {Number} [options.correlationWindow=120000] - Correlation lookback in ms
+   * @param {Number} [options.correlationInterval=5000] - Ms between correlation updates
+   * @param {Number} [options.minCorrelation=0.1] - Weakest peak correlation used as an estimate
+   * @param {Number} [options.volatilityWindow=60000] - Ms of futures returns behind the volatility regime
+   * @param {Number} [options.minSamples=10] - Events a bucket needs before it is used
+   * @param {Number} [options.maxSamples=200] - Lags kept per bucket
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.dataCollector = options.dataCollector;
+    this.minMove = options.minMove || 0.05;
+    this.eventWindow = options.eventWindow || 2000;
+    this.catchUpRatio = options.catchUpRatio || 0.5;
+    this.maxLead = options.maxLead || 15000;
+    this.sampleInterval = options.sampleInterval || 250;
+    this.correlationWindow = options.correlationWindow || 120000;
+    this.correlationInterval = options.correlationInterval || 5000;
+    this.minCorrelation = options.minCorrelation ?? 0.1;
+    this.volatilityWindow = options.volatilityWindow || 60000;
+    this.minSamples = options.minSamples || 10;
+    this.maxSamples = options.maxSamples || 200;
+    this.logger = options.logger;
+
+    this.pairState = new Map(); // pair -> measurement state
+    this.buckets = new Map(); // bucket key -> { lags, hits, misses }
+  }
+
+  /**
+   * Process price history received since the last update: open and close catch-up events,
+   * refresh the volatility regime and, every correlationInterval, the correlation lag
+   * @param {Number} [now=Date.now()] - Current time
+   */
+  update(now = Date.now()) {
+    for (const pair of this.dataCollector.pairs) {
+      const state = this._state(pair);
+
+      this._updateEvents(pair, state, now);
+
+      if (now - state.correlationUpdatedAt >= this.correlationInterval) {
+        state.correlationUpdatedAt = now;
+        state.correlation = this._crossCorrelate(pair, now);
+        this._updateVolatility(state);
+      }
+    }
+  }
+
+  /**
+   * Expected futures -> spot lead for a pair in current conditions
+   * @param {String} pair - Trading pair
+   * @param {Number} movement - Current futures movement in percent (used by the default only)
+   * @param {Number} [now=Date.now()] - Current time
+   * @returns {Object} { leadTime, uncertainty, source, samples, catchUpRate, p25, p75,
+   *   session, regime, correlation }
+   */
+  estimate(pair, movement, now = Date.now()) {
+    const state = this._state(pair);
+    const session = this._session(now);
+    const regime = state.regime;
+    const correlation = state.correlation;
+
+    for (const key of this._bucketKeys(pair, session, regime).reverse()) {
+      const bucket = this.buckets.get(key);
+      if (!bucket || bucket.lags.length < this.minSamples) continue;
+
+      const sorted = [...bucket.lags].sort((a, b) => a - b);
+      const p25 = quantile(sorted, 0.25);
+      const p75 = quantile(sorted, 0.75);
+
+      return {
+        leadTime: quantile(sorted, 0.5),
+        uncertainty: (p75 - p25) / 1.349, // IQR as a standard deviation
+        source: LEAD_ESTIMATE_SOURCES.EVENTS,
+        samples: sorted.length,
+        catchUpRate: bucket.hits / (bucket.hits + bucket.misses),
+        p25,
+        p75,
+        session,
+        regime,
+        correlation
+      };
+    }
+
+    if (correlation && correlation.lag > 0 && correlation.coefficient >= this.minCorrelation) {
+      return {
+        leadTime: correlation.lag,
+        uncertainty: Math.max(this.sampleInterval, correlation.lag / 2),
+        source: LEAD_ESTIMATE_SOURCES.CORRELATION,
+        samples: 0,
+        catchUpRate: null,
+        p25: null,
+        p75: null,
+        session,
+        regime,
+        correlation
+      };
+    }
+
+    const leadTime = this._defaultLeadTime(movement);
+    return {
+      leadTime,
+      uncertainty: leadTime,
+      source: LEAD_ESTIMATE_SOURCES.DEFAULT,
+      samples: 0,
+      catchUpRate: null,
+      p25: null,
+      p75: null,
+      session,
+      regime,
+      correlation
+    };
+  }
+
+  /**
+   * Measurement summary per pair for monitoring
+   * @returns {Object} { [pair]: { regime, correlation, pending, buckets: { [key]: { samples, median, catchUpRate } } } }
+   */
+  getStats() {
+    const stats = {};
+
+    for (const [pair, state] of this.pairState) {
+      const buckets = {};
+      for (const [key, bucket] of this.buckets) {
+        if (key !== pair && !key.startsWith(`${pair}|`)) continue;
+
+        const sorted = [...bucket.lags].sort((a, b) => a - b);
+        buckets[key] = {
+          samples: sorted.length,
+          median: sorted.length > 0 ? quantile(sorted, 0.5) : null,
+          catchUpRate: bucket.hits + bucket.misses > 0 ? bucket.hits / (bucket.hits + bucket.misses) : null
+        };
+      }
+
+      stats[pair] = {
+        regime: state.regime,
+        correlation: state.correlation,
+        pending: !!state.pending,
+        buckets
+      };
+    }
+
+    return stats;
+  }
+
+  /**
+   * @private
+   */
+  _state(pair) {
+    let state = this.pairState.get(pair);
+    if (!state) {
+      state = {
+        lastFuturesAt: 0,
+        lastSpotAt: 0,
+        pending: null,
+        regime: VOLATILITY_REGIMES.NORMAL,
+        baselineVolatility: null,
+        correlation: null,
+        correlationUpdatedAt: 0,
+        futuresGrid: []
+      };
+      this.pairState.set(pair, state);
+    }
+    return state;
+  }
+
+  /**
+   * Walk new futures and spot points in receive order, opening and closing catch-up events
+   * @private
+   */
+  _updateEvents(pair, state, now) {
+    const futures = this._futuresPoints(pair);
+    const spot = this._spotPoints(pair);
+
+    const updates = [
+      ...futures.filter(point => point.time > state.lastFuturesAt).map(point => ({ ...point, leg: 'futures' })),
+      ...spot.filter(point => point.time > state.lastSpotAt).map(point => ({ ...point, leg: 'spot' }))
+    ].sort((a, b) => a.time - b.time);
+
+    for (const point of updates) {
+      if (point.leg === 'futures') {
+        state.lastFuturesAt = point.time;
+        if (!state.pending) {
+          state.pending = this._openEvent(futures, spot, point);
+        }
+      } else {
+        state.lastSpotAt = point.time;
+        if (state.pending && this._caughtUp(state.pending, point)) {
+          this._record(pair, state, point.time - state.pending.startedAt, true);
+        }
+      }
+
+      if (state.pending && point.time - state.pending.startedAt > this.maxLead) {
+        this._record(pair, state, null, false);
+      }
+    }
+
+    if (state.pending && now - state.pending.startedAt > this.maxLead) {
+      this._record(pair, state, null, false);
+    }
+  }
+
+  /**
+   * Open an event when futures moved at least minMove within eventWindow up to this point
+   * @private
+   */
+  _openEvent(futures, spot, point) {
+    const reference = futures.find(item => item.time >= point.time - this.eventWindow);
+    if (!reference || reference === point) return null;
+
+    const futuresMove = ((point.price - reference.price) / reference.price) * 100;
+    if (Math.abs(futuresMove) < this.minMove) return null;
+
+    const spotReference = lastAtOrBefore(spot, point.time);
+    if (!spotReference) return null;
+
+    return {
+      startedAt: point.time,
+      direction: Math.sign(futuresMove),
+      futuresMove,
+      spotPrice: spotReference.price
+    };
+  }
+
+  /**
+   * @private
+   */
+  _caughtUp(event, point) {
+    if (point.time <= event.startedAt) return false;
+
+    const spotMove = ((point.price - event.spotPrice) / event.spotPrice) * 100;
+    return spotMove * event.direction >= Math.abs(event.futuresMove) * this.catchUpRatio;
+  }
+
+  /**
+   * Record an event outcome in all of its buckets and close it
+   * @private
+   */
+  _record(pair, state, lag, hit) {
+    const keys = this._bucketKeys(pair, this._session(state.pending.startedAt), state.regime);
+
+    for (const key of keys) {
+      const bucket = this.buckets.get(key) || { lags: [], hits: 0, misses: 0 };
+
+      if (hit) {
+        bucket.hits++;
+        bucket.lags.push(lag);
+        if (bucket.lags.length > this.maxSamples) {
+          bucket.lags.shift();
+        }
+      } else {
+        bucket.misses++;
+      }
+
+      this.buckets.set(key, bucket);
+    }
+
+    this.logger?.debug('Futures lead event', {
+      pair,
+      futuresMove: state.pending.futuresMove,
+      lag,
+      hit
+    });
+
+    state.pending = null;
+  }
+
+  /**
+   * Classify recent futures volatility against the pair's slow-moving baseline
+   * @private
+   */
+  _updateVolatility(state) {
+    const returns = this._gridReturns(state.futuresGrid);
+    if (returns.length < 10) return;
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const volatility = Math.sqrt(returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / returns.length);
+
+    state.baselineVolatility = state.baselineVolatility === null
+      ? volatility
+      : state.baselineVolatility * 0.95 + volatility * 0.05;
+
+    const ratio = state.baselineVolatility > 0 ? volatility / state.baselineVolatility : 1;
+    state.regime = ratio < 0.7
+      ? VOLATILITY_REGIMES.LOW
+      : ratio > 1.5 ? VOLATILITY_REGIMES.HIGH : VOLATILITY_REGIMES.NORMAL;
+  }
+
+  /**
+   * Lag (0..maxLead) at which futures returns best correlate with later spot returns
+   * @private
+   */
+  _crossCorrelate(pair, now) {
+    const start = now - this.correlationWindow;
+    const futures = this._resample(this._futuresPoints(pair), start, now);
+    const spot = this._resample(this._spotPoints(pair), start, now);
+
+    // The volatility regime reads the last volatilityWindow of the same grid
+    this._state(pair).futuresGrid = futures;
+
+    const futuresReturns = toReturns(futures);
+    const spotReturns = toReturns(spot);
+    const maxLagSteps = Math.floor(this.maxLead / this.sampleInterval);
+
+    let best = null;
+    for (let lag = 0; lag <= maxLagSteps; lag++) {
+      const coefficient = correlate(
+        futuresReturns.slice(0, futuresReturns.length - lag),
+        spotReturns.slice(lag)
+      );
+
+      if (coefficient !== null && (!best || coefficient > best.coefficient)) {
+        best = { lag: lag * this.sampleInterval, coefficient };
+      }
+    }
+
+    return best ? { ...best, updatedAt: now } : null;
+  }
+
+  /**
+   * Grid returns over the last volatilityWindow
+   * @private
+   */
+  _gridReturns(grid) {
+    const steps = Math.floor(this.volatilityWindow / this.sampleInterval);
+    const recent = grid.slice(-steps - 1);
+    return toReturns(recent).filter(value => value !== null);
+  }
+
+  /**
+   * Last known price at each grid point (null before the first point)
+   * @private
+   */
+  _resample(points, start, end) {
+    const grid = [];
+    let index = 0;
+    let price = null;
+
+    for (let time = start; time <= end; time += this.sampleInterval) {
+      while (index < points.length && points[index].time <= time) {
+        price = points[index].price;
+        index++;
+      }
+      grid.push(price);
+    }
+
+    return grid;
+  }
+
+  /**
+   * Futures history in receive time (event time for entries recorded without it)
+   * @private
+   */
+  _futuresPoints(pair) {
+    const history = this.dataCollector.futuresPriceHistory.get(pair);
+    if (!history) return [];
+
+    return history.toArray()
+      .map(item => ({ time: item.receivedAt ?? item.timestamp, price: item.price }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * @private
+   */
+  _spotPoints(pair) {
+    const history = this.dataCollector.spotPriceHistory.get(pair);
+    if (!history) return [];
+
+    return history.toArray().map(item => ({ time: item.timestamp, price: item.price }));
+  }
+
+  /**
+   * @private
+   */
+  _bucketKeys(pair, session, regime) {
+    return [pair, `${pair}|${regime}`, `${pair}|${session}|${regime}`];
+  }
+
+  /**
+   * Trading session for a time (UTC hour bands)
+   * @private
+   */
+  _session(time) {
+    const hour = Math.floor((time % (24 * HOUR_MS)) / HOUR_MS);
+
+    let session = 'ASIA';
+    for (const [name, startHour] of Object.entries(TRADING_SESSIONS)) {
+      if (hour >= startHour) session = name;
+    }
+
+    return session.toLowerCase();
+  }
+
+  /**
+   * Move-size heuristic used until measurements are available
+   * @private
+   */
+  _defaultLeadTime(movement) {
+    const absMovement = Math.abs(movement);
+
+    if (absMovement > 0.5) {
+      return 2000; // 2 seconds for large moves
+    } else if (absMovement > 0.2) {
+      return 3000; // 3 seconds for medium moves
+    }
+
+    return 5000; // 5 seconds for small moves
+  }
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function lastAtOrBefore(points, time) {
+  let match = null;
+  for (const point of points) {
+    if (point.time > time) break;
+    match = point;
+  }
+  return match;
+}
+
+function toReturns(grid) {
+  const returns = [];
+  for (let i = 1; i < grid.length; i++) {
+    returns.push(grid[i] !== null && grid[i - 1] !== null ? (grid[i] - grid[i - 1]) / grid[i - 1] : null);
+  }
+  return returns;
+}
+
+// Pearson correlation over positions where both series have a value
+function correlate(a, b) {
+  const pairs = [];
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== null && b[i] !== null) pairs.push([a[i], b[i]]);
+  }
+  if (pairs.length < 10) return null;
+
+  const meanA = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+  const meanB = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanA) * (y - meanB);
+    varianceA += (x - meanA) ** 2;
+    varianceB += (y - meanB) ** 2;
+  }
+
+  if (varianceA === 0 || varianceB === 0) return null;
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+export default FuturesLeadEstimator;
@@ -0,0 +1,123 @@
+/**
+ * FuturesLeadSignalSource
+ *
+ * The trader's original signal: a futures move above the minimum threshold is expected
+ * to be followed by spot within the lead time measured by FuturesLeadEstimator.
+ *
+ * Once the pair's BasisModel is ready, the move is checked against the perpetual's premium:
+ * - Spot is expected to catch up only by the excess basis (premium over its decayed mean),
+ *   so strength is capped at the excess, and moves without an excess in their direction of
+ *   at least minBasisZScore standard deviations are filtered as basis drift
+ * - Moves during a funding reset (around a funding time or rate change) are filtered
+ * - Falling open interest (positions closing) lowers confidence, rising open interest keeps it
+ */
+
+import { SignalSource, SIGNAL_DIRECTIONS } from './SignalSource.js';
+
+export const BASIS_FILTER_REASONS = {
+  BASIS_DRIFT: 'basis_drift',
+  FUNDING_RESET: 'funding_reset'
+};
+
+export class FuturesLeadSignalSource extends SignalSource {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dataCollector - MultiPairDataCollector (calculateFuturesMovement)
+   * @param {Number} options.minMovement - Minimum absolute futures movement in percent
+   * @param {FuturesLeadEstimator} options.leadEstimator - Measured futures -> spot lead per pair
+   * @param {Number} [options.minBasisZScore=1] - Minimum basis excess, in standard deviations, in the move's direction
+   * @param {Boolean} [options.filterFundingResets=true] - Drop moves during funding resets
+   * @param {Number} [options.openInterestWeight=0.2] - Max confidence reduction from falling open interest
+   * @param {Number} [options.openInterestScale=0.1] - Open interest change (%) over the window for the full reduction
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super({ name: 'futures_lead', ...options });
+
+    this.dataCollector = options.dataCollector;
+    this.minMovement = options.minMovement;
+    this.leadEstimator = options.leadEstimator;
+    this.minBasisZScore = options.minBasisZScore ?? 1;
+    this.filterFundingResets = options.filterFundingResets !== false;
+    this.openInterestWeight = options.openInterestWeight ?? 0.2;
+    this.openInterestScale = options.openInterestScale || 0.1;
+
+    this.filtered = {}; // reason -> count
+  }
+
+  async generate(pair, data) {
+    if (!data.spot || !data.futures) return null;
+
+    const futuresMovement = this.dataCollector.calculateFuturesMovement(pair);
+    if (Math.abs(futuresMovement) < this.minMovement) return null;
+
+    const direction = Math.sign(futuresMovement);
+    const basis = data.basis?.ready ? data.basis : null;
+    let strength = Math.abs(futuresMovement);
+    let confidence = 1;
+
+    if (basis) {
+      if (this.filterFundingResets && basis.fundingReset) {
+        return this._filter(pair, BASIS_FILTER_REASONS.FUNDING_RESET, futuresMovement, basis);
+      }
+
+      if (basis.zScore * direction < this.minBasisZScore) {
+        return this._filter(pair, BASIS_FILTER_REASONS.BASIS_DRIFT, futuresMovement, basis);
+      }
+
+      strength = Math.min(strength, Math.abs(basis.excess));
+      if (strength < this.minMovement) {
+        return this._filter(pair, BASIS_FILTER_REASONS.BASIS_DRIFT, futuresMovement, basis);
+      }
+
+      if (basis.openInterestChange !== null && basis.openInterestChange < 0) {
+        const closing = Math.min(1, -basis.openInterestChange / this.openInterestScale);
+        confidence -= closing * this.openInterestWeight;
+      }
+    }
+
+    const leadEstimate = this.leadEstimator.estimate(pair, futuresMovement);
+
+    return {
+      direction: direction > 0 ? SIGNAL_DIRECTIONS.BUY : SIGNAL_DIRECTIONS.SELL,
+      strength,
+      confidence,
+      horizon: leadEstimate.leadTime,
+      details: {
+        futuresMovement,
+        futuresPrice: data.futures.price,
+        leadEstimate,
+        basis
+      }
+    };
+  }
+
+  /**
+   * Filtered move counts by reason
+   * @returns {Object} { filtered: { [reason]: count } }
+   */
+  getStats() {
+    return { filtered: { ...this.filtered } };
+  }
+
+  /**
+   * @private
+   */
+  _filter(pair, reason, futuresMovement, basis) {
+    this.filtered[reason] = (this.filtered[reason] || 0) + 1;
+
+    this.logger?.debug('Futures move filtered by basis model', {
+      pair,
+      reason,
+      futuresMovement,
+      basis: basis.basis,
+      mean: basis.mean,
+      zScore: basis.zScore,
+      fundingRate: basis.fundingRate
+    });
+
+    return null;
+  }
+}
+
+export default FuturesLeadSignalSource;
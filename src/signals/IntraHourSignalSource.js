@@ -0,0 +1,55 @@
+/**
+ * IntraHourSignalSource
+ *
+ * Turns IntraHourTemporalAnalyzer's current-minute bias (historical average move for this
+ * minute / quarter / five-minute slot of the hour) into a candidate.
+ */
+
+import { SignalSource, SIGNAL_DIRECTIONS } from './SignalSource.js';
+
+export class IntraHourSignalSource extends SignalSource {
+  /**
+   * @param {Object} options
+   * @param {Object} options.analyzer - IntraHourTemporalAnalyzer instance
+   * @param {Number} [options.minBias=0.02] - Minimum absolute combined bias in percent
+   * @param {Number} [options.minConfidence=0.6] - Minimum pattern confidence
+   * @param {Number} [options.horizon=60000] - Horizon of a minute-level bias in ms
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super({ name: 'intra_hour', ...options });
+
+    this.analyzer = options.analyzer;
+    this.minBias = options.minBias ?? 0.02;
+    this.minConfidence = options.minConfidence ?? 0.6;
+    this.horizon = options.horizon || 60000;
+  }
+
+  async initialize(pairs) {
+    if (!this.analyzer.initialized) {
+      await this.analyzer.initialize(pairs);
+    }
+  }
+
+  async generate(pair) {
+    const bias = this.analyzer.getCurrentIntraHourBias(pair, Date.now());
+    const biasPercent = bias.combinedIntraHourBias * 100;
+
+    if (Math.abs(biasPercent) < this.minBias || bias.confidence < this.minConfidence) {
+      return null;
+    }
+
+    return {
+      direction: biasPercent > 0 ? SIGNAL_DIRECTIONS.BUY : SIGNAL_DIRECTIONS.SELL,
+      strength: Math.abs(biasPercent),
+      confidence: bias.confidence,
+      horizon: this.horizon,
+      details: {
+        reasoning: bias.reasoning,
+        context: bias.currentContext
+      }
+    };
+  }
+}
+
+export default IntraHourSignalSource;
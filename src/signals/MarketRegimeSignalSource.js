@@ -0,0 +1,52 @@
+/**
+ * MarketRegimeSignalSource
+ *
+ * Uses MarketRegimeDetector's trend regime as a slow directional signal: BULL regimes favour
+ * buys, BEAR regimes favour sells, SIDEWAYS produces nothing. The detector does not size the
+ * move, so every trending regime reports the configured expected move.
+ */
+
+import { SignalSource, SIGNAL_DIRECTIONS } from './SignalSource.js';
+
+export class MarketRegimeSignalSource extends SignalSource {
+  /**
+   * @param {Object} options
+   * @param {Object} options.detector - MarketRegimeDetector instance (caches regimes itself)
+   * @param {String} [options.timeframe='1h'] - Regime timeframe
+   * @param {Number} [options.expectedMove=0.05] - Expected move in percent for a trending regime
+   * @param {Number} [options.minConfidence=0.6] - Minimum regime confidence
+   * @param {Number} [options.horizon=300000] - Horizon in ms
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super({ name: 'market_regime', ...options });
+
+    this.detector = options.detector;
+    this.timeframe = options.timeframe || '1h';
+    this.expectedMove = options.expectedMove ?? 0.05;
+    this.minConfidence = options.minConfidence ?? 0.6;
+    this.horizon = options.horizon || 300000;
+  }
+
+  async generate(pair) {
+    const regime = await this.detector.detectRegime(pair, this.timeframe);
+    const trend = regime?.components?.trend;
+
+    if ((trend !== 'BULL' && trend !== 'BEAR') || regime.confidence < this.minConfidence) {
+      return null;
+    }
+
+    return {
+      direction: trend === 'BULL' ? SIGNAL_DIRECTIONS.BUY : SIGNAL_DIRECTIONS.SELL,
+      strength: this.expectedMove,
+      confidence: regime.confidence,
+      horizon: this.horizon,
+      details: {
+        regime: regime.regime,
+        volatility: regime.components.volatility
+      }
+    };
+  }
+}
+
+export default MarketRegimeSignalSource;
@@ -0,0 +1,62 @@
+/**
+ * OrderBookSignalSource
+ *
+ * Runs OrderBookProcessor's metrics and signals on the collector's current spot book:
+ * bid/ask volume imbalance becomes a short-horizon BUY/SELL candidate. Informational
+ * signals (tight/wide spread) are ignored.
+ */
+
+import { SignalSource, SIGNAL_DIRECTIONS } from './SignalSource.js';
+
+// Expected move in percent for OrderBookProcessor's qualitative strengths
+const STRENGTH_MOVES = {
+  LOW: 0.02,
+  MEDIUM: 0.05,
+  HIGH: 0.1
+};
+
+export class OrderBookSignalSource extends SignalSource {
+  /**
+   * @param {Object} options
+   * @param {Object} options.processor - OrderBookProcessor instance
+   * @param {Object} options.dataCollector - MultiPairDataCollector (getSpotOrderBook)
+   * @param {Object} [options.strengthMoves] - Overrides for the LOW/MEDIUM/HIGH expected moves
+   * @param {Number} [options.horizon=5000] - Horizon in ms
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    super({ name: 'order_book', ...options });
+
+    this.processor = options.processor;
+    this.dataCollector = options.dataCollector;
+    this.strengthMoves = { ...STRENGTH_MOVES, ...options.strengthMoves };
+    this.horizon = options.horizon || 5000;
+  }
+
+  async generate(pair) {
+    const book = this.dataCollector.getSpotOrderBook(pair);
+    if (!book || book.bids.length === 0 || book.asks.length === 0) return null;
+
+    const metrics = this.processor.calculateMetrics(book);
+    const signals = this.processor.generateSignals(book, metrics);
+
+    // A 3x volume imbalance either way counts as full confidence
+    const confidence = Math.min(1, Math.abs(Math.log(metrics.volumeRatio)) / Math.log(3));
+
+    return signals
+      .filter(signal => signal.type === SIGNAL_DIRECTIONS.BUY || signal.type === SIGNAL_DIRECTIONS.SELL)
+      .map(signal => ({
+        direction: signal.type,
+        strength: this.strengthMoves[signal.strength] ?? this.strengthMoves.MEDIUM,
+        confidence,
+        horizon: this.horizon,
+        details: {
+          volumeRatio: metrics.volumeRatio,
+          spreadPercentage: metrics.spreadPercentage,
+          reason: signal.reason
+        }
+      }));
+  }
+}
+
+export default OrderBookSignalSource;
@@ -0,0 +1,211 @@
+/**
+ * SignalAggregator
+ *
+ * Runs every registered SignalSource for each pair and merges their candidates into at most
+ * one signal per pair:
+ * - Each source contributes its strongest candidate per direction (duplicates are dropped)
+ * - The direction with the larger strength x confidence weight wins; opposing weight
+ *   discounts the merged confidence, and an even split produces no signal
+ * - The strongest agreeing candidate sets the expected move and horizon
+ */
+
+import { SIGNAL_DIRECTIONS } from './SignalSource.js';
+
+export class SignalAggregator {
+  /**
+   * @param {Object} options
+   * @param {Array<SignalSource>} [options.sources] - Initial sources
+   * @param {Number} [options.minConfidence=0] - Drop merged signals below this confidence
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.minConfidence = options.minConfidence || 0;
+    this.sources = new Map();
+
+    (options.sources || []).forEach(source => this.register(source));
+  }
+
+  /**
+   * Register a signal source
+   * @param {SignalSource} source - Source with a unique name and generate(pair, data)
+   */
+  register(source) {
+    if (!source?.name || typeof source.generate !== 'function') {
+      throw new Error('Signal source must have a name and a generate(pair, data) method');
+    }
+
+    if (this.sources.has(source.name)) {
+      throw new Error(`Signal source already registered: ${source.name}`);
+    }
+
+    this.sources.set(source.name, source);
+    this.logger?.info('Signal source registered', { source: source.name });
+  }
+
+  /**
+   * Remove a signal source
+   * @param {String} name - Source name
+   * @returns {Boolean} True if a source was removed
+   */
+  unregister(name) {
+    return this.sources.delete(name);
+  }
+
+  /**
+   * Registered source names
+   * @returns {Array<String>} Names
+   */
+  getSourceNames() {
+    return Array.from(this.sources.keys());
+  }
+
+  /**
+   * Initialize all sources for the traded pairs
+   * @param {Array<String>} pairs - Trading pairs
+   * @returns {Promise<void>}
+   */
+  async initialize(pairs) {
+    for (const source of this.sources.values()) {
+      try {
+        await source.initialize?.(pairs);
+      } catch (error) {
+        this.logger?.warn('Signal source failed to initialize', {
+          source: source.name,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Collect and merge candidates for every pair
+   * @param {Object} marketData - Market data keyed by pair
+   * @returns {Promise<Map<String, Object>>} Merged signal per pair
+   */
+  async collect(marketData) {
+    const signals = new Map();
+
+    for (const [pair, data] of Object.entries(marketData)) {
+      const candidates = [];
+
+      for (const source of this.sources.values()) {
+        candidates.push(...await this._generate(source, pair, data));
+      }
+
+      const merged = this.merge(candidates);
+      if (merged) {
+        signals.set(pair, { pair, ...merged });
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * Merge one pair's candidates into a single signal
+   * @param {Array<Object>} candidates - Normalized candidates
+   * @returns {Object|null} { direction, strength, confidence, horizon, sources, candidates } or null
+   */
+  merge(candidates) {
+    // Keep the strongest candidate per source and direction
+    const unique = new Map();
+    for (const candidate of candidates) {
+      const key = `${candidate.source}:${candidate.direction}`;
+      const existing = unique.get(key);
+      if (!existing || this._weight(candidate) > this._weight(existing)) {
+        unique.set(key, candidate);
+      }
+    }
+
+    const deduped = Array.from(unique.values());
+    if (deduped.length === 0) return null;
+
+    const weights = { [SIGNAL_DIRECTIONS.BUY]: 0, [SIGNAL_DIRECTIONS.SELL]: 0 };
+    deduped.forEach(candidate => { weights[candidate.direction] += this._weight(candidate); });
+
+    const totalWeight = weights.BUY + weights.SELL;
+    if (totalWeight === 0 || weights.BUY === weights.SELL) return null;
+
+    const direction = weights.BUY > weights.SELL ? SIGNAL_DIRECTIONS.BUY : SIGNAL_DIRECTIONS.SELL;
+    const agreeing = deduped
+      .filter(candidate => candidate.direction === direction)
+      .sort((a, b) => this._weight(b) - this._weight(a));
+    const primary = agreeing[0];
+
+    // Independent agreeing sources reinforce each other; opposing weight discounts the result
+    const agreement = 1 - agreeing.reduce((product, candidate) => product * (1 - candidate.confidence), 1);
+    const confidence = agreement * (weights[direction] / totalWeight);
+
+    if (confidence < this.minConfidence) return null;
+
+    return {
+      direction,
+      strength: primary.strength,
+      confidence,
+      horizon: primary.horizon,
+      primarySource: primary.source,
+      sources: agreeing.map(candidate => candidate.source),
+      candidates: deduped
+    };
+  }
+
+  /**
+   * Run one source and normalize its output, isolating source failures
+   * @private
+   */
+  async _generate(source, pair, data) {
+    let output;
+
+    try {
+      output = await source.generate(pair, data);
+    } catch (error) {
+      this.logger?.warn('Signal source failed', {
+        source: source.name,
+        pair,
+        error: error.message
+      });
+      return [];
+    }
+
+    if (!output) return [];
+
+    return (Array.isArray(output) ? output : [output])
+      .map(candidate => this._normalize(candidate, source, pair))
+      .filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  _normalize(candidate, source, pair) {
+    const direction = String(candidate.direction || '').toUpperCase();
+    const strength = Number(candidate.strength);
+    const horizon = Number(candidate.horizon);
+
+    if (!SIGNAL_DIRECTIONS[direction] || !(strength > 0) || !(horizon > 0)) {
+      this.logger?.debug('Dropping malformed signal candidate', { source: source.name, pair, candidate });
+      return null;
+    }
+
+    return {
+      pair,
+      source: source.name,
+      direction,
+      strength,
+      confidence: Math.min(1, Math.max(0, Number(candidate.confidence ?? 1))),
+      horizon,
+      timestamp: candidate.timestamp || Date.now(),
+      details: candidate.details || {}
+    };
+  }
+
+  /**
+   * @private
+   */
+  _weight(candidate) {
+    return candidate.strength * candidate.confidence;
+  }
+}
+
+export default SignalAggregator;
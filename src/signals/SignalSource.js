@@ -0,0 +1,56 @@
+/**
+ * SignalSource
+ *
+ * Base class for opportunity detectors registered with the SignalAggregator.
+ * A source looks at one pair at a time and returns zero or more candidates:
+ *
+ *   {
+ *     direction: 'BUY' | 'SELL',
+ *     strength: Number,   // expected spot move in percent (same unit as MIN_FUTURES_MOVEMENT)
+ *     confidence: Number, // 0-1
+ *     horizon: Number,    // ms over which the move is expected
+ *     details: Object     // source-specific context, kept on the opportunity
+ *   }
+ *
+ * The aggregator fills in pair, source name and timestamp, so sources only describe the signal.
+ */
+
+export const SIGNAL_DIRECTIONS = {
+  BUY: 'BUY',
+  SELL: 'SELL'
+};
+
+export class SignalSource {
+  /**
+   * @param {Object} options
+   * @param {String} options.name - Unique source name, reported on merged opportunities
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('SignalSource requires a name');
+    }
+
+    this.name = options.name;
+    this.logger = options.logger;
+  }
+
+  /**
+   * Prepare the source for a set of pairs (load history, open streams)
+   * @param {Array<String>} pairs - Trading pairs
+   * @returns {Promise<void>}
+   */
+  async initialize(pairs) {}
+
+  /**
+   * Produce candidates for a pair
+   * @param {String} pair - Trading pair
+   * @param {Object} data - Market data for the pair from the data collector ({ spot, futures })
+   * @returns {Promise<Array<Object>|Object|null>} Candidate(s), or null for no signal
+   */
+  async generate(pair, data) {
+    throw new Error(`${this.name}: generate() not implemented`);
+  }
+}
+
+export default SignalSource;